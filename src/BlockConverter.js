@@ -38,7 +38,9 @@ export class BlockConverter
         const decodedText = normalizedText.replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&amp;/g, '&');
         const textContent = decodedText.replace(/^\s+/, '');
 
-        const matchingBlockClass = BlockFactory.findBlockClassForTrigger(textContent);
+        // Plugin block triggers take precedence over the built-in ones
+        const matchingBlockClass = this.editor.plugins?.findBlockClassForTrigger(textContent)?.blockClass
+            || BlockFactory.findBlockClassForTrigger(textContent);
 
         if (!textContent && !matchingBlockClass) return false;
         if (!matchingBlockClass) return false;
@@ -66,9 +68,14 @@ export class BlockConverter
         const editor = this.editor;
 
         try {
+            // The conversion becomes its own undo step, or part of the enclosing transaction
+            if (!editor._stateMachine.inTransaction) {
+                editor.history?.checkpoint();
+            }
+
             editor._stateMachine.startConverting();
 
-            const newBlock = BlockFactory.createBlock(targetType);
+            const newBlock = editor.plugins?.createBlock(targetType) || BlockFactory.createBlock(targetType);
             if (!newBlock) return false;
 
             const blockClass = newBlock.constructor;
@@ -175,7 +182,7 @@ export class BlockConverter
     {
         log('generateTrigger()', 'BlockConverter');
 
-        const blockClass = BlockFactory.getBlockClass(blockType);
+        const blockClass = this.editor.plugins?.getBlockClass(blockType) || BlockFactory.getBlockClass(blockType);
         if (!blockClass || typeof blockClass.getMarkdownTriggers !== 'function') {
             return existingContent;
         }
@@ -0,0 +1,319 @@
+'use strict';
+
+import {log} from "./utils/log.js";
+import {ICONS} from "./icons.js";
+
+/**
+ * BlockDragHandle reorders blocks by drag and drop.
+ *
+ * A handle appears next to the block under the pointer, and next to the
+ * touched or focused block so that touch-only devices can reach it too.
+ * Dragging it with the mouse or a finger shows a drop indicator between the
+ * blocks, and releasing it moves the block there. When several blocks are
+ * selected and the handle of one of them is dragged, all of them move together.
+ *
+ * A click on the handle selects the block, see BlockSelection.
+ *
+ * Every drop is one undo step and emits block.moved, see Editor.moveBlocks().
+ * Alt+Shift+ArrowUp/ArrowDown is the keyboard alternative (KeyHandler).
+ */
+export class BlockDragHandle
+{
+    /**
+     * Pointer travel in pixels before a press on the handle starts a drag
+     */
+    static DRAG_THRESHOLD = 4;
+
+    /**
+     * @param {{ editor: object }} options
+     */
+    constructor({ editor })
+    {
+        this.editor = editor;
+
+        /** @type {?HTMLElement} The block the handle is shown for */
+        this.block = null;
+        /** @type {?{elements: HTMLElement[], startY: number, active: boolean, index: ?number, shiftKey: boolean, block: HTMLElement}} */
+        this._drag = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'bke-drag-handle bke-hidden';
+        this.element.setAttribute('aria-hidden', 'true');
+        this.element.title = 'Drag to move (Alt+Shift+↑/↓)';
+        this.element.innerHTML = ICONS['dots'] || '';
+
+        this.indicator = document.createElement('div');
+        this.indicator.className = 'bke-drop-indicator bke-hidden';
+
+        this._handlers = {
+            mouseover: (e) => this._handleBlockTarget(e),
+            blocktouch: (e) => this._handleBlockTarget(e),
+            focusin: (e) => this._handleBlockTarget(e),
+            mouseleave: () => this._handleMouseLeave(),
+            mousedown: (e) => {
+                if (e.button !== 0) return;
+                e.preventDefault();
+                this._start(e.clientY, e.shiftKey);
+            },
+            touchstart: (e) => {
+                if (e.touches.length !== 1) return;
+                e.preventDefault();
+                this._start(e.touches[0].clientY);
+            },
+            mousemove: (e) => this._move(e.clientY),
+            touchmove: (e) => {
+                e.preventDefault();
+                this._move(e.touches[0].clientY);
+            },
+            end: () => this._drop(),
+            cancel: () => this.cancel(),
+            keydown: (e) => {
+                if ('Escape' === e.key) {
+                    e.preventDefault();
+                    this.cancel();
+                }
+            },
+            scroll: () => {
+                if (!this._drag) this.hide();
+            }
+        };
+
+        const instance = editor.instance;
+        instance.appendChild(this.element);
+        instance.appendChild(this.indicator);
+        editor.contentArea.addEventListener('mouseover', this._handlers.mouseover);
+        editor.contentArea.addEventListener('touchstart', this._handlers.blocktouch, { passive: true });
+        editor.contentArea.addEventListener('focusin', this._handlers.focusin);
+        instance.addEventListener('mouseleave', this._handlers.mouseleave);
+        this.element.addEventListener('mousedown', this._handlers.mousedown);
+        this.element.addEventListener('touchstart', this._handlers.touchstart, { passive: false });
+        document.addEventListener('scroll', this._handlers.scroll, true);
+    }
+
+    /**
+     * @returns {boolean} - true while blocks are being dragged
+     */
+    isDragging()
+    {
+        return this._drag !== null && this._drag.active;
+    }
+
+    /**
+     * Show the handle next to a block
+     * @param {HTMLElement} block
+     */
+    show(block)
+    {
+        if (!block || this._drag) {
+            return;
+        }
+
+        this.block = block;
+        const rect = block.getBoundingClientRect();
+        this.element.style.top = rect.top + 'px';
+        this.element.style.left = rect.left + 'px';
+        this.element.classList.remove('bke-hidden');
+    }
+
+    /**
+     * Hide the handle
+     */
+    hide()
+    {
+        this.block = null;
+        this.element.classList.add('bke-hidden');
+    }
+
+    /**
+     * Stop dragging without moving anything
+     */
+    cancel()
+    {
+        if (!this._drag) {
+            return;
+        }
+
+        log('cancel()', 'BlockDragHandle.');
+        this._end();
+    }
+
+    /**
+     * Remove the elements and listeners. Called when the editor is destroyed.
+     */
+    destroy()
+    {
+        this._end();
+        this.editor.contentArea?.removeEventListener('mouseover', this._handlers.mouseover);
+        this.editor.contentArea?.removeEventListener('touchstart', this._handlers.blocktouch);
+        this.editor.contentArea?.removeEventListener('focusin', this._handlers.focusin);
+        this.editor.instance?.removeEventListener('mouseleave', this._handlers.mouseleave);
+        this.element.removeEventListener('mousedown', this._handlers.mousedown);
+        this.element.removeEventListener('touchstart', this._handlers.touchstart);
+        document.removeEventListener('scroll', this._handlers.scroll, true);
+        this.element.parentNode?.removeChild(this.element);
+        this.indicator.parentNode?.removeChild(this.indicator);
+    }
+
+    /**
+     * Show the handle for the block that is hovered, touched or focused
+     * @param {MouseEvent|TouchEvent|FocusEvent} e
+     * @private
+     */
+    _handleBlockTarget(e)
+    {
+        const block = e.target instanceof Element ? e.target.closest('.bke-block') : null;
+        if (block && this.editor.contentArea.contains(block) && block !== this.block) {
+            this.show(block);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handleMouseLeave()
+    {
+        if (!this._drag) {
+            this.hide();
+        }
+    }
+
+    /**
+     * Press on the handle: remember what to drag. The drag starts once the pointer moves.
+     * @param {number} clientY
+     * @param {boolean} [shiftKey=false] - A click extends the block selection instead of replacing it
+     * @private
+     */
+    _start(clientY, shiftKey = false)
+    {
+        if (!this.block) {
+            return;
+        }
+
+        // The handle of a selected block drags the whole selection
+        const selected = this.editor._blockManager.getSelectedBlockElements();
+        const elements = selected.length > 1 && selected.includes(this.block) ? selected : [this.block];
+
+        this._drag = { elements, startY: clientY, active: false, index: null, shiftKey, block: this.block };
+
+        document.addEventListener('mousemove', this._handlers.mousemove);
+        document.addEventListener('mouseup', this._handlers.end);
+        document.addEventListener('touchmove', this._handlers.touchmove, { passive: false });
+        document.addEventListener('touchend', this._handlers.end);
+        document.addEventListener('touchcancel', this._handlers.cancel);
+        document.addEventListener('keydown', this._handlers.keydown);
+    }
+
+    /**
+     * Follow the pointer with the drop indicator
+     * @param {number} clientY
+     * @private
+     */
+    _move(clientY)
+    {
+        const drag = this._drag;
+        if (!drag) {
+            return;
+        }
+
+        if (!drag.active) {
+            if (Math.abs(clientY - drag.startY) < BlockDragHandle.DRAG_THRESHOLD) {
+                return;
+            }
+            log('drag', 'BlockDragHandle.', { blocks: drag.elements.length });
+            drag.active = true;
+            drag.elements.forEach(element => element.classList.add('bke-block--dragging'));
+            this.editor.instance.classList.add('bke-editor--dragging');
+        }
+
+        const others = this._getBlocks().filter(block => !drag.elements.includes(block));
+        drag.index = others.filter(block => {
+            const rect = block.getBoundingClientRect();
+            return rect.top + rect.height / 2 < clientY;
+        }).length;
+
+        this._showIndicator(others, drag.index);
+    }
+
+    /**
+     * Release: move the dragged blocks to the indicated position.
+     * Without a drag the press was a click, which selects the block.
+     * @private
+     */
+    _drop()
+    {
+        const drag = this._drag;
+        this._end();
+
+        if (drag && !drag.active) {
+            const selection = this.editor.blockSelection;
+            drag.shiftKey ? selection?.extendTo(drag.block) : selection?.select(drag.block);
+            return;
+        }
+
+        if (!drag || drag.index === null) {
+            return;
+        }
+
+        const ids = drag.elements.map(element => element.getAttribute('data-block-id'));
+        this.editor.moveBlocks(ids, drag.index);
+
+        // The block under the pointer changed
+        this.hide();
+    }
+
+    /**
+     * Place the indicator in the gap the blocks would be dropped into
+     * @param {HTMLElement[]} others - Blocks that are not dragged
+     * @param {number} index - Drop index among them
+     * @private
+     */
+    _showIndicator(others, index)
+    {
+        const area = this.editor.contentArea.getBoundingClientRect();
+        const next = others[index];
+        const previous = others[index - 1];
+
+        let top = area.top;
+        if (next) {
+            top = next.getBoundingClientRect().top;
+        } else if (previous) {
+            top = previous.getBoundingClientRect().bottom;
+        }
+
+        this.indicator.style.top = top + 'px';
+        this.indicator.style.left = area.left + 'px';
+        this.indicator.style.width = area.width + 'px';
+        this.indicator.classList.remove('bke-hidden');
+    }
+
+    /**
+     * Clear the drag state and the document listeners
+     * @private
+     */
+    _end()
+    {
+        if (this._drag) {
+            this._drag.elements.forEach(element => element.classList.remove('bke-block--dragging'));
+        }
+        this._drag = null;
+
+        this.editor.instance?.classList.remove('bke-editor--dragging');
+        this.indicator.classList.add('bke-hidden');
+
+        document.removeEventListener('mousemove', this._handlers.mousemove);
+        document.removeEventListener('mouseup', this._handlers.end);
+        document.removeEventListener('touchmove', this._handlers.touchmove);
+        document.removeEventListener('touchend', this._handlers.end);
+        document.removeEventListener('touchcancel', this._handlers.cancel);
+        document.removeEventListener('keydown', this._handlers.keydown);
+    }
+
+    /**
+     * @returns {HTMLElement[]} - Block elements in document order
+     * @private
+     */
+    _getBlocks()
+    {
+        return Array.from(this.editor.contentArea.querySelectorAll('.bke-block'));
+    }
+}
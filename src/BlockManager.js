@@ -7,6 +7,8 @@ import {Parser} from "@/Parser.js";
 import {BlockType} from "@/BlockType.js";
 import {Utils} from "@/Utils.js";
 import {BlockFactory} from "@/blocks/BlockFactory.js";
+import {ListBlock} from "@/blocks/ListBlock.js";
+import {InlineSerializer} from "@/InlineSerializer.js";
 
 /**
  * BlockManager handles block lifecycle operations:
@@ -14,6 +16,15 @@ import {BlockFactory} from "@/blocks/BlockFactory.js";
  */
 export class BlockManager {
 
+    /**
+     * Block types convertBlocks() converts between
+     * @type {string[]}
+     */
+    static CONVERTIBLE_TYPES = [
+        BlockType.PARAGRAPH, BlockType.H1, BlockType.H2, BlockType.H3, BlockType.H4, BlockType.H5, BlockType.H6,
+        BlockType.QUOTE, BlockType.UL, BlockType.OL, BlockType.SQ, BlockType.CODE
+    ];
+
     /**
      * @param {{ editor: object }} options
      */
@@ -28,7 +39,7 @@ export class BlockManager {
      */
     createBlockElement(block) {
         try {
-            const blockInstance = block._blockInstance || BlockFactory.createBlock(
+            const blockInstance = block._blockInstance || this._createBlock(
                 block.type,
                 block.content,
                 block.html,
@@ -305,7 +316,7 @@ export class BlockManager {
                 this.ensureDefaultBlock();
             }
 
-            const newBlock = BlockFactory.createBlock(blockType);
+            const newBlock = this._createBlock(blockType);
             if (!newBlock) {
                 return false;
             }
@@ -357,4 +368,534 @@ export class BlockManager {
             return false;
         }
     }
+
+    /**
+     * Insert a block built from JSON block data at the given position.
+     * Runs as one transaction (one undo step) and emits BLOCK_CREATED afterwards.
+     * @param {{type?: string, data?: Object}} blockData
+     * @param {{index?: number, afterId?: string, beforeId?: string}} [position={}] - Appends when empty
+     * @returns {?string} - Id of the new block, or null if it could not be inserted
+     */
+    insertBlock({ type = BlockType.PARAGRAPH, data = {} } = {}, position = {}) {
+        log('insertBlock()', 'BlockManager.');
+
+        if (!BlockType.isValid(type)) {
+            logWarning('Unknown block type "' + type + '"', 'BlockManager.insertBlock()');
+            return null;
+        }
+
+        const reference = this._resolvePosition(position);
+        if (reference === false) {
+            return null;
+        }
+
+        const block = this._createBlockFromData(type, data);
+        if (!block) {
+            return null;
+        }
+
+        const element = this.editor.transaction(() => {
+            const [rendered] = this.editor._renderBlocks([block]);
+            this.editor.contentArea.insertBefore(rendered, reference);
+            return rendered;
+        });
+
+        const blockId = element.getAttribute('data-block-id');
+
+        this.editor.eventEmitter.emit(EVENTS.BLOCK_CREATED, {
+            blockId: blockId,
+            blockType: type,
+            position: this._getBlockElements().indexOf(element),
+            timestamp: Date.now()
+        }, { source: 'editor.api' });
+
+        return blockId;
+    }
+
+    /**
+     * Replace the data of a block, keeping its id and type.
+     * Fields missing from data keep their current value.
+     * @param {string} id
+     * @param {Object} data - JSON block data, e.g. {text} or {headers, rows}
+     * @returns {boolean}
+     */
+    updateBlock(id, data = {}) {
+        log('updateBlock()', 'BlockManager.');
+
+        const element = this.getBlockElementById(id);
+        if (!element) {
+            logWarning('Block "' + id + '" not found', 'BlockManager.updateBlock()');
+            return false;
+        }
+
+        const current = this.editor.getBlockById(id);
+        const type = element.getAttribute('data-block-type') || BlockType.PARAGRAPH;
+        const previousContent = current.content || '';
+        const currentData = typeof current.toJSON === 'function' ? current.toJSON() : { text: previousContent };
+
+        const block = this._createBlockFromData(type, { ...currentData, ...data });
+        if (!block) {
+            return false;
+        }
+
+        const wasCurrent = element === this.editor.currentBlock;
+
+        this.editor.transaction(() => {
+            const [rendered] = this.editor._renderBlocks([block], [id]);
+            element.replaceWith(rendered);
+
+            if (wasCurrent) {
+                this.editor.setCurrentBlock(rendered);
+            }
+        });
+
+        this.editor.eventEmitter.emit(EVENTS.BLOCK_CONTENT_CHANGED, {
+            blockId: id,
+            blockType: type,
+            content: block.content || '',
+            previousContent: previousContent,
+            timestamp: Date.now()
+        }, { source: 'editor.api' });
+
+        return true;
+    }
+
+    /**
+     * Remove a block. The editor keeps an empty paragraph when the last block is removed.
+     * @param {string} id
+     * @returns {boolean}
+     */
+    removeBlock(id) {
+        log('removeBlock()', 'BlockManager.');
+        return this.removeBlocks([id]);
+    }
+
+    /**
+     * Remove blocks. The editor keeps an empty paragraph when the last block is removed.
+     * Runs as one transaction (one undo step) and emits BLOCK_DELETED for every block afterwards.
+     * @param {string[]} ids
+     * @returns {boolean} - false if a block does not exist
+     */
+    removeBlocks(ids) {
+        log('removeBlocks()', 'BlockManager.');
+
+        const elements = this._getElementsByIds(ids, 'removeBlocks');
+        if (!elements) {
+            return false;
+        }
+
+        const blocks = this._getBlockElements();
+        const removed = elements.map(element => ({
+            blockId: element.getAttribute('data-block-id'),
+            blockType: element.getAttribute('data-block-type'),
+            position: blocks.indexOf(element)
+        }));
+
+        this.editor.transaction(() => {
+            const others = blocks.filter(block => !elements.includes(block));
+            const last = blocks.indexOf(elements[elements.length - 1]);
+            const neighbour = others.find(block => blocks.indexOf(block) > last) || others[others.length - 1] || null;
+
+            elements.forEach(element => element.remove());
+
+            if (!neighbour) {
+                this.editor._renderBlocks([]);
+            }
+
+            if (elements.includes(this.editor.currentBlock)) {
+                this.editor.currentBlock = null;
+                this.editor.setCurrentBlock(neighbour || this._getBlockElements()[0]);
+            }
+        });
+
+        removed.forEach(({ blockId, blockType, position }) => {
+            this.editor.eventEmitter.emit(EVENTS.BLOCK_DELETED, {
+                blockId: blockId,
+                blockType: blockType,
+                position: position,
+                timestamp: Date.now()
+            }, { source: 'editor.api' });
+        });
+
+        return true;
+    }
+
+    /**
+     * Insert copies of blocks after the last of them, in document order.
+     * Runs as one transaction (one undo step) and emits BLOCK_CREATED for every copy afterwards.
+     * @param {string[]} ids
+     * @returns {?string[]} - Ids of the copies, or null if a block does not exist
+     */
+    duplicateBlocks(ids) {
+        log('duplicateBlocks()', 'BlockManager.');
+
+        const elements = this._getElementsByIds(ids, 'duplicateBlocks');
+        if (!elements) {
+            return null;
+        }
+
+        const copies = elements.map(element => {
+            const type = element.getAttribute('data-block-type') || BlockType.PARAGRAPH;
+            const block = this.editor.getBlocks().find(item => item.element === element);
+            const data = typeof block?.toJSON === 'function' ? block.toJSON() : { text: block?.content || '' };
+            return { type, block: this._createBlockFromData(type, data) };
+        }).filter(copy => copy.block);
+
+        const rendered = this.editor.transaction(() => {
+            const before = elements[elements.length - 1].nextElementSibling;
+            const created = this.editor._renderBlocks(copies.map(copy => copy.block));
+            created.forEach(element => this.editor.contentArea.insertBefore(element, before));
+            return created;
+        });
+
+        rendered.forEach((element, index) => {
+            this.editor.eventEmitter.emit(EVENTS.BLOCK_CREATED, {
+                blockId: element.getAttribute('data-block-id'),
+                blockType: copies[index].type,
+                position: this._getBlockElements().indexOf(element),
+                timestamp: Date.now()
+            }, { source: 'editor.api' });
+        });
+
+        return rendered.map(element => element.getAttribute('data-block-id'));
+    }
+
+    /**
+     * Convert text blocks to another text block type, keeping their inline formatting.
+     * Paragraphs, headings, quotes, lists and code blocks can be converted into each other;
+     * other blocks are left as they are. A list converted to a single-line type becomes
+     * one block per item, the first one keeping the id of the list.
+     * Runs as one transaction (one undo step) and emits BLOCK_CONVERTED for every block afterwards.
+     * @param {string[]} ids
+     * @param {string} type - Target block type
+     * @returns {boolean} - false if a block does not exist, the type cannot be converted to or nothing changed
+     */
+    convertBlocks(ids, type) {
+        log('convertBlocks()', 'BlockManager.', { type });
+
+        const target = type === 'p' ? BlockType.PARAGRAPH : type;
+        if (!BlockManager.CONVERTIBLE_TYPES.includes(target)) {
+            logWarning('Cannot convert blocks to "' + type + '"', 'BlockManager.convertBlocks()');
+            return false;
+        }
+
+        const elements = this._getElementsByIds(ids, 'convertBlocks');
+        if (!elements) {
+            return false;
+        }
+
+        const converted = elements.filter(element => {
+            const from = element.getAttribute('data-block-type');
+            const source = from === 'p' ? BlockType.PARAGRAPH : from;
+            return BlockManager.CONVERTIBLE_TYPES.includes(source) && source !== target;
+        });
+        if (converted.length === 0) {
+            return false;
+        }
+
+        const results = this.editor.transaction(() => converted.map(element => {
+            const id = element.getAttribute('data-block-id');
+            const blocks = this._convertItems(this._readItems(element), target);
+            const rendered = this.editor._renderBlocks(blocks, [id]);
+            rendered.forEach(block => this.editor.contentArea.insertBefore(block, element));
+            element.remove();
+
+            if (element === this.editor.currentBlock) {
+                this.editor.currentBlock = null;
+                this.editor.setCurrentBlock(rendered[0]);
+            }
+
+            return { id, fromType: element.getAttribute('data-block-type'), toType: rendered[0].getAttribute('data-block-type') };
+        }));
+
+        results.forEach(({ id, fromType, toType }) => {
+            this.editor.eventEmitter.emit(EVENTS.BLOCK_CONVERTED, {
+                blockId: id,
+                fromType: fromType,
+                toType: toType,
+                timestamp: Date.now()
+            }, { source: 'editor.api' });
+        });
+
+        return true;
+    }
+
+    /**
+     * Move a block so that it ends up at the given index.
+     * @param {string} id
+     * @param {number} toIndex - Target index, clamped to the document
+     * @returns {boolean} - false if the block does not exist
+     */
+    moveBlock(id, toIndex) {
+        log('moveBlock()', 'BlockManager.');
+        return this.moveBlocks([id], toIndex);
+    }
+
+    /**
+     * Move blocks together, in document order, so that the first one ends up at the given index.
+     * Runs as one transaction (one undo step) and emits BLOCK_MOVED for every block whose index changed.
+     * @param {string[]} ids
+     * @param {number} toIndex - Target index of the first block, clamped to the document
+     * @returns {boolean} - false if a block does not exist
+     */
+    moveBlocks(ids, toIndex) {
+        log('moveBlocks()', 'BlockManager.');
+
+        const elements = this._getElementsByIds(ids, 'moveBlocks');
+        if (!elements) {
+            return false;
+        }
+
+        const blocks = this._getBlockElements();
+        const others = blocks.filter(block => !elements.includes(block));
+        const index = Math.max(0, Math.min(Number(toIndex) || 0, others.length));
+        const order = [...others.slice(0, index), ...elements, ...others.slice(index)];
+
+        const moved = elements
+            .map(element => ({ element, oldIndex: blocks.indexOf(element), newIndex: order.indexOf(element) }))
+            .filter(({ oldIndex, newIndex }) => oldIndex !== newIndex);
+        if (moved.length === 0) {
+            return true;
+        }
+
+        this.editor.transaction(() => {
+            this._keepSelection(() => {
+                const before = others[index] || null;
+                elements.forEach(element => this.editor.contentArea.insertBefore(element, before));
+            });
+        });
+
+        moved.forEach(({ element, oldIndex, newIndex }) => {
+            this.editor.eventEmitter.emit(EVENTS.BLOCK_MOVED, {
+                blockId: element.getAttribute('data-block-id'),
+                blockType: element.getAttribute('data-block-type'),
+                oldIndex: oldIndex,
+                newIndex: newIndex,
+                timestamp: Date.now()
+            }, { source: 'editor.api' });
+        });
+
+        return true;
+    }
+
+    /**
+     * Move the selected blocks, or the current block, up or down.
+     * @param {number} offset - Number of positions, negative to move up
+     * @returns {boolean} - false if there is nothing to move or the blocks are already at the edge
+     */
+    moveSelectedBlocks(offset) {
+        log('moveSelectedBlocks()', 'BlockManager.', { offset });
+
+        const elements = this.getSelectedBlockElements();
+        if (elements.length === 0) {
+            return false;
+        }
+
+        const others = this._getBlockElements().filter(block => !elements.includes(block));
+        const before = others.filter(block => block.compareDocumentPosition(elements[0]) & Node.DOCUMENT_POSITION_FOLLOWING).length;
+        const index = before + offset;
+        if (index < 0 || index > others.length) {
+            return false;
+        }
+
+        return this.moveBlocks(elements.map(element => element.getAttribute('data-block-id')), index);
+    }
+
+    /**
+     * Get the selected blocks: the block selection if there is one, otherwise the blocks
+     * touched by the text selection, or the current block if the selection is outside the editor.
+     * @returns {HTMLElement[]} - Block elements in document order
+     */
+    getSelectedBlockElements() {
+        const blockSelection = this.editor.blockSelection?.getElements() || [];
+        if (blockSelection.length > 0) {
+            return blockSelection;
+        }
+
+        const selection = window.getSelection ? window.getSelection() : null;
+        const range = selection && selection.rangeCount ? selection.getRangeAt(0) : null;
+        const contentArea = this.editor.contentArea;
+
+        if (range && contentArea && range.commonAncestorContainer instanceof Node
+            && contentArea.contains(range.commonAncestorContainer)) {
+            const selected = this._getBlockElements().filter(block => range.intersectsNode(block));
+            if (selected.length > 0) {
+                return selected;
+            }
+        }
+
+        const current = this.editor.currentBlock;
+        return current && contentArea && contentArea.contains(current) ? [current] : [];
+    }
+
+    /**
+     * Find a block element by its data-block-id.
+     * @param {string} id
+     * @returns {HTMLElement|null}
+     */
+    getBlockElementById(id) {
+        if (!id || !this.editor.contentArea) {
+            return null;
+        }
+        return this._getBlockElements().find(block => block.getAttribute('data-block-id') === id) || null;
+    }
+
+    /**
+     * Find the block elements with the given ids.
+     * @param {string[]} ids
+     * @param {string} caller - Method name for the warning
+     * @returns {?HTMLElement[]} - Elements in document order, or null if a block does not exist or ids is empty
+     * @private
+     */
+    _getElementsByIds(ids, caller) {
+        const blocks = this._getBlockElements();
+        const elements = [];
+        for (const id of ids || []) {
+            const element = this.getBlockElementById(id);
+            if (!element) {
+                logWarning('Block "' + id + '" not found', 'BlockManager.' + caller + '()');
+                return null;
+            }
+            if (!elements.includes(element)) {
+                elements.push(element);
+            }
+        }
+        if (elements.length === 0) {
+            return null;
+        }
+        return elements.sort((a, b) => blocks.indexOf(a) - blocks.indexOf(b));
+    }
+
+    /**
+     * Read the lines of a text block as list items with inline markdown.
+     * @param {HTMLElement} element
+     * @returns {Array<{text: string, depth: number, type: string, checked: boolean}>}
+     * @private
+     */
+    _readItems(element) {
+        const type = element.getAttribute('data-block-type');
+
+        if (BlockType.isList(type)) {
+            const list = element.querySelector(type === BlockType.OL ? 'ol' : 'ul');
+            return list ? ListBlock.readItems(list, type) : [];
+        }
+
+        const text = type === BlockType.CODE
+            ? (element.querySelector('code') || element).textContent || ''
+            : InlineSerializer.toMarkdown(element.querySelector('h1, h2, h3, h4, h5, h6, blockquote, p') || element);
+
+        return text.split('\n').map(line => ({ text: line, depth: 0, type, checked: false }));
+    }
+
+    /**
+     * Build blocks of the target type from list items, see _readItems().
+     * @param {Array<{text: string, depth: number, type: string, checked: boolean}>} items
+     * @param {string} type - One of CONVERTIBLE_TYPES
+     * @returns {Array} - Parsed blocks, at least one
+     * @private
+     */
+    _convertItems(items, type) {
+        const lines = items.map(item => item.text);
+
+        let markdown;
+        if (type === BlockType.CODE) {
+            return [this._createBlockFromData(type, { code: lines.join('\n') })];
+        } else if (BlockType.isList(type)) {
+            markdown = ListBlock.itemsToMarkdown(items.map(item => ({ ...item, type: item.depth === 0 ? type : item.type })));
+        } else {
+            const prefix = BlockType.isHeading(type) ? '#'.repeat(Number(type[1])) + ' ' : (BlockType.isQuote(type) ? '> ' : '');
+            markdown = lines.filter(line => line.trim()).map(line => prefix + line.trim()).join('\n\n');
+        }
+
+        const blocks = lines.some(line => line.trim()) ? this.editor._parseMarkdown(markdown) : [];
+        return blocks.length > 0 ? blocks : [this._createBlockFromData(type, {})];
+    }
+
+    /**
+     * Resolve an insertion position to the element the new block goes before.
+     * @param {{index?: number, afterId?: string, beforeId?: string}} position
+     * @returns {HTMLElement|null|false} - null to append, false if the position is invalid
+     * @private
+     */
+    _resolvePosition({ index, afterId, beforeId } = {}) {
+        const blocks = this._getBlockElements();
+
+        if (afterId !== undefined || beforeId !== undefined) {
+            const anchor = this.getBlockElementById(afterId ?? beforeId);
+            if (!anchor) {
+                logWarning('Block "' + (afterId ?? beforeId) + '" not found', 'BlockManager._resolvePosition()');
+                return false;
+            }
+            return afterId !== undefined ? blocks[blocks.indexOf(anchor) + 1] || null : anchor;
+        }
+
+        if (index !== undefined) {
+            return blocks[Math.max(0, Number(index) || 0)] || null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Create a typed block instance from JSON block data.
+     * @param {string} type
+     * @param {Object} data
+     * @returns {BaseBlock|null}
+     * @private
+     */
+    _createBlockFromData(type, data) {
+        const parsed = this.editor.serializer.parseJSON({ blocks: [{ type, data }] });
+        return parsed?.blocks[0] || null;
+    }
+
+    /**
+     * Run a DOM change that moves blocks and put the selection back where it was.
+     * Moving a node collapses the ranges inside it to its old parent.
+     * @param {Function} fn
+     * @private
+     */
+    _keepSelection(fn) {
+        const selection = window.getSelection ? window.getSelection() : null;
+        const range = selection && selection.rangeCount ? selection.getRangeAt(0) : null;
+        const saved = range && range.startContainer instanceof Node
+            ? [range.startContainer, range.startOffset, range.endContainer, range.endOffset]
+            : null;
+
+        fn();
+
+        if (!saved || !this.editor.contentArea?.contains(saved[0])) {
+            return;
+        }
+        try {
+            const restored = document.createRange();
+            restored.setStart(saved[0], saved[1]);
+            restored.setEnd(saved[2], saved[3]);
+            selection.removeAllRanges();
+            selection.addRange(restored);
+        } catch (error) {
+            logWarning('Error restoring the selection: ' + error.message, 'BlockManager._keepSelection()');
+        }
+    }
+
+    /**
+     * @returns {HTMLElement[]} - Block elements in document order
+     * @private
+     */
+    _getBlockElements() {
+        return Array.from(this.editor.contentArea.querySelectorAll('.bke-block'));
+    }
+
+    /**
+     * Create a block instance, including plugin block types.
+     * @param {string} type
+     * @param {string} [content='']
+     * @param {string} [html='']
+     * @param {boolean} [nested=false]
+     * @returns {BaseBlock}
+     * @private
+     */
+    _createBlock(type, content = '', html = '', nested = false) {
+        return this.editor.plugins?.createBlock(type, content, html, nested)
+            || BlockFactory.createBlock(type, content, html, nested);
+    }
 }
@@ -0,0 +1,428 @@
+'use strict';
+
+import {log} from "./utils/log.js";
+
+/**
+ * BlockSelection selects whole blocks instead of text.
+ *
+ * Escape or a click on the drag handle selects the current block, Shift+ArrowUp/ArrowDown
+ * (or Shift+click on a handle) extends the selection from the first selected block.
+ * Shift+ArrowUp/ArrowDown on a text selection that already spans several blocks turns it
+ * into a block selection. Selected blocks get the bke-block--selected class.
+ *
+ * While blocks are selected:
+ *   • ArrowUp/ArrowDown select the previous or next block
+ *   • Backspace/Delete removes them, Ctrl/Cmd+D duplicates them
+ *   • Ctrl/Cmd+C and Ctrl/Cmd+X copy or cut them as markdown
+ *   • Ctrl/Cmd+A selects all blocks, Alt+Shift+ArrowUp/ArrowDown moves them
+ *   • Escape or Enter returns to text editing in the last selected block
+ * Any other key or a click in the content ends the block selection.
+ *
+ * Every batch operation is one undo step, see BlockManager.
+ */
+export class BlockSelection
+{
+    /**
+     * @param {{ editor: object }} options
+     */
+    constructor({ editor })
+    {
+        this.editor = editor;
+
+        /** @type {HTMLElement[]} Selected block elements in document order */
+        this.elements = [];
+        /** @type {?HTMLElement} The block the selection is extended from */
+        this.anchor = null;
+        /** @type {?HTMLElement} The block the selection was last extended to */
+        this.focus = null;
+
+        this._handlers = {
+            copy: (e) => this._handleClipboard(e, false),
+            cut: (e) => this._handleClipboard(e, true)
+        };
+        document.addEventListener('copy', this._handlers.copy);
+        document.addEventListener('cut', this._handlers.cut);
+    }
+
+    /**
+     * @returns {boolean} - true while blocks are selected
+     */
+    isActive()
+    {
+        return this.getElements().length > 0;
+    }
+
+    /**
+     * @returns {HTMLElement[]} - Selected block elements still in the editor, in document order
+     */
+    getElements()
+    {
+        const contentArea = this.editor.contentArea;
+        return this.elements.filter(element => element.isConnected && contentArea?.contains(element));
+    }
+
+    /**
+     * Select blocks, replacing the current block selection
+     * @param {HTMLElement|HTMLElement[]} elements
+     * @returns {boolean} - false if none of the elements is a block of this editor
+     */
+    select(elements)
+    {
+        const blocks = this._getBlocks();
+        const selected = blocks.filter(block => [].concat(elements).includes(block));
+        if (selected.length === 0) {
+            return false;
+        }
+
+        log('select()', 'BlockSelection.', { blocks: selected.length });
+
+        this.anchor = selected[0];
+        this.focus = selected[selected.length - 1];
+        this._render(selected);
+
+        return true;
+    }
+
+    /**
+     * Select every block of the editor
+     * @returns {boolean}
+     */
+    selectAll()
+    {
+        return this.select(this._getBlocks());
+    }
+
+    /**
+     * Select the blocks from the anchor to the given block
+     * @param {HTMLElement} block
+     * @returns {boolean}
+     */
+    extendTo(block)
+    {
+        const blocks = this._getBlocks();
+        const index = blocks.indexOf(block);
+        if (index === -1) {
+            return false;
+        }
+
+        const anchor = this.isActive() && blocks.includes(this.anchor) ? this.anchor : block;
+        const start = blocks.indexOf(anchor);
+
+        this.anchor = anchor;
+        this.focus = block;
+        this._render(blocks.slice(Math.min(start, index), Math.max(start, index) + 1));
+
+        return true;
+    }
+
+    /**
+     * Move the end of the selection up or down, see extendTo()
+     * @param {number} offset - Number of blocks, negative to extend up
+     * @returns {boolean} - false at the edge of the document
+     */
+    extend(offset)
+    {
+        const blocks = this._getBlocks();
+        const index = blocks.indexOf(this.focus) + offset;
+        if (!this.isActive() || index < 0 || index >= blocks.length) {
+            return false;
+        }
+
+        return this.extendTo(blocks[index]);
+    }
+
+    /**
+     * End the block selection
+     * @param {{ focus?: boolean }} [options] - focus: put the caret at the end of the last selected block
+     */
+    clear({ focus = false } = {})
+    {
+        const target = this.focus;
+
+        this.elements.forEach(element => element.classList.remove('bke-block--selected'));
+        this.elements = [];
+        this.anchor = null;
+        this.focus = null;
+        this.editor.instance?.classList.remove('bke-editor--block-selection');
+
+        if (focus && target?.isConnected) {
+            this.editor.setCurrentBlock(target);
+            this._placeCaret(target);
+        }
+    }
+
+    /**
+     * Remove the selected blocks
+     * @returns {boolean}
+     */
+    delete()
+    {
+        const ids = this._getIds();
+        if (ids.length === 0 || !this.editor.removeBlocks(ids)) {
+            return false;
+        }
+
+        this.clear();
+        if (this.editor.currentBlock) {
+            this._placeCaret(this.editor.currentBlock);
+        }
+
+        return true;
+    }
+
+    /**
+     * Insert copies of the selected blocks after them and select the copies
+     * @returns {boolean}
+     */
+    duplicate()
+    {
+        const ids = this._getIds();
+        const copies = ids.length > 0 ? this.editor.duplicateBlocks(ids) : null;
+        if (!copies) {
+            return false;
+        }
+
+        return this.select(copies.map(id => this.editor._blockManager.getBlockElementById(id)));
+    }
+
+    /**
+     * Convert the selected blocks to another type and keep them selected
+     * @param {string} type - See BlockManager.CONVERTIBLE_TYPES
+     * @returns {boolean}
+     */
+    convert(type)
+    {
+        const ids = this._getIds();
+        if (ids.length === 0 || !this.editor.convertBlocks(ids, type)) {
+            return false;
+        }
+
+        return this.select(ids.map(id => this.editor._blockManager.getBlockElementById(id)).filter(Boolean));
+    }
+
+    /**
+     * Move the selected blocks up or down
+     * @param {number} offset - Number of positions, negative to move up
+     * @returns {boolean}
+     */
+    move(offset)
+    {
+        return this.isActive() && this.editor.moveSelectedBlocks(offset);
+    }
+
+    /**
+     * Copy the selected blocks to the clipboard as markdown
+     * @returns {string} - The copied markdown, empty if nothing is selected
+     */
+    copy()
+    {
+        const markdown = this.getMarkdown();
+        if (markdown && navigator.clipboard?.writeText) {
+            navigator.clipboard.writeText(markdown).catch(() => {});
+        }
+        return markdown;
+    }
+
+    /**
+     * @returns {string} - Markdown of the selected blocks
+     */
+    getMarkdown()
+    {
+        return this.getElements()
+            .map(element => this.editor.serializer.getBlockMarkdown(element))
+            .filter(markdown => markdown)
+            .join('\n\n');
+    }
+
+    /**
+     * Handle the block selection keys
+     * @param {KeyboardEvent} e
+     * @returns {boolean} - true if the key was handled
+     */
+    handleKeydown(e)
+    {
+        const shiftArrow = e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey
+            && ('ArrowUp' === e.key || 'ArrowDown' === e.key);
+
+        if (!this.isActive()) {
+            if ('Escape' === e.key && !e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                return this.select(this.editor.currentBlock);
+            }
+            // A text selection across blocks becomes a block selection
+            if (shiftArrow && this._selectFromText()) {
+                e.preventDefault();
+                this.extend('ArrowUp' === e.key ? -1 : 1);
+                return true;
+            }
+            return false;
+        }
+
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+            return false;
+        }
+
+        const command = e.ctrlKey || e.metaKey;
+        const key = (e.key || '').toLowerCase();
+
+        if (shiftArrow) {
+            e.preventDefault();
+            this.extend('ArrowUp' === e.key ? -1 : 1);
+            return true;
+        }
+
+        if (('ArrowUp' === e.key || 'ArrowDown' === e.key) && !e.shiftKey && !e.altKey && !command) {
+            e.preventDefault();
+            const blocks = this._getBlocks();
+            const index = blocks.indexOf(this.focus) + ('ArrowUp' === e.key ? -1 : 1);
+            this.select(blocks[Math.max(0, Math.min(index, blocks.length - 1))]);
+            return true;
+        }
+
+        // Alt+Shift+ArrowUp/ArrowDown moves the selected blocks, see Keymap
+        if (e.altKey && e.shiftKey && ('ArrowUp' === e.key || 'ArrowDown' === e.key)) {
+            return false;
+        }
+
+        if ('Backspace' === e.key || 'Delete' === e.key) {
+            e.preventDefault();
+            this.delete();
+            return true;
+        }
+
+        if (command && !e.altKey && !e.shiftKey && ('c' === key || 'x' === key)) {
+            // The browser fires copy/cut, see _handleClipboard()
+            return true;
+        }
+
+        if (command && !e.altKey && !e.shiftKey && 'd' === key) {
+            e.preventDefault();
+            this.duplicate();
+            return true;
+        }
+
+        if (command && !e.altKey && !e.shiftKey && 'a' === key) {
+            e.preventDefault();
+            this.selectAll();
+            return true;
+        }
+
+        if ('Escape' === e.key || 'Enter' === e.key) {
+            e.preventDefault();
+            this.clear({ focus: true });
+            return true;
+        }
+
+        // Any other key returns to text editing
+        this.clear({ focus: true });
+        return false;
+    }
+
+    /**
+     * Remove the clipboard listeners and the selection. Called when the editor is destroyed.
+     */
+    destroy()
+    {
+        this.clear();
+        document.removeEventListener('copy', this._handlers.copy);
+        document.removeEventListener('cut', this._handlers.cut);
+    }
+
+    /**
+     * Mark the selected blocks and hide the caret
+     * @param {HTMLElement[]} elements
+     * @private
+     */
+    _render(elements)
+    {
+        this.elements.forEach(element => element.classList.remove('bke-block--selected'));
+        this.elements = elements;
+        this.elements.forEach(element => element.classList.add('bke-block--selected'));
+        this.editor.instance.classList.add('bke-editor--block-selection');
+
+        // Keys still reach the content area, but no longer edit text
+        const selection = window.getSelection ? window.getSelection() : null;
+        selection?.removeAllRanges?.();
+
+        this.editor.setCurrentBlock(this.focus);
+    }
+
+    /**
+     * Select the blocks touched by a text selection that spans more than one block
+     * @returns {boolean}
+     * @private
+     */
+    _selectFromText()
+    {
+        const selection = window.getSelection ? window.getSelection() : null;
+        if (!selection || selection.isCollapsed || !(selection.anchorNode instanceof Node)) {
+            return false;
+        }
+
+        const elements = this.editor._blockManager.getSelectedBlockElements();
+        if (elements.length < 2) {
+            return false;
+        }
+
+        const anchor = selection.anchorNode.nodeType === Node.TEXT_NODE ? selection.anchorNode.parentElement : selection.anchorNode;
+        const start = anchor?.closest?.('.bke-block');
+        const forward = start !== elements[elements.length - 1];
+
+        this.anchor = forward ? elements[0] : elements[elements.length - 1];
+        this.focus = forward ? elements[elements.length - 1] : elements[0];
+        this._render(elements);
+
+        return true;
+    }
+
+    /**
+     * Put the selected blocks on the clipboard as markdown and HTML
+     * @param {ClipboardEvent} e
+     * @param {boolean} cut - Remove the blocks afterwards
+     * @private
+     */
+    _handleClipboard(e, cut)
+    {
+        if (!this.isActive() || !e.clipboardData) {
+            return;
+        }
+
+        e.preventDefault();
+        e.clipboardData.setData('text/plain', this.getMarkdown());
+        e.clipboardData.setData('text/html', this.getElements().map(element => this.editor.serializer.getBlockHtml(element)).join('\n'));
+
+        if (cut) {
+            this.delete();
+        }
+    }
+
+    /**
+     * @param {HTMLElement} block
+     * @private
+     */
+    _placeCaret(block)
+    {
+        const editable = this.editor.findEditableElementInBlock(block);
+        if (editable) {
+            this.editor.placeCursorAtEnd(editable);
+        }
+    }
+
+    /**
+     * @returns {string[]} - Ids of the selected blocks
+     * @private
+     */
+    _getIds()
+    {
+        return this.getElements().map(element => element.getAttribute('data-block-id'));
+    }
+
+    /**
+     * @returns {HTMLElement[]} - Block elements in document order
+     * @private
+     */
+    _getBlocks()
+    {
+        return Array.from(this.editor.contentArea.querySelectorAll('.bke-block'));
+    }
+}
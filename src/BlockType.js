@@ -22,6 +22,33 @@ export class BlockType
     static TABLE = 'table';
     static IMAGE = 'image';
 
+    /**
+     * Block types added at runtime (e.g. by plugins)
+     * @type {Set<string>}
+     */
+    static _customTypes = new Set();
+
+    /**
+     * Make a custom block type known to getAll() and isValid().
+     * @param {string} type
+     */
+    static register(type)
+    {
+        if (type && typeof type === 'string') {
+            BlockType._customTypes.add(type);
+        }
+    }
+
+    /**
+     * Remove a custom block type. Built-in types cannot be removed.
+     * @param {string} type
+     * @returns {boolean} - true if the type was removed
+     */
+    static unregister(type)
+    {
+        return BlockType._customTypes.delete(type);
+    }
+
     /**
      * Get the block type from an HTML tag.
      * @param {string} tag
@@ -87,7 +114,8 @@ export class BlockType
             BlockType.OL,
             BlockType.SQ,
             BlockType.TABLE,
-            BlockType.IMAGE
+            BlockType.IMAGE,
+            ...BlockType._customTypes
         ];
     }
 
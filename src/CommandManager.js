@@ -0,0 +1,407 @@
+'use strict';
+
+import {log, logWarning} from "./utils/log.js";
+import {BlockType} from "@/BlockType.js";
+import {BlockFactory} from "@/blocks/BlockFactory.js";
+import {InlineFormatter} from "./InlineFormatter.js";
+
+/**
+ * CommandManager runs editor commands by name, e.g.
+ * editor.commands.execute('setBlockType', { type: 'h2' }).
+ *
+ * A command is an object:
+ *
+ *     {
+ *         execute(editor, args) {},     // required; false means nothing was done
+ *         canExecute(editor, args) {},  // optional, true by default
+ *         isActive(editor, args) {},    // optional, e.g. bold at the caret
+ *         description: 'Bold'           // optional
+ *     }
+ *
+ * Toolbar buttons (the command and args of a button config), the keymap and
+ * the API run the same commands. A name is looked up in the commands added
+ * with register(), then in plugin commands, then in COMMANDS. While a block is
+ * current, the commands listed by its class's static getDisabledCommands()
+ * cannot be executed.
+ */
+export class CommandManager
+{
+    /**
+     * Built-in commands
+     * @type {Object<string, {description: string, execute: Function, canExecute?: Function, isActive?: Function}>}
+     */
+    static COMMANDS = {
+        undo: {
+            description: 'Undo',
+            execute: (editor) => editor.undo(),
+            canExecute: (editor) => editor.canUndo()
+        },
+        redo: {
+            description: 'Redo',
+            execute: (editor) => editor.redo(),
+            canExecute: (editor) => editor.canRedo()
+        },
+        toggleMark: {
+            description: 'Add or remove an inline mark: { mark: "bold" }, see InlineFormatter.MARKS',
+            execute: (editor, { mark } = {}) => {
+                const applied = editor.formatter.toggle(mark);
+                if (applied) {
+                    editor.update();
+                }
+                return applied;
+            },
+            canExecute: (editor, { mark } = {}) => !!editor.formatter && !!InlineFormatter.MARKS[mark]
+                && !InlineFormatter.EXCLUDED_BLOCK_TYPES.includes(CommandManager._getBlockType(editor)),
+            isActive: (editor, { mark } = {}) => !!editor.formatter?.isActive(mark)
+        },
+        link: {
+            description: 'Insert or edit a link',
+            execute: (editor) => editor.linkPopover.openForSelection(),
+            canExecute: (editor) => !!editor.linkPopover
+                && !InlineFormatter.EXCLUDED_BLOCK_TYPES.includes(CommandManager._getBlockType(editor)),
+            isActive: (editor) => !!CommandManager._getCaretElement(editor)?.closest('a')
+        },
+        setBlockType: {
+            description: 'Convert the current block: { type: "h2" }',
+            execute: (editor, { type } = {}) => CommandManager._setBlockType(editor, type),
+            canExecute: (editor, { type } = {}) => !editor._readonly && !!editor.currentBlock
+                && ('p' === type || BlockType.isValid(type)),
+            isActive: (editor, { type } = {}) => !!type && CommandManager._getBlockType(editor) === CommandManager._normalizeType(type)
+        },
+        insertTable: {
+            description: 'Insert a table: { rows: 2, cols: 3 } or { headers, rows }',
+            execute: (editor, args = {}) => CommandManager._insertTable(editor, args),
+            canExecute: (editor) => !editor._readonly
+        },
+        insertTableFromCSV: {
+            description: 'Insert a table from CSV: { text } or { file }, with { delimiter, header }; without either a file picker is shown',
+            execute: (editor, { text, file, delimiter, header } = {}) => {
+                if (typeof text === 'string') {
+                    return editor.tableFiles.insertText(text, {}, { delimiter, header });
+                }
+                return file ? editor.tableFiles.insert(file, {}, { delimiter, header }) : !!editor.tableFiles.pick();
+            },
+            canExecute: (editor) => !editor._readonly && !!editor.tableFiles
+        },
+        insertImage: {
+            description: 'Insert an image: { src, alt }; without src the URL input is shown',
+            execute: (editor, { src = '', alt = '' } = {}) => src
+                ? CommandManager._insertBlock(editor, BlockType.IMAGE, { src, alt })
+                : CommandManager._convertOrCreate(editor, BlockType.IMAGE),
+            canExecute: (editor) => !editor._readonly
+        },
+        moveSelectedBlocks: {
+            description: 'Move the current or selected blocks: { offset: -1 }',
+            execute: (editor, { offset = 0 } = {}) => editor.moveSelectedBlocks(offset),
+            canExecute: (editor) => !editor._readonly && !!editor.currentBlock
+        },
+        setViewMode: {
+            description: 'Switch the view: { mode: "markdown" }, see Editor.setViewMode()',
+            execute: (editor, { mode, preview } = {}) => editor.setViewMode(mode, { preview }),
+            isActive: (editor, { mode } = {}) => editor.getViewMode() === mode
+        }
+    };
+
+    /**
+     * @param {{ editor: object }} options
+     */
+    constructor({ editor })
+    {
+        this.editor = editor;
+
+        /** @type {Map<string, Object>} Commands added with register() */
+        this._commands = new Map();
+    }
+
+    /**
+     * Add a command to this editor, replacing a plugin or built-in command with the same name
+     * @param {string} name
+     * @param {Object|Function} command - See the class description; a function is used as execute()
+     * @returns {boolean} - false if the command is invalid
+     */
+    register(name, command)
+    {
+        const normalized = typeof command === 'function' ? { execute: command } : command;
+        if (!name || typeof name !== 'string' || typeof normalized?.execute !== 'function') {
+            logWarning('Invalid command "' + name + '"', 'CommandManager.register()');
+            return false;
+        }
+
+        this._commands.set(name, normalized);
+        this.editor.updateToolbarButtonStates?.();
+        return true;
+    }
+
+    /**
+     * Remove a command added with register()
+     * @param {string} name
+     * @returns {boolean} - true if there was one
+     */
+    unregister(name)
+    {
+        const removed = this._commands.delete(name);
+        if (removed) {
+            this.editor.updateToolbarButtonStates?.();
+        }
+        return removed;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name)
+    {
+        return this._getCommand(name) !== null;
+    }
+
+    /**
+     * Names of all commands of this editor
+     * @returns {string[]}
+     */
+    list()
+    {
+        const pluginCommands = this.editor.plugins?.getCommandNames() || [];
+        return [...new Set([...this._commands.keys(), ...pluginCommands, ...Object.keys(CommandManager.COMMANDS)])];
+    }
+
+    /**
+     * Run a command if it can be executed
+     * @param {string} name
+     * @param {Object} [args] - Command arguments, e.g. { type: 'h2' }
+     * @returns {*} - The command's return value, or false if it does not exist or cannot be executed
+     */
+    execute(name, args)
+    {
+        log('execute()', 'CommandManager.', { name });
+
+        const command = this._getCommand(name);
+        if (!command) {
+            logWarning('Unknown command "' + name + '"', 'CommandManager.execute()');
+            return false;
+        }
+
+        if (!this.canExecute(name, args)) {
+            return false;
+        }
+
+        try {
+            const result = command.execute(this.editor, args);
+            return result === undefined ? true : result;
+        } catch (error) {
+            logWarning('Error executing command "' + name + '": ' + error.message, 'CommandManager.execute()');
+            return false;
+        }
+    }
+
+    /**
+     * Check whether a command can run in the current state, e.g. to disable its toolbar button
+     * @param {string} name
+     * @param {Object} [args]
+     * @returns {boolean}
+     */
+    canExecute(name, args)
+    {
+        const command = this._getCommand(name);
+        if (!command || this._isDisabledByBlock(name)) {
+            return false;
+        }
+
+        try {
+            return typeof command.canExecute === 'function' ? !!command.canExecute(this.editor, args) : true;
+        } catch (error) {
+            logWarning('Error checking command "' + name + '": ' + error.message, 'CommandManager.canExecute()');
+            return false;
+        }
+    }
+
+    /**
+     * Check whether a command is in effect at the caret, e.g. to show its toolbar button as pressed
+     * @param {string} name
+     * @param {Object} [args]
+     * @returns {boolean}
+     */
+    isActive(name, args)
+    {
+        const command = this._getCommand(name);
+        if (!command || typeof command.isActive !== 'function') {
+            return false;
+        }
+
+        try {
+            return !!command.isActive(this.editor, args);
+        } catch (error) {
+            logWarning('Error checking command "' + name + '": ' + error.message, 'CommandManager.isActive()');
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @returns {?Object} - The command, see the class description
+     * @private
+     */
+    _getCommand(name)
+    {
+        if (this._commands.has(name)) {
+            return this._commands.get(name);
+        }
+
+        const plugins = this.editor.plugins;
+        if (plugins?.hasCommand(name)) {
+            return { execute: (editor, args) => plugins.execute(name, ...(args === undefined ? [] : [args])) };
+        }
+
+        return Object.prototype.hasOwnProperty.call(CommandManager.COMMANDS, name) ? CommandManager.COMMANDS[name] : null;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean} - true if the class of the current block disables the command
+     * @private
+     */
+    _isDisabledByBlock(name)
+    {
+        const type = this.editor.currentBlock?.getAttribute?.('data-block-type');
+        if (!type) {
+            return false;
+        }
+
+        const BlockClass = this.editor.plugins?.getBlockClass(type) || BlockFactory.getBlockClass(type);
+        const disabled = typeof BlockClass?.getDisabledCommands === 'function' ? BlockClass.getDisabledCommands() : [];
+        return disabled.includes(name);
+    }
+
+    /**
+     * @param {?string} type
+     * @returns {?string} - 'paragraph' for 'p'
+     * @private
+     */
+    static _normalizeType(type)
+    {
+        return 'p' === type ? BlockType.PARAGRAPH : type;
+    }
+
+    /**
+     * @param {Object} editor
+     * @returns {?string} - Type of the current block
+     * @private
+     */
+    static _getBlockType(editor)
+    {
+        return CommandManager._normalizeType(editor.currentBlock?.getAttribute?.('data-block-type') || null);
+    }
+
+    /**
+     * @param {Object} editor
+     * @returns {?HTMLElement} - Element at the caret inside the content area
+     * @private
+     */
+    static _getCaretElement(editor)
+    {
+        const selection = window.getSelection ? window.getSelection() : null;
+        const node = selection?.anchorNode;
+        if (!(node instanceof Node)) {
+            return null;
+        }
+
+        const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+        return element && editor.contentArea?.contains(element) ? element : null;
+    }
+
+    /**
+     * Convert the current block in place, see Editor.convertBlocks().
+     * The type of the current block turns it back into a paragraph;
+     * blocks that cannot be converted get a new block after them.
+     * @param {Object} editor
+     * @param {string} type
+     * @returns {boolean}
+     * @private
+     */
+    static _setBlockType(editor, type)
+    {
+        const block = editor.currentBlock;
+        const current = CommandManager._getBlockType(editor);
+        const target = current === CommandManager._normalizeType(type) ? BlockType.PARAGRAPH : CommandManager._normalizeType(type);
+        if (current === target) {
+            return false;
+        }
+
+        if (editor.convertBlocks([block.getAttribute('data-block-id')], target)) {
+            const editable = editor.currentBlock ? editor.findEditableElementInBlock(editor.currentBlock) : null;
+            if (editable) {
+                editor.placeCursorAtEnd(editable);
+            }
+            return true;
+        }
+
+        return CommandManager._convertOrCreate(editor, type);
+    }
+
+    /**
+     * Convert the current block like the toolbar buttons did: an empty paragraph
+     * becomes the block, otherwise a new block is added after the current one
+     * @param {Object} editor
+     * @param {string} type
+     * @returns {boolean}
+     * @private
+     */
+    static _convertOrCreate(editor, type)
+    {
+        const result = editor.convertCurrentBlockOrCreate(type);
+        editor.update();
+        return !!result;
+    }
+
+    /**
+     * Insert a table with empty cells or with the given content
+     * @param {Object} editor
+     * @param {{ rows?: number|string[][], cols?: number, headers?: string[] }} args
+     * @returns {?string|boolean} - Id of the new table, or the result of the default conversion without a size
+     * @private
+     */
+    static _insertTable(editor, { rows, cols, headers } = {})
+    {
+        if (rows === undefined && cols === undefined && headers === undefined) {
+            return CommandManager._convertOrCreate(editor, BlockType.TABLE);
+        }
+
+        const columns = Math.max(1, Number(cols) || headers?.length || rows?.[0]?.length || 2);
+        const data = {
+            headers: headers || Array.from({ length: columns }, () => ''),
+            rows: Array.isArray(rows)
+                ? rows
+                : Array.from({ length: Math.max(1, Number(rows) || 1) }, () => Array.from({ length: columns }, () => ''))
+        };
+
+        return CommandManager._insertBlock(editor, BlockType.TABLE, data);
+    }
+
+    /**
+     * Insert a block after the current one in one undo step. An empty current paragraph is replaced.
+     * @param {Object} editor
+     * @param {string} type
+     * @param {Object} data - JSON block data, see Editor.insertBlock()
+     * @returns {?string} - Id of the new block
+     * @private
+     */
+    static _insertBlock(editor, type, data)
+    {
+        const current = editor.currentBlock?.isConnected ? editor.currentBlock : null;
+        const currentId = current?.getAttribute('data-block-id') || null;
+        const replace = !!currentId && BlockType.PARAGRAPH === CommandManager._getBlockType(editor) && !current.textContent.trim();
+
+        return editor.transaction(() => {
+            const id = editor.insertBlock({ type, data }, currentId ? { afterId: currentId } : {});
+            if (!id) {
+                return null;
+            }
+
+            if (replace) {
+                editor.removeBlock(currentId);
+            }
+            editor.setCurrentBlock(editor._blockManager.getBlockElementById(id));
+            return id;
+        });
+    }
+}
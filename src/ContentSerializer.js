@@ -3,6 +3,12 @@
 import showdown from "showdown";
 import {log, logWarning} from "./utils/log.js";
 import {Utils} from "./Utils.js";
+import {BlockFactory} from "@/blocks/BlockFactory.js";
+import {ListBlock} from "@/blocks/ListBlock.js";
+import {ImageBlock} from "@/blocks/ImageBlock.js";
+import {TableBlock} from "@/blocks/TableBlock.js";
+import {InlineSerializer} from "@/InlineSerializer.js";
+import {InlineFormatter} from "@/InlineFormatter.js";
 
 /**
  * Converts HTML to Markdown.
@@ -21,7 +27,11 @@ export function html2md(html)
 
         let converter = new showdown.Converter({ ghCompatibleHeaderId: false, headerIds: false });
 
-        return converter.makeMd(html);
+        // Zero-width spaces only hold the caret next to inline marks
+        html = html.replace(/\u200B/g, '');
+
+        // Showdown wraps link targets in angle brackets; plain targets are easier to read
+        return converter.makeMd(html).replace(/\]\(<([^<>\s]+)>\)/g, ']($1)');
     } catch (error) {
         logWarning('Error converting HTML to markdown: ' + error.message, 'ContentSerializer.html2md()');
         return html;
@@ -61,6 +71,19 @@ export function md2html(md)
  */
 export class ContentSerializer
 {
+    /**
+     * Version of the JSON document format produced by getJSON()
+     */
+    static JSON_VERSION = 1;
+
+    /**
+     * @param {{ editor?: object }} [options] - The owning editor, used for plugin serializer rules and block types
+     */
+    constructor({ editor = null } = {})
+    {
+        this.editor = editor;
+    }
+
     /**
      * Get all editor content as markdown.
      * @param {HTMLElement} contentArea - The editor's root element
@@ -76,8 +99,7 @@ export class ContentSerializer
 
             const markdownParts = [];
             for (const blockEl of blockElements) {
-                const blockType = blockEl.getAttribute('data-block-type');
-                const md = this._blockElementToMarkdown(blockEl, blockType);
+                const md = this.getBlockMarkdown(blockEl);
                 if (md !== null) markdownParts.push(md);
             }
 
@@ -88,6 +110,18 @@ export class ContentSerializer
         }
     }
 
+    /**
+     * Get the markdown of a single block element, as it appears in getMarkdown().
+     * @param {HTMLElement} blockEl
+     * @returns {string|null}
+     */
+    getBlockMarkdown(blockEl)
+    {
+        const blockType = blockEl.getAttribute('data-block-type');
+        return this._serializeWithBlock(blockEl, blockType, 'toMarkdown')
+            ?? this._blockElementToMarkdown(blockEl, blockType);
+    }
+
     /**
      * Get all editor content as HTML.
      * @param {HTMLElement} contentArea - The editor's root element
@@ -103,8 +137,7 @@ export class ContentSerializer
 
             const htmlParts = [];
             for (const blockEl of blockElements) {
-                const blockType = blockEl.getAttribute('data-block-type');
-                const html = this._blockElementToHtml(blockEl, blockType);
+                const html = this.getBlockHtml(blockEl);
                 if (html) htmlParts.push(html);
             }
 
@@ -115,6 +148,144 @@ export class ContentSerializer
         }
     }
 
+    /**
+     * Get the HTML of a single block element, as it appears in getHtml().
+     * @param {HTMLElement} blockEl
+     * @returns {string|null}
+     */
+    getBlockHtml(blockEl)
+    {
+        const blockType = blockEl.getAttribute('data-block-type');
+        const html = this._serializeWithBlock(blockEl, blockType, 'toHtml')
+            ?? this._blockElementToHtml(blockEl, blockType);
+
+        // Placeholders of collapsed mark toggles are not content
+        return html && 'code' !== blockType ? InlineFormatter.stripPlaceholders(html) : html;
+    }
+
+    /**
+     * Get editor content as a structured JSON document.
+     * @param {Array.<BaseBlock>} blocks - Typed block instances in document order
+     * @returns {{version: number, blocks: Array.<{id: ?string, type: string, data: Object}>}}
+     */
+    getJSON(blocks)
+    {
+        log('getJSON()', 'ContentSerializer');
+
+        const document = { version: ContentSerializer.JSON_VERSION, blocks: [] };
+
+        for (const block of blocks) {
+            try {
+                const element = block.element;
+                document.blocks.push({
+                    id: element ? element.getAttribute('data-block-id') : null,
+                    type: block.type,
+                    data: typeof block.toJSON === 'function' ? block.toJSON() : { text: block.content || '' }
+                });
+            } catch (error) {
+                logWarning('Error serializing block to JSON: ' + error.message, 'ContentSerializer.getJSON()');
+            }
+        }
+
+        return document;
+    }
+
+    /**
+     * Create typed block instances from a JSON document produced by getJSON().
+     * @param {Object|string} json - JSON document or its string form
+     * @returns {?{blocks: Array.<BaseBlock>, ids: Array.<?string>}} - null if the document is invalid
+     */
+    parseJSON(json)
+    {
+        log('parseJSON()', 'ContentSerializer');
+
+        try {
+            const document = typeof json === 'string' ? JSON.parse(json) : json;
+
+            if (!document || !Array.isArray(document.blocks)) {
+                logWarning('Invalid JSON document: missing blocks array', 'ContentSerializer.parseJSON()');
+                return null;
+            }
+
+            if (document.version && document.version > ContentSerializer.JSON_VERSION) {
+                logWarning('Unsupported JSON document version: ' + document.version, 'ContentSerializer.parseJSON()');
+                return null;
+            }
+
+            const blocks = [];
+            const ids = [];
+
+            for (const item of document.blocks) {
+                if (!item || !item.type) continue;
+
+                const BlockClass = this.editor?.plugins?.getBlockClass(item.type) || BlockFactory.getBlockClass(item.type);
+                const block = BlockClass && typeof BlockClass.fromJSON === 'function'
+                    ? BlockClass.fromJSON(item.data || {})
+                    : BlockFactory.createBlock(item.type, (item.data && item.data.text) || '');
+
+                if (block) {
+                    blocks.push(block);
+                    ids.push(item.id || null);
+                }
+            }
+
+            return { blocks, ids };
+        } catch (error) {
+            logWarning('Error parsing JSON document: ' + error.message, 'ContentSerializer.parseJSON()');
+            return null;
+        }
+    }
+
+    /**
+     * Serialize a block element with a plugin serializer rule, or delegate to the
+     * block's own toMarkdown()/toHtml() for plugin and registered custom block types.
+     * @param {HTMLElement} blockEl
+     * @param {string} blockType
+     * @param {string} method - 'toMarkdown' or 'toHtml'
+     * @returns {string|null} - null if the block type is serialized by the built-in rules
+     * @private
+     */
+    _serializeWithBlock(blockEl, blockType, method)
+    {
+        const plugins = this.editor?.plugins;
+
+        const rule = plugins?.getSerializerRule(blockType);
+        const hasRule = !!rule && typeof rule[method] === 'function';
+        const isPluginBlock = !!plugins && plugins.getBlockClass(blockType) !== null;
+        const isCustomBlock = isPluginBlock || !!BlockFactory.isRegistered?.(blockType);
+        if (!hasRule && !isCustomBlock) return null;
+
+        let block = this.editor?._blockMap?.get(blockEl) || null;
+        if (!block && isCustomBlock) {
+            block = isPluginBlock ? plugins.createBlock(blockType) : BlockFactory.createBlock(blockType);
+            block.element = blockEl;
+        }
+        block?.syncFromElement?.();
+
+        return hasRule
+            ? rule[method](blockEl, block)
+            : block[method]();
+    }
+
+    /**
+     * The block of a block element, or a new one bound to it, for blocks that serialize themselves
+     * @param {HTMLElement} blockEl
+     * @param {Function} BlockClass - e.g. ImageBlock or TableBlock
+     * @returns {BaseBlock}
+     * @private
+     */
+    _getBlock(blockEl, BlockClass)
+    {
+        const block = this.editor?._blockMap?.get(blockEl);
+        if (block instanceof BlockClass && block.element === blockEl) {
+            return block;
+        }
+
+        const newBlock = new BlockClass();
+        newBlock.element = blockEl;
+        return newBlock;
+    }
+
     /**
      * Extract markdown from a single block DOM element.
      * @param {HTMLElement} blockEl
@@ -128,34 +299,20 @@ export class ContentSerializer
             case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
                 const level = parseInt(blockType[1]);
                 const heading = blockEl.querySelector(`h${level}`) || blockEl;
-                return '#'.repeat(level) + ' ' + (heading.textContent || '');
+                return '#'.repeat(level) + ' ' + InlineSerializer.toMarkdown(heading);
             }
             case 'p': case 'paragraph': {
-                const innerHTML = blockEl.innerHTML || '';
+                const innerHTML = InlineFormatter.stripPlaceholders(blockEl.innerHTML || '');
                 // Convert inline HTML formatting to markdown
                 if (/<[^>]+>/.test(innerHTML)) {
                     return html2md(`<p>${innerHTML}</p>`).trim();
                 }
-                return blockEl.textContent || '';
-            }
-            case 'ul': {
-                const items = blockEl.querySelectorAll('li');
-                return Array.from(items).map(li => `- ${li.textContent || ''}`).join('\n');
+                return (blockEl.textContent || '').replaceAll(InlineFormatter.PLACEHOLDER, '');
             }
-            case 'ol': {
-                const items = blockEl.querySelectorAll('li');
-                return Array.from(items).map((li, i) => `${i + 1}. ${li.textContent || ''}`).join('\n');
-            }
-            case 'sq': {
-                const items = blockEl.querySelectorAll('li');
-                return Array.from(items).map(li => {
-                    const checkbox = li.querySelector('input[type="checkbox"]');
-                    const checked = checkbox?.checked ? 'x' : ' ';
-                    const textNode = li.querySelector('.task-text, span') || li;
-                    let text = textNode.textContent || '';
-                    text = text.replace(/^\s+/, '');
-                    return `- [${checked}] ${text}`;
-                }).join('\n');
+            case 'ul': case 'ol': case 'sq': {
+                // Nested lists are serialized with their indentation
+                const list = blockEl.querySelector(blockType === 'ol' ? 'ol' : 'ul');
+                return list ? ListBlock.itemsToMarkdown(ListBlock.readItems(list, blockType)) : '';
             }
             case 'code': {
                 const code = blockEl.querySelector('code');
@@ -166,30 +323,15 @@ export class ContentSerializer
             }
             case 'quote': {
                 const bq = blockEl.querySelector('blockquote') || blockEl;
-                return '> ' + (bq.textContent || '');
+                return '> ' + InlineSerializer.toMarkdown(bq);
             }
             case 'delimiter':
                 return '---';
-            case 'table': {
-                const headers = Array.from(blockEl.querySelectorAll('th')).map(th => th.textContent || '');
-                const rows = Array.from(blockEl.querySelectorAll('tbody tr')).map(tr =>
-                    Array.from(tr.querySelectorAll('td')).map(td => td.textContent || '')
-                );
-                if (headers.length === 0) return '';
-                let md = '| ' + headers.join(' | ') + ' |\n';
-                md += '| ' + headers.map(() => '---').join(' | ') + ' |\n';
-                rows.forEach(row => {
-                    md += '| ' + row.join(' | ') + ' |\n';
-                });
-                return md.trim();
-            }
-            case 'image': {
-                const img = blockEl.querySelector('img');
-                if (!img) return '';
-                const src = img.getAttribute('src') || '';
-                const alt = img.getAttribute('alt') || '';
-                return `![${alt}](${src})`;
-            }
+            case 'table':
+                // Escaped pipes, alignment markers, and an HTML table without a header row
+                return this._getBlock(blockEl, TableBlock).toMarkdown().trim();
+            case 'image':
+                return this._getBlock(blockEl, ImageBlock).toMarkdown();
             default:
                 return blockEl.textContent || '';
         }
@@ -221,7 +363,18 @@ export class ContentSerializer
             }
             case 'code': {
                 const pre = blockEl.querySelector('pre');
-                return pre ? pre.outerHTML : `<pre><code>${Utils.escapeHTML(blockEl.textContent || '')}</code></pre>`;
+                if (!pre) {
+                    return `<pre><code>${Utils.escapeHTML(blockEl.textContent || '')}</code></pre>`;
+                }
+
+                // The line number gutter is not part of the code
+                const copy = pre.cloneNode(true);
+                copy.querySelector('.bke-code-gutter')?.remove();
+                copy.classList.remove('bke-code--line-numbers');
+                if (!copy.className) {
+                    copy.removeAttribute('class');
+                }
+                return copy.outerHTML;
             }
             case 'quote': {
                 const bq = blockEl.querySelector('blockquote');
@@ -230,13 +383,13 @@ export class ContentSerializer
             case 'delimiter':
                 return '<hr>';
             case 'table': {
-                const table = blockEl.querySelector('table');
-                return table ? table.outerHTML : '';
-            }
-            case 'image': {
-                const img = blockEl.querySelector('img');
-                return img ? img.outerHTML : '';
+                // Built from the cells, without the editing attributes and classes of the live table
+                const block = this._getBlock(blockEl, TableBlock);
+                block.syncFromElement();
+                return blockEl.querySelector('table') ? block.toHtmlTable() : '';
             }
+            case 'image':
+                return this._getBlock(blockEl, ImageBlock).toHtml();
             default:
                 return `<p>${blockEl.innerHTML}</p>`;
         }
@@ -18,6 +18,20 @@ import {ContentSerializer, html2md as _html2md, md2html as _md2html} from "./Con
 import {PasteHandler} from "./PasteHandler.js";
 import {BlockConverter} from "./BlockConverter.js";
 import {BlockManager} from "./BlockManager.js";
+import {HistoryManager} from "./HistoryManager.js";
+import {PluginManager} from "./PluginManager.js";
+import {SlashMenu} from "./SlashMenu.js";
+import {LinkPopover} from "./LinkPopover.js";
+import {InlineFormatter} from "./InlineFormatter.js";
+import {MarkdownSource} from "./MarkdownSource.js";
+import {SplitView} from "./SplitView.js";
+import {BlockDragHandle} from "./BlockDragHandle.js";
+import {BlockSelection} from "./BlockSelection.js";
+import {TableSelection} from "./TableSelection.js";
+import {ImageFileHandler} from "./ImageFileHandler.js";
+import {TableFileHandler} from "./TableFileHandler.js";
+import {Keymap} from "./Keymap.js";
+import {CommandManager} from "./CommandManager.js";
 
 /**
  * Editor class
@@ -34,6 +48,18 @@ export class Editor
     // Static registry to track all editor instances
     static _instances = new Map();
 
+    /**
+     * Plugins installed into every editor created after Editor.use()
+     * @type {Array<[Object, Object]>}
+     */
+    static _plugins = [];
+
+    /**
+     * Views accepted by setViewMode()
+     * @type {Array<string>}
+     */
+    static VIEW_MODES = ['text', 'markdown', 'html', 'split'];
+
     /**
      * @param {object} options
      */
@@ -67,11 +93,17 @@ export class Editor
         // Initialize debug tooltip instance
         this.debugTooltip = null;
 
+        // Editable markdown view, created with the markdown container
+        this.markdownSource = null;
+
+        // Editor and live preview side by side, see setViewMode('split')
+        this.splitView = null;
+
         // Cursor and selection management
         this.cursor = new CursorManager({ scrollOnFocus: options.scrollOnFocus ?? false });
 
         // Content serialization (markdown/HTML output)
-        this.serializer = new ContentSerializer();
+        this.serializer = new ContentSerializer({ editor: this });
 
         // Paste handling
         this._pasteHandler = new PasteHandler({ editor: this });
@@ -81,12 +113,66 @@ export class Editor
 
         // Block lifecycle management
         this._blockManager = new BlockManager({ editor: this });
+
+        // Undo/redo history
+        this.history = new HistoryManager({ editor: this, limit: options.historyLimit ?? 100 });
+
+        // async (file, { onProgress, signal }) => ({ url, width, height }); without it images are inlined as base64
+        this.uploadAdapter = typeof options.uploadAdapter === 'function' ? options.uploadAdapter : null;
+
+        // Code block editing: { indent: '\t' or a number of spaces, autoClose, lineNumbers }, see CodeBlock.DEFAULTS
+        this.codeBlockOptions = { ...options.codeBlock };
+
+        // Plugins: contributions are registered before init so they apply to the initial content
+        this._options = options;
+        this.plugins = new PluginManager({ editor: this });
+        [...Editor._plugins, ...(options.plugins || [])].forEach(item => {
+            const [plugin, pluginOptions] = Array.isArray(item) ? item : [item];
+            this.plugins.use(plugin, pluginOptions);
+        });
+
+        // Named commands shared by the toolbar, the keymap and the API
+        this.commands = new CommandManager({ editor: this });
         
         // Initialize the editor first
         this.init(options);
         
         // Now initialize toolbar after instance is created
         this.initializeToolbar(options);
+
+        // "/" command menu; { slashMenu: false } disables it
+        this.slashMenu = options.readonly || options.slashMenu === false
+            ? null
+            : new SlashMenu({ editor: this, items: options.slashMenu?.items || [] });
+
+        // Ctrl/Cmd+K and the hover popover for links
+        this.linkPopover = options.readonly ? null : new LinkPopover({ editor: this });
+
+        // Bold, italic, underline, strikethrough and inline code on the selection
+        this.formatter = options.readonly ? null : new InlineFormatter({ editor: this });
+
+        // Hover handle to reorder blocks by drag and drop; { dragHandle: false } disables it
+        this.dragHandle = options.readonly || options.dragHandle === false
+            ? null
+            : new BlockDragHandle({ editor: this });
+
+        // Whole-block selection with Escape and Shift+ArrowUp/ArrowDown
+        this.blockSelection = options.readonly ? null : new BlockSelection({ editor: this });
+
+        // Arrow keys between table cells, cell range selection and spreadsheet paste
+        this.tableSelection = options.readonly ? null : new TableSelection({ editor: this });
+
+        // Pasted and dropped image files become image blocks; imageUpload: { accept, maxSize } limits them
+        this.imageFiles = options.readonly ? null : new ImageFileHandler({ editor: this, ...options.imageUpload });
+
+        // Dropped and picked CSV/TSV files become table blocks
+        this.tableFiles = options.readonly ? null : new TableFileHandler({ editor: this });
+
+        // Keyboard shortcuts: Keymap.DEFAULTS, block bindings and the keymap option
+        this.keymap = new Keymap({ editor: this, bindings: options.keymap });
+
+        // Run plugin install() hooks now that the DOM and toolbar exist
+        this.plugins.installPending();
         
         // Register this instance
         Editor._instances.set(this.instance, this);
@@ -160,7 +246,7 @@ export class Editor
             const toolbarOptions = {
                 id: options.toolbarId ?? null,
                 container: toolbarContainer,
-                config: toolbarConfig,
+                config: [...toolbarConfig, ...this.plugins.getToolbarConfig()],
                 debug: this.debug,
                 editorInstance: this,
                 icons: options.icons ?? {}
@@ -227,24 +313,11 @@ export class Editor
         this.instance.appendChild(this.contentArea);
 
         let content = _initialContent;
-        let blocks = Parser.parse(content);
+        let blocks = this._parseMarkdown(content);
         
         this.blocks = blocks;
         
-        if ( 0 === blocks.length ) {
-            blocks = [new Block()];
-        }
-
-        for ( let block of blocks ) {
-            let html = Parser.html(block);
-            this.contentArea.appendChild(html);
-            // Link typed block instance to its DOM element
-            const typedBlock = block.getBlockInstance ? block.getBlockInstance() : block;
-            if (typedBlock && typedBlock.element !== undefined) {
-                typedBlock.element = html;
-            }
-            this._blockMap.set(html, typedBlock);
-        }
+        this._renderBlocks(blocks);
         
         this.setCurrentBlock(this.instance.querySelectorAll('.bke-block')[0]);
     
@@ -256,6 +329,10 @@ export class Editor
 
         this.initMarkdownContainer();
         this.initHtmlContainer();
+        this.initSplitView();
+
+        // The initial document is the bottom of the undo stack
+        this.history.reset();
         
         // Emit editor initialization event
         this.eventEmitter.emit(EVENTS.EDITOR_INITIALIZED, {
@@ -276,6 +353,243 @@ export class Editor
         }
     }
     
+    /**
+     * Render parsed blocks into the content area and link each DOM element
+     * to its typed block instance. Renders a single empty paragraph when
+     * there is nothing to render.
+     * @param {Array} blocks - Parsed block instances
+     * @param {Array.<?string>} [ids=[]] - Block ids to keep, index-aligned with blocks
+     * @returns {HTMLElement[]} - Rendered block elements
+     * @private
+     */
+    _renderBlocks(blocks, ids = [])
+    {
+        if ( 0 === blocks.length ) {
+            blocks = [new Block()];
+        }
+
+        const elements = [];
+
+        for ( let [index, block] of blocks.entries() ) {
+            let html = Parser.html(block);
+            this.contentArea.appendChild(html);
+            // Link typed block instance to its DOM element
+            const typedBlock = block.getBlockInstance ? block.getBlockInstance() : block;
+            if (typedBlock && typedBlock.element !== undefined) {
+                typedBlock.element = html;
+            }
+            this._blockMap.set(html, typedBlock);
+
+            const blockId = ids[index] || 'block-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+            html.setAttribute('data-block-id', blockId);
+            html.setAttribute('data-timestamp', Date.now().toString());
+
+            elements.push(html);
+        }
+
+        return elements;
+    }
+
+    /**
+     * Replace the whole document with the given parsed blocks.
+     * Existing blocks are detached first, then the content area and the
+     * element-to-block map are rebuilt inside a transaction so listeners
+     * receive a single consolidated update.
+     * @param {Array} blocks - Parsed block instances
+     * @param {Array.<?string>} [ids=[]] - Block ids to keep, index-aligned with blocks
+     * @param {{ keepIds?: boolean }} [options] - keepIds: new blocks with the same markdown as an old block get its id
+     * @private
+     */
+    _replaceBlocks(blocks, ids = [], { keepIds = false } = {})
+    {
+        log('_replaceBlocks()', 'Editor.');
+
+        const existingBlocks = this.contentArea.querySelectorAll('.bke-block');
+        if (existingBlocks.length > 0) {
+            this._blockManager.detachBlockEvents(existingBlocks);
+        }
+
+        const previous = keepIds
+            ? Array.from(existingBlocks).map(element => ({
+                id: element.getAttribute('data-block-id'),
+                markdown: this.serializer.getBlockMarkdown(element)
+            }))
+            : [];
+
+        this.transaction(() => {
+            this.contentArea.innerHTML = '';
+            this._blockMap = new WeakMap();
+            this.currentBlock = null;
+            this.blocks = blocks;
+
+            const elements = this._renderBlocks(blocks, ids);
+            if (keepIds) {
+                this._keepBlockIds(elements, previous);
+            }
+
+            this.setCurrentBlock(elements[0]);
+        });
+    }
+
+    /**
+     * Give rendered blocks the ids of previous blocks with the same markdown.
+     * Blocks are matched in document order first, so that of two identical
+     * blocks each keeps its own id; a block that moved is matched afterwards.
+     * @param {HTMLElement[]} elements - Rendered block elements
+     * @param {Array.<{id: string, markdown: ?string}>} previous - Blocks before the replacement
+     * @private
+     */
+    _keepBlockIds(elements, previous)
+    {
+        const used = new Set();
+        let position = 0;
+
+        elements.forEach(element => {
+            const markdown = this.serializer.getBlockMarkdown(element);
+            const matches = (candidate, index) => !used.has(index) && candidate.id && candidate.markdown === markdown;
+
+            let index = previous.findIndex((candidate, i) => i >= position && matches(candidate, i));
+            if (index === -1) {
+                index = previous.findIndex(matches);
+            } else {
+                position = index + 1;
+            }
+
+            if (index !== -1) {
+                used.add(index);
+                element.setAttribute('data-block-id', previous[index].id);
+            }
+        });
+    }
+
+    /**
+     * Replace the editor content with the given markdown
+     * @param {string} markdown
+     * @param {{ keepIds?: boolean }} [options] - keepIds: blocks whose markdown is unchanged keep their ids
+     */
+    setMarkdown(markdown, { keepIds = false } = {})
+    {
+        log('setMarkdown()', 'Editor.');
+        this._replaceBlocks(this._parseMarkdown(markdown || ''), [], { keepIds });
+    }
+
+    /**
+     * Replace the editor content with the given HTML
+     * @param {string} html
+     */
+    setHtml(html)
+    {
+        log('setHtml()', 'Editor.');
+        this._replaceBlocks(Parser.parseHtml(html || '', this.plugins.getBlockClasses()));
+    }
+
+    /**
+     * Parse markdown into blocks, applying plugin pre-processors and block classes
+     * @param {string} markdown
+     * @returns {Array.<BaseBlock>}
+     * @private
+     */
+    _parseMarkdown(markdown)
+    {
+        return Parser.parse(this.plugins.preprocessMarkdown(markdown), this.plugins.getBlockClasses());
+    }
+
+    /**
+     * Replace the editor content with a JSON document produced by getJSON()
+     * @param {Object|string} json
+     * @returns {boolean} - false if the document could not be read
+     */
+    setJSON(json)
+    {
+        log('setJSON()', 'Editor.');
+
+        const parsed = this.serializer.parseJSON(json);
+        if (!parsed) {
+            return false;
+        }
+
+        this._replaceBlocks(parsed.blocks, parsed.ids);
+        return true;
+    }
+
+    /**
+     * Remove all content, leaving a single empty paragraph block
+     */
+    clear()
+    {
+        log('clear()', 'Editor.');
+        this._replaceBlocks([]);
+    }
+
+    /**
+     * Get typed block instances in document order
+     * @returns {Array.<BaseBlock>}
+     */
+    getBlocks()
+    {
+        log('getBlocks()', 'Editor.');
+
+        if (!this.contentArea) {
+            return [];
+        }
+
+        return Array.from(this.contentArea.querySelectorAll('.bke-block')).map(element => {
+            let block = this._blockMap.get(element);
+
+            // Blocks inserted outside the block manager (e.g. pasted) may not be linked yet
+            if (!block) {
+                block = this.createBlockInstance(element.getAttribute('data-block-type') || '');
+                block.element = element;
+                block.syncFromElement();
+                this._blockMap.set(element, block);
+            }
+
+            return block;
+        });
+    }
+
+    /**
+     * Get the typed block instances of the block selection, see BlockSelection
+     * @returns {Array.<BaseBlock>} - Empty when no blocks are selected
+     */
+    getSelectedBlocks()
+    {
+        const elements = this.blockSelection?.getElements() || [];
+        return elements.length > 0 ? this.getBlocks().filter(block => elements.includes(block.element)) : [];
+    }
+
+    /**
+     * Select whole blocks, see BlockSelection
+     * @param {string[]} ids
+     * @returns {boolean} - false if none of the blocks exists or the editor is read-only
+     */
+    selectBlocks(ids)
+    {
+        const elements = (ids || []).map(id => this._blockManager.getBlockElementById(id)).filter(Boolean);
+        return this.blockSelection?.select(elements) || false;
+    }
+
+    /**
+     * List the keyboard shortcuts in effect, e.g. to render a cheat sheet
+     * @returns {Array<{keys: string, action: ?string, description: string, source: string, blockType: ?string}>}
+     *          - keys in the form 'Mod+Shift+7', see Keymap.format() to display them
+     */
+    getKeymap()
+    {
+        return this.keymap ? this.keymap.getBindings() : [];
+    }
+
+    /**
+     * Get the typed block instance with the given data-block-id
+     * @param {string} id
+     * @returns {BaseBlock|null}
+     */
+    getBlockById(id)
+    {
+        const element = this._blockManager.getBlockElementById(id);
+        return element ? this.getBlocks().find(block => block.element === element) || null : null;
+    }
+
     /**
      * Toggle debug mode
      */
@@ -376,6 +690,23 @@ export class Editor
         return new Editor({ ...options, id: element.id });
     }
 
+    /**
+     * Install a plugin into every editor created afterwards
+     * @param {Object} plugin
+     * @param {Object} [options={}] - Passed to the plugin's install() hook
+     * @returns {typeof Editor} - Editor, for chaining
+     */
+    static use(plugin, options = {})
+    {
+        log('use()', 'Editor.');
+
+        if (!Editor._plugins.some(([installed]) => installed === plugin || installed?.name === plugin?.name)) {
+            Editor._plugins.push([plugin, options]);
+        }
+
+        return Editor;
+    }
+
     /**
      * Get the editor instance from a DOM element
      * @param {HTMLElement} element - The editor DOM element
@@ -446,7 +777,16 @@ export class Editor
         //   3. Remove empty/orphaned blocks
         //   4. Guarantee at least one block always exists
         //   5. Place the cursor exactly at the merge point
-        this._boundHandlers.beforeinput = (e) => this._handleCrossBlockDelete(e);
+        //
+        // Native history steps (Edit menu, context menu) are routed to the editor history.
+        this._boundHandlers.beforeinput = (e) => {
+            if ('historyUndo' === e.inputType || 'historyRedo' === e.inputType) {
+                e.preventDefault();
+                'historyUndo' === e.inputType ? this.undo() : this.redo();
+                return;
+            }
+            this._handleCrossBlockDelete(e);
+        };
         this.contentArea.addEventListener('beforeinput', this._boundHandlers.beforeinput);
 
         // PASTE TEXT/HTML Event handler
@@ -486,6 +826,11 @@ export class Editor
                 block = this.currentBlock;
             }
             
+            // While the "/" menu is open the typed text is its filter, not a markdown trigger
+            if (block && this.slashMenu?.handleInput(block)) {
+                return;
+            }
+
             // Check if editor is effectively empty after content deletion
             // Skip this check if a state transition (creating/converting) is in progress
             if (!this._stateMachine.isBusy()) {
@@ -627,6 +972,7 @@ export class Editor
         // and reset sticky column offset
         this._boundHandlers.mousedown = () => {
             this._lastClickTime = Date.now();
+            this.blockSelection?.clear();
             if (this.keyHandler) {
                 this.keyHandler._desiredOffset = null;
             }
@@ -662,6 +1008,7 @@ export class Editor
         if (intersectedBlocks.length < 2) return;
 
         e.preventDefault();
+        this.history?.checkpoint();
         log('beforeinput: intercepted cross-block deletion (' + intersectedBlocks.length + ' blocks)', 'Editor.');
 
         const firstBlock = intersectedBlocks[0];
@@ -784,6 +1131,29 @@ export class Editor
         this.focusElement(element);
     }
 
+    /**
+     * Removes focus from the editor if it currently holds it.
+     */
+    blur()
+    {
+        log('blur()', 'Editor.');
+
+        const activeElement = document.activeElement;
+
+        if ( !activeElement || !this.contentArea || !this.contentArea.contains(activeElement) ) {
+            return;
+        }
+
+        if (typeof activeElement.blur === 'function') {
+            activeElement.blur();
+        }
+
+        const selection = window.getSelection();
+        if (selection && selection.rangeCount > 0 && this.contentArea.contains(selection.anchorNode)) {
+            selection.removeAllRanges();
+        }
+    }
+
     /**
      * Helper method to focus on an element without recursion
      * @param {HTMLElement} element - The element to focus on
@@ -918,6 +1288,9 @@ export class Editor
             markdown: markdownContent,
             timestamp: Date.now()
         }, { debounce: 500, source: 'editor.update' });
+
+        // Record typing as a (coalesced) history step once it pauses
+        this.history?.scheduleRecord();
     }
 
     /**
@@ -1059,6 +1432,51 @@ export class Editor
         }
     }
 
+    /**
+     * Install a plugin into this editor instance
+     * @param {Object} plugin
+     * @param {Object} [options={}] - Passed to the plugin's install() hook
+     * @returns {Editor} - this, for chaining
+     */
+    use(plugin, options = {})
+    {
+        log('use()', 'Editor.');
+        this.plugins.use(plugin, options);
+        return this;
+    }
+
+    /**
+     * Rebuild the toolbar, e.g. after a plugin added or removed toolbar buttons
+     */
+    refreshToolbar()
+    {
+        log('refreshToolbar()', 'Editor.');
+
+        if (!this.toolbar || !this.instance) {
+            return;
+        }
+
+        this.toolbar.destroy();
+        this.toolbar = null;
+
+        this.initializeToolbar(this._options || {});
+        this.updateToolbarButtonStates();
+    }
+
+    /**
+     * Create a block instance for the given type, including plugin block types
+     * @param {string} [type='']
+     * @param {string} [content='']
+     * @param {string} [html='']
+     * @param {boolean} [nested=false]
+     * @returns {BaseBlock}
+     */
+    createBlockInstance(type = '', content = '', html = '', nested = false)
+    {
+        return this.plugins?.createBlock(type, content, html, nested)
+            || BlockFactory.createBlock(type, content, html, nested);
+    }
+
     /**
      * Gets a block instance for the given block type
      * @param {string} blockType The block type identifier
@@ -1137,6 +1555,9 @@ export class Editor
         if (this.debugMode && this.debugTooltip) {
             this.debugTooltip.updateActiveBlockTooltip();
         }
+
+        // Move the highlighted source range in the split preview
+        this.splitView?.highlightActiveBlock();
     }
 
     /**
@@ -1172,9 +1593,8 @@ export class Editor
             copyBtn.setAttribute('type', 'button');
             copyBtn.textContent = 'Copy';
             copyBtn.addEventListener('click', () => {
-                const codeEl = wrapper.querySelector('code');
-                if (codeEl && navigator.clipboard) {
-                    navigator.clipboard.writeText(codeEl.textContent).then(() => {
+                if (this.markdownSource && navigator.clipboard) {
+                    navigator.clipboard.writeText(this.markdownSource.getValue()).then(() => {
                         copyBtn.textContent = 'Copied!';
                         setTimeout(() => { copyBtn.textContent = 'Copy'; }, 2000);
                     }).catch(() => {});
@@ -1184,15 +1604,11 @@ export class Editor
             header.appendChild(label);
             header.appendChild(copyBtn);
 
-            const pre = document.createElement('pre');
-            pre.className = 'language-markdown';
-
-            const code = document.createElement('code');
-            code.className = 'language-markdown';
-            pre.appendChild(code);
+            // Editable source with syntax highlighting, applied to the blocks when leaving the view
+            this.markdownSource = new MarkdownSource({ editor: this, readonly: this._readonly });
 
             wrapper.appendChild(header);
-            wrapper.appendChild(pre);
+            wrapper.appendChild(this.markdownSource.element);
             container.appendChild(wrapper);
             return true;
         } catch (error) {
@@ -1263,6 +1679,84 @@ export class Editor
         }
     }
 
+    /**
+     * Creates the live preview shown next to the blocks in the split view
+     * @returns {boolean} True if successful, false otherwise
+     */
+    initSplitView()
+    {
+        log('initSplitView()', 'Editor.');
+
+        try {
+            this.splitView = new SplitView({ editor: this });
+            this.instance.appendChild(this.splitView.element);
+            return true;
+        } catch (error) {
+            logWarning('Error initializing split view: ' + error.message, 'Editor.initSplitView()');
+            return false;
+        }
+    }
+
+    /**
+     * Switch the editor view
+     * - text: the blocks
+     * - markdown: the editable markdown source
+     * - html: the generated HTML
+     * - split: the blocks with a live markdown or HTML preview next to them
+     * @param {'text'|'markdown'|'html'|'split'} mode
+     * @param {{ preview?: 'markdown'|'html' }} [options] - preview: the format of the split preview
+     * @returns {boolean} - false if the view is unknown or not available
+     */
+    setViewMode(mode, { preview } = {})
+    {
+        log('setViewMode()', 'Editor.', { mode, preview });
+
+        if (!Editor.VIEW_MODES.includes(mode)) {
+            logWarning('Unknown view mode: ' + mode, 'Editor.setViewMode()');
+            return false;
+        }
+
+        if ('split' !== mode) {
+            // The full-size views are switched by the toolbar, which also updates its buttons
+            if (!this.toolbar) {
+                if ('text' !== mode) {
+                    return false;
+                }
+                this.splitView?.close();
+                return true;
+            }
+            this.toolbar[mode]();
+            return true;
+        }
+
+        if (!this.splitView) {
+            return false;
+        }
+
+        // Apply edits made in the markdown source before previewing the blocks
+        this.markdownSource?.close({ focus: false });
+        this.splitView.open(preview);
+        this.debugTooltip?.show();
+        this.toolbar?.updateViewButtonStates('split');
+        return true;
+    }
+
+    /**
+     * Get the current view, see setViewMode()
+     * @returns {'text'|'markdown'|'html'|'split'}
+     */
+    getViewMode()
+    {
+        if (this.splitView?.isOpen()) {
+            return 'split';
+        }
+        if (this.markdownSource?.isOpen()) {
+            return 'markdown';
+        }
+        const html = this.instance?.querySelector('.bke-editor-html');
+        return html && !html.classList.contains('bke-hidden') ? 'html' : 'text';
+    }
+
     /**
      * Get all editor content as markdown
      * @returns {string}
@@ -1270,7 +1764,7 @@ export class Editor
     getMarkdown()
     {
         log('getMarkdown()', 'Editor.');
-        return this.serializer.getMarkdown(this.instance);
+        return this.plugins.postprocessMarkdown(this.serializer.getMarkdown(this.instance));
     }
 
     /**
@@ -1283,6 +1777,52 @@ export class Editor
         return this.serializer.getHtml(this.instance);
     }
 
+    /**
+     * Get all editor content as a structured JSON document
+     * @returns {{version: number, blocks: Array.<{id: string, type: string, data: Object}>}}
+     */
+    getJSON()
+    {
+        log('getJSON()', 'Editor.');
+        return this.serializer.getJSON(this.getBlocks());
+    }
+
+    /**
+     * Undo the last change
+     * @returns {boolean} - true if a step was undone
+     */
+    undo()
+    {
+        log('undo()', 'Editor.');
+        return this.history.undo();
+    }
+
+    /**
+     * Redo the last undone change
+     * @returns {boolean} - true if a step was redone
+     */
+    redo()
+    {
+        log('redo()', 'Editor.');
+        return this.history.redo();
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canUndo()
+    {
+        return this.history.canUndo();
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo()
+    {
+        return this.history.canRedo();
+    }
+
     /**
      * Check if a block should be converted to a different type based on its content
      * @param {HTMLElement} blockElement - The block element to check
@@ -1304,7 +1844,7 @@ export class Editor
      * single update() is triggered so listeners receive one consolidated event.
      *
      * Transactions nest safely — only the outermost transaction triggers
-     * the final update.
+     * the final update and records a single undo step.
      *
      * @param {Function} fn - The function to execute inside the transaction
      * @returns {*} The return value of fn
@@ -1320,6 +1860,11 @@ export class Editor
             this._updateTimeout = null;
         }
 
+        // Close pending typing as its own undo step before the transaction changes the document
+        if (isOutermost) {
+            this.history?.checkpoint();
+        }
+
         this._stateMachine.startTransaction();
         this.eventEmitter.suppress();
 
@@ -1331,6 +1876,7 @@ export class Editor
 
             // Only the outermost transaction triggers the consolidated update
             if (this._stateMachine._transactionDepth === 0) {
+                this.history?.record();
                 this.update();
             }
         }
@@ -1433,12 +1979,133 @@ export class Editor
         return this._blockManager.createNewBlock(blockType, options);
     }
     
+    /**
+     * Insert a block at a position independent of the current block
+     * @param {{type?: string, data?: Object}} block - Block type and JSON block data, see getJSON()
+     * @param {{index?: number, afterId?: string, beforeId?: string}} [position={}] - Appends when empty
+     * @returns {?string} - Id of the new block, or null if it could not be inserted
+     */
+    insertBlock(block, position = {})
+    {
+        return this._blockManager.insertBlock(block, position);
+    }
+
+    /**
+     * Insert an image block for every image file, e.g. from a file input, as one undo step.
+     * The files are uploaded with the uploadAdapter option, or inlined as base64 without it.
+     * @param {File[]|FileList} files - Files rejected by the imageUpload option are skipped
+     * @param {{afterId?: string, beforeId?: string}} [position={}] - After the current block when empty
+     * @returns {string[]} - Ids of the new image blocks
+     */
+    insertImageFiles(files, position = {})
+    {
+        log('insertImageFiles()', 'Editor.');
+        return this.imageFiles ? this.imageFiles.insert(files, position) : [];
+    }
+
+    /**
+     * Replace the data of a block, keeping its id and type
+     * @param {string} id
+     * @param {Object} data - JSON block data; missing fields keep their value
+     * @returns {boolean}
+     */
+    updateBlock(id, data)
+    {
+        return this._blockManager.updateBlock(id, data);
+    }
+
+    /**
+     * Remove a block
+     * @param {string} id
+     * @returns {boolean}
+     */
+    removeBlock(id)
+    {
+        return this._blockManager.removeBlock(id);
+    }
+
+    /**
+     * Remove blocks as one undo step
+     * @param {string[]} ids
+     * @returns {boolean}
+     */
+    removeBlocks(ids)
+    {
+        return this._blockManager.removeBlocks(ids);
+    }
+
+    /**
+     * Insert copies of blocks after the last of them
+     * @param {string[]} ids
+     * @returns {?string[]} - Ids of the copies
+     */
+    duplicateBlocks(ids)
+    {
+        return this._blockManager.duplicateBlocks(ids);
+    }
+
+    /**
+     * Convert text blocks to another text block type as one undo step
+     * @param {string[]} ids
+     * @param {string} type - See BlockManager.CONVERTIBLE_TYPES
+     * @returns {boolean}
+     */
+    convertBlocks(ids, type)
+    {
+        return this._blockManager.convertBlocks(ids, type);
+    }
+
+    /**
+     * Move a block to the given index
+     * @param {string} id
+     * @param {number} toIndex
+     * @returns {boolean}
+     */
+    moveBlock(id, toIndex)
+    {
+        return this._blockManager.moveBlock(id, toIndex);
+    }
+
+    /**
+     * Move blocks together, in document order, so that the first one ends up at the given index
+     * @param {string[]} ids
+     * @param {number} toIndex
+     * @returns {boolean}
+     */
+    moveBlocks(ids, toIndex)
+    {
+        return this._blockManager.moveBlocks(ids, toIndex);
+    }
+
+    /**
+     * Move the selected blocks, or the current block, up or down
+     * @param {number} offset - Number of positions, negative to move up
+     * @returns {boolean}
+     */
+    moveSelectedBlocks(offset)
+    {
+        return this._blockManager.moveSelectedBlocks(offset);
+    }
+
     /**
      * Destroy the editor instance and clean up resources
      */
     destroy() {
         log('destroy()', 'Editor.');
 
+        // Let plugins clean up while the editor is still intact
+        this.plugins?.destroy();
+        this.slashMenu?.destroy();
+        this.linkPopover?.destroy();
+        this.formatter?.destroy();
+        this.markdownSource?.destroy();
+        this.splitView?.destroy();
+        this.dragHandle?.destroy();
+        this.blockSelection?.destroy();
+        this.tableSelection?.destroy();
+        this.imageFiles?.destroy();
+        this.tableFiles?.destroy();
+
         // Remove DOM event listeners
         if (this._boundHandlers && this.contentArea) {
             Object.entries(this._boundHandlers).forEach(([event, handler]) => {
@@ -1447,6 +2114,11 @@ export class Editor
             this._boundHandlers = null;
         }
 
+        // A debounced update or history snapshot must not run on the destroyed editor
+        clearTimeout(this._updateTimeout);
+        this._updateTimeout = null;
+        this.history?.destroy();
+
         // Cleanup event emitter
         this.eventEmitter?.cleanup?.();
 
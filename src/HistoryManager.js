@@ -0,0 +1,344 @@
+'use strict';
+
+import {log, logWarning} from "./utils/log.js";
+import {EVENTS} from "@/utils/eventEmitter.js";
+
+/**
+ * HistoryManager keeps an instance-level undo/redo stack of document snapshots.
+ *
+ * Each entry holds the JSON document (see Editor.getJSON()) as it was after a
+ * change, plus the caret position at that moment. The bottom entry is the
+ * initial document, so undo is possible while more than one entry exists.
+ *
+ * Snapshots are taken at transaction() boundaries and after a pause in typing,
+ * so the document is not serialized on every keystroke. Consecutive typing in
+ * the same block is coalesced into one step.
+ */
+export class HistoryManager
+{
+    /**
+     * @param {object} options
+     * @param {object} options.editor - The owning editor instance
+     * @param {number} [options.limit=100] - Maximum number of undo steps kept
+     * @param {number} [options.coalesceDelay=1000] - Typing within this interval (ms) is merged into one step
+     * @param {number} [options.recordDelay=300] - Pause in typing (ms) after which it is recorded, see scheduleRecord()
+     */
+    constructor({ editor, limit = 100, coalesceDelay = 1000, recordDelay = 300 })
+    {
+        this.editor = editor;
+        this.limit = limit;
+        this.coalesceDelay = coalesceDelay;
+        this.recordDelay = recordDelay;
+
+        this._undoStack = [];
+        this._redoStack = [];
+        this._applying = false;
+        this._recordTimeout = null;
+    }
+
+    /**
+     * Drop all history and take the current document as the initial state.
+     */
+    reset()
+    {
+        log('reset()', 'HistoryManager.');
+
+        this._cancelScheduledRecord();
+        this._undoStack = [];
+        this._redoStack = [];
+
+        const snapshot = this._capture();
+        if (snapshot) {
+            this._undoStack.push({ ...snapshot, coalesce: false, time: Date.now() });
+        }
+
+        this._emitChanged();
+    }
+
+    /**
+     * Record the current document as a new history step if it changed.
+     * @param {object} [options]
+     * @param {boolean} [options.coalesce=false] - Allow merging into the previous typing step
+     * @returns {boolean} - true if a step was added or updated
+     */
+    record({ coalesce = false } = {})
+    {
+        // This snapshot includes any typing scheduled to be recorded
+        this._cancelScheduledRecord();
+
+        if (this._applying) {
+            return false;
+        }
+
+        const snapshot = this._capture();
+        if (!snapshot) {
+            return false;
+        }
+
+        const top = this._undoStack[this._undoStack.length - 1];
+
+        if (!top) {
+            this._undoStack.push({ ...snapshot, coalesce: false, time: Date.now() });
+            return false;
+        }
+
+        // Unchanged document — only keep the latest caret position
+        if (top.key === snapshot.key) {
+            top.selection = snapshot.selection || top.selection;
+            return false;
+        }
+
+        const now = Date.now();
+        const canMerge = coalesce
+            && top.coalesce
+            && this._undoStack.length > 1
+            && now - top.time < this.coalesceDelay
+            && top.structure === snapshot.structure
+            && top.selection?.blockId === snapshot.selection?.blockId;
+
+        if (canMerge) {
+            Object.assign(top, snapshot, { time: now });
+        } else {
+            this._undoStack.push({ ...snapshot, coalesce, time: now });
+            if (this._undoStack.length > this.limit + 1) {
+                this._undoStack.shift();
+            }
+        }
+
+        this._redoStack = [];
+        this._emitChanged();
+
+        return true;
+    }
+
+    /**
+     * Record typing once it pauses for recordDelay ms. Called after every debounced
+     * editor update; a scheduled snapshot is taken earlier by record(), checkpoint(),
+     * undo() and redo().
+     */
+    scheduleRecord()
+    {
+        this._cancelScheduledRecord();
+        this._recordTimeout = setTimeout(() => {
+            this._recordTimeout = null;
+            this.record({ coalesce: true });
+        }, this.recordDelay);
+    }
+
+    /**
+     * Record pending changes and close the current step, so the next change
+     * starts a new one. Called before structural operations.
+     */
+    checkpoint()
+    {
+        this.record({ coalesce: true });
+
+        const top = this._undoStack[this._undoStack.length - 1];
+        if (top) {
+            top.coalesce = false;
+        }
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canUndo()
+    {
+        return this._undoStack.length > 1;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo()
+    {
+        return this._redoStack.length > 0;
+    }
+
+    /**
+     * Restore the previous history step.
+     * @returns {boolean} - true if a step was undone
+     */
+    undo()
+    {
+        log('undo()', 'HistoryManager.');
+
+        // Make sure typing that has not been recorded yet becomes its own step
+        this.checkpoint();
+
+        if (!this.canUndo()) {
+            return false;
+        }
+
+        this._redoStack.push(this._undoStack.pop());
+        const target = this._undoStack[this._undoStack.length - 1];
+        this._apply(target, this._redoStack[this._redoStack.length - 1].selection);
+        this._emitChanged();
+
+        return true;
+    }
+
+    /**
+     * Re-apply the last undone history step.
+     * @returns {boolean} - true if a step was redone
+     */
+    redo()
+    {
+        log('redo()', 'HistoryManager.');
+
+        // Typing that has not been recorded yet is a new change, which clears the redo stack
+        if (this._recordTimeout) {
+            this.record({ coalesce: true });
+        }
+
+        if (!this.canRedo()) {
+            return false;
+        }
+
+        const target = this._redoStack.pop();
+        this._undoStack.push(target);
+        this._apply(target, target.selection);
+        this._emitChanged();
+
+        return true;
+    }
+
+    /**
+     * Drop a scheduled snapshot. Called when the editor is destroyed.
+     */
+    destroy()
+    {
+        this._cancelScheduledRecord();
+    }
+
+    /**
+     * @private
+     */
+    _cancelScheduledRecord()
+    {
+        clearTimeout(this._recordTimeout);
+        this._recordTimeout = null;
+    }
+
+    /**
+     * Take a snapshot of the current document and caret position.
+     * @returns {?{state: Object, key: string, structure: string, selection: ?Object}}
+     * @private
+     */
+    _capture()
+    {
+        try {
+            const state = this.editor.getJSON();
+            return {
+                state: state,
+                key: JSON.stringify(state.blocks),
+                structure: state.blocks.map(block => block.id + ':' + block.type).join(','),
+                selection: this._captureSelection()
+            };
+        } catch (error) {
+            logWarning('Error capturing history snapshot: ' + error.message, 'HistoryManager._capture()');
+            return null;
+        }
+    }
+
+    /**
+     * Describe the caret as a block id and a character offset within that block.
+     * @returns {?{blockId: string, offset: number}}
+     * @private
+     */
+    _captureSelection()
+    {
+        const selection = window.getSelection ? window.getSelection() : null;
+        if (!selection || !selection.rangeCount) {
+            return null;
+        }
+
+        const range = selection.getRangeAt(0);
+        const node = range.startContainer;
+        const element = node && node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+        const blockElement = element && typeof element.closest === 'function' ? element.closest('.bke-block') : null;
+
+        if (!blockElement || !this.editor.contentArea || !this.editor.contentArea.contains(blockElement)) {
+            return null;
+        }
+
+        const preRange = range.cloneRange();
+        preRange.selectNodeContents(blockElement);
+        preRange.setEnd(range.startContainer, range.startOffset);
+
+        return {
+            blockId: blockElement.getAttribute('data-block-id'),
+            offset: preRange.toString().length
+        };
+    }
+
+    /**
+     * Rebuild the document from a history entry and restore the caret.
+     * @param {Object} entry
+     * @param {?Object} selection - Caret position to restore
+     * @private
+     */
+    _apply(entry, selection)
+    {
+        this._applying = true;
+
+        try {
+            const parsed = this.editor.serializer.parseJSON(entry.state);
+            if (!parsed) {
+                return;
+            }
+
+            this.editor._replaceBlocks(parsed.blocks, parsed.ids);
+
+            // Normalise the stored key so the follow-up update is not seen as a new change
+            const snapshot = this._capture();
+            if (snapshot) {
+                entry.key = snapshot.key;
+                entry.structure = snapshot.structure;
+            }
+        } catch (error) {
+            logWarning('Error applying history step: ' + error.message, 'HistoryManager._apply()');
+        } finally {
+            this._applying = false;
+        }
+
+        if (!this._restoreSelection(selection)) {
+            this._restoreSelection(entry.selection);
+        }
+    }
+
+    /**
+     * Place the caret back into the recorded block.
+     * @param {?{blockId: string, offset: number}} selection
+     * @returns {boolean} - false if the block no longer exists
+     * @private
+     */
+    _restoreSelection(selection)
+    {
+        if (!selection || !selection.blockId) {
+            return false;
+        }
+
+        const blockElement = this.editor.contentArea.querySelector(`.bke-block[data-block-id="${selection.blockId}"]`);
+        if (!blockElement) {
+            return false;
+        }
+
+        this.editor.setCurrentBlock(blockElement);
+        this.editor.cursor.placeCursorAtOffset(blockElement, selection.offset);
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    _emitChanged()
+    {
+        this.editor.eventEmitter?.emit(EVENTS.HISTORY_CHANGED, {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoDepth: Math.max(0, this._undoStack.length - 1),
+            redoDepth: this._redoStack.length
+        }, { source: 'editor.history' });
+    }
+}
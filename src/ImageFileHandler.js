@@ -0,0 +1,281 @@
+'use strict';
+
+import {log, logWarning} from "./utils/log.js";
+import {EVENTS} from "@/utils/eventEmitter.js";
+import {BlockType} from "@/BlockType.js";
+
+/**
+ * ImageFileHandler turns pasted and dropped image files into image blocks.
+ *
+ * Every accepted file becomes an image block at the drop position, or after
+ * the current block when pasting; an empty paragraph there is replaced. The
+ * files then go through ImageBlock.handleImageFile(): uploaded with the
+ * uploadAdapter option, or inlined as base64 without it.
+ *
+ * The imageUpload option limits the accepted files:
+ *
+ *     imageUpload: {
+ *         accept: ['image/png', 'image/jpeg'],  // MIME types, 'image/*' by default
+ *         maxSize: 5 * 1024 * 1024              // bytes, no limit by default
+ *     }
+ *
+ * Rejected files emit image.upload.rejected with the reason 'type' or 'size'.
+ */
+export class ImageFileHandler
+{
+    /**
+     * Accepted MIME types without the imageUpload option
+     */
+    static DEFAULT_ACCEPT = ['image/*'];
+
+    /**
+     * @param {{ editor: object, accept?: string[], maxSize?: ?number }} options
+     */
+    constructor({ editor, accept = ImageFileHandler.DEFAULT_ACCEPT, maxSize = null })
+    {
+        this.editor = editor;
+        this.accept = Array.isArray(accept) && accept.length > 0 ? accept : ImageFileHandler.DEFAULT_ACCEPT;
+        this.maxSize = Number(maxSize) > 0 ? Number(maxSize) : null;
+
+        this._handlers = {
+            dragover: (e) => this._handleDragOver(e),
+            drop: (e) => this._handleDrop(e)
+        };
+        editor.contentArea.addEventListener('dragover', this._handlers.dragover);
+        editor.contentArea.addEventListener('drop', this._handlers.drop);
+    }
+
+    /**
+     * Check a file against the accepted types and the size limit
+     * @param {File} file
+     * @returns {?string} - null if accepted, otherwise the reason: 'type' or 'size'
+     */
+    check(file)
+    {
+        const type = (file?.type || '').toLowerCase();
+        const accepted = this.accept.some(pattern => {
+            const value = String(pattern).toLowerCase();
+            return value.endsWith('/*') ? type.startsWith(value.slice(0, -1)) : type === value;
+        });
+
+        if (!accepted) {
+            return 'type';
+        }
+        if (this.maxSize !== null && file.size > this.maxSize) {
+            return 'size';
+        }
+        return null;
+    }
+
+    /**
+     * @param {File} file
+     * @returns {boolean} - true if the file can become an image block, see check()
+     */
+    accepts(file)
+    {
+        return this.check(file) === null;
+    }
+
+    /**
+     * Insert an image block for every accepted file, as one undo step
+     * @param {File[]|FileList} files
+     * @param {{afterId?: string, beforeId?: string}} [position] - After the current block when empty
+     * @returns {string[]} - Ids of the new image blocks
+     */
+    insert(files, position = {})
+    {
+        const accepted = this.filter(files);
+        if (accepted.length === 0) {
+            return [];
+        }
+
+        log('insert()', 'ImageFileHandler.', { files: accepted.length });
+
+        const editor = this.editor;
+        const target = this._getTarget(position);
+        const targetId = target?.getAttribute('data-block-id') || null;
+        const targetType = target?.getAttribute('data-block-type');
+        const replace = !!targetId && (BlockType.isParagraph(targetType) || 'p' === targetType) && editor.isBlockEmpty(target);
+
+        const ids = editor.transaction(() => {
+            const inserted = [];
+            let anchor = position.beforeId && !replace ? { beforeId: position.beforeId } : (targetId ? { afterId: targetId } : {});
+
+            accepted.forEach(file => {
+                const id = editor.insertBlock({ type: BlockType.IMAGE, data: { alt: file.name } }, anchor);
+                if (id) {
+                    inserted.push({ id, file });
+                    anchor = { afterId: id };
+                }
+            });
+
+            if (replace && inserted.length > 0) {
+                editor.removeBlock(targetId);
+            }
+
+            return inserted;
+        }) || [];
+
+        // Upload, or read as base64, through the image block
+        ids.forEach(({ id, file }) => {
+            const element = editor._blockManager.getBlockElementById(id);
+            const block = element ? editor.getBlockForElement(element) : null;
+            if (typeof block?.handleImageFile !== 'function') {
+                logWarning('No image block for ' + file.name, 'ImageFileHandler.insert()');
+                return;
+            }
+            block.handleImageFile(file, element);
+        });
+
+        const last = ids.length > 0 ? editor._blockManager.getBlockElementById(ids[ids.length - 1].id) : null;
+        if (last) {
+            editor.setCurrentBlock(last);
+        }
+
+        return ids.map(({ id }) => id);
+    }
+
+    /**
+     * Insert the image files of a paste, see PasteHandler.handle().
+     * Excel, Word and Sheets put an image of the copied cells or text next to
+     * the text, so files are only pasted when the clipboard holds no text.
+     * @param {ClipboardEvent} e
+     * @returns {boolean} - true if image blocks were inserted
+     */
+    handlePaste(e)
+    {
+        const clipboard = e.clipboardData;
+        const files = ImageFileHandler.getFiles(clipboard);
+        if (files.length === 0 || clipboard.getData?.('text/plain') || clipboard.getData?.('text/html')) {
+            return false;
+        }
+
+        if (this.insert(files).length === 0) {
+            return false;
+        }
+
+        e.preventDefault();
+        return true;
+    }
+
+    /**
+     * Remove the drop listeners. Called when the editor is destroyed.
+     */
+    destroy()
+    {
+        this.editor.contentArea?.removeEventListener('dragover', this._handlers.dragover);
+        this.editor.contentArea?.removeEventListener('drop', this._handlers.drop);
+    }
+
+    /**
+     * Files of a clipboard or drag and drop transfer
+     * @param {?DataTransfer} dataTransfer
+     * @returns {File[]}
+     */
+    static getFiles(dataTransfer)
+    {
+        if (!dataTransfer) {
+            return [];
+        }
+
+        // Screenshots are only listed as items in some browsers
+        const fromItems = Array.from(dataTransfer.items || [])
+            .filter(item => 'file' === item.kind)
+            .map(item => item.getAsFile())
+            .filter(Boolean);
+
+        return fromItems.length > 0 ? fromItems : Array.from(dataTransfer.files || []);
+    }
+
+    /**
+     * Allow dropping files; text and block drags are left to the browser
+     * @param {DragEvent} e
+     * @private
+     */
+    _handleDragOver(e)
+    {
+        if (!Array.from(e.dataTransfer?.types || []).includes('Files')) {
+            return;
+        }
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    }
+
+    /**
+     * Insert dropped image files before or after the block under the pointer
+     * @param {DragEvent} e
+     * @private
+     */
+    _handleDrop(e)
+    {
+        // CSV and TSV files become tables, see TableFileHandler
+        const files = ImageFileHandler.getFiles(e.dataTransfer).filter(file => !this.editor.tableFiles?.accepts(file));
+        if (files.length === 0) {
+            return;
+        }
+
+        e.preventDefault();
+
+        const block = e.target?.closest?.('.bke-block');
+        const id = block?.getAttribute('data-block-id');
+        if (!id) {
+            this.insert(files, { afterId: this._getLastId() });
+            return;
+        }
+
+        // The upper half of a block drops before it
+        const rect = block.getBoundingClientRect();
+        const before = e.clientY < rect.top + rect.height / 2;
+        this.insert(files, before ? { beforeId: id } : { afterId: id });
+    }
+
+    /**
+     * Keep the accepted files and report the others with an image.upload.rejected event
+     * @param {File[]|FileList} files
+     * @returns {File[]}
+     */
+    filter(files)
+    {
+        return Array.from(files || []).filter(file => {
+            const reason = this.check(file);
+            if (reason) {
+                logWarning('Rejected image file ' + file.name + ' (' + reason + ')', 'ImageFileHandler.filter()');
+                this.editor.eventEmitter?.emit(EVENTS.IMAGE_UPLOAD_REJECTED, {
+                    fileName: file.name,
+                    fileType: file.type,
+                    fileSize: file.size,
+                    reason: reason,
+                    timestamp: Date.now()
+                }, { source: 'image.upload' });
+            }
+            return !reason;
+        });
+    }
+
+    /**
+     * @param {{afterId?: string, beforeId?: string}} position
+     * @returns {?HTMLElement} - The block the images are inserted next to
+     * @private
+     */
+    _getTarget(position)
+    {
+        const id = position.beforeId || position.afterId;
+        if (id) {
+            return this.editor._blockManager.getBlockElementById(id);
+        }
+
+        const current = this.editor.currentBlock;
+        return current?.isConnected && this.editor.contentArea.contains(current) ? current : null;
+    }
+
+    /**
+     * @returns {?string} - Id of the last block
+     * @private
+     */
+    _getLastId()
+    {
+        const blocks = this.editor.contentArea.querySelectorAll('.bke-block');
+        return blocks.length > 0 ? blocks[blocks.length - 1].getAttribute('data-block-id') : null;
+    }
+}
@@ -0,0 +1,550 @@
+'use strict';
+
+import {log} from "./utils/log.js";
+
+/**
+ * InlineFormatter applies and removes inline marks (bold, italic, underline,
+ * strikethrough, inline code) on the selection with DOM Range operations
+ * instead of document.execCommand().
+ *
+ * Marks use the same tags InlineMarkdownHandler produces: strong, em, del and
+ * code, plus u for underline. Legacy tags (b, i, s, strike) count as the mark
+ * and are renamed when the surrounding text is normalized.
+ *
+ * Toggling is all-or-nothing: if every selected character has the mark it is
+ * removed, otherwise the whole selection gets it. With a collapsed caret an
+ * empty mark is opened (or closed) so the next typed text is (un)formatted.
+ * The zero-width space holding the caret there is removed once the caret
+ * leaves it or the editor loses focus, see removePlaceholders().
+ */
+export class InlineFormatter
+{
+    /**
+     * Mark name => tag written to the DOM and tags recognized as the mark
+     */
+    static MARKS = {
+        bold: { tag: 'strong', tags: ['STRONG', 'B'] },
+        italic: { tag: 'em', tags: ['EM', 'I'] },
+        underline: { tag: 'u', tags: ['U'] },
+        strikethrough: { tag: 'del', tags: ['DEL', 'S', 'STRIKE'] },
+        code: { tag: 'code', tags: ['CODE'] }
+    };
+
+    /**
+     * Block types whose text is never formatted
+     */
+    static EXCLUDED_BLOCK_TYPES = ['code', 'image', 'delimiter'];
+
+    /**
+     * Zero-width space that holds the caret in an empty mark
+     */
+    static PLACEHOLDER = '\u200B';
+
+    /**
+     * @param {{ editor: object }} options
+     */
+    constructor({ editor })
+    {
+        this.editor = editor;
+
+        // Text nodes holding a placeholder of a collapsed toggle
+        this._placeholders = new Set();
+
+        // Keep the toolbar's pressed state in sync with the caret
+        this._selectionHandler = () => {
+            this.removePlaceholders();
+            if (this._getEditorRange()) {
+                this.editor.toolbar?.updateMarkStates?.(this.getActiveMarks());
+            }
+        };
+        this._blurHandler = () => this.removePlaceholders({ all: true });
+        document.addEventListener('selectionchange', this._selectionHandler);
+        editor.contentArea?.addEventListener('focusout', this._blurHandler);
+    }
+
+    /**
+     * Add or remove a mark on the selection
+     * @param {string} mark - 'bold', 'italic', 'underline', 'strikethrough' or 'code'
+     * @param {Range} [range] - Defaults to the current selection
+     * @returns {boolean} - false if the mark is unknown or the selection cannot be formatted
+     */
+    toggle(mark, range = this._getEditorRange())
+    {
+        log('toggle()', 'InlineFormatter.', { mark });
+
+        if (!InlineFormatter.MARKS[mark] || !range) {
+            return false;
+        }
+
+        const applied = this.isActive(mark, range)
+            ? this.unwrap(mark, range)
+            : this.wrap(mark, range);
+
+        if (applied) {
+            this.editor.toolbar?.updateMarkStates?.(this.getActiveMarks());
+        }
+        return applied;
+    }
+
+    /**
+     * Check whether the whole selection (or the caret) has a mark
+     * @param {string} mark
+     * @param {Range} [range] - Defaults to the current selection
+     * @returns {boolean}
+     */
+    isActive(mark, range = this._getEditorRange())
+    {
+        if (!InlineFormatter.MARKS[mark] || !range) {
+            return false;
+        }
+
+        if (range.collapsed) {
+            return this._findMark(range.startContainer, mark) !== null;
+        }
+
+        const textNodes = this._getTextNodes(range).filter(node => node.nodeValue.replace(/\u200B/g, '') !== '');
+        return textNodes.length > 0 && textNodes.every(node => this._findMark(node, mark) !== null);
+    }
+
+    /**
+     * Get the marks active for the selection or at the caret
+     * @param {Range} [range] - Defaults to the current selection
+     * @returns {string[]}
+     */
+    getActiveMarks(range = this._getEditorRange())
+    {
+        if (!range) {
+            return [];
+        }
+        return Object.keys(InlineFormatter.MARKS).filter(mark => this.isActive(mark, range));
+    }
+
+    /**
+     * Apply a mark to the selection
+     * @param {string} mark
+     * @param {Range} range
+     * @returns {boolean}
+     */
+    wrap(mark, range)
+    {
+        const { tag } = InlineFormatter.MARKS[mark];
+        const roots = this._getRoots(range);
+        if (roots.length === 0) {
+            return false;
+        }
+
+        if (range.collapsed) {
+            // An empty mark holding a zero-width space receives the next typed characters
+            const element = document.createElement(tag);
+            const placeholder = document.createTextNode(InlineFormatter.PLACEHOLDER);
+            element.appendChild(placeholder);
+            range.insertNode(element);
+            this._placeholders.add(placeholder);
+            this._select(placeholder, 1, placeholder, 1);
+            return true;
+        }
+
+        const offsets = this._saveOffsets(roots, range);
+        const textNodes = this._splitRange(range).filter(node => this._findMark(node, mark) === null);
+
+        textNodes.forEach(node => {
+            const element = document.createElement(tag);
+            node.replaceWith(element);
+            element.appendChild(node);
+        });
+
+        roots.forEach(root => this.normalize(root));
+        this._restoreOffsets(offsets);
+        return true;
+    }
+
+    /**
+     * Remove a mark from the selection, splitting mark elements at the selection boundaries
+     * @param {string} mark
+     * @param {Range} range
+     * @returns {boolean}
+     */
+    unwrap(mark, range)
+    {
+        const roots = this._getRoots(range);
+        if (roots.length === 0) {
+            return false;
+        }
+
+        if (range.collapsed) {
+            // Continue after the mark: split it at the caret and type outside of it
+            const element = this._findMark(range.startContainer, mark);
+            const placeholder = document.createTextNode(InlineFormatter.PLACEHOLDER);
+            range.insertNode(placeholder);
+            this._splitAround(element, placeholder);
+            this._placeholders.add(placeholder);
+            this._select(placeholder, 1, placeholder, 1);
+            return true;
+        }
+
+        const offsets = this._saveOffsets(roots, range);
+        this._splitRange(range).forEach(node => {
+            let element = this._findMark(node, mark);
+            while (element) {
+                this._splitAround(element, node);
+                element = this._findMark(node, mark);
+            }
+        });
+
+        roots.forEach(root => this.normalize(root));
+        this._restoreOffsets(offsets);
+        return true;
+    }
+
+    /**
+     * Normalize the marks inside an element: rename legacy tags, drop empty marks,
+     * merge adjacent marks of the same kind and merge adjacent text nodes.
+     * @param {HTMLElement} element
+     */
+    normalize(element)
+    {
+        const markTags = Object.values(InlineFormatter.MARKS);
+
+        Array.from(element.querySelectorAll('b, i, s, strike')).forEach(legacy => {
+            const { tag } = markTags.find(({ tags }) => tags.includes(legacy.tagName));
+            const replacement = document.createElement(tag);
+            replacement.append(...legacy.childNodes);
+            legacy.replaceWith(replacement);
+        });
+
+        // Drop empty text nodes so that marks split apart become adjacent again
+        element.normalize();
+
+        const selector = markTags.map(({ tag }) => tag).join(', ');
+        Array.from(element.querySelectorAll(selector)).forEach(markElement => {
+            if (!markElement.parentNode) return;
+
+            if (markElement.textContent === '') {
+                markElement.remove();
+                return;
+            }
+
+            // A mark nested in the same mark is redundant
+            const outer = markElement.parentElement?.closest(markElement.tagName.toLowerCase());
+            if (outer && element.contains(outer)) {
+                markElement.replaceWith(...markElement.childNodes);
+                return;
+            }
+
+            let next = markElement.nextSibling;
+            while (next && next.nodeType === Node.ELEMENT_NODE && next.tagName === markElement.tagName) {
+                markElement.append(...next.childNodes);
+                next.remove();
+                next = markElement.nextSibling;
+            }
+        });
+
+        element.normalize();
+    }
+
+    /**
+     * Remove the placeholders of collapsed toggles and the marks left empty without them.
+     * Typed text stays. The placeholder at the caret is kept unless all is set.
+     * @param {{ all?: boolean }} [options]
+     */
+    removePlaceholders({ all = false } = {})
+    {
+        const range = all ? null : this._getEditorRange();
+        const selectors = Object.values(InlineFormatter.MARKS).map(({ tag }) => tag).join(', ');
+
+        this._placeholders.forEach(node => {
+            if (range?.collapsed && range.startContainer === node) {
+                return;
+            }
+
+            this._placeholders.delete(node);
+            const index = node.nodeValue.indexOf(InlineFormatter.PLACEHOLDER);
+            if (!node.isConnected || index === -1) {
+                return;
+            }
+
+            // deleteData() keeps a selection in the node in place
+            node.deleteData(index, 1);
+            let parent = node.parentElement;
+            if (node.nodeValue === '') {
+                node.remove();
+            }
+            while (parent?.matches(selectors) && parent.textContent === '') {
+                const next = parent.parentElement;
+                parent.remove();
+                parent = next;
+            }
+        });
+    }
+
+    /**
+     * Remove the selection and focus listeners. Called when the editor is destroyed.
+     */
+    destroy()
+    {
+        document.removeEventListener('selectionchange', this._selectionHandler);
+        this.editor.contentArea?.removeEventListener('focusout', this._blurHandler);
+        this._placeholders.clear();
+    }
+
+    /**
+     * Remove the placeholders of collapsed toggles from serialized inline HTML,
+     * together with the marks that hold nothing else
+     * @param {string} html
+     * @returns {string}
+     */
+    static stripPlaceholders(html)
+    {
+        if (!html || !html.includes(InlineFormatter.PLACEHOLDER)) {
+            return html || '';
+        }
+
+        const tags = Object.values(InlineFormatter.MARKS).flatMap(({ tags }) => tags).join('|');
+        const emptyMark = new RegExp(`<(${tags})><\\/\\1>`, 'gi');
+
+        let result = html.replaceAll(InlineFormatter.PLACEHOLDER, '');
+        let previous;
+        do {
+            previous = result;
+            result = result.replace(emptyMark, '');
+        } while (result !== previous);
+        return result;
+    }
+
+    /**
+     * Split a mark element so that the given descendant ends up outside of it.
+     * The content before and after the descendant stays wrapped in copies of the mark.
+     * @param {HTMLElement} element
+     * @param {Node} node
+     * @private
+     */
+    _splitAround(element, node)
+    {
+        const before = document.createRange();
+        before.setStart(element, 0);
+        before.setEndBefore(node);
+
+        const after = document.createRange();
+        after.setStartAfter(node);
+        after.setEnd(element, element.childNodes.length);
+
+        [[before, 'before'], [after, 'after']].forEach(([part, position]) => {
+            if (part.collapsed) return;
+            const fragment = part.extractContents();
+            if (fragment.textContent === '') return;
+            const copy = element.cloneNode(false);
+            copy.appendChild(fragment);
+            element[position](copy);
+        });
+
+        element.replaceWith(...element.childNodes);
+    }
+
+    /**
+     * Split the text nodes at the range boundaries and return the text nodes inside the range
+     * @param {Range} range
+     * @returns {Text[]}
+     * @private
+     */
+    _splitRange(range)
+    {
+        let { startContainer, startOffset, endContainer, endOffset } = range;
+
+        if (endContainer.nodeType === Node.TEXT_NODE && endOffset > 0 && endOffset < endContainer.length) {
+            endContainer.splitText(endOffset);
+        }
+        if (startContainer.nodeType === Node.TEXT_NODE && startOffset > 0 && startOffset < startContainer.length) {
+            const tail = startContainer.splitText(startOffset);
+            if (endContainer === startContainer) {
+                endContainer = tail;
+                endOffset -= startOffset;
+            }
+            startContainer = tail;
+            startOffset = 0;
+        }
+
+        const inner = document.createRange();
+        inner.setStart(startContainer, startOffset);
+        inner.setEnd(endContainer, endOffset);
+
+        return this._getTextNodes(inner).filter(node => {
+            if (node === startContainer && startContainer.nodeType === Node.TEXT_NODE && startOffset >= node.length) return false;
+            if (node === endContainer && endOffset === 0) return false;
+            return node.nodeValue !== '';
+        });
+    }
+
+    /**
+     * Get the editable text nodes that intersect a range
+     * @param {Range} range
+     * @returns {Text[]}
+     * @private
+     */
+    _getTextNodes(range)
+    {
+        const container = range.commonAncestorContainer;
+        if (container.nodeType === Node.TEXT_NODE) {
+            return this._isFormattable(container) ? [container] : [];
+        }
+
+        const nodes = [];
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, null, false);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (range.intersectsNode(node) && this._isFormattable(node)) {
+                nodes.push(node);
+            }
+        }
+        return nodes;
+    }
+
+    /**
+     * @param {Text} node
+     * @returns {boolean} - true if the text node is inside a block whose text may be formatted
+     * @private
+     */
+    _isFormattable(node)
+    {
+        const block = node.parentElement?.closest('.bke-block');
+        const host = node.parentElement?.closest('[contenteditable]');
+        return !!block
+            && !InlineFormatter.EXCLUDED_BLOCK_TYPES.includes(block.getAttribute('data-block-type'))
+            && host?.getAttribute('contenteditable') !== 'false';
+    }
+
+    /**
+     * Find the closest element of a mark around a node, within its block
+     * @param {Node} node
+     * @param {string} mark
+     * @returns {HTMLElement|null}
+     * @private
+     */
+    _findMark(node, mark)
+    {
+        const { tags } = InlineFormatter.MARKS[mark];
+        let element = node && node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+
+        while (element && !element.classList?.contains('bke-block')) {
+            if (tags.includes(element.tagName)) {
+                return element;
+            }
+            element = element.parentElement;
+        }
+        return null;
+    }
+
+    /**
+     * Get the editable roots (contenteditable elements or blocks) touched by a range
+     * @param {Range} range
+     * @returns {HTMLElement[]}
+     * @private
+     */
+    _getRoots(range)
+    {
+        const nodes = range.collapsed ? [range.startContainer] : this._getTextNodes(range);
+        const roots = [];
+
+        nodes.forEach(node => {
+            if (range.collapsed && node.nodeType === Node.TEXT_NODE && !this._isFormattable(node)) return;
+
+            const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+            const block = element?.closest('.bke-block');
+            if (!block || InlineFormatter.EXCLUDED_BLOCK_TYPES.includes(block.getAttribute('data-block-type'))) return;
+
+            const editable = element.closest('[contenteditable="true"]');
+            const root = editable && block.contains(editable) ? editable : block;
+            if (!roots.includes(root)) {
+                roots.push(root);
+            }
+        });
+
+        return roots;
+    }
+
+    /**
+     * Remember the selection as character offsets within the given roots
+     * @param {HTMLElement[]} roots
+     * @param {Range} range
+     * @returns {{start: {root: HTMLElement, offset: number}, end: {root: HTMLElement, offset: number}}}
+     * @private
+     */
+    _saveOffsets(roots, range)
+    {
+        const toOffset = (container, offset) => {
+            const root = roots.find(candidate => candidate.contains(container)) || roots[0];
+            const measure = document.createRange();
+            measure.selectNodeContents(root);
+            if (root.contains(container)) {
+                measure.setEnd(container, offset);
+            }
+            return { root, offset: measure.toString().length };
+        };
+
+        return {
+            start: toOffset(range.startContainer, range.startOffset),
+            end: toOffset(range.endContainer, range.endOffset)
+        };
+    }
+
+    /**
+     * Restore a selection saved with _saveOffsets()
+     * @param {{start: {root: HTMLElement, offset: number}, end: {root: HTMLElement, offset: number}}} offsets
+     * @private
+     */
+    _restoreOffsets({ start, end })
+    {
+        // The start lands at the beginning of the following text node, the end at the end
+        // of the preceding one, so the selection does not reach into unselected siblings
+        const toPosition = ({ root, offset }, isStart) => {
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+            let remaining = offset;
+            let last = null;
+            while (walker.nextNode()) {
+                last = walker.currentNode;
+                if (remaining < last.length || (!isStart && remaining === last.length)) {
+                    return [last, remaining];
+                }
+                remaining -= last.length;
+            }
+            return last ? [last, last.length] : [root, root.childNodes.length];
+        };
+
+        this._select(...toPosition(start, true), ...toPosition(end, false));
+    }
+
+    /**
+     * @param {Node} startNode
+     * @param {number} startOffset
+     * @param {Node} endNode
+     * @param {number} endOffset
+     * @private
+     */
+    _select(startNode, startOffset, endNode, endOffset)
+    {
+        const selection = window.getSelection();
+        if (!selection) return;
+
+        const range = document.createRange();
+        range.setStart(startNode, startOffset);
+        range.setEnd(endNode, endOffset);
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    /**
+     * Get the selection range if it lies inside this editor
+     * @returns {?Range}
+     * @private
+     */
+    _getEditorRange()
+    {
+        const selection = window.getSelection?.();
+        if (!selection || selection.rangeCount === 0) {
+            return null;
+        }
+
+        const range = selection.getRangeAt(0);
+        const contentArea = this.editor.contentArea;
+        return contentArea && contentArea.contains(range.commonAncestorContainer) ? range : null;
+    }
+}
@@ -1,6 +1,7 @@
 'use strict';
 
 import {log} from "@/utils/log.js";
+import {Utils} from "@/Utils.js";
 
 /**
  * Handles inline markdown pattern detection and replacement.
@@ -22,8 +23,13 @@ export class InlineMarkdownHandler
      *  - regex  : pattern to match against a text node's value
      *  - tag    : HTML element to wrap the captured content in
      *  - marker : the raw marker string (for documentation / debugging)
+     *
+     * The link pattern captures the URL as a second group; links with a URL
+     * rejected by Utils.isSafeUrl() are left as typed.
      */
     static PATTERNS = [
+        // [text](url) — before the emphasis markers so link text may contain them
+        { regex: /(?<!!)\[([^\]]+)\]\(([^()\s]+)\)/, tag: 'a', marker: '[]()' },
         // **bold** and __bold__ (two-char markers before single-char)
         { regex: /\*\*(.+?)\*\*/, tag: 'strong', marker: '**' },
         { regex: /__(.+?)__/, tag: 'strong', marker: '__' },
@@ -41,7 +47,7 @@ export class InlineMarkdownHandler
      * Quick pre-check: does the text contain any marker character at all?
      * Avoids running full regex suite on text with no markers.
      */
-    static MARKER_CHARS = /[*_`~]/;
+    static MARKER_CHARS = /[*_`~\]]/;
 
     /**
      * @param {import('./Editor.js').Editor} editorInstance
@@ -89,7 +95,7 @@ export class InlineMarkdownHandler
 
             for (const { regex, tag } of InlineMarkdownHandler.PATTERNS) {
                 const match = regex.exec(text);
-                if (match && match[1]) {
+                if (match && match[1] && (tag !== 'a' || Utils.isSafeUrl(match[2]))) {
                     this._applyFormat(textNode, match, tag);
                     return true;
                 }
@@ -133,13 +139,13 @@ export class InlineMarkdownHandler
 
     /**
      * Check whether a text node already lives inside a formatting tag
-     * (strong, em, del, code) to avoid double-formatting.
+     * (strong, em, del, code, a) to avoid double-formatting.
      * @param {Text} textNode
      * @returns {boolean}
      */
     _isInsideFormattingTag(textNode)
     {
-        const formattingTags = ['STRONG', 'EM', 'B', 'I', 'DEL', 'S', 'CODE'];
+        const formattingTags = ['STRONG', 'EM', 'B', 'I', 'DEL', 'S', 'CODE', 'A'];
         let parent = textNode.parentNode;
         while (parent) {
             if (parent.nodeType === Node.ELEMENT_NODE && formattingTags.includes(parent.tagName)) {
@@ -182,6 +188,9 @@ export class InlineMarkdownHandler
         // Build the formatted element
         const formatted = document.createElement(tag);
         formatted.textContent = content;
+        if (tag === 'a') {
+            formatted.setAttribute('href', match[2]);
+        }
 
         // Insert before / formatted / after, then remove original
         if (before) {
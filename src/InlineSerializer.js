@@ -0,0 +1,253 @@
+'use strict';
+
+import {Utils} from "@/Utils.js";
+
+/**
+ * Converts the inline content of text-bearing blocks (list items, headings,
+ * quotes, table cells) between DOM nodes and inline markdown.
+ *
+ * Marks use the syntax of showdown and InlineMarkdownHandler: **bold**,
+ * *italic*, ~~strikethrough~~ and `code`. Underline has no markdown syntax
+ * and is kept as <u>text</u>.
+ *
+ * Links are written as [text](url). Link targets that fail Utils.isSafeUrl()
+ * are dropped on both sides, so a javascript: URL never reaches the DOM
+ * nor the exported markdown.
+ *
+ * Markdown characters in plain text are escaped with a backslash, so that
+ * text like 2*3*4 or <u>a</u> comes back as typed.
+ */
+export class InlineSerializer
+{
+    /**
+     * Inline markdown link: [text](url)
+     */
+    static LINK_PATTERN = /(?<!!)\[((?:\\.|[^\\\]])+)\]\(([^()\s]+)\)/g;
+
+    /**
+     * Markdown delimiter of each mark element
+     */
+    static MARK_DELIMITERS = {
+        STRONG: '**', B: '**',
+        EM: '*', I: '*',
+        DEL: '~~', S: '~~', STRIKE: '~~'
+    };
+
+    /**
+     * Marks rendered by toHtml(), applied in order to the escaped markdown.
+     * The patterns follow InlineMarkdownHandler.PATTERNS.
+     */
+    static MARK_PATTERNS = [
+        { regex: /\*\*\*(.+?)\*\*\*/g, html: '<strong><em>$1</em></strong>' },
+        { regex: /\*\*(.+?)\*\*/g, html: '<strong>$1</strong>' },
+        { regex: /__(.+?)__/g, html: '<strong>$1</strong>' },
+        { regex: /~~(.+?)~~/g, html: '<del>$1</del>' },
+        { regex: /(?<!\*)\*(?!\*)(.+?)(?<!\*)\*(?!\*)/g, html: '<em>$1</em>' },
+        { regex: /(?:^|(?<=\s))_(?!_)(.+?)(?<!_)_(?:$|(?=[\s,.;:!?]))/g, html: '<em>$1</em>' },
+        { regex: /&lt;u&gt;(.+?)&lt;\/u&gt;/g, html: '<u>$1</u>' }
+    ];
+
+    /**
+     * Characters of plain text that would be read as markdown: backslashes, mark
+     * delimiters, link brackets and the opening of <u> and </u>
+     */
+    static ESCAPED_CHARACTERS = /[\\`*_~[\]]|<(?=\/?u>)/gi;
+
+    /**
+     * Text rendered literally by toHtml(), matched in one pass over the escaped
+     * markdown so that escapes are not read inside code spans: a backslash escape
+     * (< is already &lt;), or a code span `code`, or ``code`` when the code
+     * contains a backtick
+     */
+    static LITERAL_PATTERN = /\\([\\`*_~[\]]|&lt;)|(?<!`)(`+)(?!`)([\s\S]*?[^`])\2(?!`)/g;
+
+    /**
+     * Serialize the inline content of an element to markdown
+     * @param {Node} element
+     * @returns {string}
+     */
+    static toMarkdown(element)
+    {
+        if (!element) {
+            return '';
+        }
+
+        // Elements without child nodes (text-only or mocked) serialize as their text
+        if (!element.childNodes || element.childNodes.length === 0) {
+            return this.escape(element.textContent || '');
+        }
+
+        return this.nodesToMarkdown(Array.from(element.childNodes));
+    }
+
+    /**
+     * Serialize a sequence of inline nodes to markdown
+     * @param {Node[]} nodes
+     * @returns {string}
+     */
+    static nodesToMarkdown(nodes)
+    {
+        return nodes.map(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                // Line breaks in HTML source are plain whitespace
+                return this.escape((node.nodeValue || '').replace(/\u200B/g, '').replace(/[ \t]*\n[ \t]*/g, ' '));
+            }
+
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return '';
+            }
+
+            if (node.tagName === 'A') {
+                const text = this.toMarkdown(node);
+                const href = node.getAttribute('href') || '';
+                return text && Utils.isSafeUrl(href)
+                    ? `[${text}](${this.encodeUrl(href)})`
+                    : text;
+            }
+
+            if (node.tagName === 'CODE') {
+                return this.codeToMarkdown((node.textContent || '').replace(/\u200B/g, ''));
+            }
+
+            if (node.tagName === 'U') {
+                const text = this.toMarkdown(node);
+                return text ? `<u>${text}</u>` : '';
+            }
+
+            const delimiter = this.MARK_DELIMITERS[node.tagName];
+            if (delimiter) {
+                return this.wrapMark(this.toMarkdown(node), delimiter);
+            }
+
+            return this.toMarkdown(node);
+        }).join('');
+    }
+
+    /**
+     * Escape the characters of plain text that would be read as markdown
+     * @param {string} text
+     * @returns {string}
+     */
+    static escape(text)
+    {
+        return text.replace(this.ESCAPED_CHARACTERS, '\\$&');
+    }
+
+    /**
+     * Wrap text in a mark delimiter. Surrounding whitespace is moved outside of
+     * the delimiters, since "** bold **" is not emphasis in markdown.
+     * @param {string} text
+     * @param {string} delimiter - '**', '*' or '~~'
+     * @returns {string}
+     */
+    static wrapMark(text, delimiter)
+    {
+        const [, leading, content, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return content ? `${leading}${delimiter}${content}${delimiter}${trailing}` : text;
+    }
+
+    /**
+     * Write text as an inline code span, with a fence longer than any backtick run in the text
+     * @param {string} text
+     * @returns {string}
+     */
+    static codeToMarkdown(text)
+    {
+        if (!text) {
+            return '';
+        }
+
+        const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+        return fence + padding + text + padding + fence;
+    }
+
+    /**
+     * Serialize an HTML fragment to inline markdown. Text without markup is only escaped.
+     * @param {string} html
+     * @returns {string}
+     */
+    static htmlToMarkdown(html)
+    {
+        if (!html || !/[<&]/.test(html)) {
+            return this.escape(html || '');
+        }
+
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        return this.nodesToMarkdown(Array.from(template.content.childNodes));
+    }
+
+    /**
+     * Render inline markdown as HTML. Text is escaped; links and marks become elements.
+     * @param {string} markdown
+     * @returns {string}
+     */
+    static toHtml(markdown)
+    {
+        if (!markdown) {
+            return '';
+        }
+
+        // Escaped characters and code spans are set aside so that they are not formatted
+        const literals = [];
+        let html = Utils.escapeHTML(markdown).replace(this.LITERAL_PATTERN, (match, escaped, fence, code) => {
+            if (escaped) {
+                literals.push(escaped);
+            } else {
+                const content = /^ [\s\S]* $/.test(code) && code.trim() ? code.slice(1, -1) : code;
+                literals.push(`<code>${content}</code>`);
+            }
+            return `\u0000${literals.length - 1}\u0000`;
+        });
+
+        html = html.replace(this.LINK_PATTERN, (match, text, url) => {
+            return Utils.isSafeUrl(url) ? `<a href="${url}">${text}</a>` : text;
+        });
+
+        html = this.MARK_PATTERNS.reduce((result, { regex, html: replacement }) => result.replace(regex, replacement), html);
+
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => literals[index]);
+    }
+
+    /**
+     * Get the plain text of inline markdown, without marks, link targets and escapes
+     * @param {string} markdown
+     * @returns {string}
+     */
+    static toText(markdown)
+    {
+        const html = this.toHtml(markdown);
+        if (!/[<&]/.test(html)) {
+            return html;
+        }
+
+        return new DOMParser().parseFromString(html, 'text/html').body.textContent || '';
+    }
+
+    /**
+     * Render inline markdown into an element. Plain text is set as text content.
+     * @param {HTMLElement} element
+     * @param {string} markdown
+     */
+    static render(element, markdown)
+    {
+        const html = this.toHtml(markdown);
+        if (html === Utils.escapeHTML(markdown || '')) {
+            element.textContent = markdown || '';
+        } else {
+            element.innerHTML = html;
+        }
+    }
+
+    /**
+     * Percent-encode the characters that would end a markdown link target
+     * @param {string} url
+     * @returns {string}
+     */
+    static encodeUrl(url)
+    {
+        return url.replace(/[\s()]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+    }
+}
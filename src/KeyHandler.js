@@ -63,7 +63,7 @@ export class KeyHandler
         const currentBlock = this.editorInstance.currentBlock;
         if (currentBlock && currentBlock.dataset && currentBlock.dataset.blockType) {
             const blockType = currentBlock.dataset.blockType;
-            const block = BlockFactory.createBlock(blockType);
+            const block = this._createBlock(blockType);
             
             if (block.handleKeyPress(e, text)) {
                 // Block handled the key press, update immediately
@@ -90,17 +90,38 @@ export class KeyHandler
         if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') {
             this._desiredOffset = null;
         }
-        
+
+        // An open "/" menu owns the navigation keys
+        if (this.editorInstance.slashMenu?.handleKeydown(e)) {
+            return;
+        }
+
+        // Plugin key bindings take precedence over the built-in ones
+        if (this.editorInstance.plugins?.handleKeydown(e)) {
+            return;
+        }
+
+        // Escape closes an open link popover
+        if (this.editorInstance.linkPopover?.handleKeydown(e)) {
+            return;
+        }
+
+        // Arrow keys between table cells and the keys acting on selected cells
+        if (this.editorInstance.tableSelection?.handleKeydown(e)) {
+            return;
+        }
+
+        // Escape, Shift + ArrowUp/ArrowDown and the keys acting on selected blocks
+        if (this.editorInstance.blockSelection?.handleKeydown(e)) {
+            return;
+        }
+
+        // Marks, block types, history and block moves, see Keymap.DEFAULTS
+        if (this.editorInstance.keymap?.handleKeydown(e)) {
+            return;
+        }
+
         if ('Enter' === e.key && !e.shiftKey) {
-            // Ctrl/Cmd + Enter inside a code block: create a new paragraph below
-            if (e.ctrlKey || e.metaKey) {
-                const currentBlock = this.editorInstance.currentBlock;
-                if (currentBlock?.dataset?.blockType === 'code') {
-                    e.preventDefault();
-                    this.editorInstance.addDefaultBlock();
-                    return;
-                }
-            }
             return this.handleEnterKey(e);
         }
         
@@ -121,7 +142,7 @@ export class KeyHandler
             const currentBlock = this.editorInstance.currentBlock;
             if (currentBlock && currentBlock.dataset && currentBlock.dataset.blockType) {
                 const blockType = currentBlock.dataset.blockType;
-                const block = BlockFactory.createBlock(blockType);
+                const block = this._createBlock(blockType);
                 
                 if (block.handleKeyPress(e, '')) {
                     return;
@@ -192,7 +213,7 @@ export class KeyHandler
         // Let the current block type handle the Enter key first
         if (currentBlock.dataset && currentBlock.dataset.blockType) {
             const blockType = currentBlock.dataset.blockType;
-            const block = BlockFactory.createBlock(blockType);
+            const block = this._createBlock(blockType);
             
             if (block.handleEnterKey(e)) {
                 this.editorInstance.update();
@@ -219,7 +240,7 @@ export class KeyHandler
         let isAtEnd = false;
         if (currentBlock.dataset && currentBlock.dataset.blockType) {
             const blockType = currentBlock.dataset.blockType;
-            const block = BlockFactory.createBlock(blockType);
+            const block = this._createBlock(blockType);
             
             if (block.isAtEnd && typeof block.isAtEnd === 'function') {
                 isAtEnd = block.isAtEnd(currentBlock, range);
@@ -236,7 +257,7 @@ export class KeyHandler
             const li = (range.startContainer.nodeType === Node.TEXT_NODE ? range.startContainer.parentElement : range.startContainer)?.closest?.('li');
             if (li) {
                 const blockType = currentBlock.dataset && currentBlock.dataset.blockType;
-                const block = BlockFactory.createBlock(blockType);
+                const block = this._createBlock(blockType);
                 if (block && typeof block.createNewListItem === 'function') {
                     e.preventDefault();
                     block.createNewListItem(currentBlock, li);
@@ -388,6 +409,9 @@ export class KeyHandler
         if (blockType === 'code') {
             const code = currentBlock.querySelector('code');
             text = (code ? code.textContent : '').trim();
+        } else if (blockType === 'image') {
+            // The caption and the image toolbar are not content; keys typed there do not get here
+            text = '';
         } else {
             text = Utils.stripTags(currentBlock.innerHTML).trim();
         }
@@ -428,7 +452,7 @@ export class KeyHandler
         // Let the current block type handle the backspace key if not handled above
         if (currentBlock.dataset && currentBlock.dataset.blockType) {
             const blockType = currentBlock.dataset.blockType;
-            const block = BlockFactory.createBlock(blockType);
+            const block = this._createBlock(blockType);
             
             if (block.handleBackspaceKey && block.handleBackspaceKey(e)) {
                 this.editorInstance.update();
@@ -451,7 +475,8 @@ export class KeyHandler
         }
 
         // Check if current block is empty (only whitespace or no content)
-        const text = Utils.stripTags(currentBlock.innerHTML).trim();
+        // Image blocks have no text, see handleBackspaceKey()
+        const text = 'image' === currentBlock.dataset?.blockType ? '' : Utils.stripTags(currentBlock.innerHTML).trim();
         
         // Only handle delete for empty blocks
         if (text === '') {
@@ -489,7 +514,7 @@ export class KeyHandler
         // Let the current block type handle the delete key if not handled above
         if (currentBlock.dataset && currentBlock.dataset.blockType) {
             const blockType = currentBlock.dataset.blockType;
-            const block = BlockFactory.createBlock(blockType);
+            const block = this._createBlock(blockType);
             
             if (block.handleDeleteKey && block.handleDeleteKey(e)) {
                 this.editorInstance.update();
@@ -512,4 +537,14 @@ export class KeyHandler
     getKeyBuffer() {
         return [...this.editorInstance.keybuffer];
     }
+
+    /**
+     * Create a block instance for key handling, including plugin block types
+     * @param {string} blockType
+     * @returns {BaseBlock}
+     * @private
+     */
+    _createBlock(blockType) {
+        return this.editorInstance.plugins?.createBlock(blockType) || BlockFactory.createBlock(blockType);
+    }
 }
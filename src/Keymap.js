@@ -0,0 +1,401 @@
+'use strict';
+
+import {log, logWarning} from "./utils/log.js";
+import {BlockFactory} from "@/blocks/BlockFactory.js";
+
+/**
+ * Keymap maps key combinations to editor actions.
+ *
+ * A key combination is written as modifiers and a key joined by '+', e.g.
+ * 'Mod+Shift+7'. 'Mod' is Ctrl, or Cmd on macOS; modifiers that are not listed
+ * must not be pressed. Letters and digits also match by physical key, so
+ * 'Mod+Shift+7' works on layouts where Shift+7 types another character.
+ *
+ * A binding is the name of an action (see ACTIONS) or command (see CommandManager), or a
+ * function (editor, event, blockElement) => boolean, where false lets the key
+ * through. Bindings are resolved in this order:
+ *
+ *   1. The keymap option of the editor; null unbinds a combination
+ *   2. Bindings of the current block's type, from its static getKeymap()
+ *   3. Global block bindings ({ global: true }) by block-type priority,
+ *      plugin block types first, then BlockFactory.getAllBlockTypes() order
+ *   4. DEFAULTS
+ *
+ * Plugin key bindings are dispatched by PluginManager before the keymap and
+ * are listed by getBindings() for reference.
+ */
+export class Keymap
+{
+    /**
+     * Default key bindings
+     * @type {Object<string, string>}
+     */
+    static DEFAULTS = {
+        'Mod+B': 'bold',
+        'Mod+I': 'italic',
+        'Mod+U': 'underline',
+        'Mod+Shift+X': 'strikethrough',
+        'Mod+E': 'inlineCode',
+        'Mod+K': 'link',
+        'Mod+Alt+0': 'paragraph',
+        'Mod+Alt+1': 'heading1',
+        'Mod+Alt+2': 'heading2',
+        'Mod+Alt+3': 'heading3',
+        'Mod+Alt+4': 'heading4',
+        'Mod+Alt+5': 'heading5',
+        'Mod+Alt+6': 'heading6',
+        'Mod+Shift+7': 'orderedList',
+        'Mod+Shift+8': 'bulletList',
+        'Mod+Shift+9': 'taskList',
+        'Mod+Z': 'undo',
+        'Mod+Shift+Z': 'redo',
+        'Mod+Y': 'redo',
+        'Alt+Shift+ArrowUp': 'moveBlockUp',
+        'Alt+Shift+ArrowDown': 'moveBlockDown'
+    };
+
+    /**
+     * Named actions bindings can refer to: a command with fixed arguments, see CommandManager
+     * @type {Object<string, {description: string, command: string, args?: Object}>}
+     */
+    static ACTIONS = {
+        bold: { description: 'Bold', command: 'toggleMark', args: { mark: 'bold' } },
+        italic: { description: 'Italic', command: 'toggleMark', args: { mark: 'italic' } },
+        underline: { description: 'Underline', command: 'toggleMark', args: { mark: 'underline' } },
+        strikethrough: { description: 'Strikethrough', command: 'toggleMark', args: { mark: 'strikethrough' } },
+        inlineCode: { description: 'Inline code', command: 'toggleMark', args: { mark: 'code' } },
+        link: { description: 'Insert or edit a link', command: 'link' },
+        paragraph: { description: 'Paragraph', command: 'setBlockType', args: { type: 'p' } },
+        heading1: { description: 'Heading 1', command: 'setBlockType', args: { type: 'h1' } },
+        heading2: { description: 'Heading 2', command: 'setBlockType', args: { type: 'h2' } },
+        heading3: { description: 'Heading 3', command: 'setBlockType', args: { type: 'h3' } },
+        heading4: { description: 'Heading 4', command: 'setBlockType', args: { type: 'h4' } },
+        heading5: { description: 'Heading 5', command: 'setBlockType', args: { type: 'h5' } },
+        heading6: { description: 'Heading 6', command: 'setBlockType', args: { type: 'h6' } },
+        orderedList: { description: 'Numbered list', command: 'setBlockType', args: { type: 'ol' } },
+        bulletList: { description: 'Bulleted list', command: 'setBlockType', args: { type: 'ul' } },
+        taskList: { description: 'Task list', command: 'setBlockType', args: { type: 'sq' } },
+        undo: { description: 'Undo', command: 'undo' },
+        redo: { description: 'Redo', command: 'redo' },
+        moveBlockUp: { description: 'Move block up', command: 'moveSelectedBlocks', args: { offset: -1 } },
+        moveBlockDown: { description: 'Move block down', command: 'moveSelectedBlocks', args: { offset: 1 } }
+    };
+
+    /**
+     * Modifiers in the order normalize() writes them
+     */
+    static MODIFIERS = ['Mod', 'Ctrl', 'Meta', 'Alt', 'Shift'];
+
+    /**
+     * @param {{ editor: object, bindings?: Object<string, string|Function|null> }} options
+     */
+    constructor({ editor, bindings = {} })
+    {
+        this.editor = editor;
+
+        /** @type {Map<string, string|Function|null>} Bindings from the editor options, by normalized combination */
+        this._overrides = new Map();
+        Object.entries(bindings || {}).forEach(([combo, binding]) => this.bind(combo, binding));
+    }
+
+    /**
+     * Bind a key combination for this editor, overriding defaults and block bindings
+     * @param {string} combo - e.g. 'Mod+Shift+L'
+     * @param {string|Function|null} binding - Action name, function, or null to unbind
+     * @returns {boolean} - false if the combination or binding is invalid
+     */
+    bind(combo, binding)
+    {
+        const keys = Keymap.normalize(combo);
+        if (!keys || !(binding === null || typeof binding === 'string' || typeof binding === 'function')) {
+            logWarning('Invalid key binding "' + combo + '"', 'Keymap.bind()');
+            return false;
+        }
+
+        this._overrides.set(keys, binding);
+        return true;
+    }
+
+    /**
+     * Remove a binding added with bind() or the keymap option
+     * @param {string} combo
+     * @returns {boolean} - true if there was one
+     */
+    unbind(combo)
+    {
+        return this._overrides.delete(Keymap.normalize(combo));
+    }
+
+    /**
+     * Run the binding matching a keydown event
+     * @param {KeyboardEvent} e
+     * @returns {boolean} - true if a binding handled the event
+     */
+    handleKeydown(e)
+    {
+        const entry = this.resolve(e);
+        if (!entry || entry.binding === null) {
+            return false;
+        }
+
+        const block = this.editor.currentBlock || null;
+        let handled;
+        try {
+            handled = typeof entry.binding === 'function'
+                ? entry.binding(this.editor, e, block)
+                : this._runAction(entry.binding);
+        } catch (error) {
+            logWarning('Error running key binding "' + entry.keys + '": ' + error.message, 'Keymap.handleKeydown()');
+            return false;
+        }
+
+        if (handled === false) {
+            return false;
+        }
+
+        log('handleKeydown()', 'Keymap.', { keys: entry.keys });
+        e.preventDefault();
+        return true;
+    }
+
+    /**
+     * Find the binding for a keydown event, see the class description for the order
+     * @param {KeyboardEvent} e
+     * @returns {?{keys: string, binding: string|Function|null, source: string, blockType: ?string}}
+     */
+    resolve(e)
+    {
+        const blockType = this.editor.currentBlock?.getAttribute?.('data-block-type') || null;
+
+        return this._getEntries(blockType).find(entry => Keymap.matches(entry.keys, e)) || null;
+    }
+
+    /**
+     * List the bindings in effect, e.g. to render a shortcut cheat sheet.
+     * Bindings of a block type only apply while the caret is in such a block.
+     * @returns {Array<{keys: string, action: ?string, description: string, source: string, blockType: ?string}>}
+     */
+    getBindings()
+    {
+        const entries = [];
+        const seen = new Set();
+        const add = (entry) => {
+            const id = (entry.blockType || '') + ' ' + entry.keys;
+            if (seen.has(id)) return;
+            seen.add(id);
+            if (entry.binding !== null) entries.push(entry);
+        };
+
+        // Plugin bindings are dispatched first, see PluginManager.handleKeydown()
+        (this.editor.plugins?.getKeymaps() || []).forEach(([combo, binding]) => add({
+            keys: Keymap.normalize(combo),
+            binding,
+            description: '',
+            source: 'plugin',
+            blockType: null
+        }));
+
+        this._getEntries(null).forEach(add);
+        this._getBlockClasses().forEach(([type, BlockClass]) => {
+            this._readBlockKeymap(type, BlockClass).filter(entry => !entry.global).forEach(add);
+        });
+
+        return entries.map(({ keys, binding, description, source, blockType }) => ({
+            keys,
+            action: typeof binding === 'string' ? binding : null,
+            description: description || (typeof binding === 'string' ? Keymap.ACTIONS[binding]?.description || binding : ''),
+            source,
+            blockType
+        }));
+    }
+
+    /**
+     * Bindings for a block type in resolution order
+     * @param {?string} blockType - Type of the current block, null for the global bindings only
+     * @returns {Array<{keys: string, binding: string|Function|null, description: string, source: string, blockType: ?string}>}
+     * @private
+     */
+    _getEntries(blockType)
+    {
+        const entries = Array.from(this._overrides.entries())
+            .map(([keys, binding]) => ({ keys, binding, description: '', source: 'options', blockType: null }));
+
+        const blocks = this._getBlockClasses().map(([type, BlockClass]) => this._readBlockKeymap(type, BlockClass));
+        const current = blocks.find(bindings => bindings.length > 0 && Keymap._isType(bindings[0].blockType, blockType));
+        if (current) {
+            entries.push(...current.filter(entry => !entry.global));
+        }
+        blocks.forEach(bindings => entries.push(...bindings
+            .filter(entry => entry.global)
+            .map(entry => ({ ...entry, blockType: null }))));
+
+        Object.entries(Keymap.DEFAULTS).forEach(([keys, binding]) => {
+            entries.push({ keys, binding, description: '', source: 'default', blockType: null });
+        });
+
+        return entries;
+    }
+
+    /**
+     * Block classes by block-type priority: plugin block types first, then BlockFactory.getAllBlockTypes() order
+     * @returns {Array<[string, Function]>}
+     * @private
+     */
+    _getBlockClasses()
+    {
+        const classes = [];
+        const add = (type, BlockClass) => {
+            if (BlockClass && !classes.some(([existing]) => existing === type)) {
+                classes.push([type, BlockClass]);
+            }
+        };
+
+        (this.editor.plugins?.getBlockTypes() || []).forEach(([type, BlockClass]) => add(type, BlockClass));
+
+        (BlockFactory.getAllBlockTypes?.() || []).forEach(type => add(type, BlockFactory.getBlockClass(type)));
+
+        return classes;
+    }
+
+    /**
+     * Read and normalize the bindings a block class contributes with static getKeymap()
+     * @param {string} type
+     * @param {Function} BlockClass
+     * @returns {Array<{keys: string, binding: string|Function, description: string, source: string, blockType: string, global: boolean}>}
+     * @private
+     */
+    _readBlockKeymap(type, BlockClass)
+    {
+        if (typeof BlockClass.getKeymap !== 'function') {
+            return [];
+        }
+
+        return Object.entries(BlockClass.getKeymap() || {}).map(([combo, value]) => {
+            const options = value && typeof value === 'object' ? value : { run: value };
+            return {
+                keys: Keymap.normalize(combo),
+                binding: options.action ?? options.run,
+                description: options.description || '',
+                source: 'block',
+                blockType: type,
+                global: !!options.global
+            };
+        }).filter(entry => entry.keys && entry.binding);
+    }
+
+    /**
+     * Run a named action, or a command with the same name.
+     * An action is handled even when its command cannot be executed, so that
+     * e.g. Ctrl+B in a code block does not fall back to the browser's bold.
+     * @param {string} name
+     * @returns {boolean}
+     * @private
+     */
+    _runAction(name)
+    {
+        const commands = this.editor.commands;
+        const action = Keymap.ACTIONS[name];
+        if (action) {
+            commands?.execute(action.command, action.args);
+            return true;
+        }
+
+        if (commands?.has(name)) {
+            return commands.execute(name) !== false;
+        }
+
+        logWarning('Unknown key binding action "' + name + '"', 'Keymap._runAction()');
+        return false;
+    }
+
+    /**
+     * Check whether a key combination matches a keyboard event
+     * @param {string} combo - e.g. 'Mod+Shift+7'
+     * @param {KeyboardEvent} e
+     * @param {boolean} [mac] - Mod is Cmd when true, Ctrl otherwise. Defaults to the current platform
+     * @returns {boolean}
+     */
+    static matches(combo, e, mac = Keymap.isMac())
+    {
+        const parts = combo.split('+').map(part => part.trim().toLowerCase());
+        const key = parts.pop();
+
+        const mod = parts.includes('mod');
+        const ctrl = parts.includes('ctrl') || (mod && !mac);
+        const meta = parts.includes('meta') || parts.includes('cmd') || (mod && mac);
+
+        const code = /^[a-z]$/.test(key) ? 'Key' + key.toUpperCase() : (/^[0-9]$/.test(key) ? 'Digit' + key : null);
+        const keyMatches = (e.key || '').toLowerCase() === key || (code !== null && e.code === code);
+
+        return keyMatches
+            && !!e.ctrlKey === ctrl
+            && !!e.metaKey === meta
+            && !!e.altKey === parts.includes('alt')
+            && !!e.shiftKey === parts.includes('shift');
+    }
+
+    /**
+     * Write a key combination in canonical form: modifiers in MODIFIERS order, capitalized
+     * @param {string} combo - e.g. 'shift+mod+b'
+     * @returns {string} - e.g. 'Mod+Shift+B', empty for an invalid combination
+     */
+    static normalize(combo)
+    {
+        if (typeof combo !== 'string' || !combo.trim()) {
+            return '';
+        }
+
+        const parts = combo.split('+').map(part => part.trim()).filter(Boolean);
+        const key = parts.pop() || '';
+        const aliases = { cmd: 'Meta', command: 'Meta', control: 'Ctrl', option: 'Alt' };
+        const modifiers = parts.map(part => aliases[part.toLowerCase()]
+            || Keymap.MODIFIERS.find(modifier => modifier.toLowerCase() === part.toLowerCase()) || null);
+
+        if (!key || modifiers.includes(null)) {
+            return '';
+        }
+
+        const sorted = Keymap.MODIFIERS.filter(modifier => modifiers.includes(modifier));
+        return [...sorted, key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1)].join('+');
+    }
+
+    /**
+     * Write a key combination for display, e.g. 'Ctrl+Shift+7' or '⌘⇧7' on macOS
+     * @param {string} combo
+     * @param {boolean} [mac] - Defaults to the current platform
+     * @returns {string}
+     */
+    static format(combo, mac = Keymap.isMac())
+    {
+        const parts = Keymap.normalize(combo).split('+');
+        if (!mac) {
+            return parts.map(part => 'Mod' === part ? 'Ctrl' : part).join('+');
+        }
+
+        const symbols = { Mod: '⌘', Meta: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+        return parts.map(part => symbols[part] || part).join('');
+    }
+
+    /**
+     * @returns {boolean} - true on macOS and iOS, where Mod is Cmd
+     */
+    static isMac()
+    {
+        return typeof navigator !== 'undefined' && /Mac|iPhone|iPad|iPod/.test(navigator.platform || navigator.userAgent || '');
+    }
+
+    /**
+     * @param {?string} bindingType - Block type a binding was contributed for
+     * @param {?string} blockType - data-block-type of the current block
+     * @returns {boolean}
+     * @private
+     */
+    static _isType(bindingType, blockType)
+    {
+        if (!bindingType || !blockType) {
+            return false;
+        }
+        const paragraph = ['p', 'paragraph'];
+        return bindingType === blockType || (paragraph.includes(bindingType) && paragraph.includes(blockType));
+    }
+}
@@ -0,0 +1,537 @@
+'use strict';
+
+import {log, logWarning} from "./utils/log.js";
+import {Utils} from "@/Utils.js";
+
+/**
+ * LinkPopover creates, edits and removes inline links.
+ *
+ * Ctrl/Cmd+K or the toolbar link button opens it for the selection: a new
+ * link wraps the selected text, inside an existing link the URL is edited.
+ * Hovering a link or placing the caret in it shows the same popover with
+ * buttons to open the link in a new tab or to unlink it.
+ *
+ * Only URLs accepted by Utils.isSafeUrl() are applied. Bare domains such as
+ * "example.com" get an https:// prefix, e-mail addresses a mailto: prefix.
+ */
+export class LinkPopover
+{
+    /**
+     * Delay before a hover popover closes once the pointer left the link
+     */
+    static HIDE_DELAY = 300;
+
+    /**
+     * @param {{ editor: object }} options
+     */
+    constructor({ editor })
+    {
+        this.editor = editor;
+
+        this.element = null;
+        this.input = null;
+        /** @type {?HTMLAnchorElement} The link being edited, null while creating one */
+        this.link = null;
+        /** @type {?Range} The selection a new link will wrap */
+        this.range = null;
+
+        this._hideTimer = null;
+        this._outsideHandler = null;
+
+        this._handlers = {
+            mouseover: (e) => this._handleMouseOver(e),
+            mouseout: (e) => this._handleMouseOut(e)
+        };
+        this._selectionHandler = () => this._handleSelectionChange();
+
+        const contentArea = editor.contentArea;
+        if (contentArea) {
+            Object.entries(this._handlers).forEach(([event, handler]) => contentArea.addEventListener(event, handler));
+        }
+        document.addEventListener('selectionchange', this._selectionHandler);
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isOpen()
+    {
+        return this.element !== null;
+    }
+
+    /**
+     * Handle Escape; Ctrl/Cmd+K is bound in Keymap.DEFAULTS
+     * @param {KeyboardEvent} e
+     * @returns {boolean} - true if the key was handled
+     */
+    handleKeydown(e)
+    {
+        if ('Escape' === e.key && this.isOpen()) {
+            e.preventDefault();
+            this.close();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Open the popover for the current selection: edit the link at the caret,
+     * or create a link from the selected text.
+     * @returns {boolean} - false if the selection is outside the editor or spans several blocks
+     */
+    openForSelection()
+    {
+        log('openForSelection()', 'LinkPopover.');
+
+        const range = this._getEditorRange();
+        if (!range) {
+            return false;
+        }
+
+        const link = this._findLink(range.startContainer);
+        if (link) {
+            this.open(link, { focus: true });
+            return true;
+        }
+
+        const blockElement = this._getBlockElement(range.startContainer);
+        if (!blockElement || blockElement !== this._getBlockElement(range.endContainer)
+            || 'code' === blockElement.getAttribute('data-block-type')) {
+            return false;
+        }
+
+        this.open(null, { range: range.cloneRange(), focus: true });
+        return true;
+    }
+
+    /**
+     * Open the popover for a link, or for a new link wrapping a range
+     * @param {?HTMLAnchorElement} link - The link to edit, null to create one
+     * @param {object} [options]
+     * @param {Range} [options.range] - Text the new link wraps
+     * @param {boolean} [options.focus=false] - Focus the URL input
+     */
+    open(link, { range = null, focus = false } = {})
+    {
+        log('open()', 'LinkPopover.');
+
+        this.close();
+
+        this.link = link;
+        this.range = range;
+
+        this.element = document.createElement('div');
+        this.element.className = 'bke-link-popover';
+        this.element.setAttribute('role', 'dialog');
+        this.element.addEventListener('mouseenter', () => this._cancelHide());
+        this.element.addEventListener('mouseleave', () => this._scheduleHide());
+
+        this.input = document.createElement('input');
+        this.input.type = 'url';
+        this.input.className = 'bke-link-popover-input';
+        this.input.placeholder = 'Paste or type a link';
+        this.input.setAttribute('aria-label', 'Link URL');
+        this.input.value = link ? link.getAttribute('href') || '' : '';
+        this.input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if ('Enter' === e.key) {
+                e.preventDefault();
+                this.apply();
+            } else if ('Escape' === e.key) {
+                e.preventDefault();
+                this.close();
+                this._restoreSelection();
+            }
+        });
+        this.input.addEventListener('input', () => this.input.classList.remove('bke-link-popover-input--invalid'));
+        this.element.appendChild(this.input);
+
+        this.element.appendChild(this._createButton('apply', 'Apply', () => this.apply()));
+        if (link) {
+            this.element.appendChild(this._createButton('open', 'Open', () => this.openLink(link)));
+            this.element.appendChild(this._createButton('unlink', 'Unlink', () => {
+                this.unlink(link);
+                this.close();
+            }));
+        }
+
+        (this.editor.instance || document.body).appendChild(this.element);
+        this._position();
+
+        this._outsideHandler = (e) => {
+            if (this.element && !this.element.contains(e.target) && !this._findLink(e.target)) {
+                this.close();
+            }
+        };
+        document.addEventListener('mousedown', this._outsideHandler);
+
+        if (focus) {
+            this.input.focus();
+            this.input.select();
+        }
+    }
+
+    /**
+     * Close the popover
+     */
+    close()
+    {
+        this._cancelHide();
+
+        if (this._outsideHandler) {
+            document.removeEventListener('mousedown', this._outsideHandler);
+            this._outsideHandler = null;
+        }
+
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+
+        this.input = null;
+        this.link = null;
+    }
+
+    /**
+     * Apply the URL typed into the popover. An empty URL removes the edited link.
+     * @returns {boolean} - false if the URL is not allowed
+     */
+    apply()
+    {
+        if (!this.input) {
+            return false;
+        }
+
+        const url = LinkPopover.normalizeUrl(this.input.value);
+        const link = this.link;
+
+        if (!url) {
+            if (link) {
+                this.unlink(link);
+            }
+            this.close();
+            return true;
+        }
+
+        if (!Utils.isSafeUrl(url)) {
+            this.input.classList.add('bke-link-popover-input--invalid');
+            return false;
+        }
+
+        const range = this.range;
+        this.close();
+
+        return link
+            ? this.updateLink(link, url)
+            : this.createLink(url, range) !== null;
+    }
+
+    /**
+     * Wrap a range in a link. A collapsed range inserts the URL as the link text.
+     * @param {string} url
+     * @param {Range} [range] - Defaults to the current selection
+     * @returns {?HTMLAnchorElement} - The new link, null if the URL or the range is invalid
+     */
+    createLink(url, range = this._getEditorRange())
+    {
+        log('createLink()', 'LinkPopover.', { url });
+
+        if (!Utils.isSafeUrl(url)) {
+            logWarning('Link URL is not allowed: ' + url, 'LinkPopover.createLink()');
+            return null;
+        }
+
+        const blockElement = range ? this._getBlockElement(range.startContainer) : null;
+        if (!blockElement || blockElement !== this._getBlockElement(range.endContainer)) {
+            return null;
+        }
+
+        const link = document.createElement('a');
+        link.setAttribute('href', url);
+
+        // Each link edit is its own undo step
+        this.editor.transaction(() => {
+            if (range.collapsed) {
+                link.textContent = url;
+            } else {
+                link.appendChild(range.extractContents());
+                // Links cannot be nested
+                link.querySelectorAll('a').forEach(nested => nested.replaceWith(...nested.childNodes));
+            }
+
+            range.insertNode(link);
+            this._placeCaretAfter(link);
+        });
+
+        return link;
+    }
+
+    /**
+     * Change the URL of a link
+     * @param {HTMLAnchorElement} link
+     * @param {string} url
+     * @returns {boolean} - false if the URL is not allowed
+     */
+    updateLink(link, url)
+    {
+        log('updateLink()', 'LinkPopover.', { url });
+
+        if (!Utils.isSafeUrl(url)) {
+            logWarning('Link URL is not allowed: ' + url, 'LinkPopover.updateLink()');
+            return false;
+        }
+
+        this.editor.transaction(() => link.setAttribute('href', url));
+        return true;
+    }
+
+    /**
+     * Replace a link with its text
+     * @param {HTMLAnchorElement} link
+     */
+    unlink(link)
+    {
+        log('unlink()', 'LinkPopover.');
+
+        if (!link.parentNode) {
+            return;
+        }
+
+        this.editor.transaction(() => {
+            const lastChild = link.lastChild;
+            link.replaceWith(...link.childNodes);
+            if (lastChild) {
+                this._placeCaretAfter(lastChild);
+            }
+        });
+    }
+
+    /**
+     * Open a link in a new tab
+     * @param {HTMLAnchorElement} link
+     */
+    openLink(link)
+    {
+        const url = link.getAttribute('href');
+        if (Utils.isSafeUrl(url)) {
+            window.open(url, '_blank', 'noopener,noreferrer');
+        }
+    }
+
+    /**
+     * Remove the popover and its listeners. Called when the editor is destroyed.
+     */
+    destroy()
+    {
+        this.close();
+
+        const contentArea = this.editor.contentArea;
+        if (contentArea) {
+            Object.entries(this._handlers).forEach(([event, handler]) => contentArea.removeEventListener(event, handler));
+        }
+        document.removeEventListener('selectionchange', this._selectionHandler);
+    }
+
+    /**
+     * Complete a URL typed without a protocol
+     * @param {string} value
+     * @returns {string}
+     */
+    static normalizeUrl(value)
+    {
+        const url = (value || '').trim();
+
+        if (!url || /^[a-z][a-z0-9+.-]*:/i.test(url) || /^[/#?.]/.test(url)) {
+            return url;
+        }
+
+        if (/^[^\s@/]+@[^\s@/]+\.[^\s@/]+$/.test(url)) {
+            return 'mailto:' + url;
+        }
+
+        return /^[^\s/]+\.[^\s/]+/.test(url) ? 'https://' + url : url;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} label
+     * @param {Function} action
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    _createButton(name, label, action)
+    {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'bke-link-popover-' + name;
+        button.textContent = label;
+        button.addEventListener('mousedown', (e) => e.preventDefault());
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            action();
+        });
+        return button;
+    }
+
+    /**
+     * Position the popover below the link or the selection
+     * @private
+     */
+    _position()
+    {
+        const target = this.link || this.range;
+        const rect = target && typeof target.getBoundingClientRect === 'function'
+            ? target.getBoundingClientRect()
+            : null;
+        if (!rect) return;
+
+        this.element.style.top = rect.bottom + 'px';
+        this.element.style.left = rect.left + 'px';
+    }
+
+    /**
+     * Get the selection range if it lies inside this editor
+     * @returns {?Range}
+     * @private
+     */
+    _getEditorRange()
+    {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0) {
+            return null;
+        }
+
+        const range = selection.getRangeAt(0);
+        const contentArea = this.editor.contentArea;
+        return contentArea && contentArea.contains(range.commonAncestorContainer) ? range : null;
+    }
+
+    /**
+     * @param {Node} node
+     * @returns {?HTMLAnchorElement} - The link containing the node, within this editor
+     * @private
+     */
+    _findLink(node)
+    {
+        const element = node && node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+        const link = element?.closest?.('a[href]');
+        return link && this.editor.contentArea?.contains(link) ? link : null;
+    }
+
+    /**
+     * @param {Node} node
+     * @returns {?HTMLElement}
+     * @private
+     */
+    _getBlockElement(node)
+    {
+        const element = node && node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+        return element?.closest?.('.bke-block') || null;
+    }
+
+    /**
+     * @param {Node} node
+     * @private
+     */
+    _placeCaretAfter(node)
+    {
+        const selection = window.getSelection();
+        if (!selection) return;
+
+        const range = document.createRange();
+        range.setStartAfter(node);
+        range.collapse(true);
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    /**
+     * Select the text a new link would have wrapped again
+     * @private
+     */
+    _restoreSelection()
+    {
+        const selection = window.getSelection();
+        if (!selection || !this.range) return;
+
+        selection.removeAllRanges();
+        selection.addRange(this.range);
+        this.range = null;
+    }
+
+    /**
+     * Show the popover while hovering a link
+     * @param {MouseEvent} e
+     * @private
+     */
+    _handleMouseOver(e)
+    {
+        const link = this._findLink(e.target);
+        if (!link) return;
+
+        this._cancelHide();
+        if (link !== this.link && !this._isEditing()) {
+            this.open(link);
+        }
+    }
+
+    /**
+     * @param {MouseEvent} e
+     * @private
+     */
+    _handleMouseOut(e)
+    {
+        if (this._findLink(e.target) && !this._isEditing()) {
+            this._scheduleHide();
+        }
+    }
+
+    /**
+     * Show the popover while the caret is inside a link, hide it once the caret left
+     * @private
+     */
+    _handleSelectionChange()
+    {
+        if (this._isEditing()) return;
+
+        const range = this._getEditorRange();
+        const link = range && range.collapsed ? this._findLink(range.startContainer) : null;
+
+        if (link && link !== this.link) {
+            this.open(link);
+        } else if (!link && this.link && range) {
+            this.close();
+        }
+    }
+
+    /**
+     * @returns {boolean} - true while the URL input has the focus
+     * @private
+     */
+    _isEditing()
+    {
+        return !!this.element && this.element.contains(document.activeElement);
+    }
+
+    /** @private */
+    _scheduleHide()
+    {
+        this._cancelHide();
+        this._hideTimer = setTimeout(() => {
+            this._hideTimer = null;
+            if (!this._isEditing()) {
+                this.close();
+            }
+        }, LinkPopover.HIDE_DELAY);
+    }
+
+    /** @private */
+    _cancelHide()
+    {
+        if (this._hideTimer) {
+            clearTimeout(this._hideTimer);
+            this._hideTimer = null;
+        }
+    }
+}
@@ -0,0 +1,268 @@
+'use strict';
+
+import {log} from "./utils/log.js";
+import {SyntaxHighlighter} from "./utils/syntaxHighlighter.js";
+
+/**
+ * MarkdownSource is the editable markdown view of an editor.
+ *
+ * A transparent textarea lies over a <pre><code> element that shows the
+ * same text highlighted by Prism, so the writer edits plain text while
+ * seeing the markdown syntax colored.
+ *
+ * open() loads the document with the caret at the current block. close()
+ * re-parses the edited markdown into blocks: blocks whose markdown did not
+ * change keep their ids, and the caret goes to the block that was under
+ * the caret in the source.
+ */
+export class MarkdownSource
+{
+    /**
+     * Indentation inserted by Tab, the nesting step of markdown lists
+     */
+    static INDENT = '  ';
+
+    /**
+     * @param {{ editor: object, readonly?: boolean }} options
+     */
+    constructor({ editor, readonly = false })
+    {
+        this.editor = editor;
+        this.readonly = readonly;
+
+        /** @type {string} The markdown loaded by open(), to detect edits */
+        this._loaded = '';
+        this._open = false;
+
+        this.element = document.createElement('div');
+        this.element.className = 'bke-markdown-source';
+
+        const pre = document.createElement('pre');
+        pre.className = 'language-markdown';
+        pre.setAttribute('aria-hidden', 'true');
+
+        this.code = document.createElement('code');
+        this.code.className = 'language-markdown';
+        pre.appendChild(this.code);
+
+        this.textarea = document.createElement('textarea');
+        this.textarea.className = 'bke-markdown-source-input';
+        this.textarea.setAttribute('spellcheck', 'false');
+        this.textarea.setAttribute('aria-label', 'Markdown source');
+        this.textarea.readOnly = readonly;
+
+        this.element.appendChild(pre);
+        this.element.appendChild(this.textarea);
+
+        this._handlers = {
+            input: () => this.highlight(),
+            keydown: (e) => this._handleKeydown(e)
+        };
+        Object.entries(this._handlers).forEach(([event, handler]) => this.textarea.addEventListener(event, handler));
+    }
+
+    /**
+     * @returns {boolean} - true between open() and close()
+     */
+    isOpen()
+    {
+        return this._open;
+    }
+
+    /**
+     * @returns {string} - The markdown in the source view
+     */
+    getValue()
+    {
+        return this.textarea.value || '';
+    }
+
+    /**
+     * Replace the markdown in the source view
+     * @param {string} markdown
+     */
+    setValue(markdown)
+    {
+        this.textarea.value = markdown || '';
+        this.highlight();
+    }
+
+    /**
+     * @returns {boolean} - true if the markdown was edited since open()
+     */
+    isDirty()
+    {
+        return this._open && this.getValue() !== this._loaded;
+    }
+
+    /**
+     * Load the document into the source view and place the caret at the current block
+     */
+    open()
+    {
+        log('open()', 'MarkdownSource.');
+
+        this._loaded = this.editor.getMarkdown();
+        this.setValue(this._loaded);
+        this._open = true;
+
+        const offset = this._getBlockOffset(this.editor.currentBlock);
+        this.textarea.focus?.();
+        this.textarea.setSelectionRange?.(offset, offset);
+    }
+
+    /**
+     * Apply the edited markdown to the blocks, keeping the source view open
+     * @returns {boolean} - true if the document was replaced
+     */
+    apply()
+    {
+        if (!this.isDirty() || this.readonly) {
+            return false;
+        }
+
+        log('apply()', 'MarkdownSource.');
+
+        this._loaded = this.getValue();
+        this.editor.setMarkdown(this._loaded, { keepIds: true });
+        return true;
+    }
+
+    /**
+     * Apply the edits and leave the source view
+     * @param {{ focus?: boolean }} [options] - focus: place the caret in the block under the source caret
+     * @returns {boolean} - true if the document was replaced
+     */
+    close({ focus = true } = {})
+    {
+        if (!this._open) {
+            return false;
+        }
+
+        log('close()', 'MarkdownSource.');
+
+        const blockIndex = this._getBlockIndexAtCaret();
+        const applied = this.apply();
+        this._open = false;
+
+        if (focus) {
+            this._focusBlock(blockIndex);
+        }
+        return applied;
+    }
+
+    /**
+     * Re-highlight the source. Called on every input.
+     */
+    highlight()
+    {
+        // A trailing newline needs content after it to be rendered as an empty line
+        const value = this.getValue();
+        this.code.innerHTML = SyntaxHighlighter.highlight(value.endsWith('\n') ? value + ' ' : value, 'markdown');
+    }
+
+    /**
+     * Remove the listeners. Called when the editor is destroyed.
+     */
+    destroy()
+    {
+        Object.entries(this._handlers).forEach(([event, handler]) => this.textarea.removeEventListener(event, handler));
+        this._open = false;
+    }
+
+    /**
+     * Tab indents, Shift+Tab outdents the lines of the selection
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    _handleKeydown(e)
+    {
+        if ('Tab' !== e.key || e.ctrlKey || e.metaKey || e.altKey || this.readonly) {
+            return;
+        }
+        e.preventDefault();
+
+        const indent = MarkdownSource.INDENT;
+        const value = this.getValue();
+        const { selectionStart: start, selectionEnd: end } = this.textarea;
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        const lines = value.slice(lineStart, end).split('\n');
+
+        let newStart = start;
+        let newEnd = end;
+        const changed = lines.map((line, index) => {
+            if (!e.shiftKey) {
+                if (index === 0) newStart += indent.length;
+                newEnd += indent.length;
+                return indent + line;
+            }
+            const removed = line.startsWith(indent) ? indent.length : line.length - line.trimStart().length;
+            if (index === 0) newStart -= Math.min(removed, start - lineStart);
+            newEnd -= removed;
+            return line.slice(removed);
+        }).join('\n');
+
+        this.setValue(value.slice(0, lineStart) + changed + value.slice(end));
+        this.textarea.setSelectionRange(newStart, Math.max(newStart, newEnd));
+    }
+
+    /**
+     * Get the offset of a block's markdown in the document markdown
+     * @param {?HTMLElement} blockElement
+     * @returns {number}
+     * @private
+     */
+    _getBlockOffset(blockElement)
+    {
+        const contentArea = this.editor.contentArea;
+        if (!blockElement || !contentArea) {
+            return 0;
+        }
+
+        // Blocks are joined with a blank line, see ContentSerializer.getMarkdown()
+        let offset = 0;
+        for (const element of contentArea.querySelectorAll('.bke-block')) {
+            if (element === blockElement) {
+                return Math.min(offset, this.getValue().length);
+            }
+            const markdown = this.editor.serializer.getBlockMarkdown(element);
+            if (markdown !== null) {
+                offset += markdown.length + 2;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Get the index of the block under the caret: the number of blocks the
+     * markdown up to the end of the caret line parses into, minus one.
+     * @returns {number}
+     * @private
+     */
+    _getBlockIndexAtCaret()
+    {
+        const value = this.getValue();
+        const caret = this.textarea.selectionStart ?? 0;
+        const lineEnd = value.indexOf('\n', caret);
+        const prefix = value.slice(0, lineEnd === -1 ? value.length : lineEnd);
+
+        return Math.max(0, this.editor._parseMarkdown(prefix).length - 1);
+    }
+
+    /**
+     * Place the caret at the start of the block with the given index
+     * @param {number} index
+     * @private
+     */
+    _focusBlock(index)
+    {
+        const blocks = this.editor.contentArea?.querySelectorAll('.bke-block') || [];
+        const block = blocks[Math.min(index, blocks.length - 1)];
+        if (!block) {
+            return;
+        }
+
+        this.editor.setCurrentBlock(block);
+        this.editor.placeCursorAtStart(this.editor.cursor.findEditableElementInBlock(block));
+    }
+}
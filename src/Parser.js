@@ -3,6 +3,9 @@
 import {log} from "@/utils/log.js";
 import {Block} from "@/Block.js";
 import {BlockFactory} from "@/blocks/BlockFactory.js";
+import {ListBlock} from "@/blocks/ListBlock.js";
+import {ImageBlock} from "@/blocks/ImageBlock.js";
+import {Utils} from "@/Utils.js";
 import {BlockType} from "@/BlockType";
 import showdown from "showdown";
 
@@ -16,19 +19,20 @@ export class Parser
      * Parse HTML string and return array of Block objects
      * Each block type is responsible for determining if it can parse the HTML
      * @param {string} htmlString
+     * @param {Function[]} [blockClasses=[]] - Additional block classes (e.g. from plugins), tried first
      * @returns {array<Block>} blocks
      */
-    static parseHtml(htmlString) {
+    static parseHtml(htmlString, blockClasses = []) {
         log('parseHtml()', 'Parser.'); console.log({htmlString});
 
         if (!htmlString || htmlString.trim() === '') return [];
 
         // Split HTML into individual block elements
         const blocks = [];
-        const blockElements = this.extractHtmlBlocks(htmlString);
+        const blockElements = this.extractHtmlBlocks(this.sanitizeLinks(htmlString));
         
         for (const htmlBlock of blockElements) {
-            const block = this.parseHtmlBlock(htmlBlock);
+            const block = this.parseHtmlBlock(htmlBlock, blockClasses);
             if (block) {
                 blocks.push(block);
             }
@@ -37,6 +41,22 @@ export class Parser
         return blocks;
     }
 
+    /**
+     * Unwrap links whose target is not allowed by Utils.isSafeUrl(), e.g. javascript: URLs.
+     * The link text is kept.
+     * @param {string} htmlString
+     * @returns {string}
+     */
+    static sanitizeLinks(htmlString) {
+        return htmlString.replace(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi, (match, attributes, text) => {
+            const href = attributes.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+            if (!href) {
+                return match;
+            }
+            return Utils.isSafeUrl(href[1] ?? href[2] ?? href[3]) ? match : text;
+        });
+    }
+
     /**
      * Extract individual HTML blocks from a string
      * @param {string} htmlString
@@ -44,7 +64,7 @@ export class Parser
      */
     static extractHtmlBlocks(htmlString) {
         const blocks = [];
-        const blockTags = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'div', 'pre', 'blockquote', 'ul', 'ol', 'table', 'img', 'del'];
+        const blockTags = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'div', 'pre', 'blockquote', 'ul', 'ol', 'table', 'img', 'del', 'figure'];
         const selfClosingTags = ['img', 'hr', 'br'];
         
         let currentPos = 0;
@@ -98,6 +118,13 @@ export class Parser
             
             if (endPos !== -1) {
                 const blockHtml = htmlString.slice(startPos, endPos);
+
+                // Only image figures are blocks, the content of other figures is extracted on its own
+                if ('figure' === tagName && !/<img\b/i.test(blockHtml)) {
+                    currentPos = startPos + tagStart.length;
+                    continue;
+                }
+
                 blocks.push(blockHtml);
                 currentPos = endPos;
             } else {
@@ -111,10 +138,11 @@ export class Parser
     /**
      * Parse a single HTML block by asking each block type if it can handle it
      * @param {string} htmlString - Single HTML block
+     * @param {Function[]} [extraBlockClasses=[]] - Additional block classes, tried before the built-in ones
      * @returns {Block|null} - Parsed block or null
      */
-    static parseHtmlBlock(htmlString) {
-        const blockClasses = BlockFactory.getAllBlockClasses();
+    static parseHtmlBlock(htmlString, extraBlockClasses = []) {
+        const blockClasses = [...extraBlockClasses, ...BlockFactory.getAllBlockClasses()];
         
         // Try each block type to see which one can parse this HTML
         for (const BlockClass of blockClasses) {
@@ -140,9 +168,10 @@ export class Parser
     /**
      * Parse markdown string and return array of Block objects
      * @param {string} markdownString
+     * @param {Function[]} [blockClasses=[]] - Additional block classes (e.g. from plugins), tried first
      * @returns {array<Block>} blocks
      */
-    static parse(markdownString) {
+    static parse(markdownString, blockClasses = []) {
         log('parse()', 'Parser.'); console.log({markdownString});
 
         if (!markdownString || markdownString.trim() === '') {
@@ -168,7 +197,7 @@ export class Parser
         const cleanHtml = this.cleanHtml(html);
         
         // Now parse the HTML into blocks using block-specific parsers
-        return this.parseHtml(cleanHtml);
+        return this.parseHtml(cleanHtml, blockClasses);
     }
 
     /**
@@ -189,6 +218,12 @@ export class Parser
             return `\n~~~${language}\n${content}\n~~~\n`;
         });
         
+        // Lists with nested items are converted before showdown sees them
+        processed = this.preprocessNestedLists(processed);
+
+        // Image captions, sizes and alignments are unknown to showdown
+        processed = this.preprocessImages(processed);
+
         // Pre-process task lists to ensure they're handled consistently
         // This prevents Showdown's native task list (which creates disabled checkboxes)
         // and ensures our custom interactive checkboxes are used instead
@@ -200,6 +235,97 @@ export class Parser
         return processed;
     }
 
+    /**
+     * Convert runs of list lines with nested items to HTML.
+     * Showdown only nests items indented by four spaces and knows no task items,
+     * so nested lists (including mixed ul/ol/task nesting) are built here.
+     * Runs without nesting are left to showdown.
+     * @param {string} markdownString
+     * @returns {string} - Processed markdown
+     */
+    static preprocessNestedLists(markdownString) {
+        const output = [];
+        let run = [];
+        let fence = null;
+
+        const flush = () => {
+            const items = run.length > 0 ? ListBlock.parseMarkdownItems(run.join('\n')) : null;
+            if (items && items.some(item => item.depth > 0)) {
+                // Top-level items of another type start a new list
+                const lists = [];
+                items.forEach(item => {
+                    if (item.depth === 0 && (lists.length === 0 || lists[lists.length - 1][0].type !== item.type)) {
+                        lists.push([]);
+                    }
+                    lists[lists.length - 1].push(item);
+                });
+                output.push('', ...lists.map(list => ListBlock.itemsToHtml(list) + '\n'));
+            } else {
+                output.push(...run);
+            }
+            run = [];
+        };
+
+        markdownString.split('\n').forEach(line => {
+            const fenceMatch = line.match(/^\s*(```|~~~)/);
+            if (fence) {
+                output.push(line);
+                if (fenceMatch && fenceMatch[1] === fence) {
+                    fence = null;
+                }
+                return;
+            }
+
+            if (fenceMatch) {
+                flush();
+                fence = fenceMatch[1];
+                output.push(line);
+                return;
+            }
+
+            if (/^\s*(\d+[.)]|[-*+])\s+/.test(line)) {
+                run.push(line);
+                return;
+            }
+
+            flush();
+            output.push(line);
+        });
+        flush();
+
+        return output.join('\n');
+    }
+
+    /**
+     * Convert images on their own line that have a caption or an attribute list to HTML,
+     * e.g. ![alt](src "caption"){width=320 align=center}, see ImageBlock.toMarkdown().
+     * Plain images are left to showdown.
+     * @param {string} markdownString
+     * @returns {string} - Processed markdown
+     */
+    static preprocessImages(markdownString) {
+        let fence = null;
+
+        return markdownString.split('\n').map(line => {
+            const fenceMatch = line.match(/^\s*(```|~~~)/);
+            if (fence || fenceMatch) {
+                if (!fence) {
+                    fence = fenceMatch[1];
+                } else if (fenceMatch && fenceMatch[1] === fence) {
+                    fence = null;
+                }
+                return line;
+            }
+
+            const match = line.trim().match(ImageBlock.MARKDOWN_REGEX);
+            if (!match || (match[3] === undefined && match[4] === undefined)) {
+                return line;
+            }
+
+            return '\n' + ImageBlock.parseFromMarkdown(line).toHtml() + '\n';
+        }).join('\n');
+    }
+
     /**
      * Clean HTML output from showdown
      * @param {string} html
@@ -215,7 +341,7 @@ export class Parser
                 const completedClass = checked === 'true' ? ' bke-task-completed' : '';
                 return `<li class="bke-task-list-item${completedClass}" data-block-type="sq"><input type="checkbox"${checkedAttr}> ${text}</li>`;
             })
-            .replace(/(<\/(?:h[1-6]|div|del|p|ol|ul|blockquote|pre|code)>)\s*(<(?:h[1-6]|div|del|p|ol|ul|blockquote|pre|code))/g, '$1\n$2')
+            .replace(/(<\/(?:h[1-6]|div|del|p|ol|ul|blockquote|pre|code)>)\s*(<(?:h[1-6]|div|p|ol|ul|blockquote|pre)\b)/g, '$1\n$2')
             .replace(/<h[1-6]\s+id="[^"]+"/g, match => match.replace(/\s+id="[^"]+"/, ''));
 
         // Group consecutive task list items into ul containers
@@ -225,17 +351,18 @@ export class Parser
     }
 
     /**
-     * Group consecutive task list items into proper ul containers
+     * Group consecutive task list items created from task-item markers into proper ul containers.
+     * Task lists that already are HTML (nested lists) have no data-block-type on their items.
      * @param {string} html
      * @returns {string} - HTML with grouped task lists
      */
     static groupTaskListItems(html) {
         // Find consecutive task list items and wrap them in ul
         return html.replace(
-            /(<li class="bke-task-list-item[^"]*"[^>]*>.*?<\/li>)(\s*<li class="bke-task-list-item[^"]*"[^>]*>.*?<\/li>)*/g,
+            /(<li class="bke-task-list-item[^"]*" data-block-type="sq"[^>]*>.*?<\/li>)(\s*<li class="bke-task-list-item[^"]*" data-block-type="sq"[^>]*>.*?<\/li>)*/g,
             (match) => {
                 // Extract individual li elements
-                const liElements = match.match(/<li class="bke-task-list-item[^"]*"[^>]*>.*?<\/li>/g) || [];
+                const liElements = match.match(/<li class="bke-task-list-item[^"]*" data-block-type="sq"[^>]*>.*?<\/li>/g) || [];
                 
                 if (liElements.length === 0) return match;
                 
@@ -5,6 +5,7 @@ import {EVENTS} from "@/utils/eventEmitter.js";
 import {Parser} from "@/Parser.js";
 import {Utils} from "./Utils.js";
 import {md2html} from "./ContentSerializer.js";
+import {ImageFileHandler} from "./ImageFileHandler.js";
 
 /**
  * Handles clipboard paste events for the editor.
@@ -28,6 +29,27 @@ export class PasteHandler
     {
         log('handle()', 'PasteHandler');
 
+        // Pasted image files, e.g. a screenshot, become image blocks
+        if (this.editor.imageFiles?.handlePaste(e)) {
+            this.editor.eventEmitter.emit(EVENTS.USER_PASTE, {
+                files: ImageFileHandler.getFiles(e.clipboardData).map(file => file.name),
+                timestamp: Date.now()
+            }, { source: 'user.paste' });
+
+            this.editor.update();
+            return;
+        }
+
+        // Tab- or comma-separated text pasted into a table cell fills the cells
+        if (this.editor.tableSelection?.handlePaste(e)) {
+            this.editor.eventEmitter.emit(EVENTS.USER_PASTE, {
+                text: e.clipboardData.getData('text/plain') || e.clipboardData.getData('text'),
+                table: true,
+                timestamp: Date.now()
+            }, { source: 'user.paste' });
+            return;
+        }
+
         e.preventDefault();
 
         const text    = (e.clipboardData || window.clipboardData).getData('text');
@@ -48,7 +70,7 @@ export class PasteHandler
                 .replace(/javascript:/gi, '');
 
             try {
-                const blocks = Parser.parseHtml(htmlData);
+                const blocks = Parser.parseHtml(htmlData, this.editor.plugins?.getBlockClasses());
 
                 if (blocks.length > 1) {
                     this.editor.transaction(() => {
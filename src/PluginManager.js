@@ -0,0 +1,510 @@
+'use strict';
+
+import {log, logWarning} from "./utils/log.js";
+import {BlockType} from "@/BlockType.js";
+import {Keymap} from "@/Keymap.js";
+
+/**
+ * PluginManager installs plugins into a single editor instance and keeps
+ * the contributions of every installed plugin.
+ *
+ * A plugin is a plain object:
+ *
+ *     {
+ *         name: 'callout',                                  // required, unique per editor
+ *         blocks: { callout: CalloutBlock },                // block type => block class
+ *         toolbar: [{ group: [{ class, icon, title, command }] }],
+ *         commands: { insertCallout: (editor, ...args) => {} },
+ *         keymap: { 'Mod+Shift+C': 'insertCallout' },       // command name or (editor, event) => boolean
+ *         markdown: { preprocess: (md, editor) => md, postprocess: (md, editor) => md },
+ *         serializer: { callout: { toMarkdown: (element, block) => '', toHtml: (element, block) => '' } },
+ *         install(editor, options) {},
+ *         uninstall(editor) {}
+ *     }
+ *
+ * Contributions are registered as soon as the plugin is used, so block
+ * classes and markdown processors already apply to the initial content.
+ * The install() hook runs once the editor DOM and toolbar exist.
+ *
+ * Block classes stay scoped to the editor, but block types are registered
+ * with BlockType for every editor on the page. They are unregistered when the
+ * last editor using them uninstalls its plugin.
+ */
+export class PluginManager
+{
+    /**
+     * Plugin managers using each block type contributed by plugins, and whether
+     * the type was registered for them
+     * @type {Map<string, {managers: Set<PluginManager>, registered: boolean}>}
+     */
+    static _blockTypeUsers = new Map();
+
+    /**
+     * @param {{ editor: object }} options
+     */
+    constructor({ editor })
+    {
+        this.editor = editor;
+
+        /** @type {Map<string, {plugin: Object, options: Object, blocks: Array, installed: boolean}>} */
+        this._plugins = new Map();
+        this._ready = false;
+    }
+
+    /**
+     * Install a plugin into this editor.
+     * @param {Object} plugin
+     * @param {Object} [options={}] - Passed to the plugin's install() hook
+     * @returns {boolean} - true if the plugin was installed
+     */
+    use(plugin, options = {})
+    {
+        log('use()', 'PluginManager.');
+
+        if (!plugin || typeof plugin !== 'object' || typeof plugin.name !== 'string' || !plugin.name) {
+            logWarning('Plugin must be an object with a name', 'PluginManager.use()');
+            return false;
+        }
+
+        if (this._plugins.has(plugin.name)) {
+            logWarning('Plugin "' + plugin.name + '" is already installed', 'PluginManager.use()');
+            return false;
+        }
+
+        const entry = { plugin, options, blocks: this._resolveBlocks(plugin), installed: false };
+        this._plugins.set(plugin.name, entry);
+
+        // Make contributed block types known to BlockType.isValid() and BaseBlock
+        this._retainBlockTypes(entry);
+
+        if (this._ready) {
+            this._install(entry);
+            if (plugin.toolbar) {
+                this.editor.refreshToolbar?.();
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Uninstall a plugin and drop its contributions.
+     * @param {string} name
+     * @returns {boolean} - true if the plugin was installed before
+     */
+    uninstall(name)
+    {
+        log('uninstall()', 'PluginManager.');
+
+        const entry = this._plugins.get(name);
+        if (!entry) {
+            return false;
+        }
+
+        this._plugins.delete(name);
+        this._releaseBlockTypes(entry);
+
+        if (entry.installed && typeof entry.plugin.uninstall === 'function') {
+            try {
+                entry.plugin.uninstall(this.editor);
+            } catch (error) {
+                logWarning('Error uninstalling plugin "' + name + '": ' + error.message, 'PluginManager.uninstall()');
+            }
+        }
+
+        if (entry.plugin.toolbar && this._ready) {
+            this.editor.refreshToolbar?.();
+        }
+
+        return true;
+    }
+
+    /**
+     * Run install() hooks of plugins registered before the editor was ready.
+     * Called by the editor once its DOM and toolbar exist.
+     */
+    installPending()
+    {
+        this._ready = true;
+        this._plugins.forEach(entry => {
+            if (!entry.installed) {
+                this._install(entry);
+            }
+        });
+    }
+
+    /**
+     * Uninstall all plugins. Called when the editor is destroyed.
+     */
+    destroy()
+    {
+        this._ready = false;
+        Array.from(this._plugins.keys()).reverse().forEach(name => this.uninstall(name));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name)
+    {
+        return this._plugins.has(name);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object|null} - The plugin object
+     */
+    get(name)
+    {
+        return this._plugins.get(name)?.plugin || null;
+    }
+
+    /**
+     * @returns {string[]} - Names of installed plugins in installation order
+     */
+    list()
+    {
+        return Array.from(this._plugins.keys());
+    }
+
+    /*
+     * BLOCKS
+     */
+
+    /**
+     * Get a block class contributed by a plugin
+     * @param {string} type
+     * @returns {Function|null}
+     */
+    getBlockClass(type)
+    {
+        for (const { blocks } of this._entries()) {
+            const blockEntry = blocks.find(([blockType]) => blockType === type);
+            if (blockEntry) {
+                return blockEntry[1];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get all block classes contributed by plugins
+     * @returns {Function[]}
+     */
+    getBlockClasses()
+    {
+        return this._entries().flatMap(({ blocks }) => blocks.map(([, BlockClass]) => BlockClass));
+    }
+
+    /**
+     * Get the block types contributed by plugins, in installation order
+     * @returns {Array<[string, Function]>} - [type, BlockClass] pairs
+     */
+    getBlockTypes()
+    {
+        return this._entries().flatMap(({ blocks }) => blocks);
+    }
+
+    /**
+     * Create an instance of a plugin block type
+     * @param {string} type
+     * @param {string} [content='']
+     * @param {string} [html='']
+     * @param {boolean} [nested=false]
+     * @returns {BaseBlock|null} - null if no plugin contributes the type
+     */
+    createBlock(type, content = '', html = '', nested = false)
+    {
+        const BlockClass = this.getBlockClass(type);
+        return BlockClass ? new BlockClass(content, html, nested) : null;
+    }
+
+    /**
+     * Find the plugin block class whose markdown trigger matches the text.
+     * @param {string} text
+     * @returns {{blockClass: Function, trigger: string}|null} - Longest matching trigger
+     */
+    findBlockClassForTrigger(text)
+    {
+        let bestMatch = null;
+
+        for (const BlockClass of this.getBlockClasses()) {
+            const triggers = typeof BlockClass.getMarkdownTriggers === 'function' ? BlockClass.getMarkdownTriggers() : [];
+            for (const trigger of triggers) {
+                if (text.startsWith(trigger) && (!bestMatch || trigger.length > bestMatch.trigger.length)) {
+                    bestMatch = { blockClass: BlockClass, trigger };
+                }
+            }
+        }
+
+        return bestMatch;
+    }
+
+    /*
+     * COMMANDS | KEYMAP
+     */
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    hasCommand(name)
+    {
+        return this._getCommand(name) !== null;
+    }
+
+    /**
+     * Names of the commands contributed by plugins
+     * @returns {string[]}
+     */
+    getCommandNames()
+    {
+        return [...new Set(this._entries().flatMap(({ plugin }) => Object.keys(plugin.commands || {})))];
+    }
+
+    /**
+     * Key bindings contributed by plugins, in the order handleKeydown() tries them
+     * @returns {Array<[string, string|Function]>} - [combo, command name or handler] pairs
+     */
+    getKeymaps()
+    {
+        return this._entries().flatMap(({ plugin }) => Object.entries(plugin.keymap || {}));
+    }
+
+    /**
+     * Execute a command contributed by a plugin
+     * @param {string} name
+     * @param {...*} args
+     * @returns {*} - The command's return value, or false if the command does not exist
+     */
+    execute(name, ...args)
+    {
+        log('execute()', 'PluginManager.', { name });
+
+        const command = this._getCommand(name);
+        if (!command) {
+            logWarning('Unknown command "' + name + '"', 'PluginManager.execute()');
+            return false;
+        }
+
+        try {
+            return command(this.editor, ...args);
+        } catch (error) {
+            logWarning('Error executing command "' + name + '": ' + error.message, 'PluginManager.execute()');
+            return false;
+        }
+    }
+
+    /**
+     * Run the plugin key binding matching a keydown event.
+     * @param {KeyboardEvent} e
+     * @returns {boolean} - true if a binding handled the event
+     */
+    handleKeydown(e)
+    {
+        for (const [combo, binding] of this.getKeymaps()) {
+            if (!PluginManager.matchesKey(combo, e)) continue;
+
+            const handled = typeof binding === 'function'
+                ? binding(this.editor, e)
+                : this.execute(binding);
+
+            if (handled !== false) {
+                e.preventDefault();
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Check whether a key combination such as 'Mod+Shift+C' matches a keyboard event.
+     * 'Mod' is Cmd on macOS and Ctrl elsewhere; modifiers that are not listed must not be pressed. See Keymap.matches().
+     * @param {string} combo
+     * @param {KeyboardEvent} e
+     * @returns {boolean}
+     */
+    static matchesKey(combo, e)
+    {
+        return Keymap.matches(combo, e);
+    }
+
+    /*
+     * MARKDOWN | SERIALIZER | TOOLBAR
+     */
+
+    /**
+     * Apply plugin markdown pre-processors before parsing
+     * @param {string} markdown
+     * @returns {string}
+     */
+    preprocessMarkdown(markdown)
+    {
+        return this._process(markdown, 'preprocess');
+    }
+
+    /**
+     * Apply plugin markdown post-processors to serialized markdown
+     * @param {string} markdown
+     * @returns {string}
+     */
+    postprocessMarkdown(markdown)
+    {
+        return this._process(markdown, 'postprocess');
+    }
+
+    /**
+     * Get the serializer rule a plugin registered for a block type.
+     * The last installed plugin wins.
+     * @param {string} type
+     * @returns {{toMarkdown?: Function, toHtml?: Function}|null}
+     */
+    getSerializerRule(type)
+    {
+        const entries = this._entries();
+        for (let i = entries.length - 1; i >= 0; i--) {
+            const rule = entries[i].plugin.serializer?.[type];
+            if (rule) {
+                return rule;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get toolbar sections contributed by plugins
+     * @returns {Array}
+     */
+    getToolbarConfig()
+    {
+        return this._entries().flatMap(({ plugin }) => plugin.toolbar || []);
+    }
+
+    /**
+     * @param {{plugin: Object, options: Object, blocks: Array, installed: boolean}} entry
+     * @private
+     */
+    _install(entry)
+    {
+        entry.installed = true;
+
+        if (typeof entry.plugin.install !== 'function') {
+            return;
+        }
+
+        try {
+            entry.plugin.install(this.editor, entry.options);
+        } catch (error) {
+            logWarning('Error installing plugin "' + entry.plugin.name + '": ' + error.message, 'PluginManager._install()');
+        }
+    }
+
+    /**
+     * Register the block types of a plugin, counting this editor as a user
+     * @param {{plugin: Object, options: Object, blocks: Array, installed: boolean}} entry
+     * @private
+     */
+    _retainBlockTypes(entry)
+    {
+        entry.blocks.forEach(([type]) => {
+            let users = PluginManager._blockTypeUsers.get(type);
+            if (!users) {
+                // Built-in types and types registered with BlockFactory stay registered
+                users = { managers: new Set(), registered: !BlockType.isValid(type) };
+                PluginManager._blockTypeUsers.set(type, users);
+                if (users.registered) {
+                    BlockType.register(type);
+                }
+            }
+            users.managers.add(this);
+        });
+    }
+
+    /**
+     * Unregister the block types of an uninstalled plugin that no editor uses anymore
+     * @param {{plugin: Object, options: Object, blocks: Array, installed: boolean}} entry
+     * @private
+     */
+    _releaseBlockTypes(entry)
+    {
+        entry.blocks.forEach(([type]) => {
+            const users = PluginManager._blockTypeUsers.get(type);
+
+            // Another plugin of this editor may contribute the same type
+            if (!users || this.getBlockClass(type) !== null) {
+                return;
+            }
+
+            users.managers.delete(this);
+            if (users.managers.size === 0) {
+                PluginManager._blockTypeUsers.delete(type);
+                if (users.registered) {
+                    BlockType.unregister(type);
+                }
+            }
+        });
+    }
+
+    /**
+     * @returns {Array<{plugin: Object, options: Object, blocks: Array, installed: boolean}>}
+     * @private
+     */
+    _entries()
+    {
+        return Array.from(this._plugins.values());
+    }
+
+    /**
+     * Resolve the [type, BlockClass] pairs a plugin contributes.
+     * @param {Object} plugin
+     * @returns {Array<[string, Function]>}
+     * @private
+     */
+    _resolveBlocks(plugin)
+    {
+        return Object.entries(plugin.blocks || {})
+            .filter(([, BlockClass]) => typeof BlockClass === 'function');
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Function|null}
+     * @private
+     */
+    _getCommand(name)
+    {
+        const entries = this._entries();
+        for (let i = entries.length - 1; i >= 0; i--) {
+            const command = entries[i].plugin.commands?.[name];
+            if (typeof command === 'function') {
+                return command;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} markdown
+     * @param {string} hook - 'preprocess' or 'postprocess'
+     * @returns {string}
+     * @private
+     */
+    _process(markdown, hook)
+    {
+        return this._entries().reduce((result, { plugin }) => {
+            const processor = plugin.markdown?.[hook];
+            if (typeof processor !== 'function') {
+                return result;
+            }
+            try {
+                const processed = processor(result, this.editor);
+                return typeof processed === 'string' ? processed : result;
+            } catch (error) {
+                logWarning('Error in ' + hook + ' of plugin "' + plugin.name + '": ' + error.message, 'PluginManager._process()');
+                return result;
+            }
+        }, markdown);
+    }
+}
@@ -0,0 +1,465 @@
+'use strict';
+
+import {log, logWarning} from "./utils/log.js";
+import {BlockType} from "@/BlockType.js";
+import {BlockFactory} from "@/blocks/BlockFactory.js";
+import {renderIcon} from "@/Toolbar.js";
+import {KeyHandler} from "@/KeyHandler.js";
+import {BlockManager} from "@/BlockManager.js";
+
+/**
+ * SlashMenu shows a filterable list of block types when "/" is typed at the
+ * start of a word in a text block. The text after the slash filters the list;
+ * Enter removes the "/query" text and converts the block, Escape closes the
+ * menu and keeps the typed text. Other text of the block is kept: a text block
+ * type converts the block with it, other block types are inserted after it.
+ *
+ * Block entries are built from every registered block class (built-in,
+ * BlockFactory.register() and plugins) using getToolbarConfig() for the
+ * label and icon. Integrators add their own entries:
+ *
+ *     editor.slashMenu.addItem({
+ *         id: 'template',
+ *         label: 'Insert template',
+ *         icon: 'fa-paragraph',
+ *         keywords: ['snippet'],
+ *         action: (editor, blockElement) => editor.insertBlock({ type: 'h2', data: { text: 'Template' } },
+ *             { afterId: blockElement.getAttribute('data-block-id') })
+ *     });
+ */
+export class SlashMenu
+{
+    /**
+     * Block types in which typing "/" opens the menu
+     */
+    static TRIGGER_BLOCK_TYPES = [
+        BlockType.PARAGRAPH, 'p',
+        BlockType.H1, BlockType.H2, BlockType.H3, BlockType.H4, BlockType.H5, BlockType.H6,
+        BlockType.QUOTE
+    ];
+
+    /**
+     * @param {object} options
+     * @param {object} options.editor - The owning editor instance
+     * @param {Array.<Object>} [options.items=[]] - Custom entries, see addItem()
+     */
+    constructor({ editor, items = [] })
+    {
+        this.editor = editor;
+
+        this.element = null;
+        this.blockElement = null;
+        this.query = '';
+        // Offset of the slash in the text of the block
+        this.slashOffset = 0;
+        this.activeIndex = 0;
+
+        /** @type {Array.<{id: string, label: string, icon?: string, keywords?: string[], action: Function}>} */
+        this._customItems = [];
+        this._visibleItems = [];
+        this._outsideHandler = null;
+
+        items.forEach(item => this.addItem(item));
+    }
+
+    /**
+     * Add a custom entry. An entry with the same id is replaced.
+     * @param {{id: string, label: string, icon?: string, keywords?: string[], action: Function}} item
+     *        action(editor, blockElement) runs after the "/query" text was removed from the block
+     * @returns {boolean} - false if the entry is invalid
+     */
+    addItem(item)
+    {
+        if (!item || !item.id || typeof item.action !== 'function') {
+            logWarning('Slash menu item needs an id and an action', 'SlashMenu.addItem()');
+            return false;
+        }
+
+        this.removeItem(item.id);
+        this._customItems.push({ label: item.id, keywords: [], ...item });
+        return true;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean} - true if the entry existed
+     */
+    removeItem(id)
+    {
+        const index = this._customItems.findIndex(item => item.id === id);
+        if (index === -1) {
+            return false;
+        }
+        this._customItems.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Get all entries: one per block type, followed by the custom entries
+     * @returns {Array.<{id: string, label: string, icon?: string, keywords: string[], action: Function}>}
+     */
+    getItems()
+    {
+        const items = [];
+        const seen = new Set();
+        const blockClasses = [
+            ...(this.editor.plugins?.getBlockClasses() || []),
+            ...BlockFactory.getAllBlockClasses()
+        ];
+
+        for (const BlockClass of blockClasses) {
+            let type;
+            try {
+                type = new BlockClass().type;
+            } catch (error) {
+                continue;
+            }
+            if (!type || seen.has(type)) continue;
+            seen.add(type);
+
+            const config = typeof BlockClass.getToolbarConfig === 'function' ? BlockClass.getToolbarConfig() : null;
+            const triggers = typeof BlockClass.getMarkdownTriggers === 'function' ? BlockClass.getMarkdownTriggers() : [];
+
+            items.push({
+                id: type,
+                label: config?.label || config?.title || type,
+                icon: config?.icon,
+                keywords: [type, ...triggers.map(trigger => trigger.trim())],
+                action: (editor, blockElement) => SlashMenu.applyBlockType(editor, blockElement, type)
+            });
+        }
+
+        return [...items, ...this._customItems];
+    }
+
+    /**
+     * Get the entries matching a query
+     * @param {string} query - Text typed after the slash
+     * @returns {Array.<Object>}
+     */
+    filter(query)
+    {
+        const needle = (query || '').trim().toLowerCase();
+        if (!needle) {
+            return this.getItems();
+        }
+
+        return this.getItems().filter(item =>
+            item.label.toLowerCase().includes(needle)
+            || item.id.toLowerCase().startsWith(needle)
+            || (item.keywords || []).some(keyword => keyword && keyword.toLowerCase().startsWith(needle))
+        );
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isOpen()
+    {
+        return this.element !== null;
+    }
+
+    /**
+     * Open, filter or close the menu after the text of a block changed.
+     * Called from the editor's input handler.
+     * @param {HTMLElement} blockElement
+     * @returns {boolean} - true if the menu is open and other input handling should be skipped
+     */
+    handleInput(blockElement)
+    {
+        const editable = this.editor.findEditableElementInBlock(blockElement) || blockElement;
+        const text = (editable.textContent || '').replace(/\u00A0/g, ' ');
+        const caret = SlashMenu.getCaretOffset(editable, text);
+
+        if (this.isOpen()) {
+            if (blockElement !== this.blockElement || text[this.slashOffset] !== '/' || caret <= this.slashOffset) {
+                this.close();
+                return false;
+            }
+
+            this.query = text.slice(this.slashOffset + 1, caret);
+            this.activeIndex = 0;
+            this._render();
+
+            // A space after a query without results gives up on the menu
+            if (this._visibleItems.length === 0 && this.query.endsWith(' ')) {
+                this.close();
+            }
+            return true;
+        }
+
+        // The slash starts a word: "and/or" and URLs do not open the menu
+        const blockType = blockElement.getAttribute('data-block-type');
+        if (/(^|\s)\/$/.test(text.slice(0, caret)) && SlashMenu.TRIGGER_BLOCK_TYPES.includes(blockType)) {
+            this.open(blockElement);
+            this.slashOffset = caret - 1;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Handle navigation keys while the menu is open
+     * @param {KeyboardEvent} e
+     * @returns {boolean} - true if the key was handled
+     */
+    handleKeydown(e)
+    {
+        if (!this.isOpen()) {
+            return false;
+        }
+
+        const count = this._visibleItems.length;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                e.preventDefault();
+                if (count > 0) {
+                    const step = 'ArrowDown' === e.key ? 1 : -1;
+                    this.activeIndex = (this.activeIndex + step + count) % count;
+                    this._render();
+                }
+                return true;
+            case 'Enter':
+            case 'Tab':
+                if (count === 0) {
+                    this.close();
+                    return false;
+                }
+                e.preventDefault();
+                this.select(this.activeIndex);
+                return true;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Open the menu below a block
+     * @param {HTMLElement} blockElement
+     */
+    open(blockElement)
+    {
+        log('open()', 'SlashMenu.');
+
+        this.close();
+
+        this.blockElement = blockElement;
+        this.query = '';
+        this.slashOffset = 0;
+        this.activeIndex = 0;
+
+        this.element = document.createElement('div');
+        this.element.className = 'bke-slash-menu';
+        this.element.setAttribute('role', 'listbox');
+        // Keep the caret in the block while clicking entries
+        this.element.addEventListener('mousedown', (e) => e.preventDefault());
+        this.element.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-index]');
+            if (button) {
+                this.select(Number(button.getAttribute('data-index')));
+            }
+        });
+
+        (this.editor.instance || document.body).appendChild(this.element);
+
+        this._outsideHandler = (e) => {
+            if (this.element && !this.element.contains(e.target)) {
+                this.close();
+            }
+        };
+        document.addEventListener('mousedown', this._outsideHandler);
+
+        this._render();
+    }
+
+    /**
+     * Close the menu, keeping the typed text
+     */
+    close()
+    {
+        if (this._outsideHandler) {
+            document.removeEventListener('mousedown', this._outsideHandler);
+            this._outsideHandler = null;
+        }
+
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+
+        this.blockElement = null;
+        this._visibleItems = [];
+    }
+
+    /**
+     * Run a visible entry: remove the "/query" text and apply the entry to the block
+     * @param {number} index - Index within the filtered entries
+     * @returns {boolean} - false if there is no such entry
+     */
+    select(index)
+    {
+        const item = this._visibleItems[index];
+        const blockElement = this.blockElement;
+        if (!item || !blockElement) {
+            return false;
+        }
+
+        log('select()', 'SlashMenu.', { id: item.id });
+
+        const start = this.slashOffset;
+        const end = start + 1 + this.query.length;
+        this.close();
+
+        const editable = this.editor.findEditableElementInBlock(blockElement) || blockElement;
+        SlashMenu.removeText(editable, start, end);
+        this.editor.placeCursorAtOffset(editable, start);
+
+        try {
+            item.action(this.editor, blockElement);
+        } catch (error) {
+            logWarning('Error running slash menu item "' + item.id + '": ' + error.message, 'SlashMenu.select()');
+        }
+
+        this.editor.update();
+        return true;
+    }
+
+    /**
+     * Apply a block type chosen in the menu to a block. An empty block is converted; the text
+     * of a block is kept by converting text blocks with their formatting, or by inserting
+     * another block type after the block.
+     * @param {Editor} editor
+     * @param {HTMLElement} blockElement
+     * @param {string} type
+     */
+    static applyBlockType(editor, blockElement, type)
+    {
+        if (editor.isBlockEmpty(blockElement)) {
+            editor.convertBlockType(blockElement, type, '');
+            return;
+        }
+
+        const id = blockElement.getAttribute('data-block-id');
+        if (BlockManager.CONVERTIBLE_TYPES.includes(type)) {
+            editor.convertBlocks([id], type);
+            return;
+        }
+
+        editor.transaction(() => {
+            const newId = editor.insertBlock({ type: BlockType.PARAGRAPH, data: { text: '' } }, { afterId: id });
+            const newElement = newId ? editor.contentArea.querySelector(`[data-block-id="${newId}"]`) : null;
+            if (newElement) {
+                editor.setCurrentBlock(newElement);
+                editor.convertBlockType(newElement, type, '');
+            }
+        });
+    }
+
+    /**
+     * Get the caret position as a character offset in the text of an element
+     * @param {HTMLElement} element
+     * @param {string} text - The text of the element
+     * @returns {number} - The end of the text when the caret is not in the element, e.g. for text set by a script
+     */
+    static getCaretOffset(element, text)
+    {
+        const selection = window.getSelection();
+        const range = selection?.rangeCount ? selection.getRangeAt(0) : null;
+        if (!range?.collapsed || !(range.startContainer instanceof Node) || !element.contains(range.startContainer)) {
+            return text.length;
+        }
+        return KeyHandler.getCursorOffsetInBlock(element, range);
+    }
+
+    /**
+     * Remove a range of characters from the text of an element, keeping its inline elements
+     * @param {HTMLElement} element
+     * @param {number} start - Character offset
+     * @param {number} end - Character offset after the last removed character
+     */
+    static removeText(element, start, end)
+    {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null);
+        let position = 0;
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const length = node.data.length;
+            const from = Math.max(start - position, 0);
+            const to = Math.min(end - position, length);
+            if (from < to) {
+                node.deleteData(from, to - from);
+            }
+            position += length;
+        }
+    }
+
+    /**
+     * Remove the menu. Called when the editor is destroyed.
+     */
+    destroy()
+    {
+        this.close();
+        this._customItems = [];
+    }
+
+    /**
+     * Render the filtered entries and position the menu below the block
+     * @private
+     */
+    _render()
+    {
+        if (!this.element) return;
+
+        this._visibleItems = this.filter(this.query);
+        const customIcons = this.editor._options?.icons || {};
+
+        this.element.innerHTML = '';
+
+        if (this._visibleItems.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'bke-slash-menu-empty';
+            empty.textContent = 'No results';
+            this.element.appendChild(empty);
+        }
+
+        this._visibleItems.forEach((item, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'bke-slash-menu-item';
+            button.setAttribute('role', 'option');
+            button.setAttribute('data-index', String(index));
+            button.setAttribute('data-id', item.id);
+
+            const isActive = index === this.activeIndex;
+            button.setAttribute('aria-selected', String(isActive));
+            button.classList.toggle('bke-slash-menu-item--active', isActive);
+
+            const icon = document.createElement('span');
+            icon.className = 'bke-slash-menu-icon';
+            if (item.icon) {
+                icon.innerHTML = renderIcon(item.icon, customIcons);
+            }
+
+            const label = document.createElement('span');
+            label.className = 'bke-slash-menu-label';
+            label.textContent = item.label;
+
+            button.append(icon, label);
+            this.element.appendChild(button);
+
+            if (isActive && typeof button.scrollIntoView === 'function') {
+                button.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        const rect = this.blockElement.getBoundingClientRect();
+        this.element.style.top = rect.bottom + 'px';
+        this.element.style.left = rect.left + 'px';
+    }
+}
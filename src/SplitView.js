@@ -0,0 +1,302 @@
+'use strict';
+
+import {log} from "./utils/log.js";
+import {EVENTS} from "./utils/eventEmitter.js";
+import {SyntaxHighlighter} from "./utils/syntaxHighlighter.js";
+
+/**
+ * SplitView shows the block editor side by side with a live markdown or
+ * HTML preview of the document.
+ *
+ * The preview is rendered block by block: every block gets a segment
+ * keyed on its data-block-id. The segment of the active block
+ * (bke-block--active) is highlighted, and scrolling either side scrolls
+ * the other one to the same block. The preview is re-rendered on every
+ * editor.updated event while the view is open.
+ */
+export class SplitView
+{
+    /**
+     * Preview formats: the serializer method for one block, the text between blocks and the Prism language
+     */
+    static PREVIEWS = {
+        markdown: { label: 'Markdown', method: 'getBlockMarkdown', separator: '\n\n', language: 'markdown' },
+        html: { label: 'HTML', method: 'getBlockHtml', separator: '\n', language: 'html' }
+    };
+
+    /**
+     * @param {{ editor: object }} options
+     */
+    constructor({ editor })
+    {
+        this.editor = editor;
+        this.preview = 'markdown';
+
+        this._open = false;
+        this._subscription = null;
+        /** @type {?HTMLElement} The pane whose next scroll event was caused by the other pane */
+        this._scrollLock = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'bke-split-preview bke-hidden';
+
+        const header = document.createElement('div');
+        header.className = 'bke-view-header';
+
+        const tabs = document.createElement('div');
+        tabs.className = 'bke-split-tabs';
+        tabs.setAttribute('role', 'group');
+        tabs.setAttribute('aria-label', 'Preview format');
+
+        this.tabs = {};
+        Object.entries(SplitView.PREVIEWS).forEach(([preview, { label }]) => {
+            const tab = document.createElement('button');
+            tab.className = 'bke-split-tab';
+            tab.setAttribute('type', 'button');
+            tab.setAttribute('data-preview', preview);
+            tab.setAttribute('aria-pressed', 'false');
+            tab.textContent = label;
+            tab.addEventListener('click', () => this.setPreview(preview));
+            tabs.appendChild(tab);
+            this.tabs[preview] = tab;
+        });
+
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'bke-copy-btn';
+        copyBtn.title = 'Copy to clipboard';
+        copyBtn.setAttribute('type', 'button');
+        copyBtn.textContent = 'Copy';
+        copyBtn.addEventListener('click', () => {
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(this.getValue()).then(() => {
+                    copyBtn.textContent = 'Copied!';
+                    setTimeout(() => { copyBtn.textContent = 'Copy'; }, 2000);
+                }).catch(() => {});
+            }
+        });
+
+        header.appendChild(tabs);
+        header.appendChild(copyBtn);
+
+        /** @type {HTMLElement} The scrolling pane of the preview */
+        this.scroller = document.createElement('pre');
+        this.scroller.className = 'bke-split-source';
+
+        this.code = document.createElement('code');
+        this.scroller.appendChild(this.code);
+
+        this.element.appendChild(header);
+        this.element.appendChild(this.scroller);
+
+        this._handlers = {
+            editorScroll: () => this._syncScroll(this.editor.contentArea, this.scroller),
+            previewScroll: () => this._syncScroll(this.scroller, this.editor.contentArea)
+        };
+    }
+
+    /**
+     * @returns {boolean} - true between open() and close()
+     */
+    isOpen()
+    {
+        return this._open;
+    }
+
+    /**
+     * Show the preview next to the block editor
+     * @param {'markdown'|'html'} [preview] - Preview format, the current one by default
+     */
+    open(preview = this.preview)
+    {
+        log('open()', 'SplitView.', { preview });
+
+        const instance = this.editor.instance;
+        instance.querySelector('.bke-editor-markdown')?.classList.add('bke-hidden');
+        instance.querySelector('.bke-editor-html')?.classList.add('bke-hidden');
+        this.editor.contentArea.classList.remove('bke-hidden');
+        instance.classList.add('bke-editor--split');
+        this.element.classList.remove('bke-hidden');
+
+        if (!this._open) {
+            this._open = true;
+            this._subscription = this.editor.eventEmitter.subscribe(EVENTS.EDITOR_UPDATED, () => this.render());
+            this.editor.contentArea.addEventListener('scroll', this._handlers.editorScroll);
+            this.scroller.addEventListener('scroll', this._handlers.previewScroll);
+        }
+
+        this.setPreview(SplitView.PREVIEWS[preview] ? preview : 'markdown');
+    }
+
+    /**
+     * Hide the preview. The block editor stays visible.
+     */
+    close()
+    {
+        if (!this._open) {
+            return;
+        }
+
+        log('close()', 'SplitView.');
+
+        this._open = false;
+        this._subscription?.unsubscribe();
+        this._subscription = null;
+        this.editor.contentArea?.removeEventListener('scroll', this._handlers.editorScroll);
+        this.scroller.removeEventListener('scroll', this._handlers.previewScroll);
+
+        this.editor.instance?.classList.remove('bke-editor--split');
+        this.element.classList.add('bke-hidden');
+    }
+
+    /**
+     * Switch the preview between markdown and HTML
+     * @param {'markdown'|'html'} preview
+     * @returns {boolean} - false for an unknown format
+     */
+    setPreview(preview)
+    {
+        if (!SplitView.PREVIEWS[preview]) {
+            return false;
+        }
+
+        this.preview = preview;
+        Object.entries(this.tabs).forEach(([name, tab]) => tab.setAttribute('aria-pressed', String(name === preview)));
+
+        if (this._open) {
+            this.render();
+        }
+        return true;
+    }
+
+    /**
+     * Re-render the preview from the blocks. Called on every editor.updated event.
+     */
+    render()
+    {
+        if (!this._open) {
+            return;
+        }
+
+        log('render()', 'SplitView.');
+
+        const { language } = SplitView.PREVIEWS[this.preview];
+        this.code.className = 'language-' + SyntaxHighlighter.normalizeLanguage(language);
+        this.code.innerHTML = '';
+
+        this._getSegments().forEach(({ id, text }) => {
+            const segment = document.createElement('div');
+            segment.className = 'bke-split-segment';
+            if (id) {
+                segment.setAttribute('data-block-id', id);
+            }
+            segment.innerHTML = SyntaxHighlighter.highlight(text, language);
+            this.code.appendChild(segment);
+        });
+
+        this.highlightActiveBlock();
+        this._syncScroll(this.editor.contentArea, this.scroller);
+    }
+
+    /**
+     * Highlight the segment of the active block. Called when the current block changes.
+     */
+    highlightActiveBlock()
+    {
+        if (!this._open) {
+            return;
+        }
+
+        const active = this.editor.contentArea.querySelector('.bke-block--active');
+        const activeId = active ? active.getAttribute('data-block-id') : null;
+
+        this.code.querySelectorAll('.bke-split-segment').forEach(segment => {
+            const isActive = activeId !== null && segment.getAttribute('data-block-id') === activeId;
+            segment.classList.toggle('bke-split-segment--active', isActive);
+        });
+    }
+
+    /**
+     * @returns {string} - The document in the preview format, as getMarkdown() or getHtml() returns it
+     */
+    getValue()
+    {
+        const { separator } = SplitView.PREVIEWS[this.preview];
+        return this._getSegments().map(({ text }) => text).join(separator).trim();
+    }
+
+    /**
+     * Close the view and remove the listeners. Called when the editor is destroyed.
+     */
+    destroy()
+    {
+        this.close();
+    }
+
+    /**
+     * Serialize every block in the preview format
+     * @returns {Array.<{id: ?string, text: string}>}
+     * @private
+     */
+    _getSegments()
+    {
+        const { method } = SplitView.PREVIEWS[this.preview];
+        const segments = [];
+
+        this.editor.contentArea.querySelectorAll('.bke-block').forEach(element => {
+            const text = this.editor.serializer[method](element);
+            if (text) {
+                segments.push({ id: element.getAttribute('data-block-id'), text });
+            }
+        });
+        return segments;
+    }
+
+    /**
+     * Scroll one pane so that it shows the block at the top of the other pane,
+     * at the same relative position within that block
+     * @param {HTMLElement} source - The pane that was scrolled
+     * @param {HTMLElement} target - The pane to scroll
+     * @private
+     */
+    _syncScroll(source, target)
+    {
+        if (this._scrollLock === source) {
+            this._scrollLock = null;
+            return;
+        }
+        if (!this._open) {
+            return;
+        }
+
+        const selector = source === this.scroller ? '.bke-split-segment' : '.bke-block';
+        const counterpartSelector = source === this.scroller ? '.bke-block' : '.bke-split-segment';
+
+        let scrollTop = 0;
+        if (source.scrollTop > 0 && source.scrollTop + source.clientHeight >= source.scrollHeight) {
+            scrollTop = target.scrollHeight;
+        } else if (source.scrollTop > 0) {
+            const top = source.getBoundingClientRect().top;
+            const anchor = Array.from(source.querySelectorAll(selector))
+                .find(item => item.getAttribute('data-block-id') && item.getBoundingClientRect().bottom > top);
+            const id = anchor?.getAttribute('data-block-id');
+            const counterpart = Array.from(target.querySelectorAll(counterpartSelector))
+                .find(item => item.getAttribute('data-block-id') === id);
+            if (!counterpart) {
+                return;
+            }
+
+            const rect = anchor.getBoundingClientRect();
+            const ratio = rect.height > 0 ? Math.min(1, Math.max(0, (top - rect.top) / rect.height)) : 0;
+            const counterpartRect = counterpart.getBoundingClientRect();
+            scrollTop = target.scrollTop + counterpartRect.top - target.getBoundingClientRect().top
+                + ratio * counterpartRect.height;
+        }
+
+        scrollTop = Math.max(0, Math.round(scrollTop));
+        const previous = target.scrollTop;
+        target.scrollTop = scrollTop;
+
+        // The scroll event this causes on the target must not scroll the source back
+        this._scrollLock = target.scrollTop !== previous ? target : null;
+    }
+}
@@ -0,0 +1,259 @@
+'use strict';
+
+import {log, logWarning} from "./utils/log.js";
+import {BlockType} from "@/BlockType.js";
+import {TableBlock} from "@/blocks/TableBlock.js";
+import {ImageFileHandler} from "./ImageFileHandler.js";
+
+/**
+ * TableFileHandler turns CSV and TSV files into table blocks.
+ *
+ * Files come from a file picker, see pick(), or are dropped onto the editor.
+ * A dropped file becomes a table at the drop position; otherwise the table is
+ * inserted after the current block, replacing an empty paragraph. The first
+ * line of the file is the header row.
+ *
+ * With { replaceId } as the position the file replaces the content of that
+ * table instead, which is the Import CSV action of the table menu.
+ */
+export class TableFileHandler
+{
+    /**
+     * Delimiters by file extension and MIME type
+     */
+    static DELIMITERS = {
+        'csv': ',',
+        'tsv': '\t',
+        'text/csv': ',',
+        'text/tab-separated-values': '\t'
+    };
+
+    /**
+     * The accept attribute of the file picker
+     */
+    static ACCEPT = '.csv,.tsv,text/csv,text/tab-separated-values';
+
+    /**
+     * @param {{ editor: object }} options
+     */
+    constructor({ editor })
+    {
+        this.editor = editor;
+
+        this._handlers = {
+            dragover: (e) => this._handleDragOver(e),
+            drop: (e) => this._handleDrop(e)
+        };
+        editor.contentArea.addEventListener('dragover', this._handlers.dragover);
+        editor.contentArea.addEventListener('drop', this._handlers.drop);
+    }
+
+    /**
+     * @param {File} file
+     * @returns {boolean} - true for CSV and TSV files
+     */
+    accepts(file)
+    {
+        return TableFileHandler.getDelimiter(file) !== null;
+    }
+
+    /**
+     * Read a file and insert it as a table, see insertText()
+     * @param {File} file
+     * @param {{afterId?: string, beforeId?: string, replaceId?: string}} [position]
+     * @param {{ delimiter?: string, header?: boolean }} [options] - The delimiter follows the file type by default
+     * @returns {Promise<?string>} - Id of the table
+     */
+    async insert(file, position = {}, { delimiter, header = true } = {})
+    {
+        const text = await TableFileHandler.readFile(file);
+        if (text === null) {
+            logWarning('Could not read ' + file?.name, 'TableFileHandler.insert()');
+            return null;
+        }
+
+        log('insert()', 'TableFileHandler.', { file: file.name });
+        return this.insertText(text, position, { delimiter: delimiter || TableFileHandler.getDelimiter(file) || ',', header });
+    }
+
+    /**
+     * Insert CSV or TSV text as a table, as one undo step
+     * @param {string} text
+     * @param {{afterId?: string, beforeId?: string, replaceId?: string}} [position] - After the current block when empty
+     * @param {{ delimiter?: string, header?: boolean }} [options] - See TableBlock.fromCSV()
+     * @returns {?string} - Id of the table, null if the text has no cells
+     */
+    insertText(text, position = {}, { delimiter = ',', header = true } = {})
+    {
+        const table = TableBlock.fromCSV(text, { delimiter, header });
+        if (table.getHeaders().length === 0 && table.getRows().length === 0) {
+            return null;
+        }
+
+        const editor = this.editor;
+        const data = table.toJSON();
+
+        // Alignment and widths of the replaced table belong to its old columns
+        if (position.replaceId) {
+            const replaced = editor.updateBlock(position.replaceId, { align: [], widths: [], hasHeader: true, ...data });
+            return replaced ? position.replaceId : null;
+        }
+
+        const target = this._getTarget(position);
+        const targetId = target?.getAttribute('data-block-id') || null;
+        const targetType = target?.getAttribute('data-block-type');
+        const replace = !!targetId && (BlockType.isParagraph(targetType) || 'p' === targetType) && editor.isBlockEmpty(target);
+
+        return editor.transaction(() => {
+            const anchor = position.beforeId && !replace ? { beforeId: position.beforeId } : (targetId ? { afterId: targetId } : {});
+            const id = editor.insertBlock({ type: BlockType.TABLE, data }, anchor);
+            if (!id) {
+                return null;
+            }
+
+            if (replace) {
+                editor.removeBlock(targetId);
+            }
+            editor.setCurrentBlock(editor._blockManager.getBlockElementById(id));
+            return id;
+        });
+    }
+
+    /**
+     * Let the user choose a CSV or TSV file and insert it, see insert()
+     * @param {{afterId?: string, beforeId?: string, replaceId?: string}} [position]
+     * @returns {HTMLInputElement} - The file input
+     */
+    pick(position = {})
+    {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = TableFileHandler.ACCEPT;
+        input.style.display = 'none';
+
+        input.addEventListener('change', () => {
+            const file = input.files?.[0];
+            input.remove();
+            if (file) {
+                this.insert(file, position);
+            }
+        });
+
+        document.body.appendChild(input);
+        input.click();
+        return input;
+    }
+
+    /**
+     * Remove the drop listeners. Called when the editor is destroyed.
+     */
+    destroy()
+    {
+        this.editor.contentArea?.removeEventListener('dragover', this._handlers.dragover);
+        this.editor.contentArea?.removeEventListener('drop', this._handlers.drop);
+    }
+
+    /**
+     * @param {?File} file
+     * @returns {?string} - ',' or '\t', null for other files
+     */
+    static getDelimiter(file)
+    {
+        const extension = String(file?.name || '').split('.').pop().toLowerCase();
+        const type = String(file?.type || '').toLowerCase();
+        return TableFileHandler.DELIMITERS[extension] || TableFileHandler.DELIMITERS[type] || null;
+    }
+
+    /**
+     * @param {File} file
+     * @returns {Promise<?string>} - The text of the file, null if it cannot be read
+     */
+    static readFile(file)
+    {
+        return new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(String(e.target.result ?? ''));
+            reader.onerror = () => resolve(null);
+
+            try {
+                reader.readAsText(file);
+            } catch (error) {
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Allow dropping files; text and block drags are left to the browser
+     * @param {DragEvent} e
+     * @private
+     */
+    _handleDragOver(e)
+    {
+        if (!Array.from(e.dataTransfer?.types || []).includes('Files')) {
+            return;
+        }
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    }
+
+    /**
+     * Insert dropped CSV and TSV files before or after the block under the pointer.
+     * Other files are left to ImageFileHandler.
+     * @param {DragEvent} e
+     * @private
+     */
+    async _handleDrop(e)
+    {
+        const files = ImageFileHandler.getFiles(e.dataTransfer).filter(file => this.accepts(file));
+        if (files.length === 0) {
+            return;
+        }
+
+        e.preventDefault();
+
+        const block = e.target?.closest?.('.bke-block');
+        const id = block?.getAttribute('data-block-id');
+        let position = { afterId: this._getLastId() };
+        if (id) {
+            // The upper half of a block drops before it
+            const rect = block.getBoundingClientRect();
+            position = e.clientY < rect.top + rect.height / 2 ? { beforeId: id } : { afterId: id };
+        }
+
+        // Several files follow each other
+        for (const file of files) {
+            const tableId = await this.insert(file, position);
+            if (tableId) {
+                position = { afterId: tableId };
+            }
+        }
+    }
+
+    /**
+     * @param {{afterId?: string, beforeId?: string}} position
+     * @returns {?HTMLElement} - The block the table is inserted next to
+     * @private
+     */
+    _getTarget(position)
+    {
+        const id = position.beforeId || position.afterId;
+        if (id) {
+            return this.editor._blockManager.getBlockElementById(id);
+        }
+
+        const current = this.editor.currentBlock;
+        return current?.isConnected && this.editor.contentArea.contains(current) ? current : null;
+    }
+
+    /**
+     * @returns {?string} - Id of the last block
+     * @private
+     */
+    _getLastId()
+    {
+        const blocks = this.editor.contentArea.querySelectorAll('.bke-block');
+        return blocks.length > 0 ? blocks[blocks.length - 1].getAttribute('data-block-id') : null;
+    }
+}
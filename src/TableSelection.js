@@ -0,0 +1,525 @@
+'use strict';
+
+import {log} from "./utils/log.js";
+import {Utils} from "./Utils.js";
+import {TableBlock} from "@/blocks/TableBlock.js";
+
+/**
+ * TableSelection edits tables like a spreadsheet.
+ *
+ * Arrow keys at the edge of the cell text move to the neighbouring cell, and out of the
+ * table from its first or last row. Shift+Arrow at the edge of the text, or Shift+click
+ * on another cell, selects a rectangle of cells (bke-table-cell--selected).
+ *
+ * While cells are selected:
+ *   • Shift+Arrow extends the selection, Arrow keys return to the focused cell
+ *   • Backspace/Delete clears the cells as one undo step
+ *   • Ctrl/Cmd+C and Ctrl/Cmd+X copy or cut them as tab-separated text and an HTML table
+ *   • Escape returns to text editing
+ * Any other key or a click ends the cell selection.
+ *
+ * Tab- or comma-separated text, e.g. copied from a spreadsheet, pasted into a cell fills
+ * the cells from there on and adds the rows and columns it needs, see handlePaste().
+ */
+export class TableSelection
+{
+    /**
+     * Keys moving between cells, as [row, column] offsets
+     */
+    static DIRECTIONS = {
+        ArrowUp: [-1, 0],
+        ArrowDown: [1, 0],
+        ArrowLeft: [0, -1],
+        ArrowRight: [0, 1]
+    };
+
+    /**
+     * @param {{ editor: object }} options
+     */
+    constructor({ editor })
+    {
+        this.editor = editor;
+
+        /** @type {?HTMLTableCellElement} The cell the selection is extended from */
+        this.anchor = null;
+        /** @type {?HTMLTableCellElement} The cell the selection was last extended to */
+        this.focus = null;
+        /** @type {HTMLTableCellElement[]} Selected cells by row */
+        this.cells = [];
+
+        this._handlers = {
+            mousedown: (e) => this._handleMouseDown(e),
+            copy: (e) => this._handleClipboard(e, false),
+            cut: (e) => this._handleClipboard(e, true)
+        };
+        editor.contentArea.addEventListener('mousedown', this._handlers.mousedown);
+        document.addEventListener('copy', this._handlers.copy);
+        document.addEventListener('cut', this._handlers.cut);
+    }
+
+    /**
+     * @returns {boolean} - true while cells are selected
+     */
+    isActive()
+    {
+        return this.cells.length > 0 && !!this.anchor?.isConnected && !!this.focus?.isConnected;
+    }
+
+    /**
+     * @returns {HTMLTableCellElement[]} - Selected cells still in the table, by row
+     */
+    getCells()
+    {
+        return this.isActive() ? this.cells.filter(cell => cell.isConnected) : [];
+    }
+
+    /**
+     * Select the rectangle of cells between two cells of the same table
+     * @param {HTMLTableCellElement} anchor
+     * @param {HTMLTableCellElement} [focus] - The anchor by default
+     * @returns {boolean} - false if the cells are not in the same table of this editor
+     */
+    select(anchor, focus = anchor)
+    {
+        const table = this._getTable(anchor);
+        if (!table || table !== this._getTable(focus)) {
+            return false;
+        }
+
+        log('select()', 'TableSelection.');
+
+        const [top, bottom] = [anchor.parentElement.rowIndex, focus.parentElement.rowIndex].sort((a, b) => a - b);
+        const [left, right] = [anchor.cellIndex, focus.cellIndex].sort((a, b) => a - b);
+        const cells = [];
+        for (let row = top; row <= bottom; row++) {
+            for (let column = left; column <= right; column++) {
+                const cell = table.rows[row]?.cells[column];
+                if (cell) {
+                    cells.push(cell);
+                }
+            }
+        }
+
+        this.anchor = anchor;
+        this.focus = focus;
+        this._render(cells);
+
+        return true;
+    }
+
+    /**
+     * Move the end of the selection by a number of rows and columns, see select()
+     * @param {number} rows - Negative to extend up
+     * @param {number} columns - Negative to extend left
+     * @returns {boolean} - false at the edge of the table
+     */
+    extend(rows, columns)
+    {
+        const cell = this._getCellAt(this.focus, rows, columns);
+        return !!cell && this.select(this.anchor, cell);
+    }
+
+    /**
+     * End the cell selection
+     * @param {{ focus?: boolean }} [options] - focus: put the caret at the end of the focused cell
+     */
+    clear({ focus = false } = {})
+    {
+        const target = this.focus;
+
+        this.cells.forEach(cell => cell.classList.remove('bke-table-cell--selected'));
+        target?.closest('.bke-block')?.classList.remove('bke-table--cell-selection');
+        this.cells = [];
+        this.anchor = null;
+        this.focus = null;
+
+        if (focus && target?.isConnected) {
+            this._focusCell(target, true);
+        }
+    }
+
+    /**
+     * Empty the selected cells, as one undo step
+     * @returns {boolean}
+     */
+    clearCells()
+    {
+        const cells = this.getCells();
+        if (cells.length === 0) {
+            return false;
+        }
+
+        this.editor.transaction(() => {
+            cells.forEach(cell => {
+                cell.innerHTML = '';
+            });
+            this.editor.update();
+        });
+
+        return true;
+    }
+
+    /**
+     * @returns {string[][]} - Text of the selected cells by row
+     */
+    getValues()
+    {
+        const rows = new Map();
+        this.getCells().forEach(cell => {
+            const row = cell.parentElement;
+            rows.set(row, [...(rows.get(row) || []), cell.textContent.trim()]);
+        });
+        return Array.from(rows.values());
+    }
+
+    /**
+     * Handle the cell navigation and selection keys
+     * @param {KeyboardEvent} e
+     * @returns {boolean} - true if the key was handled
+     */
+    handleKeydown(e)
+    {
+        if (this.editor.blockSelection?.isActive()) {
+            return false;
+        }
+
+        const direction = TableSelection.DIRECTIONS[e.key];
+        const command = e.ctrlKey || e.metaKey;
+
+        if (!this.isActive()) {
+            const cell = this._getCaretCell();
+            if (!cell || !direction || command || e.altKey || !this._isAtEdge(cell, e.key)) {
+                return false;
+            }
+
+            if (e.shiftKey) {
+                if (!this._getCellAt(cell, ...direction)) {
+                    return false;
+                }
+                e.preventDefault();
+                this.select(cell);
+                return this.extend(...direction);
+            }
+            if (!this._move(cell, e.key)) {
+                return false;
+            }
+            e.preventDefault();
+            return true;
+        }
+
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+            return false;
+        }
+
+        const key = (e.key || '').toLowerCase();
+
+        if (direction && e.shiftKey && !e.altKey && !command) {
+            e.preventDefault();
+            this.extend(...direction);
+            return true;
+        }
+
+        if ('Backspace' === e.key || 'Delete' === e.key) {
+            e.preventDefault();
+            this.clearCells();
+            return true;
+        }
+
+        if (command && !e.altKey && !e.shiftKey && ('c' === key || 'x' === key)) {
+            // The browser fires copy/cut, see _handleClipboard()
+            return true;
+        }
+
+        if ((direction && !e.altKey && !command) || 'Escape' === e.key) {
+            e.preventDefault();
+            this.clear({ focus: true });
+            return true;
+        }
+
+        // Any other key returns to text editing
+        this.clear({ focus: true });
+        return false;
+    }
+
+    /**
+     * Fill the cells with pasted tab- or comma-separated text from the current cell on,
+     * or from the first selected cell, as one undo step
+     * @param {ClipboardEvent} e
+     * @returns {boolean} - true if the text was pasted into the table
+     */
+    handlePaste(e)
+    {
+        const start = this.isActive() ? this.getCells()[0] : this._getCaretCell();
+        if (!start) {
+            return false;
+        }
+
+        const text = e.clipboardData?.getData('text/plain') || e.clipboardData?.getData('text') || '';
+        const delimiter = TableSelection.getDelimiter(text);
+        const block = this.editor.getBlockForElement(start.closest('.bke-block'));
+        if (!delimiter || typeof block?.setCells !== 'function') {
+            return false;
+        }
+
+        e.preventDefault();
+
+        const values = TableBlock.parseDelimited(text, delimiter);
+        log('handlePaste()', 'TableSelection.', { rows: values.length });
+
+        const table = start.closest('table');
+        const rowIndex = start.parentElement.rowIndex;
+        const columnIndex = start.cellIndex;
+        const cells = this.editor.transaction(() => {
+            const filled = block.setCells(table, rowIndex, columnIndex, values);
+            this.editor.update();
+            return filled;
+        }) || [];
+
+        // Select the pasted cells
+        if (cells.length > 1) {
+            this.select(cells[0], cells[cells.length - 1]);
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove the listeners and the selection. Called when the editor is destroyed.
+     */
+    destroy()
+    {
+        this.clear();
+        this.editor.contentArea?.removeEventListener('mousedown', this._handlers.mousedown);
+        document.removeEventListener('copy', this._handlers.copy);
+        document.removeEventListener('cut', this._handlers.cut);
+    }
+
+    /**
+     * The delimiter of pasted text that fills several cells. Text with a tab, or several lines,
+     * is tab-separated; several lines with the same number of commas are comma-separated.
+     * @param {string} text
+     * @returns {?string} - '\t', ',' or null for text that belongs in one cell
+     */
+    static getDelimiter(text)
+    {
+        const value = String(text ?? '').replace(/\r?\n$/, '');
+        if (value.includes('\t')) {
+            return '\t';
+        }
+        if (!/[\r\n]/.test(value)) {
+            return null;
+        }
+
+        const rows = TableBlock.parseDelimited(value, ',');
+        const columns = rows[0].length;
+        return columns > 1 && rows.every(row => row.length === columns) ? ',' : '\t';
+    }
+
+    /**
+     * Mark the selected cells and put the caret in the focused cell
+     * @param {HTMLTableCellElement[]} cells
+     * @private
+     */
+    _render(cells)
+    {
+        this.cells.forEach(cell => cell.classList.remove('bke-table-cell--selected'));
+        this.cells = cells;
+        this.cells.forEach(cell => cell.classList.add('bke-table-cell--selected'));
+        this.focus.closest('.bke-block')?.classList.add('bke-table--cell-selection');
+
+        this._focusCell(this.focus, true);
+    }
+
+    /**
+     * Move the caret to the neighbouring cell, or out of the table from its first or last row
+     * @param {HTMLTableCellElement} cell
+     * @param {string} key - See DIRECTIONS
+     * @returns {boolean} - false if there is nowhere to move
+     * @private
+     */
+    _move(cell, key)
+    {
+        const [rows, columns] = TableSelection.DIRECTIONS[key];
+        const target = rows !== 0 ? this._getCellAt(cell, rows, 0) : this._getNextCell(cell, columns);
+        if (target) {
+            // ArrowRight continues at the start of the next cell, the other keys at the end
+            this._focusCell(target, columns <= 0);
+            return true;
+        }
+        if (rows === 0) {
+            return false;
+        }
+
+        // Leave the table to the previous or next block
+        const block = cell.closest('.bke-block');
+        const sibling = rows < 0 ? block?.previousElementSibling : block?.nextElementSibling;
+        if (!sibling?.classList.contains('bke-block')) {
+            return false;
+        }
+
+        this.editor.setCurrentBlock(sibling);
+        const editable = this.editor.findEditableElementInBlock(sibling) || sibling;
+        if (rows < 0) {
+            this.editor.placeCursorAtEnd(editable);
+        } else {
+            this.editor.placeCursorAtStart(editable);
+        }
+        return true;
+    }
+
+    /**
+     * Focus a cell and put the caret at its start or end
+     * @param {HTMLTableCellElement} cell
+     * @param {boolean} atEnd
+     * @private
+     */
+    _focusCell(cell, atEnd)
+    {
+        cell.focus?.();
+        const block = cell.closest('.bke-block');
+        if (block && this.editor.currentBlock !== block) {
+            this.editor.setCurrentBlock(block);
+        }
+        if (atEnd) {
+            this.editor.placeCursorAtEnd(cell);
+        } else {
+            this.editor.placeCursorAtStart(cell);
+        }
+    }
+
+    /**
+     * @param {HTMLTableCellElement} cell
+     * @param {number} rows
+     * @param {number} columns
+     * @returns {?HTMLTableCellElement} - The cell the given number of rows and columns away
+     * @private
+     */
+    _getCellAt(cell, rows, columns)
+    {
+        const table = this._getTable(cell);
+        const row = table?.rows[cell.parentElement.rowIndex + rows];
+        const column = cell.cellIndex + columns;
+        return column >= 0 && row?.cells[column] || null;
+    }
+
+    /**
+     * @param {HTMLTableCellElement} cell
+     * @param {number} offset - 1 for the next cell, -1 for the previous one
+     * @returns {?HTMLTableCellElement} - The next or previous cell in reading order
+     * @private
+     */
+    _getNextCell(cell, offset)
+    {
+        const cells = Array.from(this._getTable(cell)?.querySelectorAll('th, td') || []);
+        const index = cells.indexOf(cell);
+        return index === -1 ? null : cells[index + offset] || null;
+    }
+
+    /**
+     * Whether the caret is at the edge of the cell text in the direction of a key:
+     * at the start or end for ArrowLeft/ArrowRight, on the first or last line for ArrowUp/ArrowDown
+     * @param {HTMLTableCellElement} cell
+     * @param {string} key - See DIRECTIONS
+     * @returns {boolean}
+     * @private
+     */
+    _isAtEdge(cell, key)
+    {
+        const selection = window.getSelection ? window.getSelection() : null;
+        if (!selection?.rangeCount || !selection.isCollapsed) {
+            return false;
+        }
+
+        const caret = selection.getRangeAt(0);
+        const range = document.createRange();
+        range.selectNodeContents(cell);
+        const backwards = 'ArrowUp' === key || 'ArrowLeft' === key;
+        if (backwards) {
+            range.setEnd(caret.startContainer, caret.startOffset);
+        } else {
+            range.setStart(caret.startContainer, caret.startOffset);
+        }
+
+        if ('ArrowLeft' === key || 'ArrowRight' === key) {
+            return range.toString().length === 0;
+        }
+
+        // No line break between the caret and the edge of the cell
+        const fragment = range.cloneContents();
+        const text = fragment.textContent.replace(backwards ? /\n$/ : /^\n/, '');
+        return !fragment.querySelector('br') && !text.includes('\n');
+    }
+
+    /**
+     * @returns {?HTMLTableCellElement} - The table cell of this editor with the caret
+     * @private
+     */
+    _getCaretCell()
+    {
+        const selection = window.getSelection ? window.getSelection() : null;
+        let node = selection?.rangeCount ? selection.anchorNode : document.activeElement;
+        if (node?.nodeType === Node.TEXT_NODE) {
+            node = node.parentElement;
+        }
+
+        const cell = node?.closest?.('th, td');
+        return cell && this._getTable(cell) ? cell : null;
+    }
+
+    /**
+     * @param {?HTMLElement} cell
+     * @returns {?HTMLTableElement} - The table of a cell in a table block of this editor
+     * @private
+     */
+    _getTable(cell)
+    {
+        const block = cell?.closest?.('.bke-block[data-block-type="table"]');
+        return block && this.editor.contentArea?.contains(block) ? cell.closest('table') : null;
+    }
+
+    /**
+     * Shift+click selects the cells from the caret cell to the clicked one, any other click ends the selection
+     * @param {MouseEvent} e
+     * @private
+     */
+    _handleMouseDown(e)
+    {
+        const cell = e.target?.closest?.('th, td');
+        const anchor = this.isActive() ? this.anchor : this._getCaretCell();
+
+        if (e.shiftKey && cell && anchor && anchor !== cell && this._getTable(cell) === this._getTable(anchor) && this._getTable(cell)) {
+            // Keep the browser from selecting text across the cells
+            e.preventDefault();
+            this.select(anchor, cell);
+            return;
+        }
+
+        this.clear();
+    }
+
+    /**
+     * Put the selected cells on the clipboard as tab-separated text and an HTML table
+     * @param {ClipboardEvent} e
+     * @param {boolean} cut - Empty the cells afterwards
+     * @private
+     */
+    _handleClipboard(e, cut)
+    {
+        if (!this.isActive() || !e.clipboardData) {
+            return;
+        }
+
+        const values = this.getValues();
+        const html = '<table>' + values.map(row =>
+            '<tr>' + row.map(value => '<td>' + Utils.escapeHTML(value) + '</td>').join('') + '</tr>'
+        ).join('') + '</table>';
+
+        e.preventDefault();
+        e.clipboardData.setData('text/plain', TableBlock.toDelimited(values, '\t'));
+        e.clipboardData.setData('text/html', html);
+
+        if (cut) {
+            this.clearCells();
+        }
+    }
+}
@@ -23,7 +23,7 @@ import { SyntaxHighlighter } from "./utils/syntaxHighlighter.js";
  * @param {Object} [customIcons={}] - Consumer-supplied overrides keyed by iconSpec
  * @returns {string} HTML string for the icon
  */
-function renderIcon(iconSpec, customIcons = {}) {
+export function renderIcon(iconSpec, customIcons = {}) {
     if (typeof iconSpec === 'function') return iconSpec();
     if (customIcons[iconSpec]) return customIcons[iconSpec];
     if (ICONS[iconSpec]) return ICONS[iconSpec];
@@ -55,6 +55,10 @@ export class Toolbar
         
         this.createToolbar(container, config, debug, this.customIcons);
         ToolbarHandlers.init(this);
+
+        // Keep undo/redo buttons in sync with the editor history
+        this._historySubscription = this.editorInstance?.eventEmitter?.subscribe?.(EVENTS.HISTORY_CHANGED, () => this.updateHistoryButtonStates());
+        this.updateHistoryButtonStates();
         
         // Emit toolbar initialization event
         eventEmitter.emit(EVENTS.EDITOR_INITIALIZED, {
@@ -70,14 +74,14 @@ export class Toolbar
     undo()
     {
         log('undo()', 'Toolbar.');
-        document.execCommand('undo');
+        this.editorInstance?.undo();
         this.after();
     }
     
     redo()
     {
         log('redo()', 'Toolbar.');
-        document.execCommand('redo');
+        this.editorInstance?.redo();
         this.after();
     }
     
@@ -153,7 +157,7 @@ export class Toolbar
     paragraph()
     {
         log('paragraph()', 'Toolbar.');
-        document.execCommand('formatBlock', false, '<p>');
+        this.editorInstance?.convertCurrentBlockOrCreate('p');
         this.after();
     }
     
@@ -164,30 +168,49 @@ export class Toolbar
     bold()
     {
         log('bold()', 'Toolbar.');
-        document.execCommand('bold');
-        this.after();
+        this.toggleMark('bold');
     }
     
     italic()
     {
         log('italic()', 'Toolbar.');
-        document.execCommand('italic');
-        this.after();
+        this.toggleMark('italic');
     }
     
     underline()
     {
         log('underline()', 'Toolbar.');
-        document.execCommand('underline');
-        this.after();
+        this.toggleMark('underline');
     }
     
     strikethrough()
     {
         log('strikethrough()', 'Toolbar.');
-        document.execCommand('strikeThrough');
+        this.toggleMark('strikethrough');
+    }
+
+    /**
+     * Add or remove an inline mark on the selection, see InlineFormatter
+     * @param {string} mark - 'bold', 'italic', 'underline', 'strikethrough' or 'code'
+     */
+    toggleMark(mark)
+    {
+        this.editorInstance?.formatter?.toggle(mark);
         this.after();
     }
+
+    /*
+     * LINK
+     */
+
+    /**
+     * Open the link popover for the selection. The popover updates the editor once the link is applied.
+     */
+    link()
+    {
+        log('link()', 'Toolbar.');
+        this.editorInstance?.linkPopover?.openForSelection();
+    }
     
     /**
      * Inserts unordered list
@@ -260,10 +283,7 @@ export class Toolbar
     inline()
     {
         log('inline()', 'Toolbar.');
-    
-        document.execCommand('formatBlock', false, '<code>');
-        
-        this.after();
+        this.toggleMark('code');
     }
     
     /**
@@ -363,26 +383,20 @@ export class Toolbar
         const contentArea = this.editorInstance?.contentArea;
         const textMd = this.container?.querySelector('.bke-editor-markdown');
         const textHtml = this.container?.querySelector('.bke-editor-html');
-        const btnText = this.container?.querySelector('.bke-toolbar-text');
-        const btnMarkdown = this.container?.querySelector('.bke-toolbar-markdown');
-        const btnHtml = this.container?.querySelector('.bke-toolbar-html');
+
+        this.editorInstance?.splitView?.close();
 
         contentArea?.classList.remove('bke-hidden');
         textMd?.classList.add('bke-hidden');
         textHtml?.classList.add('bke-hidden');
 
+        // Re-parse the edited markdown source and return the caret to its block
+        this.editorInstance?.markdownSource?.close();
+
         // Re-show debug tooltips now that the content area is visible again
         this.editorInstance?.debugTooltip?.show();
 
-        if (btnText) {
-            btnText.disabled = true;
-        }
-        if (btnMarkdown) {
-            btnMarkdown.disabled = false;
-        }
-        if (btnHtml) {
-            btnHtml.disabled = false;
-        }
+        this.updateViewButtonStates('text');
     }
 
     /**
@@ -395,9 +409,8 @@ export class Toolbar
         const contentArea = this.editorInstance?.contentArea;
         const textMd = this.container?.querySelector('.bke-editor-markdown');
         const textHtml = this.container?.querySelector('.bke-editor-html');
-        const btnText = this.container?.querySelector('.bke-toolbar-text');
-        const btnMarkdown = this.container?.querySelector('.bke-toolbar-markdown');
-        const btnHtml = this.container?.querySelector('.bke-toolbar-html');
+
+        this.editorInstance?.splitView?.close();
 
         contentArea?.classList.add('bke-hidden');
         textMd?.classList.remove('bke-hidden');
@@ -406,7 +419,9 @@ export class Toolbar
         // Hide debug tooltips — blocks are no longer visible
         this.editorInstance?.debugTooltip?.hide();
 
-        if (textMd && this.editorInstance) {
+        if (this.editorInstance?.markdownSource) {
+            this.editorInstance.markdownSource.open();
+        } else if (textMd && this.editorInstance) {
             const markdownContent = this.editorInstance.getMarkdown();
             const codeEl = textMd.querySelector('code');
             if (codeEl) {
@@ -414,15 +429,7 @@ export class Toolbar
             }
         }
 
-        if (btnText) {
-            btnText.disabled = false;
-        }
-        if (btnMarkdown) {
-            btnMarkdown.disabled = true;
-        }
-        if (btnHtml) {
-            btnHtml.disabled = false;
-        }
+        this.updateViewButtonStates('markdown');
     }
 
     /**
@@ -435,14 +442,16 @@ export class Toolbar
         const contentArea = this.editorInstance?.contentArea;
         const textMd = this.container?.querySelector('.bke-editor-markdown');
         const textHtml = this.container?.querySelector('.bke-editor-html');
-        const btnText = this.container?.querySelector('.bke-toolbar-text');
-        const btnMarkdown = this.container?.querySelector('.bke-toolbar-markdown');
-        const btnHtml = this.container?.querySelector('.bke-toolbar-html');
+
+        this.editorInstance?.splitView?.close();
 
         contentArea?.classList.add('bke-hidden');
         textMd?.classList.add('bke-hidden');
         textHtml?.classList.remove('bke-hidden');
 
+        // Apply edits made in the markdown source before showing the HTML
+        this.editorInstance?.markdownSource?.close({ focus: false });
+
         // Hide debug tooltips — blocks are no longer visible
         this.editorInstance?.debugTooltip?.hide();
 
@@ -454,15 +463,41 @@ export class Toolbar
             }
         }
 
-        if (btnText) {
-            btnText.disabled = false;
-        }
-        if (btnMarkdown) {
-            btnMarkdown.disabled = false;
-        }
-        if (btnHtml) {
-            btnHtml.disabled = true;
-        }
+        this.updateViewButtonStates('html');
+    }
+
+    /**
+     * Switch to split view: the blocks with a live preview next to them
+     */
+    split()
+    {
+        log('split()', 'Toolbar.');
+
+        this.editorInstance?.setViewMode?.('split');
+    }
+
+    /**
+     * Toolbar button of each view
+     */
+    static VIEW_BUTTONS = {
+        text: 'bke-toolbar-text',
+        markdown: 'bke-toolbar-markdown',
+        html: 'bke-toolbar-html',
+        split: 'bke-toolbar-split'
+    };
+
+    /**
+     * Disable the button of the current view and enable the others
+     * @param {string} mode - The current view, see Editor.setViewMode()
+     */
+    updateViewButtonStates(mode)
+    {
+        Object.entries(Toolbar.VIEW_BUTTONS).forEach(([view, className]) => {
+            const button = this.container?.querySelector('.' + className);
+            if (button) {
+                button.disabled = view === mode;
+            }
+        });
     }
 
     /**
@@ -489,6 +524,20 @@ export class Toolbar
         }
     }
 
+    /**
+     * Run an editor command, see CommandManager. Toolbar buttons with a command call this.
+     * @param {string} name
+     * @param {Object} [args]
+     * @returns {*} - The command's return value
+     */
+    execute(name, args)
+    {
+        log('execute()', 'Toolbar.', { name });
+        const result = this.editorInstance?.commands?.execute(name, args);
+        this.after();
+        return result;
+    }
+
     /**
      * Post-action hook: triggers editor update
      */
@@ -550,6 +599,7 @@ export class Toolbar
                     if (item.icon) button.innerHTML = renderIcon(item.icon, customIcons) + ' ' + button.textContent;
                     if (item.title) button.title = item.title;
                     if (item.disabled) button.disabled = true;
+                    Toolbar._setCommand(button, item);
                     li.appendChild(button);
                     ul.appendChild(li);
                 });
@@ -595,9 +645,11 @@ export class Toolbar
                 section.group.forEach(item => {
                     const button = document.createElement('button');
                     button.className = item.class;
+                    if (Object.values(Toolbar.MARK_BUTTONS).includes(item.class)) button.setAttribute('aria-pressed', 'false');
                     if (item.icon) button.innerHTML = renderIcon(item.icon, customIcons);
                     if (item.title) button.title = item.title;
                     if (item.disabled) button.disabled = true;
+                    Toolbar._setCommand(button, item);
                     group.appendChild(button);
                 });
             }
@@ -619,12 +671,31 @@ export class Toolbar
         }
         
         container.insertBefore(toolbar, container.firstChild);
+        this.element = toolbar;
+    }
+
+    /**
+     * Remove the toolbar element and its event listeners
+     */
+    destroy()
+    {
+        log('destroy()', 'Toolbar.');
+
+        ToolbarHandlers.cleanup(this.container);
+        this._historySubscription?.unsubscribe();
+        this._historySubscription = null;
+
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
     }
 
     /**
-     * Update toolbar button states based on the active block type.
-     * Disables buttons that are not applicable for the given block type
-     * and re-enables all others.
+     * Update toolbar button states for the current block: buttons whose command
+     * cannot be executed are disabled, and buttons with aria-pressed show whether
+     * their command is active. Button classes listed by the block class's
+     * deprecated getDisabledButtons() are disabled as well.
      * @param {string} blockType
      */
     updateButtonStates(blockType)
@@ -633,17 +704,27 @@ export class Toolbar
 
         if (!blockType) return;
 
-        const blockClass = BlockFactory.getBlockClass(blockType);
-        if (!blockClass) return;
-
-        const disabledButtons = blockClass.getDisabledButtons();
         this.resetButtonStates();
 
+        const commands = this.editorInstance?.commands;
+        if (commands) {
+            this.container.querySelectorAll('[data-command]').forEach(button => {
+                const { name, args } = Toolbar._getCommand(button);
+                if (!commands.canExecute(name, args)) {
+                    Toolbar._disable(button);
+                }
+                if (button.hasAttribute('aria-pressed')) {
+                    button.setAttribute('aria-pressed', String(commands.isActive(name, args)));
+                }
+            });
+        }
+
+        const blockClass = this.editorInstance?.plugins?.getBlockClass(blockType) || BlockFactory.getBlockClass(blockType);
+        const disabledButtons = typeof blockClass?.getDisabledButtons === 'function' ? blockClass.getDisabledButtons() : [];
         disabledButtons.forEach(buttonClass => {
             const button = this.container.querySelector(`.${buttonClass}`);
             if (button) {
-                button.disabled = true;
-                button.classList.add('disabled');
+                Toolbar._disable(button);
             }
         });
     }
@@ -665,6 +746,95 @@ export class Toolbar
                 button.classList.remove('disabled');
             }
         });
+
+        this.updateHistoryButtonStates();
+    }
+
+    /**
+     * Toolbar button of each inline mark
+     */
+    static MARK_BUTTONS = {
+        bold: 'bke-toolbar-bold',
+        italic: 'bke-toolbar-italic',
+        underline: 'bke-toolbar-underline',
+        strikethrough: 'bke-toolbar-strikethrough',
+        code: 'bke-toolbar-inline'
+    };
+
+    /**
+     * Show the inline marks active at the caret as pressed buttons (aria-pressed).
+     * @param {string[]} marks - Active marks, see InlineFormatter.getActiveMarks()
+     */
+    updateMarkStates(marks = [])
+    {
+        if (!this.container) return;
+
+        Object.entries(Toolbar.MARK_BUTTONS).forEach(([mark, buttonClass]) => {
+            const button = this.container.querySelector(`.${buttonClass}`);
+            if (button) {
+                button.setAttribute('aria-pressed', String(marks.includes(mark)));
+            }
+        });
+    }
+
+    /**
+     * Enable or disable the undo/redo buttons according to the editor history.
+     */
+    updateHistoryButtonStates()
+    {
+        const editor = this.editorInstance;
+        if (!editor || typeof editor.canUndo !== 'function' || !this.container) return;
+
+        const states = {
+            'bke-toolbar-undo': editor.canUndo(),
+            'bke-toolbar-redo': editor.canRedo()
+        };
+
+        Object.entries(states).forEach(([buttonClass, enabled]) => {
+            const button = this.container.querySelector(`.${buttonClass}`);
+            if (button) {
+                button.disabled = !enabled;
+                button.classList.toggle('disabled', !enabled);
+            }
+        });
+    }
+
+    /**
+     * Store the command of a button config on the button, see ToolbarHandlers
+     * @param {HTMLElement} button
+     * @param {{command?: string, args?: Object}} item
+     * @private
+     */
+    static _setCommand(button, item)
+    {
+        if (!item.command) return;
+
+        button.setAttribute('data-command', item.command);
+        if (item.args) {
+            button.setAttribute('data-command-args', JSON.stringify(item.args));
+        }
+    }
+
+    /**
+     * Read the command stored on a button by _setCommand()
+     * @param {HTMLElement} button
+     * @returns {{name: string, args: (Object|undefined)}}
+     * @private
+     */
+    static _getCommand(button)
+    {
+        const args = button.getAttribute('data-command-args');
+        return { name: button.getAttribute('data-command'), args: args ? JSON.parse(args) : undefined };
+    }
+
+    /**
+     * @param {HTMLElement} button
+     * @private
+     */
+    static _disable(button)
+    {
+        button.disabled = true;
+        button.classList.add('disabled');
     }
 
     /**
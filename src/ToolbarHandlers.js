@@ -48,9 +48,11 @@ export const ToolbarHandlers = {
     const listeners = [];
     ToolbarHandlers.eventListeners.set(container, listeners);
 
-    // Helper: bind a click handler scoped to this toolbar container
+    // Helper: bind a click handler scoped to this toolbar container.
+    // Buttons with a command are bound below instead.
     const on = (selector, handler) => {
         container.querySelectorAll(selector).forEach(btn => {
+            if (btn.getAttribute?.('data-command')) return;
             btn.addEventListener('click', handler);
             listeners.push({ element: btn, event: 'click', handler });
         });
@@ -84,6 +86,11 @@ export const ToolbarHandlers = {
     on('.bke-toolbar-underline',     (e) => { e.preventDefault(); toolbar.underline(); });
     on('.bke-toolbar-strikethrough', (e) => { e.preventDefault(); toolbar.strikethrough(); });
 
+    /*
+    * LINK
+    */
+    on('.bke-toolbar-link', (e) => { e.preventDefault(); toolbar.link(); });
+
     /*
     * UL | OL | SQ
     */
@@ -102,11 +109,25 @@ export const ToolbarHandlers = {
     on('.bke-toolbar-table', (e) => { e.preventDefault(); toolbar.table(); });
 
     /*
-    * TEXT | MARKDOWN | HTML
+    * TEXT | MARKDOWN | HTML | SPLIT
     */
     on('.bke-toolbar-text',     (e) => { e.preventDefault(); toolbar.text(); });
     on('.bke-toolbar-markdown', (e) => { e.preventDefault(); toolbar.markdown(); });
     on('.bke-toolbar-html',     (e) => { e.preventDefault(); toolbar.html(); });
+    on('.bke-toolbar-split',    (e) => { e.preventDefault(); toolbar.split(); });
+
+    /*
+    * COMMANDS: buttons configured with a command and args, see CommandManager
+    */
+    container.querySelectorAll('[data-command]').forEach(btn => {
+        const command = btn.getAttribute('data-command');
+        const args = btn.getAttribute('data-command-args');
+        const handler = ToolbarHandlers.createToolbarHandler(command, () => {
+            toolbar.execute(command, args ? JSON.parse(args) : undefined);
+        });
+        btn.addEventListener('click', handler);
+        listeners.push({ element: btn, event: 'click', handler });
+    });
 
     /*
     * DEBUG MODE TOGGLE
@@ -101,6 +101,94 @@ export class Utils
             "'": '&#39;',
             '"': '&quot;'
         }[tag]));
-    
-    
-}
\ No newline at end of file
+
+    /**
+     * URL protocols allowed in links. Relative URLs and anchors are always allowed.
+     * @type {string[]}
+     */
+    static ALLOWED_URL_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+    /**
+     * Check whether a URL may be used as a link target.
+     * Rejects javascript:, data: and any other protocol missing from ALLOWED_URL_PROTOCOLS,
+     * including variants obfuscated with whitespace, control characters or HTML entities.
+     * @param {string} url
+     * @returns {boolean}
+     */
+    static isSafeUrl(url)
+    {
+        if (typeof url !== 'string' || url.trim() === '') {
+            return false;
+        }
+
+        const fromCode = code => code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+        const decoded = url
+            .replace(/&#x([0-9a-f]+);?/gi, (match, code) => fromCode(parseInt(code, 16)))
+            .replace(/&#(\d+);?/g, (match, code) => fromCode(parseInt(code, 10)))
+            .replace(/&colon;/gi, ':')
+            .replace(/[\u0000-\u0020\u007F-\u009F]/g, '');
+
+        const protocol = decoded.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (!protocol) {
+            return true;
+        }
+
+        return Utils.ALLOWED_URL_PROTOCOLS.includes(protocol[1].toLowerCase() + ':');
+    }
+
+    /**
+     * Inline elements kept by sanitizeHtml(). Other elements are replaced by their content.
+     * @type {string[]}
+     */
+    static INLINE_TAGS = ['A', 'B', 'BR', 'CODE', 'DEL', 'EM', 'I', 'MARK', 'S', 'SPAN', 'STRIKE', 'STRONG', 'SUB', 'SUP', 'U'];
+
+    /**
+     * Elements removed by sanitizeHtml() together with their content
+     * @type {string[]}
+     */
+    static REMOVED_TAGS = ['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'IFRAME', 'OBJECT', 'EMBED'];
+
+    /**
+     * Reduce an HTML fragment to inline formatting, e.g. the text of a paragraph from JSON.
+     * Only INLINE_TAGS are kept and only the href and title of links; links failing isSafeUrl() are
+     * unwrapped like in Parser.sanitizeLinks(). Event handlers, images and scripts are dropped.
+     * @param {string} html
+     * @returns {string}
+     */
+    static sanitizeHtml(html)
+    {
+        if (!html || !html.includes('<')) {
+            return html || '';
+        }
+
+        const sanitize = (parent) => {
+            Array.from(parent.childNodes).forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE || Utils.REMOVED_TAGS.includes(node.tagName)) {
+                    node.remove();
+                    return;
+                }
+
+                sanitize(node);
+
+                const isLink = 'A' === node.tagName;
+                if (!Utils.INLINE_TAGS.includes(node.tagName) || (isLink && !Utils.isSafeUrl(node.getAttribute('href')))) {
+                    node.replaceWith(...node.childNodes);
+                    return;
+                }
+
+                Array.from(node.attributes).forEach(attribute => {
+                    if (!isLink || !['href', 'title'].includes(attribute.name)) {
+                        node.removeAttribute(attribute.name);
+                    }
+                });
+            });
+        };
+
+        const body = new DOMParser().parseFromString('<body>' + html + '</body>', 'text/html').body;
+        sanitize(body);
+        return body.innerHTML;
+    }
+}
@@ -26,12 +26,8 @@ export class BaseBlock
             type = BlockType.PARAGRAPH;
         }
         
-        // Only convert from HTML tag if it's not already a BlockType value
-        const blockTypeValues = [
-            BlockType.H1, BlockType.H2, BlockType.H3, BlockType.H4, BlockType.H5, BlockType.H6,
-            BlockType.PARAGRAPH, BlockType.CODE, BlockType.DELIMITER, BlockType.QUOTE,
-            BlockType.UL, BlockType.OL, BlockType.SQ, BlockType.TABLE, BlockType.IMAGE
-        ];
+        // Only convert from HTML tag if it's not already a BlockType value (built-in or registered)
+        const blockTypeValues = BlockType.getAll();
         
         if (!blockTypeValues.includes(type)) {
             type = BlockType.getBlockTypeFromHtmlTag(type);
@@ -193,12 +189,31 @@ export class BaseBlock
 
     /**
      * Get buttons that should be disabled when this block is active
+     * @deprecated Use getDisabledCommands(); toolbar buttons follow their command's availability
      * @returns {string[]} - array of button class names that should be disabled
      */
     static getDisabledButtons() {
         return []; // Override in subclasses
     }
 
+    /**
+     * Get commands that cannot be executed while this block is current, see CommandManager
+     * @returns {string[]} - command names, e.g. ['toggleMark', 'link']
+     */
+    static getDisabledCommands() {
+        return []; // Override in subclasses
+    }
+
+    /**
+     * Get key bindings for this block type, see Keymap.
+     * A binding applies while the caret is in a block of this type unless it is global.
+     * @returns {Object<string, string|Function|{action?: string, run?: Function, description?: string, global?: boolean}>}
+     *          - e.g. { 'Mod+Enter': { description: 'Exit', run: (editor, e, block) => true } }
+     */
+    static getKeymap() {
+        return {}; // Override in subclasses
+    }
+
     /**
      * Convert this block to markdown
      * @returns {string} - markdown representation
@@ -217,6 +232,24 @@ export class BaseBlock
         return this._html;
     }
 
+    /**
+     * Convert this block to a plain data object for the JSON document model
+     * @returns {Object} - block data
+     */
+    toJSON() {
+        this.syncFromElement();
+        return { text: this._content };
+    }
+
+    /**
+     * Create a block instance from data produced by toJSON()
+     * @param {Object} data - block data
+     * @returns {BaseBlock} - Block instance
+     */
+    static fromJSON(data = {}) {
+        return new this(data.text || '');
+    }
+
     /**
      * Render this block as an HTML element
      * @returns {HTMLElement} - DOM element representation
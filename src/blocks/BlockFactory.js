@@ -17,6 +17,8 @@ import {DelimiterBlock} from "@/blocks/DelimiterBlock";
 import {TableBlock} from "@/blocks/TableBlock";
 import {ImageBlock} from "@/blocks/ImageBlock";
 import {BlockType} from "@/BlockType";
+import {BlockInterfaceContract} from "@/interfaces/BlockInterface";
+import {logWarning} from "@/utils/log.js";
 
 /**
  * Factory class for creating block instances based on type
@@ -45,11 +47,101 @@ export class BlockFactory
     ]);
 
     /**
-     * Get all registered block classes
+     * Custom block classes added with register(), by type
+     * @type {Map<string, {BlockClass: Function, priority: number}>}
+     */
+    static customRegistry = new Map();
+
+    /**
+     * Register a custom block type.
+     * The type becomes valid for BlockType.isValid(), the parser, markdown
+     * triggers and serialization. Built-in types cannot be replaced.
+     * @param {string} type - Block type, stored in data-block-type
+     * @param {Function} BlockClass - Class extending BaseBlock
+     * @param {Object} [options={}]
+     * @param {number} [options.priority=0] - Detection order when parsing HTML; higher is tried first.
+     *                                        Negative values are tried after the built-in types.
+     * @returns {boolean} - true if the block type was registered
+     */
+    static register(type, BlockClass, { priority = 0 } = {}) {
+        if (!type || typeof type !== 'string') {
+            logWarning('Block type must be a non-empty string', 'BlockFactory.register()');
+            return false;
+        }
+
+        if (this.blockRegistry.has(type)) {
+            logWarning('Cannot replace built-in block type "' + type + '"', 'BlockFactory.register()');
+            return false;
+        }
+
+        if (typeof BlockClass !== 'function') {
+            logWarning('Block class for "' + type + '" must be a class', 'BlockFactory.register()');
+            return false;
+        }
+
+        // Register the type first so the validation instance keeps it instead of falling back to a paragraph
+        const wasKnown = BlockType.isValid(type);
+        BlockType.register(type);
+
+        if (!BlockInterfaceContract.validate(BlockClass)) {
+            if (!wasKnown) {
+                BlockType.unregister(type);
+            }
+            logWarning('Block class for "' + type + '" does not implement the block interface', 'BlockFactory.register()');
+            return false;
+        }
+
+        this.customRegistry.set(type, { BlockClass, priority: Number(priority) || 0 });
+        return true;
+    }
+
+    /**
+     * Remove a custom block type added with register()
+     * @param {string} type
+     * @returns {boolean} - true if the block type was registered before
+     */
+    static unregister(type) {
+        if (!this.customRegistry.delete(type)) {
+            return false;
+        }
+        BlockType.unregister(type);
+        return true;
+    }
+
+    /**
+     * Check whether a type was added with register()
+     * @param {string} type
+     * @returns {boolean}
+     */
+    static isRegistered(type) {
+        return this.customRegistry.has(type);
+    }
+
+    /**
+     * Get all registered block classes in detection order:
+     * custom classes by descending priority, the built-in classes, and the paragraph as fallback
      * @returns {Array} - Array of block classes
      */
     static getAllBlockClasses() {
-        return Array.from(this.blockRegistry.values());
+        return this.getAllBlockTypes().map(type => this.customRegistry.get(type)?.BlockClass || this.blockRegistry.get(type));
+    }
+
+    /**
+     * Get all registered block types in detection order, see getAllBlockClasses()
+     * @returns {string[]}
+     */
+    static getAllBlockTypes() {
+        const custom = Array.from(this.customRegistry.entries())
+            .sort(([, a], [, b]) => b.priority - a.priority);
+        const builtIn = Array.from(this.blockRegistry.keys());
+        const fallback = builtIn.pop();
+
+        return [
+            ...custom.filter(([, entry]) => entry.priority >= 0).map(([type]) => type),
+            ...builtIn,
+            ...custom.filter(([, entry]) => entry.priority < 0).map(([type]) => type),
+            fallback
+        ];
     }
 
     /**
@@ -69,6 +161,11 @@ export class BlockFactory
      * @returns {BaseBlock} - Block instance
      */
     static createBlock(type = '', content = '', html = '', nested = false) {
+        const custom = this.customRegistry.get(type);
+        if (custom) {
+            return new custom.BlockClass(content, html, nested);
+        }
+
         if (type === '' || type === BlockType.PARAGRAPH) {
             return new ParagraphBlock(content, html, nested);
         }
@@ -113,6 +210,11 @@ export class BlockFactory
      * @returns {Function|null} - Block class or null if not found
      */
     static getBlockClass(type) {
+        const custom = this.customRegistry.get(type);
+        if (custom) {
+            return custom.BlockClass;
+        }
+
         if (type === '' || type === BlockType.PARAGRAPH) {
             return ParagraphBlock;
         }
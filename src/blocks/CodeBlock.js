@@ -4,12 +4,50 @@ import {BaseBlock} from "@/blocks/BaseBlock";
 import {BlockType} from "@/BlockType";
 import {SyntaxHighlighter} from "@/utils/syntaxHighlighter";
 import {Utils} from "@/Utils";
+import {Editor} from "@/Editor";
 
 /**
- * Code block
+ * Code block.
+ *
+ * Enter keeps the indentation of the line and adds a level after an opening
+ * bracket or `:`, Tab and Shift+Tab indent and outdent the selected lines, and
+ * brackets and quotes are closed as they are typed. The codeBlock option of
+ * the editor configures the editing, see DEFAULTS:
+ *
+ *     codeBlock: {
+ *         indent: 2,          // spaces per level, '\t' by default
+ *         autoClose: false,   // brackets and quotes are closed by default
+ *         lineNumbers: true   // a line number gutter, off by default
+ *     }
  */
 export class CodeBlock extends BaseBlock
 {
+    /**
+     * Code editing without the codeBlock option
+     */
+    static DEFAULTS = {
+        indent: '\t',
+        autoClose: true,
+        lineNumbers: false
+    };
+
+    /**
+     * Closing character of each auto-closed bracket and quote
+     */
+    static PAIRS = {
+        '(': ')',
+        '[': ']',
+        '{': '}',
+        '"': '"',
+        "'": "'",
+        '`': '`'
+    };
+
+    /**
+     * Line endings after which Enter adds an indentation level
+     */
+    static INDENT_AFTER = /[{[(:]$/;
+
     constructor(content = '', html = '', nested = false, language = '') {
         super(BlockType.CODE, content, html, nested);
         this._language = language;
@@ -46,49 +84,68 @@ export class CodeBlock extends BaseBlock
     }
 
     /**
-     * Get buttons that should be disabled when a code block is active.
-     * Formatting actions don't apply inside <code> elements.
-     * @returns {string[]} - array of button class names to disable
-     */
-    static getDisabledButtons() {
-        return [
-            'bke-toolbar-bold',
-            'bke-toolbar-italic',
-            'bke-toolbar-underline',
-            'bke-toolbar-strikethrough',
-            'bke-toolbar-inline',
-        ];
-    }
-
-    /**
-     * Handle key press for code blocks
+     * Tab indents and Shift+Tab outdents the lines of the selection. Tab at a caret inserts one indentation level.
      * @param {KeyboardEvent} event
      * @param {string} text - current text content of the block
      * @returns {boolean} - true if key was handled, false otherwise
      */
     handleKeyPress(event, text) {
-        // Handle special formatting in code blocks
-        if (event.key === 'Tab') {
-            // Insert tab character instead of changing focus
-            event.preventDefault();
-            document.execCommand('insertText', false, '\t');
+        // KeyHandler also passes the keyup of a handled Tab
+        if (event.key !== 'Tab' || 'keyup' === event.type) {
+            return false;
+        }
+
+        // Insert the indentation instead of changing focus
+        event.preventDefault();
+        const edit = this.getEditContext(event);
+        if (!edit) {
+            document.execCommand('insertText', false, CodeBlock.getIndentUnit(CodeBlock.getOptions(event.target)));
+            return true;
+        }
+
+        const { code, value, start, end, options } = edit;
+        const unit = CodeBlock.getIndentUnit(options);
+        if (start === end && !event.shiftKey) {
+            this.replaceText(code, start, end, unit);
             return true;
         }
-        return false;
+
+        const change = CodeBlock.indentLines(value, start, end, unit, event.shiftKey);
+        this.replaceText(code, change.from, change.to, change.text, change.start, change.end);
+        return true;
     }
 
     /**
-     * Handle Enter key press for code blocks.
-     * Always return true to prevent the default "add new block" behavior.
-     * The browser's native contenteditable behavior inserts a newline, which
-     * is exactly what we want inside a code block.
-     * To create a new block below, use Ctrl+Enter (handled in KeyHandler).
+     * Enter inserts a line break with the indentation of the current line, one level more after
+     * an opening bracket or `:`. Between a pair of brackets the closing one moves to its own line.
+     * Returns true so that KeyHandler does not create a new block; without a caret in the code
+     * the browser inserts the line break. To create a new block below, use Ctrl+Enter.
      * @param {KeyboardEvent} event
      * @returns {boolean} - true (always handled)
      */
     handleEnterKey(event) {
-        // Don't call preventDefault — let the browser insert a newline.
-        // Return true so KeyHandler knows we handled it and won't create a new block.
+        const edit = this.getEditContext(event);
+        if (!edit) {
+            return true;
+        }
+
+        event.preventDefault();
+        const { code, value, start, end, options } = edit;
+        const line = value.slice(CodeBlock.getLineStart(value, start), start);
+        const indentation = line.match(/^[ \t]*/)[0];
+        const opening = line.trimEnd();
+
+        let insert = '\n' + indentation;
+        let after = '';
+        if (CodeBlock.INDENT_AFTER.test(opening)) {
+            insert += CodeBlock.getIndentUnit(options);
+            const closing = CodeBlock.PAIRS[opening.slice(-1)];
+            if (closing && closing === value[end]) {
+                after = '\n' + indentation;
+            }
+        }
+
+        this.replaceText(code, start, end, insert + after, start + insert.length);
         return true;
     }
 
@@ -126,6 +183,22 @@ export class CodeBlock extends BaseBlock
         return true;
     }
 
+    /**
+     * Ctrl/Cmd+Enter leaves the code block: Enter inserts a line break inside it
+     * @returns {Object} - key bindings, see Keymap
+     */
+    static getKeymap() {
+        return {
+            'Mod+Enter': {
+                description: 'Exit the code block',
+                run: (editor) => {
+                    editor.addDefaultBlock();
+                    return true;
+                }
+            }
+        };
+    }
+
     /**
      * Get markdown triggers for code blocks
      * @returns {Array<string>} - Array of markdown triggers
@@ -134,6 +207,19 @@ export class CodeBlock extends BaseBlock
         return ['```', '~~~'];
     }
 
+    /**
+     * Get toolbar configuration for code blocks
+     * @returns {Object} - toolbar button configuration
+     */
+    static getToolbarConfig() {
+        return {
+            class: 'bke-toolbar-code',
+            icon: 'fa-code',
+            title: 'Code Block',
+            group: 'blocks'
+        };
+    }
+
     /**
      * Apply code block transformation via toolbar
      * @param {HTMLElement} targetElement - The block DOM element to transform
@@ -177,6 +263,7 @@ export class CodeBlock extends BaseBlock
         // Create and append language selector
         const languageSelector = this.createLanguageSelector();
         targetElement.appendChild(languageSelector);
+        this.setupCodeEditing(targetElement);
         
         // Focus the code element
         requestAnimationFrame(() => {
@@ -252,6 +339,24 @@ export class CodeBlock extends BaseBlock
         return `<pre><code class="${classes}">${highlighted}</code></pre>`;
     }
 
+    /**
+     * Convert this code block to JSON data
+     * @returns {Object} - block data
+     */
+    toJSON() {
+        this.syncFromElement();
+        return { code: this._content, language: this._language || '' };
+    }
+
+    /**
+     * Create a code block from JSON data
+     * @param {Object} data - block data
+     * @returns {CodeBlock}
+     */
+    static fromJSON(data = {}) {
+        return new CodeBlock(data.code || '', '', false, data.language || '');
+    }
+
     /**
      * Render this code block as an HTML element
      * @returns {HTMLElement} - DOM element representation
@@ -285,6 +390,7 @@ export class CodeBlock extends BaseBlock
         
         element.appendChild(pre);
         element.appendChild(languageSelector);
+        this.setupCodeEditing(element);
         
         return element;
     }
@@ -354,6 +460,301 @@ export class CodeBlock extends BaseBlock
                 code.classList.add(normalizedLang);
                 code.classList.add(`language-${this._language}`);
             }
+
+            this.updateLineNumbers(element);
+        }
+    }
+
+    /**
+     * Close brackets and quotes as they are typed and keep the line numbers in sync with the code
+     * @param {HTMLElement} element - The code block element
+     */
+    setupCodeEditing(element) {
+        const code = element?.querySelector('code');
+        if (!code) return;
+
+        code.addEventListener('beforeinput', (e) => this.handleBeforeInput(e));
+        code.addEventListener('input', () => this.updateLineNumbers(element));
+
+        // The codeBlock option is known once the block is in the editor
+        setTimeout(() => this.updateLineNumbers(element), 0);
+    }
+
+    /**
+     * Auto-close brackets and quotes: an opening character inserts the pair or wraps the selection,
+     * the closing character steps over the one after the caret, and Backspace removes an empty pair
+     * @param {InputEvent} event
+     * @returns {boolean} - true if the input was handled
+     */
+    handleBeforeInput(event) {
+        const edit = this.getEditContext(event);
+        if (!edit || !edit.options.autoClose) return false;
+
+        const { code, value, start, end } = edit;
+        const closings = Object.values(CodeBlock.PAIRS);
+
+        if ('deleteContentBackward' === event.inputType) {
+            if (start !== end || start === 0 || CodeBlock.PAIRS[value[start - 1]] !== value[start]) return false;
+
+            event.preventDefault();
+            this.replaceText(code, start - 1, start + 1, '');
+            return true;
+        }
+
+        // Text inserted by replaceText() is longer than one character
+        const char = event.data;
+        if ('insertText' !== event.inputType || !char || char.length !== 1) return false;
+
+        if (start === end && value[start] === char && closings.includes(char)) {
+            event.preventDefault();
+            CodeBlock.setSelectionOffsets(code, start + 1);
+            return true;
+        }
+
+        const closing = CodeBlock.PAIRS[char];
+        if (!closing) return false;
+
+        if (start !== end) {
+            event.preventDefault();
+            this.replaceText(code, start, end, char + value.slice(start, end) + closing, start + 1, end + 1);
+            return true;
+        }
+
+        // Pairs go before whitespace or a closing character; a quote after a word is an apostrophe
+        const next = value[start] || '';
+        if ((next && !/\s/.test(next) && !closings.includes(next)) || (char === closing && /\w/.test(value[start - 1] || ''))) {
+            return false;
+        }
+
+        event.preventDefault();
+        this.replaceText(code, start, end, char + closing, start + 1);
+        return true;
+    }
+
+    /**
+     * The code element of an event with the selection in it as text offsets
+     * @param {Event} event
+     * @returns {?{code: HTMLElement, value: string, start: number, end: number, options: Object}} - null without a selection in the code
+     */
+    getEditContext(event) {
+        const code = event?.target?.closest?.('[data-block-type="code"] code');
+        const offsets = code ? CodeBlock.getSelectionOffsets(code) : null;
+        if (!offsets) return null;
+
+        return { code, value: code.textContent || '', ...offsets, options: CodeBlock.getOptions(code) };
+    }
+
+    /**
+     * Replace text of the code and select the given offsets afterwards. The browser inserts the text,
+     * keeping its own undo; without execCommand the code is replaced and highlighted again.
+     * @param {HTMLElement} code
+     * @param {number} from
+     * @param {number} to
+     * @param {string} text
+     * @param {number} [selectionStart] - After the inserted text by default
+     * @param {number} [selectionEnd]
+     */
+    replaceText(code, from, to, text, selectionStart = from + text.length, selectionEnd = selectionStart) {
+        CodeBlock.setSelectionOffsets(code, from, to);
+
+        let inserted = false;
+        try {
+            inserted = !!document.execCommand(text ? 'insertText' : 'delete', false, text);
+        } catch (error) {
+            inserted = false;
+        }
+
+        if (!inserted) {
+            const value = code.textContent || '';
+            code.textContent = value.slice(0, from) + text + value.slice(to);
+            this._element = code.closest('[data-block-type="code"]');
+            this.syncFromElement();
+            this.refreshHighlighting();
+        }
+
+        CodeBlock.setSelectionOffsets(code, selectionStart, selectionEnd);
+    }
+
+    /**
+     * Show, update or remove the line number gutter, following the lineNumbers option.
+     * The gutter has no text, so it is not part of the code, its markdown or the caret offsets.
+     * @param {HTMLElement} [element] - The code block element
+     */
+    updateLineNumbers(element = this._element) {
+        const pre = element?.querySelector('pre');
+        const code = pre?.querySelector('code');
+        if (!code) return;
+
+        let gutter = pre.querySelector('.bke-code-gutter');
+        if (!CodeBlock.getOptions(element).lineNumbers) {
+            gutter?.remove();
+            pre.classList.remove('bke-code--line-numbers');
+            return;
+        }
+
+        if (!gutter) {
+            gutter = document.createElement('span');
+            gutter.className = 'bke-code-gutter';
+            gutter.setAttribute('aria-hidden', 'true');
+            gutter.setAttribute('contenteditable', 'false');
+            pre.insertBefore(gutter, code);
+            pre.classList.add('bke-code--line-numbers');
+        }
+
+        // The numbers are drawn from data-line by CSS
+        const count = CodeBlock.countLines(code.textContent || '');
+        while (gutter.children.length < count) {
+            const line = document.createElement('span');
+            line.setAttribute('data-line', String(gutter.children.length + 1));
+            gutter.appendChild(line);
+        }
+        while (gutter.children.length > count) {
+            gutter.lastElementChild.remove();
+        }
+    }
+
+    /**
+     * The codeBlock option of the editor of an element, with DEFAULTS for missing fields
+     * @param {?HTMLElement} element
+     * @returns {{indent: string|number, autoClose: boolean, lineNumbers: boolean}}
+     */
+    static getOptions(element) {
+        const editorInstance = element ? Editor.getInstanceFromElement(element) : null;
+        return { ...CodeBlock.DEFAULTS, ...editorInstance?.codeBlockOptions };
+    }
+
+    /**
+     * One indentation level
+     * @param {{indent?: string|number}} [options] - A number of spaces, or '\t'
+     * @returns {string}
+     */
+    static getIndentUnit({ indent } = CodeBlock.DEFAULTS) {
+        if (Number(indent) > 0) {
+            return ' '.repeat(Math.min(8, Math.round(Number(indent))));
+        }
+        return typeof indent === 'string' && /^( +|\t)$/.test(indent) ? indent : '\t';
+    }
+
+    /**
+     * Indent or outdent every line touched by a selection
+     * @param {string} text
+     * @param {number} start - Selection start offset
+     * @param {number} end - Selection end offset
+     * @param {string} unit - See getIndentUnit()
+     * @param {boolean} [outdent]
+     * @returns {{from: number, to: number, text: string, start: number, end: number}} - The replaced
+     *     range of the lines, their new text and the new selection
+     */
+    static indentLines(text, start, end, unit, outdent = false) {
+        const from = CodeBlock.getLineStart(text, start);
+        // A selection ending at the start of a line does not include that line
+        const last = end > start && '\n' === text[end - 1] ? end - 1 : end;
+        const lineEnd = text.indexOf('\n', last);
+        const to = -1 === lineEnd ? text.length : lineEnd;
+
+        const changes = [];
+        let at = from;
+        const lines = text.slice(from, to).split('\n').map(line => {
+            const removed = outdent ? CodeBlock.getOutdentLength(line, unit) : 0;
+            changes.push({ at, removed });
+            at += line.length + 1;
+            return outdent ? line.slice(removed) : unit + line;
+        });
+
+        // Offsets move with the indentation of the lines up to them
+        const move = (position) => changes.reduce((result, change) => {
+            if (position < change.at) return result;
+            return outdent ? result - Math.min(change.removed, position - change.at) : result + unit.length;
+        }, position);
+
+        return { from, to, text: lines.join('\n'), start: move(start), end: move(end) };
+    }
+
+    /**
+     * Characters that outdenting removes from the start of a line: a tab, or up to one level of spaces
+     * @param {string} line
+     * @param {string} unit - See getIndentUnit()
+     * @returns {number}
+     */
+    static getOutdentLength(line, unit) {
+        if (line.startsWith('\t')) return 1;
+        const width = '\t' === unit ? 4 : unit.length;
+        return Math.min(line.match(/^ */)[0].length, width);
+    }
+
+    /**
+     * @param {string} text
+     * @param {number} offset
+     * @returns {number} - Offset of the start of the line of an offset
+     */
+    static getLineStart(text, offset) {
+        return offset > 0 ? text.lastIndexOf('\n', offset - 1) + 1 : 0;
+    }
+
+    /**
+     * Number of lines shown for a text; a final line break does not start a line
+     * @param {string} text
+     * @returns {number}
+     */
+    static countLines(text) {
+        return String(text ?? '').replace(/\n$/, '').split('\n').length;
+    }
+
+    /**
+     * The selection in an element as text offsets
+     * @param {HTMLElement} code
+     * @returns {?{start: number, end: number}} - null if the selection is not in the element
+     */
+    static getSelectionOffsets(code) {
+        try {
+            const selection = window.getSelection();
+            if (!selection?.rangeCount) return null;
+
+            const range = selection.getRangeAt(0);
+            if (!code.contains(range.startContainer) || !code.contains(range.endContainer)) return null;
+
+            const offset = (node, nodeOffset) => {
+                const before = document.createRange();
+                before.selectNodeContents(code);
+                before.setEnd(node, nodeOffset);
+                return before.toString().length;
+            };
+            return { start: offset(range.startContainer, range.startOffset), end: offset(range.endContainer, range.endOffset) };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Select text offsets of an element
+     * @param {HTMLElement} code
+     * @param {number} start
+     * @param {number} [end] - The caret at start by default
+     */
+    static setSelectionOffsets(code, start, end = start) {
+        const locate = (offset) => {
+            const walker = document.createTreeWalker(code, NodeFilter.SHOW_TEXT, null);
+            let remaining = offset;
+            let node = walker.nextNode();
+            while (node) {
+                if (remaining <= node.textContent.length) {
+                    return [node, remaining];
+                }
+                remaining -= node.textContent.length;
+                node = walker.nextNode();
+            }
+            return [code, code.childNodes.length];
+        };
+
+        try {
+            const range = document.createRange();
+            range.setStart(...locate(start));
+            range.setEnd(...locate(end));
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        } catch (error) {
+            // Silently fail for caret positioning
         }
     }
 
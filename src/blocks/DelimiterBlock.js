@@ -37,6 +37,15 @@ export class DelimiterBlock extends BaseBlock
         return ['---', '***', '___'];
     }
 
+    static getToolbarConfig() {
+        return {
+            class: 'bke-toolbar-delimiter',
+            icon: 'fa-minus',
+            title: 'Delimiter',
+            group: 'blocks'
+        };
+    }
+
     applyTransformation(targetElement, editorInstance) {
         if (!targetElement) return;
 
@@ -129,4 +138,20 @@ export class DelimiterBlock extends BaseBlock
     toHtml() {
         return '<hr>';
     }
+
+    /**
+     * Delimiters carry no data
+     * @returns {Object} - block data
+     */
+    toJSON() {
+        return {};
+    }
+
+    /**
+     * Create a delimiter block from JSON data
+     * @returns {DelimiterBlock}
+     */
+    static fromJSON() {
+        return new DelimiterBlock();
+    }
 }
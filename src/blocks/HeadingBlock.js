@@ -2,6 +2,7 @@
 
 import {BaseBlock} from "@/blocks/BaseBlock";
 import {BlockType} from "@/BlockType";
+import {InlineSerializer} from "@/InlineSerializer";
 
 /**
  * Heading block types (H1-H6)
@@ -87,28 +88,6 @@ export class HeadingBlock extends BaseBlock
         return null; // Individual heading classes will provide their own config
     }
 
-    /**
-     * Get buttons that should be disabled when heading is active
-     * Headers can't be bold, italic, or contain lists
-     * @returns {string[]} - array of button class names that should be disabled
-     */
-    static getDisabledButtons() {
-        return [
-            'bke-toolbar-bold',
-            'bke-toolbar-italic', 
-            'bke-toolbar-underline',
-            'bke-toolbar-strikethrough',
-            'bke-toolbar-quote',
-            'bke-toolbar-ul',
-            'bke-toolbar-ol',
-            'bke-toolbar-sq',
-            'bke-toolbar-code',
-            'bke-toolbar-delimiter',
-            'bke-toolbar-table',
-            'bke-toolbar-image'
-        ];
-    }
-
     /**
      * Sync internal state from the associated DOM element
      */
@@ -123,9 +102,18 @@ export class HeadingBlock extends BaseBlock
      * @returns {string} - markdown representation
      */
     toMarkdown() {
+        return `${'#'.repeat(this.level)} ${this.getInlineMarkdown()}`;
+    }
+
+    /**
+     * Inline markdown of the heading text, keeping marks and links
+     * @returns {string}
+     */
+    getInlineMarkdown() {
         this.syncFromElement();
-        const hashes = '#'.repeat(this.level);
-        return `${hashes} ${this._content}`;
+        // Parsed headings keep their inner HTML as content
+        const heading = this._element?.querySelector(`h${this.level}`) || this._element;
+        return heading ? InlineSerializer.toMarkdown(heading) : InlineSerializer.htmlToMarkdown(this._content);
     }
 
     /**
@@ -137,6 +125,30 @@ export class HeadingBlock extends BaseBlock
         return `<h${this.level}>${this._content}</h${this.level}>`;
     }
 
+    /**
+     * Convert this heading block to JSON data. The text is inline markdown, like list items and table cells.
+     * @returns {Object} - block data
+     */
+    toJSON() {
+        return { text: this.getInlineMarkdown(), level: this.level };
+    }
+
+    /**
+     * Create a heading block from JSON data.
+     * Called on a concrete heading class (H1Block…H6Block) the level comes
+     * from the class, otherwise from data.level.
+     * @param {Object} data - block data
+     * @returns {HeadingBlock}
+     */
+    static fromJSON(data = {}) {
+        const content = InlineSerializer.toHtml(data.text || '');
+        const block = this === HeadingBlock
+            ? new HeadingBlock(parseInt(data.level) || 1, content)
+            : new this(content);
+        block.html = `<h${block.level}>${content}</h${block.level}>`;
+        return block;
+    }
+
     /**
      * Render this heading block as an HTML element
      * @returns {HTMLElement} - DOM element representation
@@ -3,18 +3,40 @@
 import {BaseBlock} from "@/blocks/BaseBlock";
 import {BlockType} from "@/BlockType";
 import {Editor} from "@/Editor";
+import {Utils} from "@/Utils";
+import {EVENTS} from "@/utils/eventEmitter.js";
 
 /**
- * Image block for handling images with drag & drop and resizing
+ * Image block for handling images with drag & drop and resizing.
+ *
+ * An image can have a caption and an alignment. In markdown they are kept in the
+ * image title and in an attribute list after the image:
+ *
+ *     ![A cat](cat.png "The caption"){width=320 height=200 align=center}
  */
 export class ImageBlock extends BaseBlock
 {
+    /**
+     * Image alignments, see setAlign()
+     */
+    static ALIGNMENTS = ['left', 'center', 'right', 'full'];
+
+    /**
+     * An image on its own line: alt, src, the optional caption in the title and the optional attribute list
+     */
+    static MARKDOWN_REGEX = /^!\[([^\]]*)\]\(([^)]*?)(?:\s+"((?:\\.|[^"\\])*)")?\s*\)(?:\{([^}]*)\})?$/;
+
     constructor(content = '', html = '', nested = false) {
         super(BlockType.IMAGE, content, html, nested);
         this._src = '';
         this._alt = '';
         this._width = null;
         this._height = null;
+        this._caption = '';
+        /** @type {string} One of ALIGNMENTS, or '' for the default */
+        this._align = '';
+        /** @type {?Object} The running upload, see uploadImageFile() */
+        this._upload = null;
         
         // Parse content if provided (should be image URL or markdown image syntax)
         if (content) {
@@ -70,6 +92,18 @@ export class ImageBlock extends BaseBlock
         return true;
     }
 
+    /**
+     * Keep the image files accepted by the imageUpload option of the editor.
+     * Rejected files are reported with an image.upload.rejected event.
+     * @param {HTMLElement} element - The image block element
+     * @param {File[]|FileList} files
+     * @returns {File[]}
+     */
+    filterImageFiles(element, files) {
+        const imageFiles = Editor.getInstanceFromElement(element)?.imageFiles;
+        return imageFiles ? imageFiles.filter(files) : Array.from(files || []).filter(file => file.type.startsWith('image/'));
+    }
+
     /**
      * Set up drag and drop functionality for image upload
      * @param {HTMLElement} element - The image block element
@@ -93,9 +127,7 @@ export class ImageBlock extends BaseBlock
             e.stopPropagation();
             element.classList.remove('bke-drag-over');
 
-            const files = Array.from(e.dataTransfer.files);
-            const imageFile = files.find(file => file.type.startsWith('image/'));
-
+            const [imageFile] = this.filterImageFiles(element, e.dataTransfer.files);
             if (imageFile) {
                 this.handleImageFile(imageFile, element);
             }
@@ -103,8 +135,8 @@ export class ImageBlock extends BaseBlock
 
         // Handle file input selection
         element.addEventListener('imageSelected', (e) => {
-            const file = e.detail;
-            if (file && file.type.startsWith('image/')) {
+            const [file] = this.filterImageFiles(element, e.detail ? [e.detail] : []);
+            if (file) {
                 this.handleImageFile(file, element);
             }
         });
@@ -112,30 +144,39 @@ export class ImageBlock extends BaseBlock
         // Handle click on placeholder to trigger file selection
         element.addEventListener('click', (e) => {
             const fileInput = element.querySelector('input[type="file"]');
-            if (fileInput && e.target.closest('.bke-image-placeholder')) {
+            if (fileInput && e.target !== fileInput && e.target.closest('.bke-image-placeholder')) {
                 fileInput.click();
             }
         });
     }
 
     /**
-     * Handle uploaded image file
+     * Handle uploaded image file. With the editor's uploadAdapter option the file is
+     * uploaded, see uploadImageFile(); without it the image is inlined as a base64 data URL.
      * @param {File} file - The image file
      * @param {HTMLElement} element - The image block element
+     * @returns {Promise<boolean>|undefined} - The upload, when an adapter is configured
      */
     handleImageFile(file, element) {
+        const editorInstance = Editor.getInstanceFromElement(element);
+        if (typeof editorInstance?.uploadAdapter === 'function') {
+            return this.uploadImageFile(file, element, editorInstance);
+        }
+
         const reader = new FileReader();
         
         reader.onload = (e) => {
             this._src = e.target.result; // Base64 data URL
             this._alt = file.name;
             
-            // Update the image element
+            // Update the image element, or replace the placeholder
             const img = element.querySelector('img');
             if (img) {
                 img.src = this._src;
                 img.alt = this._alt;
                 this.setupImageResizing(img);
+            } else {
+                this.showImage(element);
             }
             
             Editor.getInstanceFromElement(element)?.update();
@@ -144,14 +185,208 @@ export class ImageBlock extends BaseBlock
         reader.readAsDataURL(file);
     }
 
+    /**
+     * Upload an image file with the editor's uploadAdapter and show the image from the returned URL.
+     *
+     * The block shows the file name and a progress bar while uploading. On failure it shows
+     * the error with Retry and Remove buttons. Emits image.upload.started, .progress,
+     * .completed, .failed and .cancelled (see EVENTS).
+     * @param {File} file - The image file
+     * @param {HTMLElement} element - The image block element
+     * @param {Object} editorInstance - The editor with the uploadAdapter
+     * @returns {Promise<boolean>} - true once the image shows the uploaded URL
+     */
+    async uploadImageFile(file, element, editorInstance) {
+        this.cancelUpload();
+
+        const upload = { file, element, editor: editorInstance, controller: new AbortController() };
+        this._upload = upload;
+
+        const emit = (type, data = {}) => editorInstance.eventEmitter?.emit(type, {
+            blockId: element.getAttribute('data-block-id'),
+            fileName: file.name,
+            ...data,
+            timestamp: Date.now()
+        }, { source: 'image.upload' });
+
+        this.renderUploadState(element, { file, progress: 0 });
+        emit(EVENTS.IMAGE_UPLOAD_STARTED, { file });
+
+        let result;
+        try {
+            result = await editorInstance.uploadAdapter(file, {
+                signal: upload.controller.signal,
+                onProgress: (progress) => {
+                    if (this._upload !== upload) return;
+                    const value = Math.max(0, Math.min(1, Number(progress) || 0));
+                    this.renderUploadState(element, { file, progress: value });
+                    emit(EVENTS.IMAGE_UPLOAD_PROGRESS, { progress: value });
+                }
+            });
+
+            if (!result?.url || !Utils.isSafeUrl(result.url)) {
+                throw new Error('The upload adapter did not return a valid url');
+            }
+        } catch (error) {
+            // Cancelled, or replaced by a newer upload
+            if (this._upload !== upload) return false;
+
+            this._upload = null;
+            this.renderUploadState(element, { file, error });
+            emit(EVENTS.IMAGE_UPLOAD_FAILED, { error });
+            return false;
+        }
+
+        if (this._upload !== upload) return false;
+        this._upload = null;
+
+        // The block was removed while uploading
+        if (!element.isConnected) return false;
+
+        editorInstance.transaction(() => {
+            this._src = result.url;
+            this._alt = this._alt || file.name;
+            this._width = result.width ? parseInt(result.width) : null;
+            this._height = result.height ? parseInt(result.height) : null;
+            this.showImage(element);
+        });
+
+        emit(EVENTS.IMAGE_UPLOAD_COMPLETED, { url: result.url, width: this._width, height: this._height });
+        editorInstance.update();
+
+        return true;
+    }
+
+    /**
+     * Abort the running upload, see uploadImageFile(). The block keeps the upload placeholder.
+     * @returns {boolean} - false if no upload is running
+     */
+    cancelUpload() {
+        const upload = this._upload;
+        if (!upload) return false;
+
+        this._upload = null;
+        upload.controller.abort();
+        upload.editor.eventEmitter?.emit(EVENTS.IMAGE_UPLOAD_CANCELLED, {
+            blockId: upload.element.getAttribute('data-block-id'),
+            fileName: upload.file.name,
+            timestamp: Date.now()
+        }, { source: 'image.upload' });
+
+        return true;
+    }
+
+    /**
+     * @returns {boolean} - true while an upload is running
+     */
+    isUploading() {
+        return !!this._upload;
+    }
+
+    /**
+     * Replace the block content with the image, e.g. the placeholder after an upload
+     * @param {HTMLElement} element - The image block element
+     */
+    showImage(element) {
+        element.classList.remove('bke-block--uploading');
+        element.contentEditable = false;
+        element.innerHTML = this.generateImageHTML();
+        this.renderAlign(element);
+
+        const img = element.querySelector('img');
+        if (img) {
+            this.setupImageResizing(img);
+        }
+    }
+
+    /**
+     * Show the upload progress or the upload error in the block
+     * @param {HTMLElement} element - The image block element
+     * @param {{file: File, progress?: number, error?: Error}} state
+     */
+    renderUploadState(element, { file, progress = 0, error = null }) {
+        let container = element.querySelector('.bke-image-upload');
+        if (!container || container.classList.contains('bke-image-upload--error') !== !!error) {
+            container = this.createUploadElement(element, file, error);
+            element.innerHTML = '';
+            element.appendChild(container);
+        }
+
+        element.classList.add('bke-block--uploading');
+        element.contentEditable = false;
+
+        const bar = container.querySelector('.bke-image-upload-progress');
+        if (bar) {
+            const percent = Math.round(progress * 100);
+            bar.setAttribute('aria-valuenow', String(percent));
+            bar.firstChild.style.width = percent + '%';
+        }
+    }
+
+    /**
+     * Create the upload placeholder: the file name with a progress bar, or the error with Retry and Remove
+     * @param {HTMLElement} element - The image block element
+     * @param {File} file
+     * @param {?Error} error
+     * @returns {HTMLElement}
+     */
+    createUploadElement(element, file, error) {
+        const container = document.createElement('div');
+        container.className = 'bke-image-upload' + (error ? ' bke-image-upload--error' : '');
+
+        const name = document.createElement('div');
+        name.className = 'bke-image-upload-name';
+        name.textContent = file.name;
+        container.appendChild(name);
+
+        if (!error) {
+            const bar = document.createElement('div');
+            bar.className = 'bke-image-upload-progress';
+            bar.setAttribute('role', 'progressbar');
+            bar.setAttribute('aria-valuemin', '0');
+            bar.setAttribute('aria-valuemax', '100');
+            bar.appendChild(document.createElement('div')).className = 'bke-image-upload-bar';
+            container.appendChild(bar);
+            return container;
+        }
+
+        const message = document.createElement('div');
+        message.className = 'bke-image-upload-message';
+        message.textContent = 'Upload failed' + (error.message ? ': ' + error.message : '');
+        container.appendChild(message);
+
+        const button = (className, label, handler) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = className;
+            btn.textContent = label;
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                handler();
+            });
+            container.appendChild(btn);
+        };
+
+        button('bke-image-upload-retry', 'Retry', () => {
+            const editorInstance = Editor.getInstanceFromElement(element);
+            if (editorInstance) {
+                this.uploadImageFile(file, element, editorInstance);
+            }
+        });
+        button('bke-image-upload-remove', 'Remove', () => {
+            Editor.getInstanceFromElement(element)?.removeBlock(element.getAttribute('data-block-id'));
+        });
+
+        return container;
+    }
+
     /**
      * Set up image resizing functionality
      * @param {HTMLImageElement} img - The image element
      */
     setupImageResizing(img) {
-        // Make image resizable by adding resize handles
-        img.style.maxWidth = '100%';
-        img.style.height = 'auto';
+        // Make image resizable by adding resize handles; max-width and the auto height are set by the stylesheet
         img.style.cursor = 'nw-resize';
         
         let isResizing = false;
@@ -196,6 +431,13 @@ export class ImageBlock extends BaseBlock
             isResizing = false;
             document.removeEventListener('mousemove', doResize);
             document.removeEventListener('mouseup', stopResize);
+
+            // A resized image is no longer full width
+            const element = img.closest('.bke-block');
+            if (element && 'full' === element.getAttribute('data-align')) {
+                this._align = '';
+                this.renderAlign(element);
+            }
             Editor.getInstanceFromElement(img)?.update();
         };
     }
@@ -223,9 +465,11 @@ export class ImageBlock extends BaseBlock
         
         targetElement.setAttribute('data-block-type', 'image');
         targetElement.innerHTML = this.generateImageHTML();
+        this.renderAlign(targetElement);
         
-        // Set up drag and drop
+        // Set up drag and drop, the caption and the image toolbar
         this.setupDragAndDrop(targetElement);
+        this.setupImageControls(targetElement);
         
         // Set up resizing for the image
         const img = targetElement.querySelector('img');
@@ -240,31 +484,176 @@ export class ImageBlock extends BaseBlock
     }
 
     /**
-     * Generate HTML for image display
+     * Generate HTML for image display: the image with its caption and the image toolbar
      * @returns {string} - HTML string for image
      */
     generateImageHTML() {
         if (!this._src) {
             return `
-                <div class="image-placeholder" style="border: 2px dashed #ccc; padding: 40px; text-align: center; background: #f9f9f9;">
+                <div class="bke-image-placeholder">
                     <div>📷</div>
                     <div>Drag & drop an image here or click to select</div>
-                    <input type="file" accept="image/*" style="margin-top: 10px;" onchange="this.closest('.bke-block').dispatchEvent(new CustomEvent('imageSelected', {detail: this.files[0]}))">
+                    <input type="file" accept="image/*" onchange="this.closest('.bke-block').dispatchEvent(new CustomEvent('imageSelected', {detail: this.files[0]}))">
                 </div>
             `;
         }
         
-        const widthStyle = this._width ? `width: ${this._width}px;` : 'max-width: 100%;';
-        const heightStyle = this._height ? `height: ${this._height}px;` : 'height: auto;';
+        const widthStyle = this._width ? `width: ${this._width}px;` : '';
+        const heightStyle = this._height ? `height: ${this._height}px;` : '';
+        const alignButtons = ImageBlock.ALIGNMENTS.map(align => {
+            const label = 'full' === align ? 'Full width' : align.charAt(0).toUpperCase() + align.slice(1);
+            return `<button type="button" class="bke-image-align bke-image-align-${align}" data-align="${align}" title="Align ${align}" aria-pressed="false">${label}</button>`;
+        }).join('');
         
         return `
-            <div class="image-container" style="position: relative; display: inline-block;">
-                <img src="${this._src}" alt="${this._alt}" style="${widthStyle} ${heightStyle} display: block; cursor: nw-resize;">
-                <div class="resize-handle" style="position: absolute; bottom: 0; right: 0; width: 20px; height: 20px; background: #007cba; cursor: nw-resize; opacity: 0.7;"></div>
+            <figure class="bke-image-figure">
+                <div class="bke-image-container">
+                    <img src="${Utils.escapeHTML(this._src)}" alt="${Utils.escapeHTML(this._alt)}" style="${widthStyle} ${heightStyle}">
+                    <div class="bke-resize-handle"></div>
+                </div>
+                <figcaption class="bke-image-caption" contenteditable="true" data-placeholder="Add a caption">${Utils.escapeHTML(this._caption)}</figcaption>
+            </figure>
+            <div class="bke-image-toolbar" contenteditable="false">
+                ${alignButtons}
+                <input type="text" class="bke-image-alt-input" placeholder="Alt text" aria-label="Alt text" value="${Utils.escapeHTML(this._alt)}">
+                <span class="bke-image-alt-warning" role="status"${this._alt ? ' hidden' : ''}>Add alt text to describe this image</span>
             </div>
         `;
     }
 
+    /**
+     * Reflect the alignment and a missing alt text in the classes of the block element
+     * @param {HTMLElement} element - The image block element
+     */
+    renderAlign(element) {
+        ImageBlock.ALIGNMENTS.forEach(align => element.classList.toggle('bke-image--' + align, align === this._align));
+        if (this._align) {
+            element.setAttribute('data-align', this._align);
+        } else {
+            element.removeAttribute('data-align');
+        }
+
+        element.querySelectorAll('.bke-image-align').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.getAttribute('data-align') === this._align));
+        });
+
+        const img = element.querySelector('img');
+        element.classList.toggle('bke-image--no-alt', !!img && !img.getAttribute('alt'));
+        const warning = element.querySelector('.bke-image-alt-warning');
+        if (warning) {
+            warning.hidden = !img || !!img.getAttribute('alt');
+        }
+    }
+
+    /**
+     * Set up the caption, the alignment buttons and the alt text field of the image toolbar.
+     * Keys typed in the caption and in the alt text stay there, so the editor does not
+     * e.g. remove the block on Backspace; Enter in the caption adds a paragraph after the image.
+     * @param {HTMLElement} element - The image block element
+     */
+    setupImageControls(element) {
+        const editorInstance = Editor.getInstanceFromElement(element);
+        if (editorInstance?._readonly) {
+            element.querySelectorAll('.bke-image-caption').forEach(caption => caption.setAttribute('contenteditable', 'false'));
+            return;
+        }
+
+        const isAltInput = (target) => !!target?.matches?.('.bke-image-alt-input');
+        const isCaption = (target) => !!target?.closest?.('.bke-image-caption');
+
+        element.addEventListener('click', (e) => {
+            const button = e.target.closest?.('.bke-image-align');
+            if (!button) return;
+
+            e.preventDefault();
+            const align = button.getAttribute('data-align');
+            this.setImageAlign(element, element.getAttribute('data-align') === align ? '' : align);
+        });
+
+        element.addEventListener('keydown', (e) => {
+            if (isAltInput(e.target)) {
+                e.stopPropagation();
+                if ('Enter' === e.key || 'Escape' === e.key) {
+                    e.preventDefault();
+                    e.target.blur();
+                }
+                return;
+            }
+
+            if (!isCaption(e.target)) return;
+
+            if ('Enter' === e.key) {
+                e.stopPropagation();
+                this.handleEnterKey(e);
+                return;
+            }
+
+            // Shortcuts such as undo still reach the editor
+            if (!e.ctrlKey && !e.metaKey && 'Escape' !== e.key) {
+                e.stopPropagation();
+            }
+        });
+
+        element.addEventListener('beforeinput', (e) => {
+            if (isAltInput(e.target)) {
+                e.stopPropagation();
+            }
+        });
+
+        element.addEventListener('input', (e) => {
+            if (isAltInput(e.target)) {
+                e.stopPropagation();
+                this._alt = e.target.value;
+                element.querySelector('img')?.setAttribute('alt', this._alt);
+                this.renderAlign(element);
+                Editor.getInstanceFromElement(element)?.update();
+            } else if (isCaption(e.target)) {
+                e.stopPropagation();
+                Editor.getInstanceFromElement(element)?.update();
+            }
+        });
+
+        // Captions are plain text
+        element.addEventListener('paste', (e) => {
+            if (isAltInput(e.target)) {
+                e.stopPropagation();
+                return;
+            }
+            if (!isCaption(e.target)) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            const text = (e.clipboardData?.getData('text/plain') || '').replace(/\s+/g, ' ');
+            document.execCommand('insertText', false, text);
+        });
+    }
+
+    /**
+     * Align the image as one undo step
+     * @param {HTMLElement} element - The image block element
+     * @param {string} align - One of ALIGNMENTS, or '' for the default
+     */
+    setImageAlign(element, align) {
+        const apply = () => {
+            this.setAlign(align);
+
+            // Full width images have no size of their own
+            const img = element.querySelector('img');
+            if ('full' === this._align && img) {
+                img.style.width = '';
+                img.style.height = '';
+            }
+            this.renderAlign(element);
+        };
+
+        const editorInstance = Editor.getInstanceFromElement(element);
+        if (editorInstance) {
+            editorInstance.transaction(apply);
+        } else {
+            apply();
+        }
+    }
+
     /**
      * Get toolbar configuration for images
      * @returns {Object} - toolbar button configuration
@@ -287,39 +676,58 @@ export class ImageBlock extends BaseBlock
         if (img) {
             this._src = img.getAttribute('src') || '';
             this._alt = img.getAttribute('alt') || '';
+            // Only pixel sizes, e.g. not 'auto'
+            this._width = parseInt(img.style.width) || parseInt(img.getAttribute('width')) || null;
+            this._height = parseInt(img.style.height) || parseInt(img.getAttribute('height')) || null;
+        }
+
+        const caption = this._element.querySelector('.bke-image-caption');
+        if (caption) {
+            this._caption = caption.textContent.replace(/\s+/g, ' ').trim();
         }
+
+        const align = this._element.getAttribute('data-align');
+        this._align = ImageBlock.ALIGNMENTS.includes(align) ? align : '';
     }
 
     /**
-     * Convert this image block to markdown
+     * Convert this image block to markdown. The caption is kept in the title, the size
+     * and the alignment in an attribute list: ![alt](src "caption"){width=320 height=200 align=center}
      * @returns {string} - markdown representation
      */
     toMarkdown() {
         this.syncFromElement();
         if (!this._src) return '';
-        return `![${this._alt}](${this._src})`;
+
+        const title = this._caption ? ` "${this._caption.replace(/[\\"]/g, '\\$&')}"` : '';
+        const attributes = [];
+        if (this._width) attributes.push('width=' + Math.round(this._width));
+        if (this._height) attributes.push('height=' + Math.round(this._height));
+        if (this._align) attributes.push('align=' + this._align);
+
+        return `![${this._alt}](${this._src}${title})` + (attributes.length > 0 ? `{${attributes.join(' ')}}` : '');
     }
 
     /**
-     * Convert this image block to HTML
+     * Convert this image block to HTML. Images with a caption or an alignment are wrapped in a figure.
      * @returns {string} - HTML representation
      */
     toHtml() {
         this.syncFromElement();
         if (!this._src) return '';
         
-        const widthAttr = this._width ? ` width="${this._width}"` : '';
-        const heightAttr = this._height ? ` height="${this._height}"` : '';
-        
-        return `<img src="${this._src}" alt="${this._alt}"${widthAttr}${heightAttr}>`;
-    }
+        const widthAttr = this._width ? ` width="${Math.round(this._width)}"` : '';
+        const heightAttr = this._height ? ` height="${Math.round(this._height)}"` : '';
+        const img = `<img src="${Utils.escapeHTML(this._src)}" alt="${Utils.escapeHTML(this._alt)}"${widthAttr}${heightAttr}>`;
 
-    /**
-     * Get disabled toolbar buttons for image blocks
-     * @returns {Array<string>} - Array of disabled button classes
-     */
-    static getDisabledButtons() {
-        return ['bke-toolbar-bold', 'bke-toolbar-italic', 'bke-toolbar-ul', 'bke-toolbar-ol', 'bke-toolbar-sq'];
+        if (!this._caption && !this._align) {
+            return img;
+        }
+
+        const align = this._align ? ` bke-image--${this._align}" data-align="${this._align}` : '';
+        const caption = this._caption ? `<figcaption>${Utils.escapeHTML(this._caption)}</figcaption>` : '';
+
+        return `<figure class="bke-image${align}">${img}${caption}</figure>`;
     }
 
     /**
@@ -348,6 +756,28 @@ export class ImageBlock extends BaseBlock
         this._height = height;
     }
 
+    /**
+     * Set image caption
+     * @param {string} caption - Plain text caption
+     */
+    setCaption(caption) {
+        this._caption = String(caption || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Set image alignment
+     * @param {string} align - One of ALIGNMENTS, anything else resets to the default
+     */
+    setAlign(align) {
+        this._align = ImageBlock.ALIGNMENTS.includes(align) ? align : '';
+
+        // Full width images have no size of their own
+        if ('full' === this._align) {
+            this._width = null;
+            this._height = null;
+        }
+    }
+
     /**
      * Get image source
      * @returns {string}
@@ -364,6 +794,22 @@ export class ImageBlock extends BaseBlock
         return this._alt;
     }
 
+    /**
+     * Get image caption
+     * @returns {string}
+     */
+    getCaption() {
+        return this._caption;
+    }
+
+    /**
+     * Get image alignment
+     * @returns {string} - One of ALIGNMENTS, or '' for the default
+     */
+    getAlign() {
+        return this._align;
+    }
+
     /**
      * Get image dimensions
      * @returns {Object} - {width, height}
@@ -375,6 +821,39 @@ export class ImageBlock extends BaseBlock
         };
     }
 
+    /**
+     * Convert this image block to JSON data
+     * @returns {Object} - block data
+     */
+    toJSON() {
+        this.syncFromElement();
+        const data = {
+            src: this._src,
+            alt: this._alt,
+            width: this._width,
+            height: this._height
+        };
+        if (this._caption) data.caption = this._caption;
+        if (this._align) data.align = this._align;
+        return data;
+    }
+
+    /**
+     * Create an image block from JSON data
+     * @param {Object} data - block data
+     * @returns {ImageBlock}
+     */
+    static fromJSON(data = {}) {
+        const imageBlock = new ImageBlock();
+        imageBlock._src = data.src || '';
+        imageBlock._alt = data.alt || '';
+        imageBlock._width = data.width ? parseInt(data.width) : null;
+        imageBlock._height = data.height ? parseInt(data.height) : null;
+        imageBlock.setCaption(data.caption);
+        imageBlock.setAlign(data.align);
+        return imageBlock;
+    }
+
     /**
      * Render this image block as an HTML element
      * @returns {HTMLElement} - DOM element representation
@@ -388,24 +867,20 @@ export class ImageBlock extends BaseBlock
         element.contentEditable = true;
         
         if (this._src) {
-            const img = document.createElement('img');
-            img.src = this._src;
-            img.alt = this._alt || 'Image';
-            
-            if (this._width) img.style.width = this._width + 'px';
-            if (this._height) img.style.height = this._height + 'px';
-            
-            element.appendChild(img);
+            element.innerHTML = this.generateImageHTML();
             element.contentEditable = false;
         } else {
             element.textContent = this._content || '';
         }
+        this.renderAlign(element);
         
-        // Set up drag and drop and resizing
+        // Set up drag and drop, the image toolbar and resizing
         setTimeout(() => {
             this.setupDragAndDrop(element);
-            if (this._src) {
-                this.setupImageResizing(element);
+            this.setupImageControls(element);
+            const img = element.querySelector('img');
+            if (img) {
+                this.setupImageResizing(img);
             }
         }, 0);
         
@@ -419,7 +894,7 @@ export class ImageBlock extends BaseBlock
      */
     static canParseHtml(htmlString) {
         return /^<img[^>]*>/i.test(htmlString) || 
-               /^<figure[^>]*>.*<img[^>]*>.*<\/figure>/i.test(htmlString) ||
+               /^<figure[^>]*>[\s\S]*<img[^>]*>[\s\S]*<\/figure>/i.test(htmlString) ||
                /^<p[^>]*>\s*<img[^>]*>\s*<\/p>$/i.test(htmlString.trim());
     }
 
@@ -445,8 +920,14 @@ export class ImageBlock extends BaseBlock
         const width = img.getAttribute('width') || img.style.width;
         const height = img.getAttribute('height') || img.style.height;
         
-        if (width) imageBlock._width = parseInt(width);
-        if (height) imageBlock._height = parseInt(height);
+        if (parseInt(width)) imageBlock._width = parseInt(width);
+        if (parseInt(height)) imageBlock._height = parseInt(height);
+
+        // Caption and alignment of a figure, see toHtml()
+        const figure = doc.querySelector('figure');
+        const caption = figure?.querySelector('figcaption');
+        if (caption) imageBlock.setCaption(caption.textContent);
+        imageBlock.setAlign(figure?.getAttribute('data-align') || img.getAttribute('data-align'));
         
         return imageBlock;
     }
@@ -515,6 +996,38 @@ export class ImageBlock extends BaseBlock
         this._height = value;
     }
 
+    /**
+     * Get image caption
+     * @returns {string} - Plain text caption
+     */
+    get caption() {
+        return this._caption;
+    }
+
+    /**
+     * Set image caption
+     * @param {string} value - Plain text caption
+     */
+    set caption(value) {
+        this.setCaption(value);
+    }
+
+    /**
+     * Get image alignment
+     * @returns {string} - One of ALIGNMENTS, or '' for the default
+     */
+    get align() {
+        return this._align;
+    }
+
+    /**
+     * Set image alignment
+     * @param {string} value - One of ALIGNMENTS
+     */
+    set align(value) {
+        this.setAlign(value);
+    }
+
     /**
      * Check if this block type can parse the given markdown
      * @param {string} markdownString - Markdown to check
@@ -532,12 +1045,25 @@ export class ImageBlock extends BaseBlock
     static parseFromMarkdown(markdownString) {
         if (!this.canParseMarkdown(markdownString)) return null;
         
-        const match = markdownString.trim().match(/^!\[([^\]]*)\]\(([^)]+)\)/);
+        const trimmed = markdownString.trim();
+        const match = trimmed.match(ImageBlock.MARKDOWN_REGEX) || trimmed.match(/^!\[([^\]]*)\]\(([^)]+)\)/);
         if (!match) return null;
         
         const imageBlock = new ImageBlock();
         imageBlock._alt = match[1];
-        imageBlock._src = match[2];
+        imageBlock._src = match[2].trim();
+        if (match[3]) {
+            imageBlock.setCaption(match[3].replace(/\\(.)/g, '$1'));
+        }
+
+        // {width=320 height=200 align=center}
+        const attributes = {};
+        for (const [, name, quoted, value] of (match[4] || '').matchAll(/(\w+)=(?:"([^"]*)"|(\S+))/g)) {
+            attributes[name.toLowerCase()] = quoted ?? value;
+        }
+        if (parseInt(attributes.width) > 0) imageBlock._width = parseInt(attributes.width);
+        if (parseInt(attributes.height) > 0) imageBlock._height = parseInt(attributes.height);
+        imageBlock.setAlign(attributes.align);
         
         return imageBlock;
     }
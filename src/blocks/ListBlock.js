@@ -3,12 +3,153 @@
 import {BaseBlock} from "@/blocks/BaseBlock";
 import {BlockType} from "@/BlockType";
 import {Editor} from "@/Editor";
+import {InlineSerializer} from "@/InlineSerializer";
 
 /**
  * List block types
+ *
+ * The content of a list block holds one line per item. Top-level lines are the
+ * item text. Nested items are indented by INDENT per level and start with their
+ * own marker ("- ", "1. ", "- [ ] " or "- [x] "), so a nested list may be of
+ * another type than the block:
+ *
+ *     Groceries
+ *       - [x] Milk
+ *       - [ ] Bread
+ *     Errands
+ *
+ * In the DOM a nested list is a ul/ol element inside the li of its parent item.
  */
 export class ListBlock extends BaseBlock
 {
+    /**
+     * Indentation of one nesting level in the content of a list block
+     */
+    static INDENT = '  ';
+
+    /**
+     * Handle Tab / Shift+Tab to indent or outdent the current list item
+     * @param {KeyboardEvent} event
+     * @param {string} text - current text content of the block
+     * @returns {boolean} - true if key was handled, false otherwise
+     */
+    handleKeyPress(event, text) {
+        // Tab is handled on keydown; the keyup must not indent a second time
+        if (event.key !== 'Tab' || event.type === 'keyup' || event.ctrlKey || event.metaKey || event.altKey) {
+            return false;
+        }
+
+        const listItem = this.getCurrentListItem(event);
+        if (!listItem) {
+            return false;
+        }
+
+        const caret = this._getCaret(listItem);
+        const movedItem = event.shiftKey ? this.outdentListItem(listItem) : this.indentListItem(listItem);
+        if (!movedItem) {
+            return false;
+        }
+
+        event.preventDefault();
+        this._focusListItem(movedItem, caret);
+        Editor.getInstanceFromElement(movedItem)?.update();
+        return true;
+    }
+
+    /**
+     * Find the list item containing the caret
+     * @param {Event} [event]
+     * @returns {HTMLElement|null}
+     */
+    getCurrentListItem(event = null) {
+        if (typeof window !== 'undefined' && window.getSelection) {
+            const selection = window.getSelection();
+            if (selection && selection.rangeCount > 0) {
+                const container = selection.getRangeAt(0).startContainer;
+                const element = container && container.nodeType === Node.TEXT_NODE ? container.parentElement : container;
+                const listItem = element && typeof element.closest === 'function' ? element.closest('li') : null;
+                if (listItem) {
+                    return listItem;
+                }
+            }
+        }
+
+        return event?.target && typeof event.target.closest === 'function'
+            ? event.target.closest('li')
+            : null;
+    }
+
+    /**
+     * Move a list item into a nested list under its previous sibling.
+     * The nested items of the moved item move along.
+     * @param {HTMLElement} listItem
+     * @returns {HTMLElement|null} - The moved item, or null if it is the first item of its list
+     */
+    indentListItem(listItem) {
+        const list = listItem?.parentElement;
+        const previous = listItem?.previousElementSibling;
+        if (!ListBlock.isListElement(list) || !previous || previous.tagName !== 'LI') {
+            return null;
+        }
+
+        const type = ListBlock.getListType(list);
+        let nestedList = previous.lastElementChild;
+        if (!ListBlock.isListElement(nestedList) || ListBlock.getListType(nestedList) !== type) {
+            nestedList = this.createListElement(type, true);
+            previous.appendChild(nestedList);
+        }
+
+        nestedList.appendChild(listItem);
+        return listItem;
+    }
+
+    /**
+     * Move a nested list item up one level, after its parent item.
+     * Following siblings become nested items of the moved item, so the order is kept.
+     * @param {HTMLElement} listItem
+     * @returns {HTMLElement|null} - The moved item (a new element if the list type changed),
+     *                               or null if the item is not nested
+     */
+    outdentListItem(listItem) {
+        const list = listItem?.parentElement;
+        const parentItem = list?.parentElement;
+        if (!ListBlock.isListElement(list) || !parentItem || parentItem.tagName !== 'LI') {
+            return null;
+        }
+
+        const type = ListBlock.getListType(list);
+
+        const following = [];
+        for (let sibling = listItem.nextElementSibling; sibling; sibling = sibling.nextElementSibling) {
+            following.push(sibling);
+        }
+        if (following.length > 0) {
+            let nestedList = listItem.lastElementChild;
+            if (!ListBlock.isListElement(nestedList) || ListBlock.getListType(nestedList) !== type) {
+                nestedList = this.createListElement(type, true);
+                listItem.appendChild(nestedList);
+            }
+            following.forEach(item => nestedList.appendChild(item));
+        }
+
+        const targetType = ListBlock.getListType(parentItem.parentElement);
+        let movedItem = listItem;
+        if ((type === BlockType.SQ) !== (targetType === BlockType.SQ)) {
+            // Task items and plain items have a different structure
+            movedItem = this.createListItem(targetType, ListBlock.getItemText(listItem), false);
+            Array.from(listItem.children)
+                .filter(child => ListBlock.isListElement(child))
+                .forEach(child => movedItem.appendChild(child));
+            listItem.remove();
+        }
+
+        parentItem.after(movedItem);
+        if (list.children.length === 0) {
+            list.remove();
+        }
+
+        return movedItem;
+    }
     /**
      * Handle Enter key press for list blocks
      * @param {KeyboardEvent} event
@@ -51,17 +192,25 @@ export class ListBlock extends BaseBlock
             return false;
         }
 
-        const text = currentListItem.textContent.trim();
+        const text = ListBlock.getItemText(currentListItem).trim();
         
         // Check if this is the last list item in the list
-        const listContainer = currentListItem.parentElement; // ul or ol
-        const allItems = listContainer ? listContainer.querySelectorAll('li') : [];
-        const isLastItem = allItems.length > 0 && allItems[allItems.length - 1] === currentListItem;
-        
+        const isLastItem = ListBlock.isLastListItem(currentListItem);
+        const hasNestedList = Array.from(currentListItem.children || []).some(child => ListBlock.isListElement(child));
+
         // If the current list item is empty AND it's the last item, end the list
-        if (text === '' && isLastItem) {
-            // Remove the empty list item and create a new paragraph block
+        if (text === '' && isLastItem && !hasNestedList) {
             event.preventDefault();
+
+            // An empty last item of a nested list moves up one level instead
+            const movedItem = this.outdentListItem(currentListItem);
+            if (movedItem) {
+                this._focusListItem(movedItem);
+                Editor.getInstanceFromElement(movedItem)?.update();
+                return true;
+            }
+
+            // Remove the empty list item and create a new paragraph block
             currentListItem.remove();
             const editorInstance = Editor.getInstanceFromElement(currentBlock);
             if (editorInstance) {
@@ -120,16 +269,12 @@ export class ListBlock extends BaseBlock
         }
 
         // Check if this is the last list item
-        const listContainer = currentListItem.parentElement; // ul or ol
-        const allItems = listContainer ? listContainer.querySelectorAll('li') : [];
-        const isLastItem = allItems.length > 0 && allItems[allItems.length - 1] === currentListItem;
-        
-        if (!isLastItem) {
+        if (!ListBlock.isLastListItem(currentListItem)) {
             return false;
         }
 
-        // Check if cursor is at the end of this last list item
-        const textContent = currentListItem.textContent || '';
+        // Check if cursor is at the end of this last list item (nested lists follow its text)
+        const textContent = ListBlock.getItemText(currentListItem);
         const textLength = textContent.length;
         
         // Calculate the current cursor position within the list item
@@ -144,13 +289,269 @@ export class ListBlock extends BaseBlock
     }
 
     /**
-     * Create a new list item of the same type
+     * Create a new empty item after the current one, in the same (possibly nested) list
      * @param {HTMLElement} currentBlock - The block containing the list
      * @param {HTMLElement} currentListItem - The current list item
+     * @returns {boolean} - false if the block contains no list
      */
     createNewListItem(currentBlock, currentListItem) {
-        // This will be implemented by subclasses
-        return false;
+        const list = ListBlock.isListElement(currentListItem?.parentElement)
+            ? currentListItem.parentElement
+            : (currentBlock && typeof currentBlock.querySelector === 'function'
+                ? currentBlock.querySelector(this.type === BlockType.OL ? 'ol' : 'ul')
+                : null);
+
+        if (!list) {
+            return false;
+        }
+
+        const newListItem = this.createListItem(ListBlock.getListType(list), '', false);
+        if (currentListItem && currentListItem.parentElement === list) {
+            currentListItem.after(newListItem);
+        } else {
+            list.appendChild(newListItem);
+        }
+
+        const editorInstance = Editor.getInstanceFromElement(currentBlock);
+        if (editorInstance) {
+            editorInstance.setCurrentBlock(currentBlock); // Keep the same block
+        }
+
+        // Use requestAnimationFrame to ensure DOM is updated before focusing
+        if (typeof requestAnimationFrame === 'function') {
+            requestAnimationFrame(() => this._focusListItem(newListItem));
+        }
+
+        return true;
+    }
+
+    /**
+     * Create a ul/ol element for a list of the given type
+     * @param {string} type - 'ul', 'ol' or 'sq'
+     * @param {boolean} [nested=false] - Nested lists are not editable themselves,
+     *                                   so each of their items is its own editing host
+     * @returns {HTMLElement}
+     */
+    createListElement(type, nested = false) {
+        const list = document.createElement(type === BlockType.OL ? 'ol' : 'ul');
+        if (type === BlockType.SQ) {
+            list.classList.add('bke-task-list');
+        }
+        if (nested) {
+            list.contentEditable = false;
+        }
+        return list;
+    }
+
+    /**
+     * Create an editable list item for a list of the given type
+     * @param {string} type - 'ul', 'ol' or 'sq'
+     * @param {string} text
+     * @param {boolean} [checked=false] - Checkbox state of task items
+     * @returns {HTMLElement}
+     */
+    createListItem(type, text, checked = false) {
+        if (type === BlockType.SQ) {
+            return this.createTaskListItem(text, checked);
+        }
+
+        const listItem = document.createElement('li');
+        InlineSerializer.render(listItem, text);
+        listItem.contentEditable = true;
+        return listItem;
+    }
+
+    /**
+     * Create a single task list item element
+     * @param {string} taskText - Text content of the task
+     * @param {boolean} isChecked - Whether the task is checked
+     * @returns {HTMLElement} - li element with checkbox and text
+     */
+    createTaskListItem(taskText, isChecked = false) {
+        const listItem = document.createElement('li');
+        
+        // Add class safely
+        if (listItem.classList && typeof listItem.classList.add === 'function') {
+            listItem.classList.add('bke-task-list-item');
+        }
+        
+        // Set data-block-type attribute for compatibility
+        if (typeof listItem.setAttribute === 'function') {
+            listItem.setAttribute('data-block-type', 'sq');
+        }
+        
+        // Set styles if available
+        if (listItem.style) {
+            listItem.style.listStyle = 'none';
+            listItem.style.display = 'flex';
+            listItem.style.flexWrap = 'wrap';
+            listItem.style.alignItems = 'flex-start';
+            listItem.style.marginBottom = '4px';
+        }
+        
+        // Create checkbox
+        const checkbox = document.createElement('input');
+        if (checkbox) {
+            checkbox.type = 'checkbox';
+            checkbox.checked = isChecked;
+            
+            if (checkbox.style) {
+                checkbox.style.marginRight = '8px';
+                checkbox.style.marginTop = '2px';
+                checkbox.style.flexShrink = '0';
+            }
+        }
+        
+        // Create text container that is editable
+        const textContainer = document.createElement('span');
+        if (textContainer) {
+            textContainer.contentEditable = true;
+            InlineSerializer.render(textContainer, taskText);
+            
+            if (textContainer.style) {
+                textContainer.style.outline = 'none';
+                textContainer.style.flex = '1';
+            }
+        }
+        
+        // Apply completed styling if checked
+        if (isChecked) {
+            if (listItem.classList && typeof listItem.classList.add === 'function') {
+                listItem.classList.add('bke-task-completed');
+            }
+            if (textContainer && textContainer.style) {
+                textContainer.style.textDecoration = 'line-through';
+                textContainer.style.opacity = '0.6';
+            }
+        }
+        
+        // Add change event listener to handle dynamic updates
+        if (checkbox) {
+            checkbox.addEventListener('change', (e) => {
+                const isChecked = checkbox.checked;
+                
+                if (isChecked) {
+                    if (listItem.classList && typeof listItem.classList.add === 'function') {
+                        listItem.classList.add('bke-task-completed');
+                    }
+                    if (textContainer && textContainer.style) {
+                        textContainer.style.textDecoration = 'line-through';
+                        textContainer.style.opacity = '0.6';
+                    }
+                } else {
+                    if (listItem.classList && typeof listItem.classList.remove === 'function') {
+                        listItem.classList.remove('bke-task-completed');
+                    }
+                    if (textContainer && textContainer.style) {
+                        textContainer.style.textDecoration = 'none';
+                        textContainer.style.opacity = '1';
+                    }
+                }
+                
+                // Update block state if this is the first/main item
+                this._checked = isChecked;
+                
+                // Trigger editor update
+                Editor.getInstanceFromElement(listItem)?.update();
+            });
+        }
+        
+        // Append children safely
+        if (checkbox && typeof listItem.appendChild === 'function') {
+            listItem.appendChild(checkbox);
+        }
+        if (textContainer && typeof listItem.appendChild === 'function') {
+            listItem.appendChild(textContainer);
+        }
+        
+        return listItem;
+    }
+
+    /**
+     * Append the elements for a flat item list to a list element, nesting items by depth
+     * @param {HTMLElement} listElement - The top-level ul/ol
+     * @param {Array<{text: string, depth: number, type: string, checked: boolean}>} items
+     */
+    renderItems(listElement, items) {
+        const render = (element, list) => list.items.forEach(item => {
+            const listItem = this.createListItem(list.type, item.text, item.checked);
+            item.lists.forEach(nested => {
+                const nestedElement = this.createListElement(nested.type, true);
+                render(nestedElement, nested);
+                listItem.appendChild(nestedElement);
+            });
+            element.appendChild(listItem);
+        });
+
+        ListBlock.buildTree(items).forEach(list => render(listElement, list));
+    }
+
+    /**
+     * Get the items of this block
+     * @returns {Array<{text: string, depth: number, type: string, checked: boolean}>}
+     */
+    getItems() {
+        return ListBlock.parseItems(this._content, this.type);
+    }
+
+    /**
+     * Sync internal state from the associated DOM element
+     */
+    syncFromElement() {
+        if (!this._element) return;
+        const list = this._element.querySelector(this.type === BlockType.OL ? 'ol' : 'ul') || this._element;
+        this._content = ListBlock.formatItems(ListBlock.readItems(list, this.type));
+    }
+
+    /**
+     * Remember the caret position inside a list item
+     * @param {HTMLElement} listItem
+     * @returns {{node: Node, offset: number}|null}
+     * @private
+     */
+    _getCaret(listItem) {
+        const selection = typeof window !== 'undefined' && window.getSelection ? window.getSelection() : null;
+        if (!selection || selection.rangeCount === 0) {
+            return null;
+        }
+        const range = selection.getRangeAt(0);
+        return listItem.contains(range.startContainer)
+            ? { node: range.startContainer, offset: range.startOffset }
+            : null;
+    }
+
+    /**
+     * Focus a list item and restore the caret, or place it at the end of the item text
+     * @param {HTMLElement} listItem
+     * @param {{node: Node, offset: number}|null} [caret=null]
+     * @private
+     */
+    _focusListItem(listItem, caret = null) {
+        try {
+            const editable = Array.from(listItem.children).find(child => child.tagName === 'SPAN') || listItem;
+
+            // The editing host is the outermost editable ancestor
+            let host = editable;
+            while (host.parentElement && host.parentElement.getAttribute('contenteditable') === 'true') {
+                host = host.parentElement;
+            }
+            host.focus();
+
+            const range = document.createRange();
+            if (caret && caret.node.isConnected && listItem.contains(caret.node)) {
+                range.setStart(caret.node, caret.offset);
+            } else {
+                const textNode = Array.from(editable.childNodes).find(node => node.nodeType === Node.TEXT_NODE);
+                range.setStart(textNode || editable, textNode ? textNode.length : 0);
+            }
+            range.collapse(true);
+
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        } catch (e) {
+            // Silently fail for cursor positioning if it fails (e.g., in tests)
+        }
     }
 
     /**
@@ -180,4 +581,320 @@ export class ListBlock extends BaseBlock
         // This will be implemented by subclasses
         return this._html;
     }
+
+    /**
+     * Convert this list block to JSON data
+     * @returns {Object} - block data
+     */
+    toJSON() {
+        this.syncFromElement();
+        return { items: this._content ? this._content.split('\n') : [] };
+    }
+
+    /**
+     * Create a list block from JSON data
+     * @param {Object} data - block data
+     * @returns {ListBlock}
+     */
+    static fromJSON(data = {}) {
+        const items = Array.isArray(data.items) ? data.items : [];
+        return new this(items.join('\n'));
+    }
+
+    /**
+     * @param {Node|null} node
+     * @returns {boolean} - true for ul and ol elements
+     */
+    static isListElement(node) {
+        return !!node && (node.tagName === 'UL' || node.tagName === 'OL');
+    }
+
+    /**
+     * Get the list type of a ul/ol element: 'ol', 'sq' for task lists, or 'ul'
+     * @param {HTMLElement} listElement
+     * @returns {string}
+     */
+    static getListType(listElement) {
+        if (listElement?.tagName === 'OL') {
+            return BlockType.OL;
+        }
+
+        const isTaskList = listElement?.classList?.contains('bke-task-list')
+            || Array.from(listElement?.children || []).some(item =>
+                item.tagName === 'LI' && Array.from(item.children || []).some(child => child.tagName === 'INPUT'));
+
+        return isTaskList ? BlockType.SQ : BlockType.UL;
+    }
+
+    /**
+     * @param {HTMLElement} listItem
+     * @returns {boolean} - true if no item follows in the same list
+     */
+    static isLastListItem(listItem) {
+        const siblings = Array.from(listItem.parentElement?.children || []).filter(child => child.tagName === 'LI');
+        return siblings.length > 0 && siblings[siblings.length - 1] === listItem;
+    }
+
+    /**
+     * Get the text of a list item without its checkbox and nested lists
+     * @param {HTMLElement} listItem
+     * @returns {string}
+     */
+    static getItemText(listItem) {
+        const children = Array.from(listItem.children || []);
+        const isTask = children.some(child => child.tagName === 'INPUT');
+
+        const textElement = isTask
+            ? children.find(child => child.tagName === 'SPAN' || child.classList?.contains('task-text'))
+            : null;
+
+        let text;
+        if (textElement) {
+            text = textElement.textContent || '';
+        } else if (listItem.childNodes && listItem.childNodes.length > 0) {
+            text = Array.from(listItem.childNodes)
+                .filter(node => !this.isListElement(node) && node.tagName !== 'INPUT')
+                .map(node => node.textContent || '')
+                .join('');
+        } else {
+            text = listItem.textContent || '';
+        }
+
+        return isTask ? text.replace(/^\s+/, '') : text;
+    }
+
+    /**
+     * Get the inline markdown of a list item, without its nested lists. Links are kept as [text](url).
+     * @param {HTMLElement} listItem
+     * @returns {string}
+     */
+    static getItemMarkdown(listItem) {
+        const children = Array.from(listItem.children || []);
+        const isTask = children.some(child => child.tagName === 'INPUT');
+
+        const textElement = isTask
+            ? children.find(child => child.tagName === 'SPAN' || child.classList?.contains('task-text'))
+            : null;
+
+        let text;
+        if (textElement) {
+            text = InlineSerializer.toMarkdown(textElement);
+        } else if (listItem.childNodes && listItem.childNodes.length > 0) {
+            text = InlineSerializer.nodesToMarkdown(Array.from(listItem.childNodes)
+                .filter(node => !this.isListElement(node) && node.tagName !== 'INPUT'));
+        } else {
+            text = listItem.textContent || '';
+        }
+
+        return isTask ? text.replace(/^\s+/, '') : text;
+    }
+
+    /**
+     * Read the items of a list element and its nested lists
+     * @param {HTMLElement} listElement
+     * @param {string} [type] - List type of the items, detected from the element by default
+     * @param {number} [depth=0]
+     * @returns {Array<{text: string, depth: number, type: string, checked: boolean}>}
+     */
+    static readItems(listElement, type = this.getListType(listElement), depth = 0) {
+        const items = [];
+
+        Array.from(listElement.children || [])
+            .filter(child => child.tagName === 'LI')
+            .forEach(listItem => {
+                const children = Array.from(listItem.children || []);
+                const checkbox = children.find(child => child.tagName === 'INPUT');
+                items.push({ text: this.getItemMarkdown(listItem), depth, type, checked: !!checkbox?.checked });
+
+                children
+                    .filter(child => this.isListElement(child))
+                    .forEach(nested => items.push(...this.readItems(nested, this.getListType(nested), depth + 1)));
+            });
+
+        return items;
+    }
+
+    /**
+     * Parse the content of a list block into a flat list of items
+     * @param {string} content - One line per item, see the class description
+     * @param {string} type - List type of the top-level items: 'ul', 'ol' or 'sq'
+     * @returns {Array<{text: string, depth: number, type: string, checked: boolean}>}
+     */
+    static parseItems(content, type) {
+        const items = [];
+
+        (content || '').split('\n').forEach(line => {
+            const match = line.match(/^( +)(\d+[.)]|[-*+]) (?:\[([ xX]?)\](?: |$))?(.*)$/);
+            if (!match || items.length === 0) {
+                items.push({ text: line, depth: 0, type, checked: false });
+                return;
+            }
+
+            const [, indent, marker, checkbox, text] = match;
+            const previousDepth = items[items.length - 1].depth;
+            items.push({
+                text,
+                depth: Math.max(1, Math.min(Math.floor(indent.length / this.INDENT.length), previousDepth + 1)),
+                type: checkbox !== undefined ? BlockType.SQ : (/\d/.test(marker) ? BlockType.OL : BlockType.UL),
+                checked: /x/i.test(checkbox || '')
+            });
+        });
+
+        return items;
+    }
+
+    /**
+     * Parse markdown list lines into a flat list of items.
+     * Any deeper indentation than the previous item starts a nested list.
+     * @param {string} markdownString
+     * @returns {Array<{text: string, depth: number, type: string, checked: boolean}>|null} - null if a line is not a list item
+     */
+    static parseMarkdownItems(markdownString) {
+        const items = [];
+        const indents = [];
+
+        for (const line of markdownString.split('\n')) {
+            if (!line.trim()) continue;
+
+            const match = line.match(/^(\s*)(\d+[.)]|[-*+])\s+(?:\[([ xX]?)\](?:\s+|$))?(.*)$/);
+            if (!match) {
+                return null;
+            }
+
+            const [, indentText, marker, checkbox, text] = match;
+            const indent = indentText.replace(/\t/g, '    ').length;
+            while (indents.length > 0 && indent < indents[indents.length - 1]) {
+                indents.pop();
+            }
+            if (indents.length === 0 || indent > indents[indents.length - 1]) {
+                indents.push(indent);
+            }
+
+            items.push({
+                text,
+                depth: indents.length - 1,
+                type: checkbox !== undefined ? BlockType.SQ : (/\d/.test(marker) ? BlockType.OL : BlockType.UL),
+                checked: /x/i.test(checkbox || '')
+            });
+        }
+
+        return items;
+    }
+
+    /**
+     * Format items as list block content
+     * @param {Array<{text: string, depth: number, type: string, checked: boolean}>} items
+     * @returns {string}
+     */
+    static formatItems(items) {
+        return items.map(item => item.depth === 0
+            ? item.text
+            : this.INDENT.repeat(item.depth) + this.getMarker(item.type, 1, item.checked) + item.text
+        ).join('\n');
+    }
+
+    /**
+     * Get the markdown marker of a list item
+     * @param {string} type - 'ul', 'ol' or 'sq'
+     * @param {number} [number=1] - Position of an ordered item
+     * @param {boolean} [checked=false]
+     * @returns {string}
+     */
+    static getMarker(type, number = 1, checked = false) {
+        if (type === BlockType.OL) {
+            return number + '. ';
+        }
+        if (type === BlockType.SQ) {
+            return checked ? '- [x] ' : '- [ ] ';
+        }
+        return '- ';
+    }
+
+    /**
+     * Serialize items to markdown. Nested items are indented to the text of their
+     * parent item: two spaces below bullets and task items, three below "1. ".
+     * @param {Array<{text: string, depth: number, type: string, checked: boolean}>} items
+     * @returns {string}
+     */
+    static itemsToMarkdown(items) {
+        const counters = [];
+        const indents = [''];
+
+        return items.map(item => {
+            counters.length = item.depth + 1;
+            const previous = counters[item.depth];
+            const number = previous && previous.type === item.type ? previous.number + 1 : 1;
+            counters[item.depth] = { type: item.type, number };
+
+            const indent = indents[item.depth] || '';
+            const marker = this.getMarker(item.type, number, item.checked);
+            indents.length = item.depth + 1;
+            indents.push(indent + ' '.repeat(item.type === BlockType.OL ? marker.length : 2));
+
+            return indent + marker + item.text;
+        }).join('\n');
+    }
+
+    /**
+     * Group a flat item list into nested lists
+     * @param {Array<{text: string, depth: number, type: string, checked: boolean}>} items
+     * @returns {Array<{type: string, items: Array<{text: string, checked: boolean, lists: Array}>}>} - Top-level lists
+     */
+    static buildTree(items) {
+        const lists = [];
+        const stack = [];
+
+        items.forEach(item => {
+            const parentList = item.depth > 0 ? stack[item.depth - 1] : null;
+            const siblings = parentList ? parentList.items[parentList.items.length - 1].lists : lists;
+
+            let list = siblings[siblings.length - 1];
+            if (!list || list.type !== item.type) {
+                list = { type: item.type, items: [] };
+                siblings.push(list);
+            }
+            list.items.push({ text: item.text, checked: item.checked, lists: [] });
+
+            stack.length = item.depth;
+            stack[item.depth] = list;
+        });
+
+        return lists;
+    }
+
+    /**
+     * Serialize items to HTML with nested lists
+     * @param {Array<{text: string, depth: number, type: string, checked: boolean}>} items
+     * @returns {string}
+     */
+    static itemsToHtml(items) {
+        const render = list => {
+            const tag = list.type === BlockType.OL ? 'ol' : 'ul';
+            const listItems = list.items.map(item => {
+                const nested = item.lists.map(render).join('\n');
+                const content = InlineSerializer.toHtml(item.text) + (nested ? '\n' + nested + '\n' : '');
+                if (list.type !== BlockType.SQ) {
+                    return `<li>${content}</li>`;
+                }
+                const checked = item.checked ? ' checked' : '';
+                const completedClass = item.checked ? ' bke-task-completed' : '';
+                return `<li class="bke-task-list-item${completedClass}"><input type="checkbox"${checked}> ${content}</li>`;
+            }).join('\n');
+
+            const openTag = list.type === BlockType.SQ ? '<ul class="bke-task-list">' : `<${tag}>`;
+            return `${openTag}\n${listItems}\n</${tag}>`;
+        };
+
+        return this.buildTree(items).map(render).join('\n');
+    }
+
+    /**
+     * Check whether list HTML is a task list, judged by the outermost list only
+     * @param {string} htmlString
+     * @returns {boolean}
+     */
+    static isTaskListHtml(htmlString) {
+        return /^<ul[^>]*class="[^"]*bke-task-list/i.test(htmlString)
+            || /^<ul[^>]*>\s*<li[^>]*>\s*<input[^>]*type="checkbox"/i.test(htmlString);
+    }
 }
@@ -2,7 +2,6 @@
 
 import {ListBlock} from "@/blocks/ListBlock";
 import {BlockType} from "@/BlockType";
-import {Editor} from "@/Editor";
 
 /**
  * Ordered list block
@@ -13,17 +12,6 @@ export class OrderedListBlock extends ListBlock
         super(BlockType.OL, content, html, nested);
     }
 
-    /**
-     * Handle key press for ordered list blocks
-     * @param {KeyboardEvent} event
-     * @param {string} text - current text content of the block
-     * @returns {boolean} - true if key was handled, false otherwise
-     */
-    handleKeyPress(event, text) {
-        // Handle numbering and list continuation
-        return false;
-    }
-
     static getMarkdownTriggers() {
         // Include both space and dot variants for basic trigger list
         return ['1 ', '1.', '1) '];
@@ -82,56 +70,6 @@ export class OrderedListBlock extends ListBlock
         });
     }
 
-    /**
-     * Create a new ordered list item
-     * @param {HTMLElement} currentBlock - The block containing the list
-     * @param {HTMLElement} currentListItem - The current list item
-     */
-    createNewListItem(currentBlock, currentListItem) {
-        // Find the ol element within the block
-        const olElement = currentBlock && typeof currentBlock.querySelector === 'function' 
-            ? currentBlock.querySelector('ol') 
-            : null;
-        
-        if (!olElement) {
-            return false;
-        }
-        
-        // Create new list item
-        const newListItem = document.createElement('li');
-        newListItem.contentEditable = true;
-        
-        // Append to the ol element
-        olElement.appendChild(newListItem);
-        
-        // Focus on the new list item
-        const editorInstance = Editor.getInstanceFromElement(currentBlock);
-        if (editorInstance) {
-            editorInstance.setCurrentBlock(currentBlock); // Keep the same block
-        }
-        
-        // Use requestAnimationFrame to ensure DOM is updated before focusing
-        requestAnimationFrame(() => {
-            newListItem.focus();
-            
-            // Place cursor at the beginning of the new list item
-            if (window.getSelection && newListItem.nodeType === Node.ELEMENT_NODE) {
-                try {
-                    const selection = window.getSelection();
-                    const range = document.createRange();
-                    range.setStart(newListItem, 0);
-                    range.collapse(true);
-                    selection.removeAllRanges();
-                    selection.addRange(range);
-                } catch (e) {
-                    // Silently fail for cursor positioning if it fails (e.g., in tests)
-                }
-            }
-        });
-        
-        return true;
-    }
-
     /**
      * Get toolbar configuration for ordered lists
      * @returns {Object} - toolbar button configuration
@@ -145,23 +83,13 @@ export class OrderedListBlock extends ListBlock
         };
     }
 
-    /**
-     * Sync internal state from the associated DOM element
-     */
-    syncFromElement() {
-        if (!this._element) return;
-        const items = this._element.querySelectorAll('li');
-        this._content = Array.from(items).map(li => li.textContent || '').join('\n');
-    }
-
     /**
      * Convert this ordered list block to markdown
      * @returns {string} - markdown representation
      */
     toMarkdown() {
         this.syncFromElement();
-        const items = this._content.split('\n');
-        return items.map((item, index) => `${index + 1}. ${item}`).join('\n');
+        return ListBlock.itemsToMarkdown(this.getItems());
     }
 
     /**
@@ -170,9 +98,7 @@ export class OrderedListBlock extends ListBlock
      */
     toHtml() {
         this.syncFromElement();
-        const items = this._content.split('\n');
-        const listItems = items.map(item => `<li>${item}</li>`).join('\n');
-        return `<ol>\n${listItems}\n</ol>`;
+        return ListBlock.itemsToHtml(this.getItems());
     }
 
     /**
@@ -190,18 +116,13 @@ export class OrderedListBlock extends ListBlock
         // Create the actual ol element
         let olElement = document.createElement('ol');
         
-        const items = this._content.split('\n').filter(item => item.trim());
+        const items = this.getItems().filter(item => item.text.trim());
         if (items.length === 0) {
             const li = document.createElement('li');
             li.contentEditable = true;
             olElement.appendChild(li);
         } else {
-            items.forEach(item => {
-                const li = document.createElement('li');
-                li.textContent = item;
-                li.contentEditable = true;
-                olElement.appendChild(li);
-            });
+            this.renderItems(olElement, items);
         }
         
         // Append ol to the div wrapper
@@ -233,10 +154,9 @@ export class OrderedListBlock extends ListBlock
         
         if (!ol) return null;
         
-        const items = Array.from(ol.querySelectorAll('li')).map(li => li.textContent.trim());
-        const content = items.join('\n');
+        const items = this.readItems(ol, BlockType.OL).map(item => ({ ...item, text: item.text.trim() }));
         
-        return new OrderedListBlock(content, htmlString);
+        return new OrderedListBlock(this.formatItems(items), htmlString);
     }
 
     /**
@@ -245,8 +165,8 @@ export class OrderedListBlock extends ListBlock
      * @returns {boolean} - true if can parse, false otherwise
      */
     static canParseMarkdown(markdownString) {
-        const lines = markdownString.trim().split('\n');
-        return lines.every(line => /^\d+\.\s/.test(line.trim()));
+        const items = this.parseMarkdownItems(markdownString.trim());
+        return !!items && items.length > 0 && items.every(item => item.depth > 0 || item.type === BlockType.OL);
     }
 
     /**
@@ -257,10 +177,8 @@ export class OrderedListBlock extends ListBlock
     static parseFromMarkdown(markdownString) {
         if (!this.canParseMarkdown(markdownString)) return null;
         
-        const lines = markdownString.trim().split('\n');
-        const items = lines.map(line => line.replace(/^\d+\.\s/, ''));
-        const content = items.join('\n');
+        const items = this.parseMarkdownItems(markdownString.trim());
         
-        return new OrderedListBlock(content);
+        return new OrderedListBlock(this.formatItems(items));
     }
 }
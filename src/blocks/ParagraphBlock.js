@@ -2,6 +2,7 @@
 
 import {BaseBlock} from "@/blocks/BaseBlock";
 import {BlockType} from "@/BlockType";
+import {InlineSerializer} from "@/InlineSerializer";
 import showdown from "showdown";
 
 /**
@@ -110,7 +111,8 @@ export class ParagraphBlock extends BaseBlock
             const converter = new showdown.Converter();
             return converter.makeMd(`<p>${this._html}</p>`).trim();
         }
-        return this._content;
+        // Parsed paragraphs keep their inner HTML as content
+        return InlineSerializer.htmlToMarkdown(this._content);
     }
 
     /**
@@ -122,6 +124,60 @@ export class ParagraphBlock extends BaseBlock
         return `<p>${this._html || this._content}</p>`;
     }
 
+    /**
+     * Get the inline content of this paragraph as inline markdown.
+     * Line breaks (Shift+Enter) are kept as newlines.
+     * @returns {string}
+     */
+    getInlineMarkdown() {
+        this.syncFromElement();
+        // Parsed paragraphs keep their <p> wrapper inside the block element
+        const paragraph = this._element?.querySelector('p') || this._element;
+        if (!paragraph) {
+            return (this._content || '')
+                .split(/<br\s*\/?>/i)
+                .map(line => InlineSerializer.htmlToMarkdown(line))
+                .join('\n')
+                .replace(/\n+$/, '');
+        }
+
+        if (!paragraph.childNodes || paragraph.childNodes.length === 0) {
+            return InlineSerializer.escape(paragraph.textContent || '');
+        }
+
+        const lines = [[]];
+        Array.from(paragraph.childNodes).forEach(node => {
+            if ('BR' === node.nodeName) {
+                lines.push([]);
+            } else {
+                lines[lines.length - 1].push(node);
+            }
+        });
+
+        // A trailing <br> only keeps the caret line of contenteditable
+        return lines.map(nodes => InlineSerializer.nodesToMarkdown(nodes)).join('\n').replace(/\n+$/, '');
+    }
+
+    /**
+     * Convert this paragraph block to JSON data.
+     * Text keeps inline formatting as inline markdown, like headings and quotes.
+     * @returns {Object} - block data
+     */
+    toJSON() {
+        return { text: this.getInlineMarkdown() };
+    }
+
+    /**
+     * Create a paragraph block from JSON data
+     * @param {Object} data - block data
+     * @returns {ParagraphBlock}
+     */
+    static fromJSON(data = {}) {
+        // Inline markdown renders to escaped text, marks and safe links only
+        const html = (data.text || '').split('\n').map(line => InlineSerializer.toHtml(line)).join('<br>');
+        return new ParagraphBlock(html, html);
+    }
+
     /**
      * Render this paragraph block as an HTML element
      * @returns {HTMLElement} - DOM element representation
@@ -2,6 +2,7 @@
 
 import {BaseBlock} from "@/blocks/BaseBlock";
 import {BlockType} from "@/BlockType";
+import {InlineSerializer} from "@/InlineSerializer";
 
 /**
  * Quote block
@@ -37,6 +38,15 @@ export class QuoteBlock extends BaseBlock
         return ['> '];
     }
 
+    static getToolbarConfig() {
+        return {
+            class: 'bke-toolbar-quote',
+            icon: 'fa-quote-left',
+            title: 'Quote',
+            group: 'blocks'
+        };
+    }
+
     applyTransformation(targetElement, editorInstance) {
         if (!targetElement) return;
 
@@ -86,8 +96,18 @@ export class QuoteBlock extends BaseBlock
      * @returns {string} - markdown representation
      */
     toMarkdown() {
+        return `> ${this.getInlineMarkdown()}`;
+    }
+
+    /**
+     * Inline markdown of the quote text, keeping marks and links
+     * @returns {string}
+     */
+    getInlineMarkdown() {
         this.syncFromElement();
-        return `> ${this._content}`;
+        // Parsed quotes keep their inner HTML as content
+        const bq = this._element?.querySelector('blockquote') || this._element;
+        return bq ? InlineSerializer.toMarkdown(bq) : InlineSerializer.htmlToMarkdown(this._content);
     }
 
     /**
@@ -99,6 +119,24 @@ export class QuoteBlock extends BaseBlock
         return `<blockquote>${this._content}</blockquote>`;
     }
 
+    /**
+     * Convert this quote block to JSON data. The text is inline markdown, like list items and table cells.
+     * @returns {Object} - block data
+     */
+    toJSON() {
+        return { text: this.getInlineMarkdown() };
+    }
+
+    /**
+     * Create a quote block from JSON data
+     * @param {Object} data - block data
+     * @returns {QuoteBlock}
+     */
+    static fromJSON(data = {}) {
+        const content = InlineSerializer.toHtml(data.text || '');
+        return new QuoteBlock(content, `<blockquote>${content}</blockquote>`);
+    }
+
     /**
      * Render this quote block as an HTML element
      * @returns {HTMLElement} - DOM element representation
@@ -3,16 +3,46 @@
 import {BaseBlock} from "@/blocks/BaseBlock";
 import {BlockType} from "@/BlockType";
 import {Editor} from "@/Editor";
+import {InlineSerializer} from "@/InlineSerializer";
 
 /**
- * Table block for markdown tables
+ * Table block for markdown tables.
+ *
+ * Columns can be aligned, written as GFM alignment markers (`:---`, `:---:`, `---:`).
+ * A table without a header row has no GFM form and is written to markdown as an HTML table.
  */
 export class TableBlock extends BaseBlock
 {
+    /**
+     * Column alignments, see setColumnAlign()
+     */
+    static ALIGNMENTS = ['left', 'center', 'right'];
+
+    /**
+     * Narrowest column in pixels when resizing, see setColumnWidth()
+     */
+    static MIN_COLUMN_WIDTH = 40;
+
+    /**
+     * Cell text sorted as a date: 2024-01-31, 1/31/2024, Jan 31, 2024 or 31 Jan 2024
+     */
+    static DATE_REGEX = /^(\d{4}-\d{1,2}-\d{1,2}([T ][\d:.]+Z?)?|\d{1,2}\/\d{1,2}\/\d{2,4}|[a-z]{3,9}\.? \d{1,2},? \d{4}|\d{1,2} [a-z]{3,9}\.? \d{4})$/i;
+
+    /**
+     * Distance in pixels from the right border of a cell where dragging resizes the column
+     */
+    static RESIZE_THRESHOLD = 5;
+
     constructor(content = '', html = '', nested = false) {
         super(BlockType.TABLE, content, html, nested);
         this._rows = [];
         this._headers = [];
+        /** @type {string[]} Alignment of each column, '' for the default */
+        this._align = [];
+        /** @type {boolean} false if the first row is a data row, see setHeaderRow() */
+        this._hasHeader = true;
+        /** @type {Array<?number>} Width of each column in pixels, null for the default */
+        this._widths = [];
         
         // Parse content if provided
         if (content) {
@@ -47,6 +77,42 @@ export class TableBlock extends BaseBlock
         return this._headers;
     }
 
+    /**
+     * Write the table as CSV (RFC 4180): records end with CRLF and fields with a delimiter,
+     * quote or line break are quoted. The header row, when there is one, is the first line;
+     * fields are the plain text of the cells, without formatting.
+     * @param {{ delimiter?: string }} [options] - ',' by default, '\t' for TSV
+     * @returns {string}
+     */
+    toCSV({ delimiter = ',' } = {}) {
+        this.syncFromElement();
+        const rows = this._hasHeader && this._headers.length > 0 ? [this._headers, ...this._rows] : this._rows;
+        return TableBlock.toDelimited(rows.map(row => row.map(cell => InlineSerializer.toText(cell))), delimiter, '\r\n');
+    }
+
+    /**
+     * Create a table block from CSV (RFC 4180) or TSV text. Short rows are padded with empty cells.
+     * Fields are plain text: markdown characters in them are escaped.
+     * @param {string} text
+     * @param {{ delimiter?: string, header?: boolean }} [options] - ',' by default; with header: false
+     *     the first line is a data row and the table has no header row
+     * @returns {TableBlock}
+     */
+    static fromCSV(text, { delimiter = ',', header = true } = {}) {
+        const rows = TableBlock.parseDelimited(text, delimiter).map(row => row.map(field => InlineSerializer.escape(field)));
+        const columns = Math.max(0, ...rows.map(row => row.length));
+        const pad = (row) => [...row, ...Array.from({ length: columns - row.length }, () => '')];
+
+        const tableBlock = new TableBlock();
+        if (header && rows.length > 0) {
+            tableBlock.setHeaders(pad(rows.shift()));
+        } else {
+            tableBlock._hasHeader = false;
+        }
+        rows.forEach(row => tableBlock.addRow(pad(row)));
+        return tableBlock;
+    }
+
     /**
      * Set table headers
      * @param {Array<string>} value - Array of header names
@@ -146,13 +212,15 @@ export class TableBlock extends BaseBlock
         const tbody = table.querySelector('tbody');
         if (!tbody) return;
         
-        // Create new row with same number of columns as headers
+        // Create new row with the same columns as the table
         const newRow = document.createElement('tr');
-        for (let i = 0; i < this._headers.length; i++) {
+        const columnCount = TableBlock.getColumnCount(table);
+        for (let i = 0; i < columnCount; i++) {
             const cell = document.createElement('td');
             cell.contentEditable = true;
             cell.style.border = '1px solid #ddd';
             cell.style.padding = '8px';
+            cell.style.textAlign = TableBlock.getColumnAlign(table, i);
             cell.tabIndex = 0;
             newRow.appendChild(cell);
             
@@ -169,7 +237,7 @@ export class TableBlock extends BaseBlock
         }
         
         // Update internal data structure
-        this._rows.push(new Array(this._headers.length).fill(''));
+        this._rows.push(new Array(columnCount).fill(''));
         
         editorInstance?.update();
     }
@@ -200,6 +268,7 @@ export class TableBlock extends BaseBlock
         
         // Ensure cells are properly editable
         this.setupCellEditing(targetElement);
+        this.setupColumnResizing(targetElement.querySelector('table'));
         
         if (editorInstance) {
             editorInstance.setCurrentBlock(targetElement);
@@ -259,6 +328,8 @@ export class TableBlock extends BaseBlock
      */
     handleCellFocus(event) {
         const cell = event.target;
+        // The column and row the table menu acts on
+        this._activeCell = cell;
         cell.style.outline = '2px solid #007cba';
         cell.style.backgroundColor = '#f0f8ff';
         
@@ -307,13 +378,13 @@ export class TableBlock extends BaseBlock
         
         // Update headers
         const headerCells = table.querySelectorAll('th');
-        this._headers = Array.from(headerCells).map(cell => cell.textContent || '');
+        this._headers = Array.from(headerCells).map(cell => InlineSerializer.toMarkdown(cell));
         
         // Update rows
         const rows = table.querySelectorAll('tbody tr');
         this._rows = Array.from(rows).map(row => {
             const cells = row.querySelectorAll('td');
-            return Array.from(cells).map(cell => cell.textContent || '');
+            return Array.from(cells).map(cell => InlineSerializer.toMarkdown(cell));
         });
     }
 
@@ -322,13 +393,15 @@ export class TableBlock extends BaseBlock
      * @returns {string} - HTML table string
      */
     generateTableHTML() {
-        let html = '<table style="border-collapse: collapse; width: 100%;">';
+        const fixed = this._widths.some(Boolean) ? ' table-layout: fixed;' : '';
+        let html = `<table style="border-collapse: collapse; width: 100%;${fixed}">` + this.generateColgroupHTML();
+        const align = (index) => this._align[index] ? ` text-align: ${this._align[index]};` : '';
         
         // Add header
-        if (this._headers.length > 0) {
+        if (this._hasHeader && this._headers.length > 0) {
             html += '<thead><tr>';
-            this._headers.forEach(header => {
-                html += `<th contenteditable="true" style="border: 1px solid #ddd; padding: 8px; background: #f5f5f5;">${header}</th>`;
+            this._headers.forEach((header, index) => {
+                html += `<th contenteditable="true" style="border: 1px solid #ddd; padding: 8px; background: #f5f5f5;${align(index)}">${InlineSerializer.toHtml(header)}</th>`;
             });
             html += '</tr></thead>';
         }
@@ -338,8 +411,8 @@ export class TableBlock extends BaseBlock
             html += '<tbody>';
             this._rows.forEach(row => {
                 html += '<tr>';
-                row.forEach(cell => {
-                    html += `<td contenteditable="true" style="border: 1px solid #ddd; padding: 8px;">${cell}</td>`;
+                row.forEach((cell, index) => {
+                    html += `<td contenteditable="true" style="border: 1px solid #ddd; padding: 8px;${align(index)}">${InlineSerializer.toHtml(cell)}</td>`;
                 });
                 html += '</tr>';
             });
@@ -350,6 +423,19 @@ export class TableBlock extends BaseBlock
         return html;
     }
 
+    /**
+     * @returns {string} - A <colgroup> with the column widths, empty without widths
+     */
+    generateColgroupHTML() {
+        if (!this._widths.some(Boolean)) return '';
+
+        const columnCount = Math.max(this._headers.length, ...this._rows.map(row => row.length), this._widths.length);
+        const cols = Array.from({ length: columnCount }, (value, index) =>
+            this._widths[index] ? `<col style="width: ${this._widths[index]}px;">` : '<col>'
+        );
+        return '<colgroup>' + cols.join('') + '</colgroup>';
+    }
+
     /**
      * Show table control buttons around the focused table
      * @param {HTMLElement} cell - The focused cell
@@ -489,6 +575,38 @@ export class TableBlock extends BaseBlock
         controlsContainer.appendChild(rightControl);
         controlsContainer.appendChild(bottomControl);
         
+        // Drag handles to reorder the row and the column of the focused cell
+        const row = cell.parentElement;
+        const handleStyle = `
+            position: absolute;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: #f0f0f0;
+            border: 1px solid #ddd;
+            border-radius: 3px;
+            color: #888;
+            font-size: 10px;
+            cursor: grab;
+            pointer-events: auto;
+        `;
+        if (row?.parentElement?.tagName === 'TBODY') {
+            const rowHandle = document.createElement('div');
+            rowHandle.className = 'bke-table-row-handle';
+            rowHandle.style.cssText = handleStyle + `top: ${row.offsetTop}px; left: -18px; width: 12px; height: ${row.offsetHeight}px;`;
+            rowHandle.innerHTML = '⋮';
+            rowHandle.title = 'Drag to move row';
+            this.setupReorderHandle(rowHandle, table, 'row', row.rowIndex);
+            controlsContainer.appendChild(rowHandle);
+        }
+        const columnHandle = document.createElement('div');
+        columnHandle.className = 'bke-table-column-handle';
+        columnHandle.style.cssText = handleStyle + `top: -18px; left: ${cell.offsetLeft}px; width: ${cell.offsetWidth}px; height: 12px;`;
+        columnHandle.innerHTML = '⋯';
+        columnHandle.title = 'Drag to move column';
+        this.setupReorderHandle(columnHandle, table, 'column', cell.cellIndex);
+        controlsContainer.appendChild(columnHandle);
+        
         // Add to table block with relative positioning
         tableBlock.style.position = 'relative';
         tableBlock.appendChild(controlsContainer);
@@ -520,6 +638,10 @@ export class TableBlock extends BaseBlock
             pointer-events: auto;
         `;
         
+        // The header row can be toggled without a focused cell
+        const table = triggerElement.closest('[data-block-type="table"]')?.querySelector('table');
+        const headerCell = table?.contains(this._activeCell) ? this._activeCell : table?.rows[0]?.cells[0];
+
         const menuItems = [
             {
                 label: 'Add Row Above',
@@ -547,6 +669,40 @@ export class TableBlock extends BaseBlock
                 action: () => this.removeColumn()
             },
             { divider: true },
+            {
+                label: 'Align Column Left',
+                action: () => this.setColumnAlign('left')
+            },
+            {
+                label: 'Align Column Center',
+                action: () => this.setColumnAlign('center')
+            },
+            {
+                label: 'Align Column Right',
+                action: () => this.setColumnAlign('right')
+            },
+            {
+                label: 'Sort Ascending',
+                action: () => this.sortByColumn('asc')
+            },
+            {
+                label: 'Sort Descending',
+                action: () => this.sortByColumn('desc')
+            },
+            {
+                label: TableBlock.hasHeaderRow(table) ? 'Hide Header Row' : 'Show Header Row',
+                action: () => this.toggleHeaderRow(headerCell)
+            },
+            { divider: true },
+            {
+                label: 'Import CSV',
+                action: () => this.importCSV(table)
+            },
+            {
+                label: 'Export as CSV',
+                action: () => this.exportCSV(table)
+            },
+            { divider: true },
             {
                 label: 'Delete Table',
                 action: () => this.deleteTable(),
@@ -672,6 +828,8 @@ export class TableBlock extends BaseBlock
             this.addCellEventListeners(newHeader);
         }
         
+        table.querySelector('colgroup')?.appendChild(document.createElement('col'));
+        
         // Add cells to all existing rows
         bodyRows.forEach(row => {
             const newCell = document.createElement('td');
@@ -708,13 +866,14 @@ export class TableBlock extends BaseBlock
         const bodyRows = table.querySelectorAll('tbody tr');
         
         // Don't remove if only one column left
-        if (headerRow && headerRow.children.length <= 1) return;
+        if (TableBlock.getColumnCount(table) <= 1) return;
         
         // Remove header
         if (headerRow) {
             const lastHeader = headerRow.lastElementChild;
             if (lastHeader) lastHeader.remove();
         }
+        table.querySelector('colgroup')?.lastElementChild?.remove();
         
         // Remove cells from all rows
         bodyRows.forEach(row => {
@@ -759,6 +918,9 @@ export class TableBlock extends BaseBlock
             this.addCellEventListeners(newHeader);
         }
         
+        const colgroup = table.querySelector('colgroup');
+        colgroup?.insertBefore(document.createElement('col'), colgroup.firstChild);
+        
         // Add cells to all existing rows at the beginning
         bodyRows.forEach(row => {
             const newCell = document.createElement('td');
@@ -794,13 +956,15 @@ export class TableBlock extends BaseBlock
         const tbody = table.querySelector('tbody');
         if (!tbody) return;
         
-        // Create new row with same number of columns as headers
+        // Create new row with the same columns as the table
         const newRow = document.createElement('tr');
-        for (let i = 0; i < this._headers.length; i++) {
+        const columnCount = TableBlock.getColumnCount(table);
+        for (let i = 0; i < columnCount; i++) {
             const cell = document.createElement('td');
             cell.contentEditable = true;
             cell.style.border = '1px solid #ddd';
             cell.style.padding = '8px';
+            cell.style.textAlign = TableBlock.getColumnAlign(table, i);
             cell.tabIndex = 0;
             cell.textContent = '';
             newRow.appendChild(cell);
@@ -819,7 +983,7 @@ export class TableBlock extends BaseBlock
         }
         
         // Update internal data structure
-        this._rows.unshift(new Array(this._headers.length).fill(''));
+        this._rows.unshift(new Array(columnCount).fill(''));
         
         editorInstance?.update();
     }
@@ -878,35 +1042,655 @@ export class TableBlock extends BaseBlock
         }
     }
 
+    /**
+     * Align the column of a cell, or reset it to the default when it already has the alignment
+     * @param {string} align - One of ALIGNMENTS
+     * @param {HTMLElement} [cell] - A cell of the column, the last focused cell by default
+     * @returns {boolean} - false if there is no such cell or alignment
+     */
+    setColumnAlign(align, cell = this._activeCell) {
+        const table = cell?.closest('table');
+        if (!table || !TableBlock.ALIGNMENTS.includes(align)) return false;
+
+        const index = cell.cellIndex;
+        const value = TableBlock.getColumnAlign(table, index) === align ? '' : align;
+        Array.from(table.rows).forEach(row => {
+            if (row.cells[index]) {
+                row.cells[index].style.textAlign = value;
+            }
+        });
+
+        // Update internal data structure
+        this._align[index] = value;
+
+        Editor.getInstanceFromElement(table)?.update();
+        return true;
+    }
+
+    /**
+     * Turn the header row of the table of a cell on or off, see setHeaderRow()
+     * @param {HTMLElement} [cell] - A cell of the table, the last focused cell by default
+     * @returns {boolean}
+     */
+    toggleHeaderRow(cell = this._activeCell) {
+        const table = cell?.closest('table');
+        return !!table && this.setHeaderRow(!TableBlock.hasHeaderRow(table), cell);
+    }
+
+    /**
+     * Turn the header row on or off. The first data row becomes the header row and back,
+     * so no cell content is lost.
+     * @param {boolean} enabled
+     * @param {HTMLElement} [cell] - A cell of the table, the last focused cell by default
+     * @returns {boolean} - false if the table has no such change
+     */
+    setHeaderRow(enabled, cell = this._activeCell) {
+        const table = cell?.closest('table');
+        if (!table || TableBlock.hasHeaderRow(table) === enabled) return false;
+
+        if (enabled) {
+            const firstRow = table.querySelector('tbody tr');
+            if (!firstRow) return false;
+
+            table.createTHead().appendChild(firstRow);
+            this.replaceCells(firstRow, 'th');
+
+            // Update internal data structure
+            this._headers = this._rows.shift() || [];
+        } else {
+            const headerRow = table.querySelector('thead tr');
+            const tbody = table.tBodies[0] || table.createTBody();
+            tbody.insertBefore(headerRow, tbody.firstChild);
+            table.deleteTHead();
+            this.replaceCells(headerRow, 'td');
+
+            // Update internal data structure
+            this._rows.unshift(this._headers);
+            this._headers = [];
+        }
+        this._hasHeader = enabled;
+
+        Editor.getInstanceFromElement(table)?.update();
+        return true;
+    }
+
+    /**
+     * Set the width of a column, kept as a <col> of the table
+     * @param {HTMLTableElement} table
+     * @param {number} index - Column index
+     * @param {?number} width - Width in pixels, null for the default
+     * @returns {boolean} - false if the table has no such column
+     */
+    setColumnWidth(table, index, width) {
+        if (!table || index < 0 || index >= TableBlock.getColumnCount(table)) return false;
+
+        const value = Number(width) > 0 ? Math.max(TableBlock.MIN_COLUMN_WIDTH, Math.round(Number(width))) : null;
+        this.change(table, () => {
+            TableBlock.getColumns(table)[index].style.width = value ? value + 'px' : '';
+            table.style.tableLayout = TableBlock.getColumns(table).some(col => col.style.width) ? 'fixed' : '';
+        });
+
+        // Update internal data structure
+        this._widths[index] = value;
+        return true;
+    }
+
+    /**
+     * Sort the data rows by a column. Numbers and dates are compared by value, empty cells go last.
+     * @param {string} direction - 'asc' or 'desc'
+     * @param {HTMLElement} [cell] - A cell of the column, the last focused cell by default
+     * @returns {boolean} - false if there is no such cell or no rows to sort
+     */
+    sortByColumn(direction = 'asc', cell = this._activeCell) {
+        const table = cell?.closest('table');
+        const tbody = table?.tBodies[0];
+        if (!tbody || tbody.rows.length < 2) return false;
+
+        const index = cell.cellIndex;
+        const sign = 'desc' === direction ? -1 : 1;
+        const text = (row) => (row.cells[index]?.textContent || '').trim();
+        const rows = Array.from(tbody.rows).sort((a, b) => {
+            const [x, y] = [text(a), text(b)];
+            if (!x || !y) {
+                return (x ? 0 : 1) - (y ? 0 : 1);
+            }
+            return sign * TableBlock.compareValues(x, y);
+        });
+
+        this.change(table, () => rows.forEach(row => tbody.appendChild(row)));
+        return true;
+    }
+
+    /**
+     * Move a data row to another position
+     * @param {HTMLTableElement} table
+     * @param {number} from - Index of the row in table.rows
+     * @param {number} to - Index the row moves to
+     * @returns {boolean} - false if a row is missing or in the header
+     */
+    moveRow(table, from, to) {
+        const row = table?.rows[from];
+        const target = table?.rows[to];
+        if (!row || !target || from === to || row.parentElement.tagName !== 'TBODY' || target.parentElement !== row.parentElement) {
+            return false;
+        }
+
+        this.change(table, () => target.parentElement.insertBefore(row, from < to ? target.nextSibling : target));
+        return true;
+    }
+
+    /**
+     * Move a column with its alignment and width to another position
+     * @param {HTMLTableElement} table
+     * @param {number} from - Column index
+     * @param {number} to - Index the column moves to
+     * @returns {boolean} - false if a column is missing
+     */
+    moveColumn(table, from, to) {
+        const columnCount = table ? TableBlock.getColumnCount(table) : 0;
+        if (from === to || from < 0 || to < 0 || from >= columnCount || to >= columnCount) return false;
+
+        const move = (parent, children) => {
+            const child = children[from];
+            const target = children[to];
+            if (child && target) {
+                parent.insertBefore(child, from < to ? target.nextSibling : target);
+            }
+        };
+
+        this.change(table, () => {
+            Array.from(table.rows).forEach(row => move(row, row.cells));
+            const colgroup = table.querySelector('colgroup');
+            if (colgroup) {
+                move(colgroup, colgroup.children);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Replace the content of the table with a CSV or TSV file chosen by the user, as one undo step
+     * @param {HTMLTableElement} table
+     * @returns {boolean} - false if the table is not in an editable editor
+     */
+    importCSV(table) {
+        const id = table?.closest('[data-block-id]')?.getAttribute('data-block-id');
+        const tableFiles = Editor.getInstanceFromElement(table)?.tableFiles;
+        if (!id || !tableFiles) return false;
+
+        tableFiles.pick({ replaceId: id });
+        return true;
+    }
+
+    /**
+     * Download the table as a CSV file, see toCSV()
+     * @param {HTMLTableElement} table
+     * @param {string} [fileName]
+     * @returns {boolean} - false if the browser cannot create the file
+     */
+    exportCSV(table, fileName = 'table.csv') {
+        const blockElement = table?.closest('.bke-block');
+        if (!blockElement || typeof URL.createObjectURL !== 'function') return false;
+
+        const block = new TableBlock();
+        block.element = blockElement;
+        const url = URL.createObjectURL(new Blob([block.toCSV()], { type: 'text/csv' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        return true;
+    }
+
+    /**
+     * Change the table as one undo step
+     * @param {HTMLTableElement} table
+     * @param {Function} fn - Changes the DOM of the table
+     */
+    change(table, fn) {
+        const editorInstance = Editor.getInstanceFromElement(table);
+        if (editorInstance) {
+            editorInstance.transaction(fn);
+        } else {
+            fn();
+        }
+    }
+
+    /**
+     * Resize columns by dragging the right border of a cell
+     * @param {HTMLTableElement} table
+     */
+    setupColumnResizing(table) {
+        let index = -1;
+        let startX, startWidth, col, restore;
+
+        const getBorderCell = (e) => {
+            const cell = e.target?.closest?.('th, td');
+            if (!cell || !table.contains(cell)) return null;
+            const rect = cell.getBoundingClientRect();
+            const distance = rect.right - e.clientX;
+            return rect.width > 0 && distance >= 0 && distance <= TableBlock.RESIZE_THRESHOLD ? cell : null;
+        };
+
+        // Show the resize cursor near a border
+        table.addEventListener('mousemove', (e) => {
+            if (index === -1) {
+                table.classList.toggle('bke-table--resize-hover', !!getBorderCell(e));
+            }
+        });
+
+        table.addEventListener('mousedown', (e) => {
+            const cell = getBorderCell(e);
+            if (!cell || Editor.getInstanceFromElement(table)?._readonly) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            index = cell.cellIndex;
+
+            // The table as it was before the drag
+            const hadColgroup = !!table.querySelector('colgroup');
+            const tableLayout = table.style.tableLayout;
+            col = TableBlock.getColumns(table)[index];
+            const width = col.style.width;
+            restore = () => {
+                col.style.width = width;
+                table.style.tableLayout = tableLayout;
+                if (!hadColgroup) {
+                    table.querySelector('colgroup')?.remove();
+                }
+            };
+
+            startX = e.clientX;
+            startWidth = parseInt(col.style.width, 10) || Math.round(cell.getBoundingClientRect().width);
+            table.classList.add('bke-table--resizing');
+
+            document.addEventListener('mousemove', doResize);
+            document.addEventListener('mouseup', stopResize);
+        });
+
+        const doResize = (e) => {
+            col.style.width = Math.max(TableBlock.MIN_COLUMN_WIDTH, startWidth + e.clientX - startX) + 'px';
+            table.style.tableLayout = 'fixed';
+        };
+
+        const stopResize = (e) => {
+            document.removeEventListener('mousemove', doResize);
+            document.removeEventListener('mouseup', stopResize);
+            table.classList.remove('bke-table--resizing');
+
+            // Change the width from before the drag, as one undo step
+            const width = parseInt(col.style.width, 10);
+            restore();
+            if (e.clientX !== startX) {
+                this.setColumnWidth(table, index, width);
+            }
+            index = -1;
+        };
+    }
+
+    /**
+     * Reorder a row or column by dragging its handle onto another row or column
+     * @param {HTMLElement} handle - The drag handle
+     * @param {HTMLTableElement} table
+     * @param {string} type - 'row' or 'column'
+     * @param {number} from - Index of the row in table.rows, or of the column
+     */
+    setupReorderHandle(handle, table, type, from) {
+        let target = -1;
+
+        // The row or column under the pointer, by the middle of its cells
+        const getTarget = (e) => {
+            const cells = 'row' === type
+                ? Array.from(table.rows).map(row => row.cells[0])
+                : Array.from(table.rows[0]?.cells || []);
+            const index = cells.findIndex(cell => {
+                const rect = cell.getBoundingClientRect();
+                return 'row' === type ? e.clientY < rect.top + rect.height / 2 : e.clientX < rect.left + rect.width / 2;
+            });
+            return Math.max(0, (index === -1 ? cells.length : index) - (index === -1 || index > from ? 1 : 0));
+        };
+
+        const markTarget = (index) => {
+            table.querySelectorAll('.bke-table-drop-target').forEach(cell => cell.classList.remove('bke-table-drop-target'));
+            const cells = 'row' === type
+                ? Array.from(table.rows[index]?.cells || [])
+                : Array.from(table.rows).map(row => row.cells[index]).filter(Boolean);
+            cells.forEach(cell => cell.classList.add('bke-table-drop-target'));
+        };
+
+        const doDrag = (e) => {
+            target = getTarget(e);
+            markTarget(target);
+        };
+
+        const stopDrag = () => {
+            document.removeEventListener('mousemove', doDrag);
+            document.removeEventListener('mouseup', stopDrag);
+            markTarget(-1);
+            table.classList.remove('bke-table--reordering');
+
+            if (target !== -1 && target !== from) {
+                if ('row' === type) {
+                    this.moveRow(table, from, target);
+                } else {
+                    this.moveColumn(table, from, target);
+                }
+            }
+            target = -1;
+        };
+
+        handle.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            table.classList.add('bke-table--reordering');
+            document.addEventListener('mousemove', doDrag);
+            document.addEventListener('mouseup', stopDrag);
+        });
+    }
+
+    /**
+     * Replace the cells of a row with header or data cells, keeping their content and alignment
+     * @param {HTMLTableRowElement} row
+     * @param {string} tagName - 'th' or 'td'
+     */
+    replaceCells(row, tagName) {
+        Array.from(row.cells).forEach(cell => {
+            const newCell = this.createCell(tagName, cell.style.textAlign);
+            newCell.innerHTML = cell.innerHTML;
+            cell.replaceWith(newCell);
+        });
+    }
+
+    /**
+     * Create an editable cell with the cell event listeners
+     * @param {string} tagName - 'th' or 'td'
+     * @param {string} [align] - One of ALIGNMENTS
+     * @returns {HTMLTableCellElement}
+     */
+    createCell(tagName, align = '') {
+        const cell = document.createElement(tagName);
+        cell.contentEditable = true;
+        cell.style.border = '1px solid #ddd';
+        cell.style.padding = '8px';
+        cell.style.textAlign = align;
+        if ('th' === tagName) {
+            cell.style.background = '#f5f5f5';
+        }
+        cell.tabIndex = 0;
+
+        this.addCellEventListeners(cell);
+        return cell;
+    }
+
+    /**
+     * Fill cells with text from a cell on, adding rows and columns when the values do not fit
+     * @param {HTMLTableElement} table
+     * @param {number} rowIndex - Row of the first value, counting the header row
+     * @param {number} columnIndex - Column of the first value
+     * @param {string[][]} values - Plain text by row
+     * @returns {HTMLTableCellElement[]} - The filled cells
+     */
+    setCells(table, rowIndex, columnIndex, values) {
+        const columnCount = Math.max(...values.map(row => columnIndex + row.length), TableBlock.getColumnCount(table));
+        const tbody = table.tBodies[0] || table.createTBody();
+
+        // Add the missing rows, then the missing columns of every row
+        while (table.rows.length < rowIndex + values.length) {
+            tbody.appendChild(document.createElement('tr'));
+        }
+        Array.from(table.rows).forEach(row => {
+            const tagName = row.parentElement?.tagName === 'THEAD' ? 'th' : 'td';
+            while (row.cells.length < columnCount) {
+                row.appendChild(this.createCell(tagName, TableBlock.getColumnAlign(table, row.cells.length)));
+            }
+        });
+
+        const cells = [];
+        values.forEach((row, i) => {
+            row.forEach((value, j) => {
+                const cell = table.rows[rowIndex + i].cells[columnIndex + j];
+                cell.textContent = value;
+                cells.push(cell);
+            });
+        });
+
+        return cells;
+    }
+
+    /**
+     * Parse tab- or comma-separated text. Fields may be quoted with `"`, doubling quotes inside.
+     * @param {string} text
+     * @param {string} [delimiter] - '\t' or ','
+     * @returns {string[][]} - Fields by row
+     */
+    static parseDelimited(text, delimiter = '\t') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        const input = String(text ?? '').replace(/\r\n?/g, '\n');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if ('"' === char && '"' === input[i + 1]) {
+                    field += '"';
+                    i++;
+                } else if ('"' === char) {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if ('"' === char && '' === field) {
+                quoted = true;
+            } else if (delimiter === char) {
+                row.push(field);
+                field = '';
+            } else if ('\n' === char) {
+                rows.push([...row, field]);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        // A trailing line break does not start a row
+        if (row.length > 0 || field !== '') {
+            rows.push([...row, field]);
+        }
+        return rows;
+    }
+
+    /**
+     * Write rows as tab- or comma-separated text, quoting fields when needed
+     * @param {string[][]} rows
+     * @param {string} [delimiter] - '\t' or ','
+     * @param {string} [lineBreak] - '\n', or '\r\n' for CSV files
+     * @returns {string}
+     */
+    static toDelimited(rows, delimiter = '\t', lineBreak = '\n') {
+        const quote = (field) => {
+            const value = String(field ?? '');
+            return value.includes(delimiter) || /["\n\r]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+        };
+        return rows.map(row => row.map(quote).join(delimiter)).join(lineBreak);
+    }
+
+    /**
+     * The <col> elements of a table, one per column, creating the colgroup when missing
+     * @param {HTMLTableElement} table
+     * @returns {HTMLTableColElement[]}
+     */
+    static getColumns(table) {
+        let colgroup = table.querySelector('colgroup');
+        if (!colgroup) {
+            colgroup = document.createElement('colgroup');
+            table.insertBefore(colgroup, table.firstChild);
+        }
+
+        const columnCount = TableBlock.getColumnCount(table);
+        while (colgroup.children.length < columnCount) {
+            colgroup.appendChild(document.createElement('col'));
+        }
+        return Array.from(colgroup.children).slice(0, columnCount);
+    }
+
+    /**
+     * @param {HTMLTableElement} table
+     * @returns {Array<?number>} - Column widths of the colgroup in pixels, empty without widths
+     */
+    static readWidths(table) {
+        const widths = Array.from(table.querySelectorAll('colgroup > col'))
+            .map(col => parseInt(col.style.width || col.getAttribute('width'), 10) || null);
+        return widths.some(Boolean) ? widths : [];
+    }
+
+    /**
+     * Compare two cell values: numbers and dates by value, other text alphabetically
+     * with numbers in it compared by value ("Item 2" before "Item 10")
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    static compareValues(a, b) {
+        const number = (value) => /^[-+]?[$€£]?\s*\d[\d,]*(\.\d+)?\s*%?$/.test(value) ? parseFloat(value.replace(/[^\d.+-]/g, '')) : NaN;
+        const date = (value) => TableBlock.DATE_REGEX.test(value) ? Date.parse(value) : NaN;
+
+        const [x, y] = [number(a), number(b)];
+        if (!isNaN(x) && !isNaN(y)) return x - y;
+
+        const [dx, dy] = [date(a), date(b)];
+        if (!isNaN(dx) && !isNaN(dy)) return dx - dy;
+
+        return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    /**
+     * @param {?HTMLTableElement} table
+     * @returns {boolean} - true if the table has a header row
+     */
+    static hasHeaderRow(table) {
+        return !!table?.querySelector('thead th, tr:first-child > th');
+    }
+
+    /**
+     * @param {HTMLTableElement} table
+     * @returns {number} - Number of cells in the first row
+     */
+    static getColumnCount(table) {
+        return table.rows[0]?.cells.length || 0;
+    }
+
+    /**
+     * @param {HTMLTableElement} table
+     * @param {number} index - Column index
+     * @returns {string} - One of ALIGNMENTS, or '' for the default
+     */
+    static getColumnAlign(table, index) {
+        return TableBlock.normalizeAlign(table.rows[0]?.cells[index]);
+    }
+
+    /**
+     * @param {?HTMLElement} cell
+     * @returns {string} - The text-align of a cell (or its align attribute) if it is one of ALIGNMENTS, otherwise ''
+     */
+    static normalizeAlign(cell) {
+        const align = (cell?.style?.textAlign || cell?.getAttribute?.('align') || '').toLowerCase();
+        return TableBlock.ALIGNMENTS.includes(align) ? align : '';
+    }
+
+    /**
+     * Escape the pipes of a cell, which would otherwise end the cell
+     * @param {string} cell - Inline markdown
+     * @returns {string}
+     */
+    static escapeCell(cell) {
+        return String(cell ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+    }
+
+    /**
+     * Split a markdown table row into cells. Escaped pipes (`\|`) are part of the cell.
+     * @param {string} line
+     * @returns {string[]} - Cells, unescaped and trimmed
+     */
+    static splitRow(line) {
+        const cells = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1').split(/(?<!\\)\|/);
+        return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
     /**
      * Sync internal state from the associated DOM element
      */
     syncFromElement() {
         if (!this._element) return;
-        this._headers = Array.from(this._element.querySelectorAll('th')).map(th => th.textContent || '');
+        const table = this._element.querySelector('table');
+        // Cells are kept as inline markdown
+        this._headers = Array.from(this._element.querySelectorAll('th')).map(th => InlineSerializer.toMarkdown(th));
         this._rows = Array.from(this._element.querySelectorAll('tbody tr')).map(tr =>
-            Array.from(tr.querySelectorAll('td')).map(td => td.textContent || '')
+            Array.from(tr.querySelectorAll('td')).map(td => InlineSerializer.toMarkdown(td))
         );
+        if (table) {
+            this._hasHeader = TableBlock.hasHeaderRow(table);
+            this._align = Array.from(table.rows[0]?.cells || []).map(cell => TableBlock.normalizeAlign(cell));
+            this._widths = TableBlock.readWidths(table);
+        }
     }
 
     /**
-     * Convert this table block to markdown
+     * Convert this table block to markdown. A table without a header row is written as an HTML table.
      * @returns {string} - markdown representation
      */
     toMarkdown() {
         this.syncFromElement();
+        if (!this._hasHeader) {
+            return this._rows.length > 0 ? this.toHtmlTable() + '\n' : '';
+        }
         if (!this._headers.length) return '';
+
+        const separator = (index) => {
+            const align = this._align[index];
+            return ('left' === align || 'center' === align ? ':' : '') + '---' + ('right' === align || 'center' === align ? ':' : '');
+        };
         
-        let markdown = '| ' + this._headers.join(' | ') + ' |\n';
-        markdown += '| ' + this._headers.map(() => '---').join(' | ') + ' |\n';
+        let markdown = '| ' + this._headers.map(TableBlock.escapeCell).join(' | ') + ' |\n';
+        markdown += '| ' + this._headers.map((header, index) => separator(index)).join(' | ') + ' |\n';
         
         this._rows.forEach(row => {
-            markdown += '| ' + row.join(' | ') + ' |\n';
+            markdown += '| ' + row.map(TableBlock.escapeCell).join(' | ') + ' |\n';
         });
         
         return markdown;
     }
 
+    /**
+     * Plain HTML table without editing attributes, the markdown of a table without a header row
+     * @returns {string}
+     */
+    toHtmlTable() {
+        const cell = (tagName, text, index) => {
+            const style = this._align[index] ? ` style="text-align: ${this._align[index]};"` : '';
+            return `<${tagName}${style}>${InlineSerializer.toHtml(text)}</${tagName}>`;
+        };
+        const row = (cells, tagName) => '<tr>' + cells.map((text, index) => cell(tagName, text, index)).join('') + '</tr>';
+
+        const lines = ['<table>'];
+        if (this._widths.some(Boolean)) {
+            lines.push(this.generateColgroupHTML());
+        }
+        if (this._hasHeader && this._headers.length > 0) {
+            lines.push('<thead>', row(this._headers, 'th'), '</thead>');
+        }
+        lines.push('<tbody>', ...this._rows.map(cells => row(cells, 'td')), '</tbody>', '</table>');
+
+        return lines.join('\n');
+    }
+
     /**
      * Convert this table block to HTML
      * @returns {string} - HTML representation
@@ -916,14 +1700,6 @@ export class TableBlock extends BaseBlock
         return this.generateTableHTML();
     }
 
-    /**
-     * Get disabled toolbar buttons for table blocks
-     * @returns {Array<string>} - Array of disabled button classes
-     */
-    static getDisabledButtons() {
-        return ['bke-toolbar-bold', 'bke-toolbar-italic', 'bke-toolbar-ul', 'bke-toolbar-ol'];
-    }
-
     /**
      * Set table headers
      * @param {Array<string>} headers
@@ -956,6 +1732,51 @@ export class TableBlock extends BaseBlock
         return this._rows;
     }
 
+    /**
+     * Convert this table block to JSON data
+     * @returns {Object} - block data
+     */
+    toJSON() {
+        this.syncFromElement();
+        const data = {
+            headers: [...this._headers],
+            rows: this._rows.map(row => [...row])
+        };
+        if (this._align.some(Boolean)) data.align = [...this._align];
+        if (this._widths.some(Boolean)) data.widths = [...this._widths];
+        if (!this._hasHeader) data.hasHeader = false;
+        return data;
+    }
+
+    /**
+     * Create a table block from JSON data
+     * @param {Object} data - block data
+     * @returns {TableBlock}
+     */
+    static fromJSON(data = {}) {
+        const tableBlock = new TableBlock();
+        tableBlock._headers = Array.isArray(data.headers) ? data.headers.map(cell => String(cell ?? '')) : [];
+        tableBlock._rows = Array.isArray(data.rows)
+            ? data.rows.map(row => (Array.isArray(row) ? row : []).map(cell => String(cell ?? '')))
+            : [];
+        tableBlock._align = Array.isArray(data.align)
+            ? data.align.map(align => TableBlock.ALIGNMENTS.includes(align) ? align : '')
+            : [];
+        tableBlock._widths = Array.isArray(data.widths)
+            ? data.widths.map(width => parseInt(width, 10) > 0 ? parseInt(width, 10) : null)
+            : [];
+
+        // Headers of a table without a header row are its first row
+        if (false === data.hasHeader) {
+            tableBlock._hasHeader = false;
+            if (tableBlock._headers.length > 0) {
+                tableBlock._rows.unshift(tableBlock._headers);
+                tableBlock._headers = [];
+            }
+        }
+        return tableBlock;
+    }
+
     /**
      * Get toolbar configuration for tables
      * @returns {Object} - toolbar button configuration
@@ -981,16 +1802,20 @@ export class TableBlock extends BaseBlock
         element.setAttribute('data-placeholder', 'Table');
         element.contentEditable = false; // Tables manage their own editing
         
-        // Use the HTML from the block or generate from content
-        if (this._html && this._html.includes('<table')) {
+        // Generate from the parsed cells, or use the HTML of the block
+        if (this._headers.length === 0 && this._rows.length === 0 && this._html && this._html.includes('<table')) {
             element.innerHTML = this._html;
         } else {
             element.innerHTML = this.generateTableHTML();
         }
         
-        // Set up cell editing for the table
+        // Set up cell editing and column resizing for the table
         setTimeout(() => {
             this.setupCellEditing(element);
+            const table = element.querySelector('table');
+            if (table) {
+                this.setupColumnResizing(table);
+            }
         }, 0);
         
         return element;
@@ -1024,15 +1849,23 @@ export class TableBlock extends BaseBlock
         // Extract headers
         const headerCells = table.querySelectorAll('th');
         if (headerCells.length > 0) {
-            tableBlock._headers = Array.from(headerCells).map(cell => cell.textContent.trim());
+            tableBlock._headers = Array.from(headerCells).map(cell => InlineSerializer.toMarkdown(cell).trim());
         }
         
         // Extract data rows
         const dataRows = table.querySelectorAll('tbody tr, tr:not(:has(th))');
         tableBlock._rows = Array.from(dataRows).map(row => {
             const cells = row.querySelectorAll('td, th');
-            return Array.from(cells).map(cell => cell.textContent.trim());
+            return Array.from(cells).map(cell => InlineSerializer.toMarkdown(cell).trim());
         });
+
+        // Alignment of the first row, e.g. from GFM alignment markers
+        tableBlock._hasHeader = headerCells.length > 0;
+        tableBlock._align = Array.from(table.rows[0]?.cells || []).map(cell => TableBlock.normalizeAlign(cell));
+        if (!tableBlock._align.some(Boolean)) {
+            tableBlock._align = [];
+        }
+        tableBlock._widths = TableBlock.readWidths(table);
         
         return tableBlock;
     }
@@ -1066,13 +1899,20 @@ export class TableBlock extends BaseBlock
         const tableBlock = new TableBlock();
         
         // Parse headers (first line)
-        tableBlock._headers = lines[0].split('|').map(cell => cell.trim()).filter(cell => cell);
+        tableBlock._headers = TableBlock.splitRow(lines[0]);
         
-        // Skip separator line (second line with dashes)
+        // Separator line with the alignment markers: :--- left, :---: center, ---: right
+        tableBlock._align = TableBlock.splitRow(lines[1]).map(marker => {
+            const left = marker.startsWith(':');
+            const right = marker.endsWith(':');
+            return left && right ? 'center' : (left ? 'left' : (right ? 'right' : ''));
+        });
+        if (!tableBlock._align.some(Boolean)) {
+            tableBlock._align = [];
+        }
+
         // Parse data rows (remaining lines)
-        tableBlock._rows = lines.slice(2).map(line => 
-            line.split('|').map(cell => cell.trim()).filter(cell => cell)
-        );
+        tableBlock._rows = lines.slice(2).map(line => TableBlock.splitRow(line));
         
         // Generate HTML
         const html = tableBlock.generateTableHTML();
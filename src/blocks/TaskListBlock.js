@@ -12,6 +12,7 @@ export class TaskListBlock extends ListBlock
     constructor(content = '', html = '', nested = false) {
         super(BlockType.SQ, content, html, nested);
         this._checked = false; // Track checkbox state - must be after super() call
+        this._itemsChecked = []; // Per-item checkbox state, index-aligned with content lines
     }
 
     /**
@@ -27,7 +28,7 @@ export class TaskListBlock extends ListBlock
             this.toggleCheckbox(event.target.closest('.bke-block'));
             return true;
         }
-        return false;
+        return super.handleKeyPress(event, text);
     }
 
     /**
@@ -114,6 +115,11 @@ export class TaskListBlock extends ListBlock
      * @param {HTMLElement} currentListItem - The current list item
      */
     createNewListItem(currentBlock, currentListItem) {
+        // Inside a (nested) list the new item follows the current one
+        if (ListBlock.isListElement(currentListItem?.parentElement)) {
+            return super.createNewListItem(currentBlock, currentListItem);
+        }
+
         // Find the ul element within the current block
         let ulElement = null;
         
@@ -223,19 +229,36 @@ export class TaskListBlock extends ListBlock
      */
     syncFromElement() {
         if (!this._element) return;
-        const items = this._element.querySelectorAll('li');
-        const texts = [];
-        Array.from(items).forEach((li, index) => {
-            const checkbox = li.querySelector('input[type="checkbox"]');
-            const textNode = li.querySelector('.task-text, span') || li;
-            let text = textNode.textContent || '';
-            text = text.replace(/^\s+/, '');
-            texts.push(text);
-            if (index === 0 && checkbox) {
-                this._checked = checkbox.checked;
-            }
-        });
-        this._content = texts.join('\n');
+        const list = this._element.querySelector('ul') || this._element;
+        const items = TaskListBlock.readItems(list, BlockType.SQ);
+        if (items.length > 0) {
+            this._checked = items[0].checked;
+        }
+        this._itemsChecked = items.map(item => item.checked);
+        this._content = TaskListBlock.formatItems(items);
+    }
+
+    /**
+     * Get checked state of the item at the given index.
+     * Falls back to the block-level state for the first item.
+     * @param {number} index
+     * @returns {boolean}
+     */
+    isItemChecked(index) {
+        if (index < this._itemsChecked.length) {
+            return !!this._itemsChecked[index];
+        }
+        return index === 0 ? this._checked : false;
+    }
+
+    /**
+     * Get the items of this block; top-level items take their state from the block
+     * @returns {Array<{text: string, depth: number, type: string, checked: boolean}>}
+     */
+    getItems() {
+        return super.getItems().map((item, index) => item.depth === 0
+            ? { ...item, checked: this.isItemChecked(index) }
+            : item);
     }
 
     /**
@@ -244,21 +267,17 @@ export class TaskListBlock extends ListBlock
      */
     toMarkdown() {
         this.syncFromElement();
-        const tasks = this._content ? this._content.split('\n').filter(task => task.trim()) : [''];
+        const tasks = this.getItems()
+            .filter(task => task.text.trim())
+            .map(task => ({ ...task, text: task.text.trim() }));
         
-        if (tasks.length === 0 || (tasks.length === 1 && !tasks[0].trim())) {
-            // Single empty or single task
+        if (tasks.length === 0) {
+            // Single empty task
             const checkbox = this._checked ? '[x]' : '[ ]';
-            return `- ${checkbox} ${tasks[0] || ''}`;
+            return `- ${checkbox} `;
         }
         
-        // Multiple tasks
-        return tasks.map((task, index) => {
-            // For now, use the block's checked state for the first item only
-            const isChecked = index === 0 ? this._checked : false;
-            const checkbox = isChecked ? '[x]' : '[ ]';
-            return `- ${checkbox} ${task.trim()}`;
-        }).join('\n');
+        return TaskListBlock.itemsToMarkdown(tasks);
     }
 
     /**
@@ -267,24 +286,17 @@ export class TaskListBlock extends ListBlock
      */
     toHtml() {
         this.syncFromElement();
-        const tasks = this._content ? this._content.split('\n').filter(task => task.trim()) : [''];
+        const tasks = this.getItems()
+            .filter(task => task.text.trim())
+            .map(task => ({ ...task, text: task.text.trim() }));
         
-        if (tasks.length === 0 || (tasks.length === 1 && !tasks[0].trim())) {
+        if (tasks.length === 0) {
             // Single empty task
             const checked = this._checked ? ' checked' : '';
             return `<ul class="bke-task-list">\n<li class="bke-task-list-item"><input type="checkbox"${checked}> </li>\n</ul>`;
         }
         
-        // Multiple tasks
-        const listItems = tasks.map((task, index) => {
-            // For now, use the block's checked state for the first item only
-            const isChecked = index === 0 ? this._checked : false;
-            const checked = isChecked ? ' checked' : '';
-            const completedClass = isChecked ? ' bke-task-completed' : '';
-            return `<li class="bke-task-list-item${completedClass}"><input type="checkbox"${checked}> ${task.trim()}</li>`;
-        }).join('\n');
-        
-        return `<ul class="bke-task-list">\n${listItems}\n</ul>`;
+        return TaskListBlock.itemsToHtml(tasks);
     }
 
     /**
@@ -293,6 +305,9 @@ export class TaskListBlock extends ListBlock
      */
     setChecked(checked) {
         this._checked = checked;
+        if (this._itemsChecked.length > 0) {
+            this._itemsChecked[0] = !!checked;
+        }
     }
 
     /**
@@ -303,6 +318,31 @@ export class TaskListBlock extends ListBlock
         return this._checked;
     }
 
+    /**
+     * Convert this task list block to JSON data
+     * @returns {Object} - block data
+     */
+    toJSON() {
+        this.syncFromElement();
+        const texts = this._content ? this._content.split('\n') : [];
+        return {
+            items: texts.map((text, index) => ({ text, checked: this.isItemChecked(index) }))
+        };
+    }
+
+    /**
+     * Create a task list block from JSON data
+     * @param {Object} data - block data
+     * @returns {TaskListBlock}
+     */
+    static fromJSON(data = {}) {
+        const items = Array.isArray(data.items) ? data.items : [];
+        const taskBlock = new TaskListBlock(items.map(item => item.text || '').join('\n'));
+        taskBlock._itemsChecked = items.map(item => !!item.checked);
+        taskBlock._checked = taskBlock._itemsChecked[0] || false;
+        return taskBlock;
+    }
+
     /**
      * Render this task list block as an HTML element
      * @returns {HTMLElement} - DOM element representation
@@ -327,25 +367,19 @@ export class TaskListBlock extends ListBlock
         }
         
         // Parse content to create multiple task items if needed
-        const tasks = this._content ? this._content.split('\n').filter(task => task.trim()) : [''];
+        const tasks = this.getItems()
+            .filter(task => task.text.trim())
+            .map(task => ({ ...task, text: task.text.trim() }));
         
-        if (tasks.length === 0 || (tasks.length === 1 && !tasks[0].trim())) {
+        if (tasks.length === 0) {
             // Create single empty task item
             const listItem = this.createTaskListItem('', this._checked);
             if (ulElement && typeof ulElement.appendChild === 'function') {
                 ulElement.appendChild(listItem);
             }
         } else {
-            // Create task items for each line
-            tasks.forEach((taskText, index) => {
-                // For now, use the block's checked state for all items
-                // In the future, this could be enhanced to track individual item states
-                const isChecked = index === 0 ? this._checked : false;
-                const listItem = this.createTaskListItem(taskText.trim(), isChecked);
-                if (ulElement && typeof ulElement.appendChild === 'function') {
-                    ulElement.appendChild(listItem);
-                }
-            });
+            // Create task items for each line, nested items inside their parent
+            this.renderItems(ulElement, tasks);
         }
         
         // Append ul to the div wrapper
@@ -356,117 +390,17 @@ export class TaskListBlock extends ListBlock
         return element;
     }
 
-    /**
-     * Create a single task list item element
-     * @param {string} taskText - Text content of the task
-     * @param {boolean} isChecked - Whether the task is checked
-     * @returns {HTMLElement} - li element with checkbox and text
-     */
-    createTaskListItem(taskText, isChecked = false) {
-        const listItem = document.createElement('li');
-        
-        // Add class safely
-        if (listItem.classList && typeof listItem.classList.add === 'function') {
-            listItem.classList.add('bke-task-list-item');
-        }
-        
-        // Set data-block-type attribute for compatibility
-        if (typeof listItem.setAttribute === 'function') {
-            listItem.setAttribute('data-block-type', 'sq');
-        }
-        
-        // Set styles if available
-        if (listItem.style) {
-            listItem.style.listStyle = 'none';
-            listItem.style.display = 'flex';
-            listItem.style.alignItems = 'flex-start';
-            listItem.style.marginBottom = '4px';
-        }
-        
-        // Create checkbox
-        const checkbox = document.createElement('input');
-        if (checkbox) {
-            checkbox.type = 'checkbox';
-            checkbox.checked = isChecked;
-            
-            if (checkbox.style) {
-                checkbox.style.marginRight = '8px';
-                checkbox.style.marginTop = '2px';
-                checkbox.style.flexShrink = '0';
-            }
-        }
-        
-        // Create text container that is editable
-        const textContainer = document.createElement('span');
-        if (textContainer) {
-            textContainer.contentEditable = true;
-            textContainer.textContent = taskText || '';
-            
-            if (textContainer.style) {
-                textContainer.style.outline = 'none';
-                textContainer.style.flex = '1';
-            }
-        }
-        
-        // Apply completed styling if checked
-        if (isChecked) {
-            if (listItem.classList && typeof listItem.classList.add === 'function') {
-                listItem.classList.add('bke-task-completed');
-            }
-            if (textContainer && textContainer.style) {
-                textContainer.style.textDecoration = 'line-through';
-                textContainer.style.opacity = '0.6';
-            }
-        }
-        
-        // Add change event listener to handle dynamic updates
-        if (checkbox) {
-            checkbox.addEventListener('change', (e) => {
-                const isChecked = checkbox.checked;
-                
-                if (isChecked) {
-                    if (listItem.classList && typeof listItem.classList.add === 'function') {
-                        listItem.classList.add('bke-task-completed');
-                    }
-                    if (textContainer && textContainer.style) {
-                        textContainer.style.textDecoration = 'line-through';
-                        textContainer.style.opacity = '0.6';
-                    }
-                } else {
-                    if (listItem.classList && typeof listItem.classList.remove === 'function') {
-                        listItem.classList.remove('bke-task-completed');
-                    }
-                    if (textContainer && textContainer.style) {
-                        textContainer.style.textDecoration = 'none';
-                        textContainer.style.opacity = '1';
-                    }
-                }
-                
-                // Update block state if this is the first/main item
-                this._checked = isChecked;
-                
-                // Trigger editor update
-                Editor.getInstanceFromElement(listItem)?.update();
-            });
-        }
-        
-        // Append children safely
-        if (checkbox && typeof listItem.appendChild === 'function') {
-            listItem.appendChild(checkbox);
-        }
-        if (textContainer && typeof listItem.appendChild === 'function') {
-            listItem.appendChild(textContainer);
-        }
-        
-        return listItem;
-    }
-
     /**
      * Check if this block type can parse the given HTML
      * @param {string} htmlString - HTML to check
      * @returns {boolean} - true if can parse, false otherwise
      */
     static canParseHtml(htmlString) {
+        // A list is a task list if its own items are tasks, not only nested ones
+        if (/^<(ul|ol)\b/i.test(htmlString)) {
+            return this.isTaskListHtml(htmlString);
+        }
+
         return htmlString.includes('data-block-type="sq"') ||
                (htmlString.includes('<input type="checkbox"') && 
                 (htmlString.includes('<li') || htmlString.includes('bke-task-list'))) ||
@@ -484,6 +418,19 @@ export class TaskListBlock extends ListBlock
         // Parse the HTML to extract task items
         const parser = new DOMParser();
         const doc = parser.parseFromString(htmlString, 'text/html');
+
+        // A complete list keeps nested items
+        const list = doc.querySelector('ul');
+        if (list) {
+            const items = this.readItems(list, BlockType.SQ).map(item => ({
+                ...item,
+                text: item.text.replace(/^\s*\[\s*[xX]?\s*\]\s*/, '').trim()
+            }));
+            const taskBlock = new TaskListBlock(this.formatItems(items), htmlString);
+            taskBlock._itemsChecked = items.map(item => item.checked);
+            taskBlock.setChecked(items.length > 0 && items[0].checked);
+            return taskBlock;
+        }
         
         // Look for task list items
         const taskItems = doc.querySelectorAll('li.bke-task-list-item, li[data-block-type="sq"]');
@@ -503,7 +450,7 @@ export class TaskListBlock extends ListBlock
         const tasks = Array.from(taskItems).map(li => {
             const checkbox = li.querySelector('input[type="checkbox"]');
             const isChecked = checkbox ? checkbox.checked : false;
-            const text = li.textContent.replace(/^\s*\[\s*[xX]?\s*\]\s*/, '').trim();
+            const text = this.getItemMarkdown(li).replace(/^\s*\[\s*[xX]?\s*\]\s*/, '').trim();
             return { text, isChecked };
         });
         
@@ -512,6 +459,7 @@ export class TaskListBlock extends ListBlock
         const content = tasks.map(task => task.text).join('\n');
         
         const taskBlock = new TaskListBlock(content, htmlString);
+        taskBlock._itemsChecked = tasks.map(task => task.isChecked);
         taskBlock.setChecked(firstTask.isChecked);
         return taskBlock;
     }
@@ -531,6 +479,15 @@ export class TaskListBlock extends ListBlock
      * @returns {TaskListBlock|null} - Block instance or null if can't parse
      */
     static parseFromMarkdown(markdownString) {
+        // Several items, possibly nested
+        const items = this.parseMarkdownItems(markdownString.trim());
+        if (items && items.length > 1 && items.every(item => item.depth > 0 || item.type === BlockType.SQ)) {
+            const taskBlock = new TaskListBlock(this.formatItems(items));
+            taskBlock._itemsChecked = items.map(item => item.checked);
+            taskBlock.setChecked(items[0].checked);
+            return taskBlock;
+        }
+
         const match = markdownString.trim().match(/^-\s*\[([xX ]?)\]\s*(.*)$/);
         if (!match) return null;
 
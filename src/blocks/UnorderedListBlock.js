@@ -2,7 +2,6 @@
 
 import {ListBlock} from "@/blocks/ListBlock";
 import {BlockType} from "@/BlockType";
-import {Editor} from "@/Editor";
 
 /**
  * Unordered list block
@@ -13,17 +12,6 @@ export class UnorderedListBlock extends ListBlock
         super(BlockType.UL, content, html, nested);
     }
 
-    /**
-     * Handle key press for unordered list blocks
-     * @param {KeyboardEvent} event
-     * @param {string} text - current text content of the block
-     * @returns {boolean} - true if key was handled, false otherwise
-     */
-    handleKeyPress(event, text) {
-        // Handle indentation and list continuation
-        return false;
-    }
-
     static getMarkdownTriggers() {
         // Keep simple triggers for fallback/length comparison, but support '+' too
         return ['* ', '- ', '+ '];
@@ -84,56 +72,6 @@ export class UnorderedListBlock extends ListBlock
         });
     }
 
-    /**
-     * Create a new unordered list item
-     * @param {HTMLElement} currentBlock - The block containing the list
-     * @param {HTMLElement} currentListItem - The current list item
-     */
-    createNewListItem(currentBlock, currentListItem) {
-        // Find the ul element within the block
-        const ulElement = currentBlock && typeof currentBlock.querySelector === 'function' 
-            ? currentBlock.querySelector('ul') 
-            : null;
-        
-        if (!ulElement) {
-            return false;
-        }
-        
-        // Create new list item
-        const newListItem = document.createElement('li');
-        newListItem.contentEditable = true;
-        
-        // Append to the ul element
-        ulElement.appendChild(newListItem);
-        
-        // Focus on the new list item
-        const editorInstance = Editor.getInstanceFromElement(currentBlock);
-        if (editorInstance) {
-            editorInstance.setCurrentBlock(currentBlock); // Keep the same block
-        }
-        
-        // Use requestAnimationFrame to ensure DOM is updated before focusing
-        requestAnimationFrame(() => {
-            newListItem.focus();
-            
-            // Place cursor at the beginning of the new list item
-            if (window.getSelection && newListItem.nodeType === Node.ELEMENT_NODE) {
-                try {
-                    const selection = window.getSelection();
-                    const range = document.createRange();
-                    range.setStart(newListItem, 0);
-                    range.collapse(true);
-                    selection.removeAllRanges();
-                    selection.addRange(range);
-                } catch (e) {
-                    // Silently fail for cursor positioning if it fails (e.g., in tests)
-                }
-            }
-        });
-        
-        return true;
-    }
-
     /**
      * Get toolbar configuration for unordered lists
      * @returns {Object} - toolbar button configuration
@@ -147,23 +85,13 @@ export class UnorderedListBlock extends ListBlock
         };
     }
 
-    /**
-     * Sync internal state from the associated DOM element
-     */
-    syncFromElement() {
-        if (!this._element) return;
-        const items = this._element.querySelectorAll('li');
-        this._content = Array.from(items).map(li => li.textContent || '').join('\n');
-    }
-
     /**
      * Convert this unordered list block to markdown
      * @returns {string} - markdown representation
      */
     toMarkdown() {
         this.syncFromElement();
-        const items = this._content.split('\n');
-        return items.map(item => `- ${item}`).join('\n');
+        return ListBlock.itemsToMarkdown(this.getItems());
     }
 
     /**
@@ -172,9 +100,7 @@ export class UnorderedListBlock extends ListBlock
      */
     toHtml() {
         this.syncFromElement();
-        const items = this._content.split('\n');
-        const listItems = items.map(item => `<li>${item}</li>`).join('\n');
-        return `<ul>\n${listItems}\n</ul>`;
+        return ListBlock.itemsToHtml(this.getItems());
     }
 
     /**
@@ -192,18 +118,13 @@ export class UnorderedListBlock extends ListBlock
         // Create the actual ul element
         let ulElement = document.createElement('ul');
         
-        const items = this._content.split('\n').filter(item => item.trim());
+        const items = this.getItems().filter(item => item.text.trim());
         if (items.length === 0) {
             const li = document.createElement('li');
             li.contentEditable = true;
             ulElement.appendChild(li);
         } else {
-            items.forEach(item => {
-                const li = document.createElement('li');
-                li.textContent = item;
-                li.contentEditable = true;
-                ulElement.appendChild(li);
-            });
+            this.renderItems(ulElement, items);
         }
         
         // Append ul to the div wrapper
@@ -218,7 +139,7 @@ export class UnorderedListBlock extends ListBlock
      * @returns {boolean} - true if can parse, false otherwise
      */
     static canParseHtml(htmlString) {
-        return /^<ul[^>]*>/i.test(htmlString);
+        return /^<ul[^>]*>/i.test(htmlString) && !this.isTaskListHtml(htmlString);
     }
 
     /**
@@ -235,10 +156,9 @@ export class UnorderedListBlock extends ListBlock
         
         if (!ul) return null;
         
-        const items = Array.from(ul.querySelectorAll('li')).map(li => li.textContent.trim());
-        const content = items.join('\n');
+        const items = this.readItems(ul, BlockType.UL).map(item => ({ ...item, text: item.text.trim() }));
         
-        return new UnorderedListBlock(content, htmlString);
+        return new UnorderedListBlock(this.formatItems(items), htmlString);
     }
 
     /**
@@ -247,8 +167,8 @@ export class UnorderedListBlock extends ListBlock
      * @returns {boolean} - true if can parse, false otherwise
      */
     static canParseMarkdown(markdownString) {
-        const lines = markdownString.trim().split('\n');
-        return lines.every(line => /^[-*+]\s/.test(line.trim()));
+        const items = this.parseMarkdownItems(markdownString.trim());
+        return !!items && items.length > 0 && items.every(item => item.depth > 0 || item.type === BlockType.UL);
     }
 
     /**
@@ -259,10 +179,8 @@ export class UnorderedListBlock extends ListBlock
     static parseFromMarkdown(markdownString) {
         if (!this.canParseMarkdown(markdownString)) return null;
         
-        const lines = markdownString.trim().split('\n');
-        const items = lines.map(line => line.replace(/^[-*+]\s/, ''));
-        const content = items.join('\n');
+        const items = this.parseMarkdownItems(markdownString.trim());
         
-        return new UnorderedListBlock(content);
+        return new UnorderedListBlock(this.formatItems(items));
     }
 }
@@ -1,23 +1,24 @@
 /**
  * Default toolbar configuration for BlockEditor.
  * This is pure data — no logic, no imports.
+ * A button runs its command with args, see CommandManager; the view buttons are bound by class.
  */
 export const defaultToolbarConfig = [
     {
         group: [
-            { class: 'bke-toolbar-undo', icon: 'fa-undo', title: 'undo' },
-            { class: 'bke-toolbar-redo', icon: 'fa-redo', title: 'redo' }
+            { class: 'bke-toolbar-undo', icon: 'fa-undo', title: 'undo', command: 'undo' },
+            { class: 'bke-toolbar-redo', icon: 'fa-redo', title: 'redo', command: 'redo' }
         ]
     },
     {
         group: [
-            { class: 'bke-toolbar-header1', label: 'Header 1' },
-            { class: 'bke-toolbar-header2', label: 'Header 2' },
-            { class: 'bke-toolbar-header3', label: 'Header 3' },
-            { class: 'bke-toolbar-header4', label: 'Header 4' },
-            { class: 'bke-toolbar-header5', label: 'Header 5' },
-            { class: 'bke-toolbar-header6', label: 'Header 6' },
-            { class: 'bke-toolbar-paragraph', label: 'Paragraph' }
+            { class: 'bke-toolbar-header1', label: 'Header 1', command: 'setBlockType', args: { type: 'h1' } },
+            { class: 'bke-toolbar-header2', label: 'Header 2', command: 'setBlockType', args: { type: 'h2' } },
+            { class: 'bke-toolbar-header3', label: 'Header 3', command: 'setBlockType', args: { type: 'h3' } },
+            { class: 'bke-toolbar-header4', label: 'Header 4', command: 'setBlockType', args: { type: 'h4' } },
+            { class: 'bke-toolbar-header5', label: 'Header 5', command: 'setBlockType', args: { type: 'h5' } },
+            { class: 'bke-toolbar-header6', label: 'Header 6', command: 'setBlockType', args: { type: 'h6' } },
+            { class: 'bke-toolbar-paragraph', label: 'Paragraph', command: 'setBlockType', args: { type: 'p' } }
         ],
         dropdown: true,
         icon: 'fa-heading',
@@ -25,35 +26,38 @@ export const defaultToolbarConfig = [
     },
     {
         group: [
-            { class: 'bke-toolbar-bold', icon: 'fa-bold', title: 'bold' },
-            { class: 'bke-toolbar-italic', icon: 'fa-italic', title: 'italic' },
-            { class: 'bke-toolbar-underline', icon: 'fa-underline', title: 'underline' },
-            { class: 'bke-toolbar-strikethrough', icon: 'fa-strikethrough', title: 'strikethrough' }
+            { class: 'bke-toolbar-bold', icon: 'fa-bold', title: 'bold', command: 'toggleMark', args: { mark: 'bold' } },
+            { class: 'bke-toolbar-italic', icon: 'fa-italic', title: 'italic', command: 'toggleMark', args: { mark: 'italic' } },
+            { class: 'bke-toolbar-underline', icon: 'fa-underline', title: 'underline', command: 'toggleMark', args: { mark: 'underline' } },
+            { class: 'bke-toolbar-strikethrough', icon: 'fa-strikethrough', title: 'strikethrough', command: 'toggleMark', args: { mark: 'strikethrough' } },
+            { class: 'bke-toolbar-link', icon: 'fa-link', title: 'link (Ctrl+K)', command: 'link' }
         ]
     },
     {
         group: [
-            { class: 'bke-toolbar-ul', icon: 'fa-list', title: 'unordered list' },
-            { class: 'bke-toolbar-ol', icon: 'fa-list-ol', title: 'ordered list' },
-            { class: 'bke-toolbar-sq', icon: 'fa-list-check', title: 'task list' }
+            { class: 'bke-toolbar-ul', icon: 'fa-list', title: 'unordered list', command: 'setBlockType', args: { type: 'ul' } },
+            { class: 'bke-toolbar-ol', icon: 'fa-list-ol', title: 'ordered list', command: 'setBlockType', args: { type: 'ol' } },
+            { class: 'bke-toolbar-sq', icon: 'fa-list-check', title: 'task list', command: 'setBlockType', args: { type: 'sq' } }
         ]
     },
     {
         group: [
-            { class: 'bke-toolbar-table', icon: 'fa-table', title: 'insert table' },
-            { class: 'bke-toolbar-image', icon: 'fa-image', title: 'insert image' }
+            { class: 'bke-toolbar-table', icon: 'fa-table', title: 'insert table', command: 'insertTable' },
+            { class: 'bke-toolbar-table-csv', icon: 'fa-file-csv', title: 'insert table from CSV', command: 'insertTableFromCSV' },
+            { class: 'bke-toolbar-image', icon: 'fa-image', title: 'insert image', command: 'insertImage' }
         ]
     },
     {
         group: [
-            { class: 'bke-toolbar-code', icon: 'fa-code', title: 'code block' }
+            { class: 'bke-toolbar-code', icon: 'fa-code', title: 'code block', command: 'setBlockType', args: { type: 'code' } }
         ]
     },
     {
         group: [
             { class: 'bke-toolbar-text', icon: 'fa-paragraph', title: 'text view', disabled: true },
             { class: 'bke-toolbar-markdown', icon: 'fa-brands fa-markdown', title: 'markdown view' },
-            { class: 'bke-toolbar-html', icon: 'fa-brands fa-html5', title: 'html view' }
+            { class: 'bke-toolbar-html', icon: 'fa-brands fa-html5', title: 'html view' },
+            { class: 'bke-toolbar-split', icon: 'fa-table-columns', title: 'split view' }
         ]
     }
 ];
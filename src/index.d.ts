@@ -9,6 +9,14 @@ declare module '@foreline/blockeditor' {
     | 'content.changed'
     | 'editor.updated'
     | 'block.content.changed'
+    | 'block.moved'
+    | 'history.changed'
+    | 'image.upload.started'
+    | 'image.upload.progress'
+    | 'image.upload.completed'
+    | 'image.upload.failed'
+    | 'image.upload.cancelled'
+    | 'image.upload.rejected'
     | 'focus'
     | 'blur';
 
@@ -27,6 +35,27 @@ declare module '@foreline/blockeditor' {
     timestamp: number;
   }
 
+  export interface BlockMovedPayload {
+    blockId: string;
+    blockType: string;
+    oldIndex: number;
+    newIndex: number;
+    timestamp: number;
+  }
+
+  export interface HistoryChangedPayload {
+    canUndo: boolean;
+    canRedo: boolean;
+    undoDepth: number;
+    redoDepth: number;
+  }
+
+  export interface CodeBlockOptions {
+    indent?: '\t' | number;
+    autoClose?: boolean;
+    lineNumbers?: boolean;
+  }
+
   export interface EditorOptions {
     id: string;
     container?: HTMLElement | HTMLElement[];
@@ -40,9 +69,252 @@ declare module '@foreline/blockeditor' {
     scrollOnFocus?: boolean;
     markdown?: string;
     html?: string;
+    historyLimit?: number;
+    plugins?: Array<Plugin | [Plugin, Record<string, any>]>;
+    slashMenu?: false | { items?: SlashMenuItem[] };
+    dragHandle?: boolean;
+    keymap?: Record<string, KeyBinding | null>;
+    uploadAdapter?: UploadAdapter;
+    imageUpload?: { accept?: string[]; maxSize?: number };
+    codeBlock?: CodeBlockOptions;
+  }
+
+  export type UploadAdapter = (
+    file: File,
+    options: { onProgress(progress: number): void; signal: AbortSignal }
+  ) => Promise<{ url: string; width?: number; height?: number }>;
+
+  export interface SlashMenuItem {
+    id: string;
+    label?: string;
+    icon?: string;
+    keywords?: string[];
+    action(editor: Editor, blockElement: HTMLElement): void;
+  }
+
+  export class SlashMenu {
+    addItem(item: SlashMenuItem): boolean;
+    removeItem(id: string): boolean;
+    getItems(): SlashMenuItem[];
+    isOpen(): boolean;
+    close(): void;
+  }
+
+  export class LinkPopover {
+    openForSelection(): boolean;
+    createLink(url: string, range?: Range): HTMLAnchorElement | null;
+    updateLink(link: HTMLAnchorElement, url: string): boolean;
+    unlink(link: HTMLAnchorElement): void;
+    isOpen(): boolean;
+    close(): void;
+    static normalizeUrl(value: string): string;
+  }
+
+  export type InlineMark = 'bold' | 'italic' | 'underline' | 'strikethrough' | 'code';
+
+  export class InlineFormatter {
+    static MARKS: Record<InlineMark, { tag: string; tags: string[] }>;
+    static EXCLUDED_BLOCK_TYPES: string[];
+    static PLACEHOLDER: string;
+    static stripPlaceholders(html: string): string;
+    toggle(mark: InlineMark, range?: Range): boolean;
+    isActive(mark: InlineMark, range?: Range): boolean;
+    getActiveMarks(range?: Range): InlineMark[];
+    wrap(mark: InlineMark, range: Range): boolean;
+    unwrap(mark: InlineMark, range: Range): boolean;
+    normalize(element: HTMLElement): void;
+    removePlaceholders(options?: { all?: boolean }): void;
+  }
+
+  export class MarkdownSource {
+    readonly element: HTMLElement;
+    readonly textarea: HTMLTextAreaElement;
+    isOpen(): boolean;
+    isDirty(): boolean;
+    getValue(): string;
+    setValue(markdown: string): void;
+    open(): void;
+    apply(): boolean;
+    close(options?: { focus?: boolean }): boolean;
+  }
+
+  export type ViewMode = 'text' | 'markdown' | 'html' | 'split';
+
+  export class SplitView {
+    static PREVIEWS: Record<'markdown' | 'html', { label: string; method: string; separator: string; language: string }>;
+    readonly element: HTMLElement;
+    readonly preview: 'markdown' | 'html';
+    isOpen(): boolean;
+    open(preview?: 'markdown' | 'html'): void;
+    close(): void;
+    setPreview(preview: 'markdown' | 'html'): boolean;
+    render(): void;
+    highlightActiveBlock(): void;
+    getValue(): string;
+  }
+
+  export class BlockDragHandle {
+    static DRAG_THRESHOLD: number;
+    readonly element: HTMLElement;
+    readonly indicator: HTMLElement;
+    isDragging(): boolean;
+    show(block: HTMLElement): void;
+    hide(): void;
+    cancel(): void;
+  }
+
+  export type ConvertibleBlockType = 'paragraph' | 'h1' | 'h2' | 'h3' | 'h4' | 'h5' | 'h6' | 'quote' | 'ul' | 'ol' | 'sq' | 'code';
+
+  export class BlockSelection {
+    readonly elements: HTMLElement[];
+    readonly anchor: HTMLElement | null;
+    readonly focus: HTMLElement | null;
+    isActive(): boolean;
+    getElements(): HTMLElement[];
+    select(elements: HTMLElement | HTMLElement[]): boolean;
+    selectAll(): boolean;
+    extendTo(block: HTMLElement): boolean;
+    extend(offset: number): boolean;
+    clear(options?: { focus?: boolean }): void;
+    delete(): boolean;
+    duplicate(): boolean;
+    convert(type: ConvertibleBlockType): boolean;
+    move(offset: number): boolean;
+    copy(): string;
+    getMarkdown(): string;
+  }
+
+  export class TableSelection {
+    static DIRECTIONS: Record<'ArrowUp' | 'ArrowDown' | 'ArrowLeft' | 'ArrowRight', [number, number]>;
+    readonly anchor: HTMLTableCellElement | null;
+    readonly focus: HTMLTableCellElement | null;
+    readonly cells: HTMLTableCellElement[];
+    isActive(): boolean;
+    getCells(): HTMLTableCellElement[];
+    select(anchor: HTMLTableCellElement, focus?: HTMLTableCellElement): boolean;
+    extend(rows: number, columns: number): boolean;
+    clear(options?: { focus?: boolean }): void;
+    clearCells(): boolean;
+    getValues(): string[][];
+    handleKeydown(event: KeyboardEvent): boolean;
+    handlePaste(event: ClipboardEvent): boolean;
+    static getDelimiter(text: string): '\t' | ',' | null;
+  }
+
+  export type KeyBinding = string | ((editor: Editor, event: KeyboardEvent, blockElement: HTMLElement | null) => boolean | void);
+
+  export interface KeymapEntry {
+    keys: string;
+    action: string | null;
+    description: string;
+    source: 'options' | 'block' | 'default' | 'plugin';
+    blockType: string | null;
+  }
+
+  export class Keymap {
+    static DEFAULTS: Record<string, string>;
+    static ACTIONS: Record<string, { description: string; command: string; args?: Record<string, any> }>;
+    bind(combo: string, binding: KeyBinding | null): boolean;
+    unbind(combo: string): boolean;
+    handleKeydown(event: KeyboardEvent): boolean;
+    resolve(event: KeyboardEvent): { keys: string; binding: KeyBinding | null; source: string; blockType: string | null } | null;
+    getBindings(): KeymapEntry[];
+    static matches(combo: string, event: KeyboardEvent): boolean;
+    static normalize(combo: string): string;
+    static format(combo: string, mac?: boolean): string;
+    static isMac(): boolean;
+  }
+
+  export interface Command {
+    execute(editor: Editor, args?: Record<string, any>): any;
+    canExecute?(editor: Editor, args?: Record<string, any>): boolean;
+    isActive?(editor: Editor, args?: Record<string, any>): boolean;
+    description?: string;
+  }
+
+  export class CommandManager {
+    static COMMANDS: Record<string, Command & { description: string }>;
+    constructor(options: { editor: Editor });
+    register(name: string, command: Command | Command['execute']): boolean;
+    unregister(name: string): boolean;
+    has(name: string): boolean;
+    list(): string[];
+    execute(name: string, args?: Record<string, any>): any;
+    canExecute(name: string, args?: Record<string, any>): boolean;
+    isActive(name: string, args?: Record<string, any>): boolean;
+  }
+
+  export class ImageFileHandler {
+    static DEFAULT_ACCEPT: string[];
+    readonly accept: string[];
+    readonly maxSize: number | null;
+    check(file: File): 'type' | 'size' | null;
+    accepts(file: File): boolean;
+    filter(files: File[] | FileList): File[];
+    insert(files: File[] | FileList, position?: { afterId?: string; beforeId?: string }): string[];
+    handlePaste(event: ClipboardEvent): boolean;
+    destroy(): void;
+    static getFiles(dataTransfer: DataTransfer | null): File[];
+  }
+
+  export class TableFileHandler {
+    static DELIMITERS: Record<string, ',' | '\t'>;
+    static ACCEPT: string;
+    accepts(file: File): boolean;
+    insert(file: File, position?: { afterId?: string; beforeId?: string; replaceId?: string }, options?: { delimiter?: string; header?: boolean }): Promise<string | null>;
+    insertText(text: string, position?: { afterId?: string; beforeId?: string; replaceId?: string }, options?: { delimiter?: string; header?: boolean }): string | null;
+    pick(position?: { afterId?: string; beforeId?: string; replaceId?: string }): HTMLInputElement;
+    destroy(): void;
+    static getDelimiter(file: File | null): ',' | '\t' | null;
+    static readFile(file: File): Promise<string | null>;
+  }
+
+  export interface SerializerRule {
+    toMarkdown?(element: HTMLElement, block: Block | null): string;
+    toHtml?(element: HTMLElement, block: Block | null): string;
+  }
+
+  export interface Plugin {
+    name: string;
+    blocks?: Record<string, new (content?: string, html?: string, nested?: boolean) => any>;
+    toolbar?: Array<Record<string, any>>;
+    commands?: Record<string, (editor: Editor, ...args: any[]) => any>;
+    keymap?: Record<string, string | ((editor: Editor, event: KeyboardEvent) => boolean | void)>;
+    markdown?: {
+      preprocess?(markdown: string, editor: Editor): string;
+      postprocess?(markdown: string, editor: Editor): string;
+    };
+    serializer?: Record<string, SerializerRule>;
+    install?(editor: Editor, options: Record<string, any>): void;
+    uninstall?(editor: Editor): void;
+  }
+
+  export class PluginManager {
+    use(plugin: Plugin, options?: Record<string, any>): boolean;
+    uninstall(name: string): boolean;
+    has(name: string): boolean;
+    get(name: string): Plugin | null;
+    list(): string[];
+    execute(name: string, ...args: any[]): any;
+    hasCommand(name: string): boolean;
+    getCommandNames(): string[];
+    getKeymaps(): Array<[string, string | ((editor: Editor, event: KeyboardEvent) => boolean | void)]>;
+    getBlockTypes(): Array<[string, new (content?: string, html?: string, nested?: boolean) => any]>;
+    static matchesKey(combo: string, event: KeyboardEvent): boolean;
+  }
+
+  export interface ToolbarButtonConfig {
+    class: string;
+    icon?: string;
+    label?: string;
+    title?: string;
+    command?: string;
+    args?: Record<string, any>;
+    disabled?: boolean;
   }
 
   export interface ToolbarOptions {
+    config?: Array<{ group: ToolbarButtonConfig[]; dropdown?: boolean; icon?: string; id?: string }>;
     groups?: string[];
     sticky?: boolean;
     hideOnFocus?: boolean;
@@ -54,6 +326,23 @@ declare module '@foreline/blockeditor' {
     data?: Record<string, any>;
   }
 
+  export interface BlockPosition {
+    index?: number;
+    afterId?: string;
+    beforeId?: string;
+  }
+
+  export interface JSONBlock {
+    id: string | null;
+    type: string;
+    data: Record<string, any>;
+  }
+
+  export interface JSONDocument {
+    version: number;
+    blocks: JSONBlock[];
+  }
+
   export class Editor {
     constructor(options: EditorOptions);
     
@@ -62,21 +351,65 @@ declare module '@foreline/blockeditor' {
     static getInstance(id: string): Editor | null;
     static getAllInstances(): Map<string, Editor>;
     static destroyInstance(id: string): boolean;
+    static use(plugin: Plugin, options?: Record<string, any>): typeof Editor;
     
     // Instance methods
     getMarkdown(): string;
     getHtml(): string;
     getBlocks(): Block[];
-    setMarkdown(markdown: string): void;
+    getBlockById(id: string): Block | null;
+    insertBlock(block: { type?: string; data?: Record<string, any> }, position?: BlockPosition): string | null;
+    updateBlock(id: string, data: Record<string, any>): boolean;
+    removeBlock(id: string): boolean;
+    removeBlocks(ids: string[]): boolean;
+    duplicateBlocks(ids: string[]): string[] | null;
+    convertBlocks(ids: string[], type: ConvertibleBlockType): boolean;
+    moveBlock(id: string, toIndex: number): boolean;
+    moveBlocks(ids: string[], toIndex: number): boolean;
+    moveSelectedBlocks(offset: number): boolean;
+    getSelectedBlocks(): Block[];
+    selectBlocks(ids: string[]): boolean;
+    getKeymap(): KeymapEntry[];
+    setMarkdown(markdown: string, options?: { keepIds?: boolean }): void;
     setHtml(html: string): void;
+    getJSON(): JSONDocument;
+    setJSON(json: JSONDocument | string): boolean;
     clear(): void;
+    setViewMode(mode: ViewMode, options?: { preview?: 'markdown' | 'html' }): boolean;
+    getViewMode(): ViewMode;
     focus(): void;
     blur(): void;
     destroy(): void;
+
+    // Plugins
+    use(plugin: Plugin, options?: Record<string, any>): Editor;
+    readonly plugins: PluginManager;
+    readonly slashMenu: SlashMenu | null;
+    readonly linkPopover: LinkPopover | null;
+    readonly formatter: InlineFormatter | null;
+    readonly markdownSource: MarkdownSource | null;
+    readonly splitView: SplitView | null;
+    readonly dragHandle: BlockDragHandle | null;
+    readonly blockSelection: BlockSelection | null;
+    readonly tableSelection: TableSelection | null;
+    readonly keymap: Keymap;
+    readonly commands: CommandManager;
+    readonly uploadAdapter: UploadAdapter | null;
+    readonly codeBlockOptions: CodeBlockOptions;
+    readonly imageFiles: ImageFileHandler | null;
+    insertImageFiles(files: File[] | FileList, position?: { afterId?: string; beforeId?: string }): string[];
+    readonly tableFiles: TableFileHandler | null;
+
+    // History
+    undo(): boolean;
+    redo(): boolean;
+    canUndo(): boolean;
+    canRedo(): boolean;
     
     // Event methods
     on(event: 'content.changed', callback: (data: ContentChangedPayload) => void): void;
     on(event: 'block.content.changed', callback: (data: BlockContentChangedPayload) => void): void;
+    on(event: 'block.moved', callback: (data: BlockMovedPayload) => void): void;
     on(event: 'focus' | 'blur', callback: () => void): void;
     on(event: EditorEventName, callback: Function): void;
     off(event: string, callback?: Function): void;
@@ -123,6 +456,21 @@ declare module '@foreline/blockeditor' {
     static TABLE: string;
     static IMAGE: string;
     static DELIMITER: string;
+
+    static getAll(): string[];
+    static isValid(type: string): boolean;
+    static register(type: string): void;
+    static unregister(type: string): boolean;
+  }
+
+  export class BlockFactory {
+    static register(type: string, BlockClass: new (content?: string, html?: string, nested?: boolean) => any, options?: { priority?: number }): boolean;
+    static unregister(type: string): boolean;
+    static isRegistered(type: string): boolean;
+    static getBlockClass(type: string): Function | null;
+    static getAllBlockClasses(): Function[];
+    static getAllBlockTypes(): string[];
+    static createBlock(type?: string, content?: string, html?: string, nested?: boolean): any;
   }
 
   export class Toolbar {
@@ -131,6 +479,7 @@ declare module '@foreline/blockeditor' {
     show(): void;
     hide(): void;
     toggle(): void;
+    execute(name: string, args?: Record<string, any>): any;
     destroy(): void;
     
     readonly element: HTMLElement;
@@ -145,6 +494,8 @@ declare module '@foreline/blockeditor' {
   }
 
   export class Utils {
+    static ALLOWED_URL_PROTOCOLS: string[];
+    static isSafeUrl(url: string): boolean;
     static sanitizeHtml(html: string): string;
     static escapeHtml(text: string): string;
     static unescapeHtml(html: string): string;
@@ -13,6 +13,10 @@ export { KeyHandler } from './KeyHandler.js';
 export { InlineMarkdownHandler } from './InlineMarkdownHandler.js';
 export { Utils } from './Utils.js';
 export { DebugTooltip } from './DebugTooltip.js';
+export { PluginManager } from './PluginManager.js';
+export { SlashMenu } from './SlashMenu.js';
+export { Keymap } from './Keymap.js';
+export { CommandManager } from './CommandManager.js';
 
 // Block types
 export { BlockFactory } from './blocks/BlockFactory.js';
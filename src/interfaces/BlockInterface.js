@@ -108,8 +108,7 @@ export const BlockInterfaceContract = {
 
             // Check properties (getters/setters)
             for (const prop of this.PROPERTIES) {
-                const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(instance), prop) ||
-                                 Object.getOwnPropertyDescriptor(instance, prop);
+                const descriptor = this._findPropertyDescriptor(instance, prop);
                 if (!descriptor || (!descriptor.get && !descriptor.set && instance[prop] === undefined)) {
                     console.warn(`Block class ${BlockClass.name} missing property: ${prop}`);
                     return false;
@@ -121,5 +120,22 @@ export const BlockInterfaceContract = {
             console.warn(`Error validating block class ${BlockClass.name}:`, error);
             return false;
         }
+    },
+
+    /**
+     * Find a property descriptor on an instance or anywhere in its prototype chain,
+     * so getters inherited from BaseBlock count for subclasses
+     * @param {Object} instance
+     * @param {string} prop
+     * @returns {PropertyDescriptor|undefined}
+     */
+    _findPropertyDescriptor(instance, prop) {
+        for (let target = instance; target; target = Object.getPrototypeOf(target)) {
+            const descriptor = Object.getOwnPropertyDescriptor(target, prop);
+            if (descriptor) {
+                return descriptor;
+            }
+        }
+        return undefined;
     }
 };
@@ -28,6 +28,7 @@ export const EVENTS = {
     BLOCK_CONTENT_CHANGED: 'block.content.changed',
     BLOCK_TYPE_CHANGED: 'block.type.changed',
     BLOCK_CONVERTED: 'block.converted',
+    BLOCK_MOVED: 'block.moved',
     
     // Editor Events
     EDITOR_INITIALIZED: 'editor.initialized',
@@ -37,6 +38,17 @@ export const EVENTS = {
     EDITOR_DESTROYED: 'editor.destroyed',
     DEBUG_MODE_CHANGED: 'editor.debug.mode.changed',
     
+    // History Events
+    HISTORY_CHANGED: 'history.changed',
+
+    // Image Upload Events, see the uploadAdapter option
+    IMAGE_UPLOAD_STARTED: 'image.upload.started',
+    IMAGE_UPLOAD_PROGRESS: 'image.upload.progress',
+    IMAGE_UPLOAD_COMPLETED: 'image.upload.completed',
+    IMAGE_UPLOAD_FAILED: 'image.upload.failed',
+    IMAGE_UPLOAD_CANCELLED: 'image.upload.cancelled',
+    IMAGE_UPLOAD_REJECTED: 'image.upload.rejected',
+
     // Toolbar Events
     TOOLBAR_ACTION: 'toolbar.action',
     
@@ -0,0 +1,370 @@
+/**
+ * Tests for the programmatic block API: insertBlock, updateBlock, removeBlock, moveBlock, moveBlocks and getBlockById
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {EVENTS} from '../src/utils/eventEmitter.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Block API', () => {
+    let editor;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+
+        setUpEditorDom();
+
+        editor = createTestEditor();
+        editor.setMarkdown('First\n\nSecond\n\nThird');
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        tearDownEditorDom();
+    });
+
+    const ids = () => editor.getBlocks().map(block => block.element.getAttribute('data-block-id'));
+    const texts = () => editor.getBlocks().map(block => block.element.textContent);
+
+    describe('getBlockById', () => {
+        test('returns the typed block instance', () => {
+            const [firstId] = ids();
+            const block = editor.getBlockById(firstId);
+
+            expect(block.type).toBe('paragraph');
+            expect(block.element.textContent).toBe('First');
+        });
+
+        test('returns null for unknown ids', () => {
+            expect(editor.getBlockById('missing')).toBeNull();
+        });
+    });
+
+    describe('insertBlock', () => {
+        test('appends by default and returns the new id', () => {
+            const id = editor.insertBlock({ type: 'h2', data: { text: 'Title' } });
+
+            expect(ids()[3]).toBe(id);
+            expect(editor.getBlockById(id).type).toBe('h2');
+            expect(editor.getMarkdown()).toContain('## Title');
+        });
+
+        test('inserts at an index, after or before a block', () => {
+            const [firstId, secondId] = ids();
+
+            editor.insertBlock({ data: { text: 'At 0' } }, { index: 0 });
+            editor.insertBlock({ data: { text: 'After first' } }, { afterId: firstId });
+            editor.insertBlock({ data: { text: 'Before second' } }, { beforeId: secondId });
+
+            expect(texts()).toEqual(['At 0', 'First', 'After first', 'Before second', 'Second', 'Third']);
+        });
+
+        test('builds structured blocks from JSON data', () => {
+            const id = editor.insertBlock({ type: 'table', data: { headers: ['A', 'B'], rows: [['1', '2']] } });
+
+            expect(editor.getBlockById(id).toJSON()).toEqual({ headers: ['A', 'B'], rows: [['1', '2']] });
+        });
+
+        test('rejects unknown types and positions', () => {
+            expect(editor.insertBlock({ type: 'nope' })).toBeNull();
+            expect(editor.insertBlock({ type: 'paragraph' }, { afterId: 'missing' })).toBeNull();
+            expect(texts()).toHaveLength(3);
+        });
+
+        test('emits BLOCK_CREATED and is one undo step', () => {
+            const listener = jest.fn();
+            editor.on(EVENTS.BLOCK_CREATED, listener);
+
+            const id = editor.insertBlock({ data: { text: 'New' } }, { index: 1 });
+
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+                data: expect.objectContaining({ blockId: id, blockType: 'paragraph', position: 1 })
+            }));
+
+            editor.undo();
+            expect(texts()).toEqual(['First', 'Second', 'Third']);
+        });
+    });
+
+    describe('updateBlock', () => {
+        test('replaces the data and keeps id and type', () => {
+            const id = editor.insertBlock({ type: 'code', data: { code: 'let a;', language: 'js' } });
+
+            expect(editor.updateBlock(id, { code: 'let b;' })).toBe(true);
+
+            const block = editor.getBlockById(id);
+            expect(block.type).toBe('code');
+            expect(block.toJSON()).toEqual(expect.objectContaining({ code: 'let b;', language: 'js' }));
+        });
+
+        test('emits BLOCK_CONTENT_CHANGED and is undoable', () => {
+            const [firstId] = ids();
+            const listener = jest.fn();
+            editor.on(EVENTS.BLOCK_CONTENT_CHANGED, listener);
+
+            editor.updateBlock(firstId, { text: 'Changed' });
+            expect(texts()[0]).toBe('Changed');
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+                data: expect.objectContaining({ blockId: firstId, content: 'Changed', previousContent: 'First' })
+            }));
+
+            editor.undo();
+            expect(texts()[0]).toBe('First');
+        });
+
+        test('keeps the inline formatting of headings and quotes', () => {
+            editor.setMarkdown('# Title **bold** [link](https://example.com)\n\n> *Quoted* `code`');
+            const [headingId, quoteId] = ids();
+
+            expect(editor.updateBlock(headingId, { level: 1 })).toBe(true);
+            expect(editor.updateBlock(quoteId, {})).toBe(true);
+
+            expect(editor.getMarkdown()).toBe('# Title **bold** [link](https://example.com)\n\n> *Quoted* `code`');
+            expect(editor.contentArea.querySelector('h1 a').getAttribute('href')).toBe('https://example.com');
+        });
+
+        test('returns false for unknown ids', () => {
+            expect(editor.updateBlock('missing', { text: 'x' })).toBe(false);
+        });
+    });
+
+    describe('removeBlock', () => {
+        test('removes the block and emits BLOCK_DELETED', () => {
+            const [, secondId] = ids();
+            const listener = jest.fn();
+            editor.on(EVENTS.BLOCK_DELETED, listener);
+
+            expect(editor.removeBlock(secondId)).toBe(true);
+
+            expect(texts()).toEqual(['First', 'Third']);
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+                data: expect.objectContaining({ blockId: secondId, blockType: 'paragraph', position: 1 })
+            }));
+        });
+
+        test('moves the current block to a neighbour', () => {
+            const [firstId, secondId] = ids();
+            editor.setCurrentBlock(editor.getBlockById(firstId).element);
+
+            editor.removeBlock(firstId);
+            expect(editor.currentBlock.getAttribute('data-block-id')).toBe(secondId);
+        });
+
+        test('keeps an empty paragraph when the last block is removed', () => {
+            ids().forEach(id => editor.removeBlock(id));
+
+            expect(editor.getBlocks()).toHaveLength(1);
+            expect(editor.getBlocks()[0].type).toBe('paragraph');
+            expect(editor.currentBlock).toBe(editor.getBlocks()[0].element);
+        });
+
+        test('is undoable and returns false for unknown ids', () => {
+            editor.removeBlock(ids()[0]);
+            editor.undo();
+            expect(texts()).toEqual(['First', 'Second', 'Third']);
+
+            expect(editor.removeBlock('missing')).toBe(false);
+        });
+    });
+
+    describe('moveBlock', () => {
+        test('moves a block to the target index', () => {
+            const [firstId, , thirdId] = ids();
+
+            expect(editor.moveBlock(firstId, 2)).toBe(true);
+            expect(texts()).toEqual(['Second', 'Third', 'First']);
+
+            editor.moveBlock(thirdId, 0);
+            expect(texts()).toEqual(['Third', 'Second', 'First']);
+        });
+
+        test('clamps the index and keeps ids', () => {
+            const before = ids();
+            editor.moveBlock(before[0], 99);
+            expect(ids()).toEqual([before[1], before[2], before[0]]);
+        });
+
+        test('is undoable and returns false for unknown ids', () => {
+            editor.moveBlock(ids()[0], 2);
+            editor.undo();
+            expect(texts()).toEqual(['First', 'Second', 'Third']);
+
+            expect(editor.moveBlock('missing', 0)).toBe(false);
+        });
+
+        test('emits block.moved with the old and new index', () => {
+            const moved = jest.fn();
+            editor.on(EVENTS.BLOCK_MOVED, moved);
+            const [firstId] = ids();
+
+            editor.moveBlock(firstId, 2);
+
+            expect(moved).toHaveBeenCalledTimes(1);
+            expect(moved.mock.calls[0][0].data).toMatchObject({ blockId: firstId, oldIndex: 0, newIndex: 2 });
+        });
+
+        test('does not emit or record history when the block stays in place', () => {
+            const moved = jest.fn();
+            editor.on(EVENTS.BLOCK_MOVED, moved);
+            const canUndo = editor.canUndo();
+
+            expect(editor.moveBlock(ids()[1], 1)).toBe(true);
+
+            expect(moved).not.toHaveBeenCalled();
+            expect(editor.canUndo()).toBe(canUndo);
+        });
+    });
+
+    describe('moveBlocks', () => {
+        test('moves several blocks together in document order', () => {
+            const [firstId, secondId] = ids();
+
+            expect(editor.moveBlocks([secondId, firstId], 1)).toBe(true);
+
+            expect(texts()).toEqual(['Third', 'First', 'Second']);
+        });
+
+        test('is one undo step and emits block.moved for every moved block', () => {
+            const moved = jest.fn();
+            editor.on(EVENTS.BLOCK_MOVED, moved);
+            const [firstId, secondId] = ids();
+
+            editor.moveBlocks([firstId, secondId], 1);
+            expect(moved.mock.calls.map(([event]) => [event.data.oldIndex, event.data.newIndex])).toEqual([[0, 1], [1, 2]]);
+
+            editor.undo();
+            expect(texts()).toEqual(['First', 'Second', 'Third']);
+        });
+
+        test('returns false if a block does not exist', () => {
+            expect(editor.moveBlocks([ids()[0], 'missing'], 2)).toBe(false);
+            expect(editor.moveBlocks([], 0)).toBe(false);
+            expect(texts()).toEqual(['First', 'Second', 'Third']);
+        });
+    });
+
+    describe('removeBlocks', () => {
+        test('removes several blocks as one undo step', () => {
+            const deleted = jest.fn();
+            editor.on(EVENTS.BLOCK_DELETED, deleted);
+            const [firstId, secondId] = ids();
+
+            expect(editor.removeBlocks([secondId, firstId])).toBe(true);
+
+            expect(texts()).toEqual(['Third']);
+            expect(deleted.mock.calls.map(([event]) => event.data.position)).toEqual([0, 1]);
+
+            editor.undo();
+            expect(texts()).toEqual(['First', 'Second', 'Third']);
+        });
+
+        test('moves the current block to the next remaining block', () => {
+            const [firstId, secondId, thirdId] = ids();
+            editor.setCurrentBlock(editor.getBlockById(firstId).element);
+
+            editor.removeBlocks([firstId, secondId]);
+            expect(editor.currentBlock.getAttribute('data-block-id')).toBe(thirdId);
+        });
+
+        test('returns false if a block does not exist', () => {
+            expect(editor.removeBlocks([ids()[0], 'missing'])).toBe(false);
+            expect(texts()).toEqual(['First', 'Second', 'Third']);
+        });
+    });
+
+    describe('duplicateBlocks', () => {
+        test('inserts copies after the last block and returns their ids', () => {
+            const created = jest.fn();
+            editor.on(EVENTS.BLOCK_CREATED, created);
+            const [firstId, secondId] = ids();
+
+            const copies = editor.duplicateBlocks([firstId, secondId]);
+
+            expect(texts()).toEqual(['First', 'Second', 'First', 'Second', 'Third']);
+            expect(ids().slice(2, 4)).toEqual(copies);
+            expect(created.mock.calls.map(([event]) => event.data.position)).toEqual([2, 3]);
+
+            editor.undo();
+            expect(texts()).toEqual(['First', 'Second', 'Third']);
+        });
+
+        test('copies structured blocks', () => {
+            editor.setMarkdown('- One\n- Two');
+
+            editor.duplicateBlocks(ids());
+
+            expect(editor.getMarkdown()).toBe('- One\n- Two\n\n- One\n- Two');
+        });
+
+        test('copies the inline formatting of headings and quotes', () => {
+            const markdown = '## Title **bold** [link](https://example.com)\n\n> *Quoted* `code`';
+            editor.setMarkdown(markdown);
+
+            editor.duplicateBlocks(ids());
+
+            expect(editor.getMarkdown()).toBe(markdown + '\n\n' + markdown);
+        });
+
+        test('returns null if a block does not exist', () => {
+            expect(editor.duplicateBlocks(['missing'])).toBeNull();
+        });
+    });
+
+    describe('convertBlocks', () => {
+        test('converts text blocks and keeps ids and inline formatting', () => {
+            editor.setMarkdown('**First**\n\nSecond');
+            const before = ids();
+
+            expect(editor.convertBlocks(before, 'h2')).toBe(true);
+
+            expect(editor.getMarkdown()).toBe('## **First**\n\n## Second');
+            expect(ids()).toEqual(before);
+        });
+
+        test('a list becomes one block per item and back', () => {
+            editor.setMarkdown('- One\n- *Two*');
+            const [listId] = ids();
+
+            editor.convertBlocks([listId], 'paragraph');
+            expect(editor.getMarkdown()).toBe('One\n\n*Two*');
+            expect(ids()[0]).toBe(listId);
+
+            editor.convertBlocks(ids(), 'sq');
+            expect(editor.getMarkdown()).toBe('- [ ] One\n\n- [ ] *Two*');
+        });
+
+        test('converts between list types and to code', () => {
+            editor.setMarkdown('- One\n  - Nested');
+
+            editor.convertBlocks(ids(), 'ol');
+            expect(editor.getMarkdown()).toBe('1. One\n   - Nested');
+
+            editor.convertBlocks(ids(), 'code');
+            expect(editor.getMarkdown()).toBe('```\nOne\nNested\n```');
+        });
+
+        test('is one undo step and emits BLOCK_CONVERTED', () => {
+            const converted = jest.fn();
+            editor.on(EVENTS.BLOCK_CONVERTED, converted);
+
+            editor.convertBlocks(ids(), 'quote');
+            expect(converted.mock.calls.map(([event]) => event.data.toType)).toEqual(['quote', 'quote', 'quote']);
+
+            editor.undo();
+            expect(editor.getMarkdown()).toBe('First\n\nSecond\n\nThird');
+        });
+
+        test('leaves other blocks and rejects other target types', () => {
+            editor.setMarkdown('Text');
+            editor.insertBlock({ type: 'delimiter' }, { index: 0 });
+
+            expect(editor.convertBlocks(ids(), 'table')).toBe(false);
+            expect(editor.convertBlocks([ids()[0]], 'h1')).toBe(false);
+
+            editor.convertBlocks(ids(), 'h1');
+            expect(editor.getMarkdown()).toBe('---\n\n# Text');
+        });
+    });
+});
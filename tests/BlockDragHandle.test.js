@@ -0,0 +1,288 @@
+/**
+ * Tests for block reordering with the drag handle and Alt+Shift+ArrowUp/ArrowDown
+ */
+
+import {Editor} from '../src/Editor.js';
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {EVENTS} from '../src/utils/eventEmitter.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Block drag handle', () => {
+    let container;
+    let editor;
+
+    const BLOCK_HEIGHT = 20;
+
+    const createEditor = (options = {}) => {
+        editor = createTestEditor(options);
+        editor.setMarkdown('One\n\nTwo\n\nThree\n\nFour');
+        layoutBlocks();
+        return editor;
+    };
+
+    beforeEach(() => {
+        container = setUpEditorDom();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const blocks = () => Array.from(editor.contentArea.querySelectorAll('.bke-block'));
+    const texts = () => blocks().map(block => block.textContent);
+    const handle = () => editor.dragHandle.element;
+    const indicator = () => editor.dragHandle.indicator;
+
+    /**
+     * Stack the blocks BLOCK_HEIGHT pixels apart, following their current DOM order
+     */
+    function layoutBlocks() {
+        editor.contentArea.getBoundingClientRect = () => ({ top: 0, left: 10, width: 300, bottom: 400, height: 400 });
+        blocks().forEach(block => {
+            block.getBoundingClientRect = () => {
+                const top = blocks().indexOf(block) * BLOCK_HEIGHT;
+                return { top, left: 10, bottom: top + BLOCK_HEIGHT, height: BLOCK_HEIGHT };
+            };
+        });
+    }
+
+    const hover = (block) => block.querySelector('p').dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+    const mouse = (target, type, clientY) => target.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, button: 0, clientY }));
+
+    const touch = (target, type, clientY) => {
+        const event = new Event(type, { bubbles: true, cancelable: true });
+        const touches = type === 'touchend' ? [] : [{ clientY }];
+        Object.defineProperty(event, 'touches', { value: touches });
+        target.dispatchEvent(event);
+        return event;
+    };
+
+    /**
+     * Drag the handle of a block with the mouse and release it at clientY
+     */
+    const drag = (block, clientY) => {
+        hover(block);
+        const startY = block.getBoundingClientRect().top + 5;
+        mouse(handle(), 'mousedown', startY);
+        mouse(document, 'mousemove', clientY);
+        mouse(document, 'mouseup', clientY);
+    };
+
+    const select = (fromBlock, toBlock) => {
+        const range = document.createRange();
+        range.setStart(fromBlock.querySelector('p').firstChild, 0);
+        range.setEnd(toBlock.querySelector('p').firstChild, 1);
+        window.getSelection().removeAllRanges();
+        window.getSelection().addRange(range);
+    };
+
+    const press = (key, options = {}) => {
+        const event = new KeyboardEvent('keydown', { key, altKey: true, shiftKey: true, cancelable: true, bubbles: true, ...options });
+        editor.contentArea.dispatchEvent(event);
+        return event;
+    };
+
+    describe('handle', () => {
+        test('appears next to the hovered block', () => {
+            createEditor();
+
+            hover(blocks()[2]);
+
+            expect(handle().classList.contains('bke-hidden')).toBe(false);
+            expect(handle().style.top).toBe('40px');
+            expect(handle().style.left).toBe('10px');
+            expect(handle().querySelector('svg')).not.toBeNull();
+        });
+
+        test('hides when the pointer leaves the editor', () => {
+            createEditor();
+            hover(blocks()[0]);
+
+            container.dispatchEvent(new MouseEvent('mouseleave'));
+
+            expect(handle().classList.contains('bke-hidden')).toBe(true);
+        });
+
+        test('is not created for read-only editors or with dragHandle: false', () => {
+            createEditor({ readonly: true });
+            expect(editor.dragHandle).toBeNull();
+            editor.destroy();
+            Editor._instances.clear();
+
+            createEditor({ dragHandle: false });
+            expect(editor.dragHandle).toBeNull();
+            expect(container.querySelector('.bke-drag-handle')).toBeNull();
+        });
+    });
+
+    describe('mouse dragging', () => {
+        test('moves the block to the drop position', () => {
+            createEditor();
+
+            drag(blocks()[0], 75);
+
+            expect(texts()).toEqual(['Two', 'Three', 'Four', 'One']);
+        });
+
+        test('shows the drop indicator between the blocks while dragging', () => {
+            createEditor();
+            hover(blocks()[3]);
+            mouse(handle(), 'mousedown', 65);
+            mouse(document, 'mousemove', 15);
+
+            expect(indicator().classList.contains('bke-hidden')).toBe(false);
+            expect(indicator().style.top).toBe('20px');
+            expect(indicator().style.width).toBe('300px');
+            expect(blocks()[3].classList.contains('bke-block--dragging')).toBe(true);
+
+            mouse(document, 'mouseup', 15);
+
+            expect(texts()).toEqual(['One', 'Four', 'Two', 'Three']);
+            expect(indicator().classList.contains('bke-hidden')).toBe(true);
+            expect(blocks().some(block => block.classList.contains('bke-block--dragging'))).toBe(false);
+        });
+
+        test('a click on the handle does not move anything', () => {
+            createEditor();
+            const moved = jest.fn();
+            editor.on(EVENTS.BLOCK_MOVED, moved);
+
+            hover(blocks()[1]);
+            mouse(handle(), 'mousedown', 25);
+            mouse(document, 'mousemove', 26);
+            mouse(document, 'mouseup', 26);
+
+            expect(texts()).toEqual(['One', 'Two', 'Three', 'Four']);
+            expect(moved).not.toHaveBeenCalled();
+        });
+
+        test('Escape cancels the drag', () => {
+            createEditor();
+            hover(blocks()[0]);
+            mouse(handle(), 'mousedown', 5);
+            mouse(document, 'mousemove', 70);
+
+            document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', cancelable: true }));
+            mouse(document, 'mouseup', 70);
+
+            expect(texts()).toEqual(['One', 'Two', 'Three', 'Four']);
+            expect(editor.dragHandle.isDragging()).toBe(false);
+        });
+
+        test('a drop is one undo step and emits block.moved', () => {
+            createEditor();
+            const moved = jest.fn();
+            editor.on(EVENTS.BLOCK_MOVED, moved);
+            const id = blocks()[0].getAttribute('data-block-id');
+
+            drag(blocks()[0], 55);
+
+            expect(texts()).toEqual(['Two', 'Three', 'One', 'Four']);
+            expect(moved.mock.calls[0][0].data).toMatchObject({ blockId: id, oldIndex: 0, newIndex: 2 });
+
+            editor.undo();
+            expect(texts()).toEqual(['One', 'Two', 'Three', 'Four']);
+        });
+
+        test('the handle of a selected block drags the whole selection', () => {
+            createEditor();
+            select(blocks()[0], blocks()[1]);
+
+            drag(blocks()[1], 75);
+
+            expect(texts()).toEqual(['Three', 'Four', 'One', 'Two']);
+        });
+
+        test('the handle of a block outside the selection drags only that block', () => {
+            createEditor();
+            select(blocks()[0], blocks()[1]);
+
+            drag(blocks()[3], 5);
+
+            expect(texts()).toEqual(['Four', 'One', 'Two', 'Three']);
+        });
+    });
+
+    test('touch dragging moves the block', () => {
+        createEditor();
+        hover(blocks()[0]);
+
+        const start = touch(handle(), 'touchstart', 5);
+        const move = touch(document, 'touchmove', 55);
+        touch(document, 'touchend');
+
+        expect(start.defaultPrevented).toBe(true);
+        expect(move.defaultPrevented).toBe(true);
+        expect(texts()).toEqual(['Two', 'Three', 'One', 'Four']);
+    });
+
+    test('touching a block shows its handle without a mouseover', () => {
+        createEditor();
+
+        const tap = touch(blocks()[1].querySelector('p'), 'touchstart', 25);
+        expect(tap.defaultPrevented).toBe(false);
+        expect(handle().classList.contains('bke-hidden')).toBe(false);
+        expect(handle().style.top).toBe('20px');
+
+        touch(handle(), 'touchstart', 25);
+        touch(document, 'touchmove', 55);
+        touch(document, 'touchend');
+
+        expect(texts()).toEqual(['One', 'Three', 'Two', 'Four']);
+    });
+
+    test('the focused block shows its handle', () => {
+        createEditor();
+
+        blocks()[3].querySelector('p').dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+
+        expect(handle().classList.contains('bke-hidden')).toBe(false);
+        expect(handle().style.top).toBe('60px');
+    });
+
+    describe('keyboard', () => {
+        test('Alt+Shift+ArrowDown and ArrowUp move the current block', () => {
+            createEditor();
+            editor.setCurrentBlock(blocks()[1]);
+
+            const event = press('ArrowDown');
+            expect(event.defaultPrevented).toBe(true);
+            expect(texts()).toEqual(['One', 'Three', 'Two', 'Four']);
+
+            press('ArrowUp');
+            press('ArrowUp');
+            expect(texts()).toEqual(['Two', 'One', 'Three', 'Four']);
+        });
+
+        test('does nothing at the edge of the document', () => {
+            createEditor();
+            editor.setCurrentBlock(blocks()[0]);
+
+            expect(editor.moveSelectedBlocks(-1)).toBe(false);
+            expect(texts()).toEqual(['One', 'Two', 'Three', 'Four']);
+        });
+
+        test('moves all selected blocks and keeps the selection', () => {
+            createEditor();
+            select(blocks()[1], blocks()[2]);
+
+            press('ArrowDown');
+
+            expect(texts()).toEqual(['One', 'Four', 'Two', 'Three']);
+            expect(window.getSelection().toString()).toBe('TwoT');
+        });
+
+        test('each move is one undo step', () => {
+            createEditor();
+            editor.setCurrentBlock(blocks()[0]);
+
+            press('ArrowDown');
+            press('ArrowDown');
+            editor.undo();
+
+            expect(texts()).toEqual(['Two', 'One', 'Three', 'Four']);
+        });
+    });
+});
@@ -183,3 +183,70 @@ describe('Block inheritance', () => {
     expect(typeof paragraphBlock.applyTransformation).toBe('function');
   });
 });
+
+describe('Custom block registration', () => {
+  class NoteBlock extends BaseBlock {
+    constructor(content = '', html = '', nested = false) {
+      super('note', content, html, nested);
+    }
+
+    static getMarkdownTriggers() {
+      return ['!! '];
+    }
+
+    static canParseHtml(htmlString) {
+      return /^<div class="note">/i.test(htmlString);
+    }
+
+    static parseFromHtml(htmlString) {
+      const text = htmlString.replace(/<[^>]+>/g, '');
+      return new NoteBlock(text, text);
+    }
+  }
+
+  afterEach(() => {
+    BlockFactory.unregister('note');
+    BlockFactory.unregister('aside');
+  });
+
+  test('register makes the type known everywhere', () => {
+    expect(BlockFactory.register('note', NoteBlock)).toBe(true);
+
+    expect(BlockFactory.isRegistered('note')).toBe(true);
+    expect(BlockType.isValid('note')).toBe(true);
+    expect(BlockFactory.getBlockClass('note')).toBe(NoteBlock);
+    expect(BlockFactory.createBlock('note', 'Hi')).toBeInstanceOf(NoteBlock);
+    expect(new NoteBlock().type).toBe('note');
+    expect(BlockFactory.findBlockClassForTrigger('!! text')).toBe(NoteBlock);
+  });
+
+  test('unregister removes the type', () => {
+    BlockFactory.register('note', NoteBlock);
+
+    expect(BlockFactory.unregister('note')).toBe(true);
+    expect(BlockType.isValid('note')).toBe(false);
+    expect(BlockFactory.createBlock('note')).toBeInstanceOf(ParagraphBlock);
+    expect(BlockFactory.unregister('note')).toBe(false);
+  });
+
+  test('rejects invalid registrations', () => {
+    class NotABlock {}
+
+    expect(BlockFactory.register('', NoteBlock)).toBe(false);
+    expect(BlockFactory.register(BlockType.H1, NoteBlock)).toBe(false);
+    expect(BlockFactory.register('note', null)).toBe(false);
+    expect(BlockFactory.register('note', NotABlock)).toBe(false);
+    expect(BlockType.isValid('note')).toBe(false);
+  });
+
+  test('orders custom classes by priority around the built-in ones', () => {
+    class AsideBlock extends NoteBlock {}
+    BlockFactory.register('note', NoteBlock, { priority: 5 });
+    BlockFactory.register('aside', AsideBlock, { priority: -1 });
+
+    const classes = BlockFactory.getAllBlockClasses();
+    expect(classes[0]).toBe(NoteBlock);
+    expect(classes[classes.length - 2]).toBe(AsideBlock);
+    expect(classes[classes.length - 1]).toBe(ParagraphBlock);
+  });
+});
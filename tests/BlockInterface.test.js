@@ -84,6 +84,10 @@ describe('BlockInterface', () => {
             expect(typeof result).toBe('boolean');
         });
 
+        it('accepts block classes that inherit the interface from BaseBlock', () => {
+            expect(BlockInterfaceContract.validate(ParagraphBlock)).toBe(true);
+        });
+
         it('returns false for a class missing static methods', () => {
             class BadBlock {}
             const result = BlockInterfaceContract.validate(BadBlock);
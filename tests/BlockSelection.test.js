@@ -0,0 +1,274 @@
+/**
+ * Tests for block-level selection: Escape, Shift+Arrow, the drag handle and batch operations
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Block selection', () => {
+    let container;
+    let editor;
+
+    const createEditor = (options = {}) => {
+        editor = createTestEditor(options);
+        editor.setMarkdown('One\n\nTwo\n\nThree\n\nFour');
+        return editor;
+    };
+
+    beforeEach(() => {
+        container = setUpEditorDom();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const blocks = () => Array.from(editor.contentArea.querySelectorAll('.bke-block'));
+    const texts = () => blocks().map(block => block.textContent);
+    const selected = () => blocks().filter(block => block.classList.contains('bke-block--selected')).map(block => block.textContent);
+
+    const press = (key, options = {}) => {
+        const event = new KeyboardEvent('keydown', { key, cancelable: true, bubbles: true, ...options });
+        editor.contentArea.dispatchEvent(event);
+        return event;
+    };
+
+    /**
+     * Select the current block with Escape
+     */
+    const selectBlock = (index) => {
+        editor.setCurrentBlock(blocks()[index]);
+        press('Escape');
+    };
+
+    /**
+     * Dispatch a clipboard event with a fake clipboardData
+     */
+    const clipboard = (type) => {
+        const data = {};
+        const event = new Event(type, { bubbles: true, cancelable: true });
+        Object.defineProperty(event, 'clipboardData', { value: { setData: (format, value) => { data[format] = value; } } });
+        editor.contentArea.dispatchEvent(event);
+        return data;
+    };
+
+    describe('selecting', () => {
+        test('Escape selects the current block', () => {
+            createEditor();
+
+            selectBlock(1);
+
+            expect(selected()).toEqual(['Two']);
+            expect(editor.getSelectedBlocks().map(block => block.element.textContent)).toEqual(['Two']);
+            expect(container.classList.contains('bke-editor--block-selection')).toBe(true);
+        });
+
+        test('Shift+ArrowDown and Shift+ArrowUp extend from the first selected block', () => {
+            createEditor();
+            selectBlock(1);
+
+            press('ArrowDown', { shiftKey: true });
+            press('ArrowDown', { shiftKey: true });
+            expect(selected()).toEqual(['Two', 'Three', 'Four']);
+
+            press('ArrowUp', { shiftKey: true });
+            press('ArrowUp', { shiftKey: true });
+            press('ArrowUp', { shiftKey: true });
+            expect(selected()).toEqual(['One', 'Two']);
+        });
+
+        test('ArrowUp and ArrowDown select a single neighbouring block', () => {
+            createEditor();
+            selectBlock(1);
+            press('ArrowDown', { shiftKey: true });
+
+            press('ArrowDown');
+            expect(selected()).toEqual(['Four']);
+
+            press('ArrowUp');
+            expect(selected()).toEqual(['Three']);
+        });
+
+        test('Shift+Arrow turns a text selection across blocks into a block selection', () => {
+            createEditor();
+            const range = document.createRange();
+            range.setStart(blocks()[0].querySelector('p').firstChild, 1);
+            range.setEnd(blocks()[1].querySelector('p').firstChild, 1);
+            window.getSelection().removeAllRanges();
+            window.getSelection().addRange(range);
+
+            press('ArrowDown', { shiftKey: true });
+
+            expect(selected()).toEqual(['One', 'Two', 'Three']);
+        });
+
+        test('Ctrl+A selects all blocks', () => {
+            createEditor();
+            selectBlock(0);
+
+            press('a', { ctrlKey: true });
+
+            expect(selected()).toEqual(['One', 'Two', 'Three', 'Four']);
+        });
+
+        test('Escape, Enter, typing and a click return to text editing', () => {
+            createEditor();
+
+            selectBlock(2);
+            press('Escape');
+            expect(selected()).toEqual([]);
+            expect(editor.currentBlock).toBe(blocks()[2]);
+
+            selectBlock(2);
+            const enter = press('Enter');
+            expect(enter.defaultPrevented).toBe(true);
+            expect(selected()).toEqual([]);
+            expect(texts()).toEqual(['One', 'Two', 'Three', 'Four']);
+
+            selectBlock(2);
+            const typed = press('x');
+            expect(typed.defaultPrevented).toBe(false);
+            expect(selected()).toEqual([]);
+
+            selectBlock(2);
+            blocks()[0].dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+            expect(editor.getSelectedBlocks()).toEqual([]);
+        });
+
+        test('selectBlocks() selects blocks by id', () => {
+            createEditor();
+            const ids = blocks().map(block => block.getAttribute('data-block-id'));
+
+            expect(editor.selectBlocks([ids[3], ids[1]])).toBe(true);
+            expect(selected()).toEqual(['Two', 'Four']);
+
+            expect(editor.selectBlocks(['missing'])).toBe(false);
+        });
+
+        test('a read-only editor has no block selection', () => {
+            createEditor({ readonly: true });
+
+            expect(editor.blockSelection).toBeNull();
+            expect(editor.getSelectedBlocks()).toEqual([]);
+        });
+    });
+
+    describe('drag handle', () => {
+        const clickHandle = (block, options = {}) => {
+            block.querySelector('p').dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+            editor.dragHandle.element.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true, button: 0, ...options }));
+            document.dispatchEvent(new MouseEvent('mouseup', { bubbles: true, ...options }));
+        };
+
+        test('a click selects the block, Shift+click extends the selection', () => {
+            createEditor();
+
+            clickHandle(blocks()[1]);
+            expect(selected()).toEqual(['Two']);
+
+            clickHandle(blocks()[3], { shiftKey: true });
+            expect(selected()).toEqual(['Two', 'Three', 'Four']);
+        });
+    });
+
+    describe('batch operations', () => {
+        test('Backspace deletes the selected blocks as one undo step', () => {
+            createEditor();
+            selectBlock(1);
+            press('ArrowDown', { shiftKey: true });
+
+            press('Backspace');
+
+            expect(texts()).toEqual(['One', 'Four']);
+            expect(editor.currentBlock).toBe(blocks()[1]);
+            expect(editor.getSelectedBlocks()).toEqual([]);
+
+            editor.undo();
+            expect(texts()).toEqual(['One', 'Two', 'Three', 'Four']);
+        });
+
+        test('deleting every block leaves an empty paragraph', () => {
+            createEditor();
+            selectBlock(0);
+            press('a', { ctrlKey: true });
+
+            press('Delete');
+
+            expect(texts()).toEqual(['']);
+        });
+
+        test('Ctrl+D duplicates the selected blocks and selects the copies', () => {
+            createEditor();
+            selectBlock(0);
+            press('ArrowDown', { shiftKey: true });
+
+            const event = press('d', { ctrlKey: true });
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(texts()).toEqual(['One', 'Two', 'One', 'Two', 'Three', 'Four']);
+            expect(blocks()[2].classList.contains('bke-block--selected')).toBe(true);
+            expect(blocks()[3].classList.contains('bke-block--selected')).toBe(true);
+            expect(blocks()[0].classList.contains('bke-block--selected')).toBe(false);
+        });
+
+        test('copy puts the selected blocks on the clipboard as markdown', () => {
+            createEditor();
+            editor.setMarkdown('# Title\n\n- **One**\n- Two\n\nText');
+            selectBlock(0);
+            press('ArrowDown', { shiftKey: true });
+
+            const data = clipboard('copy');
+
+            expect(data['text/plain']).toBe('# Title\n\n- **One**\n- Two');
+            expect(data['text/html']).toContain('<strong>One</strong>');
+            expect(editor.blockSelection.copy()).toBe('# Title\n\n- **One**\n- Two');
+            expect(texts()).toHaveLength(3);
+        });
+
+        test('cut copies and removes the selected blocks', () => {
+            createEditor();
+            selectBlock(3);
+
+            const data = clipboard('cut');
+
+            expect(data['text/plain']).toBe('Four');
+            expect(texts()).toEqual(['One', 'Two', 'Three']);
+        });
+
+        test('copy is left to the browser without a block selection', () => {
+            createEditor();
+
+            expect(clipboard('copy')).toEqual({});
+        });
+
+        test('convert() changes the type and keeps the blocks selected', () => {
+            createEditor();
+            selectBlock(1);
+            press('ArrowDown', { shiftKey: true });
+
+            expect(editor.blockSelection.convert('ul')).toBe(true);
+
+            expect(editor.getMarkdown()).toBe('One\n\n- Two\n\n- Three\n\nFour');
+            expect(editor.getSelectedBlocks().map(block => block.type)).toEqual(['ul', 'ul']);
+
+            editor.undo();
+            expect(editor.getMarkdown()).toBe('One\n\nTwo\n\nThree\n\nFour');
+        });
+
+        test('Alt+Shift+ArrowUp moves the selected blocks', () => {
+            createEditor();
+            selectBlock(2);
+            press('ArrowDown', { shiftKey: true });
+
+            press('ArrowUp', { altKey: true, shiftKey: true });
+
+            expect(texts()).toEqual(['One', 'Three', 'Four', 'Two']);
+            expect(selected()).toEqual(['Three', 'Four']);
+
+            expect(editor.blockSelection.move(1)).toBe(true);
+            expect(texts()).toEqual(['One', 'Two', 'Three', 'Four']);
+        });
+    });
+});
@@ -77,4 +77,25 @@ describe('BlockType', () => {
       expect(BlockType.getBlockTypeFromHtmlTag('unknown')).toBe(BlockType.PARAGRAPH);
     });
   });
+
+  describe('Custom block types', () => {
+    afterEach(() => {
+      BlockType.unregister('callout');
+    });
+
+    test('register makes a type valid', () => {
+      expect(BlockType.isValid('callout')).toBe(false);
+      BlockType.register('callout');
+      expect(BlockType.isValid('callout')).toBe(true);
+      expect(BlockType.getAll()).toContain('callout');
+    });
+
+    test('unregister removes only custom types', () => {
+      BlockType.register('callout');
+      expect(BlockType.unregister('callout')).toBe(true);
+      expect(BlockType.isValid('callout')).toBe(false);
+      expect(BlockType.unregister(BlockType.H1)).toBe(false);
+      expect(BlockType.isValid(BlockType.H1)).toBe(true);
+    });
+  });
 });
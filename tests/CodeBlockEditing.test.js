@@ -0,0 +1,206 @@
+/**
+ * Tests for code block editing: auto-indent, Tab/Shift+Tab on lines, auto-closing pairs and line numbers
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {CodeBlock} from '../src/blocks/CodeBlock.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Code block editing', () => {
+    let editor;
+
+    const createEditor = async (code, options = {}) => {
+        editor = createTestEditor(options);
+        editor.setMarkdown('```js\n' + code + '\n```');
+        editor.setCurrentBlock(blockElement());
+
+        // The line numbers follow the editor options once the block is rendered
+        await flush();
+        return editor;
+    };
+
+    beforeEach(() => {
+        setUpEditorDom();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const blockElement = () => editor.contentArea.querySelector('.bke-block[data-block-type="code"]');
+    const code = () => blockElement().querySelector('code');
+    const gutter = () => blockElement().querySelector('.bke-code-gutter');
+    const lineNumbers = () => Array.from(gutter().children).map(line => line.getAttribute('data-line'));
+    const selection = () => CodeBlock.getSelectionOffsets(code());
+
+    /**
+     * Select text offsets of the code, or put the caret before the first occurrence of a text
+     */
+    const select = (start, end = start) => CodeBlock.setSelectionOffsets(code(), start, end);
+    const caretAt = (marker) => select(code().textContent.indexOf(marker));
+
+    const keydown = (key, options = {}) => {
+        const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+        code().dispatchEvent(event);
+        return event;
+    };
+
+    const type = (data, inputType = 'insertText') => {
+        const event = new InputEvent('beforeinput', { inputType, data, bubbles: true, cancelable: true });
+        code().dispatchEvent(event);
+        return event;
+    };
+
+    describe('Enter', () => {
+        test('keeps the indentation of the line', async () => {
+            await createEditor('if (a) {\n    b();\n}');
+            caretAt('();');
+            select(selection().start + 3);
+
+            const event = keydown('Enter');
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(code().textContent).toBe('if (a) {\n    b();\n    \n}');
+            expect(selection()).toEqual({ start: 22, end: 22 });
+            expect(blockElement().querySelector('.token')).not.toBeNull();
+        });
+
+        test('adds a level after ":" and puts a closing bracket on its own line', async () => {
+            await createEditor('def f():', { codeBlock: { indent: 4 } });
+            select(8);
+            keydown('Enter');
+            expect(code().textContent).toBe('def f():\n    ');
+
+            editor.setMarkdown('```js\nif (a) {}\n```');
+            editor.setCurrentBlock(blockElement());
+            caretAt('}');
+            keydown('Enter');
+            expect(code().textContent).toBe('if (a) {\n    \n}');
+            expect(selection().start).toBe(13);
+        });
+    });
+
+    describe('Tab', () => {
+        test('inserts one level at the caret, spaces with the indent option', async () => {
+            await createEditor('a', { codeBlock: { indent: 2 } });
+            select(0);
+
+            keydown('Tab');
+
+            expect(code().textContent).toBe('  a');
+            expect(selection()).toEqual({ start: 2, end: 2 });
+            expect(editor.getMarkdown()).toBe('```js\n  a\n```');
+        });
+
+        test('indents and Shift+Tab outdents every selected line', async () => {
+            await createEditor('one\ntwo\nthree');
+            select(1, 6);
+
+            keydown('Tab');
+            expect(code().textContent).toBe('\tone\n\ttwo\nthree');
+            expect(selection()).toEqual({ start: 2, end: 8 });
+
+            keydown('Tab', { shiftKey: true });
+            expect(code().textContent).toBe('one\ntwo\nthree');
+            expect(selection()).toEqual({ start: 1, end: 6 });
+        });
+    });
+
+    describe('auto-closing pairs', () => {
+        test('an opening bracket or quote inserts the pair and the closing character steps over it', async () => {
+            await createEditor('f');
+            select(1);
+
+            expect(type('(').defaultPrevented).toBe(true);
+            expect(code().textContent).toBe('f()');
+            expect(selection().start).toBe(2);
+
+            type('"');
+            expect(code().textContent).toBe('f("")');
+
+            type('"');
+            type(')');
+            expect(code().textContent).toBe('f("")');
+            expect(selection().start).toBe(5);
+        });
+
+        test('Backspace in an empty pair removes both characters and a selection is wrapped', async () => {
+            await createEditor('x = []; y');
+            select(5);
+
+            expect(type(null, 'deleteContentBackward').defaultPrevented).toBe(true);
+            expect(code().textContent).toBe('x = ; y');
+
+            select(6, 7);
+            type('[');
+            expect(code().textContent).toBe('x = ; [y]');
+            expect(selection()).toEqual({ start: 7, end: 8 });
+        });
+
+        test('no pair before a word and no quote pair after one', async () => {
+            await createEditor('don t');
+            select(0);
+            expect(type('(').defaultPrevented).toBe(false);
+
+            select(3);
+            expect(type("'").defaultPrevented).toBe(false);
+        });
+
+        test('none with autoClose off', async () => {
+            await createEditor('', { codeBlock: { autoClose: false } });
+            select(0);
+            expect(type('{').defaultPrevented).toBe(false);
+        });
+    });
+
+    describe('line numbers', () => {
+        test('the gutter follows the lines without being part of the code', async () => {
+            await createEditor('a\nb\nc', { codeBlock: { lineNumbers: true } });
+
+            expect(lineNumbers()).toEqual(['1', '2', '3']);
+            expect(gutter().getAttribute('aria-hidden')).toBe('true');
+
+            select(3);
+            keydown('Enter');
+            expect(lineNumbers()).toEqual(['1', '2', '3', '4']);
+
+            code().textContent = 'a';
+            code().dispatchEvent(new Event('input', { bubbles: true }));
+            expect(lineNumbers()).toEqual(['1']);
+
+            expect(editor.getMarkdown()).toBe('```js\na\n```');
+            expect(editor.getHtml()).not.toContain('bke-code');
+        });
+
+        test('survive refreshHighlighting() and undo', async () => {
+            await createEditor('a\nb', { codeBlock: { lineNumbers: true } });
+
+            const block = editor.getBlockForElement(blockElement());
+            block.language = 'python';
+            block.refreshHighlighting();
+            expect(lineNumbers()).toEqual(['1', '2']);
+
+            select(3);
+            keydown('Enter');
+            editor.undo();
+            await flush();
+            expect(lineNumbers()).toEqual(['1', '2']);
+        });
+
+        test('are off by default', async () => {
+            await createEditor('a\nb');
+
+            expect(gutter()).toBeNull();
+        });
+    });
+
+    test('indentLines() and getIndentUnit()', () => {
+        expect(CodeBlock.getIndentUnit({ indent: 2 })).toBe('  ');
+        expect(CodeBlock.getIndentUnit({ indent: 'x' })).toBe('\t');
+        expect(CodeBlock.indentLines('a\n    b\n\tc', 2, 9, '\t', true)).toEqual({ from: 2, to: 10, text: 'b\nc', start: 2, end: 4 });
+        expect(CodeBlock.countLines('a\nb\n')).toBe(2);
+    });
+});
@@ -0,0 +1,209 @@
+/**
+ * Tests for editor.commands: built-in commands, registration and the toolbar binding
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {CommandManager} from '../src/CommandManager.js';
+import {CodeBlock} from '../src/blocks/CodeBlock.js';
+import {ParagraphBlock} from '../src/blocks/ParagraphBlock.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('CommandManager', () => {
+    let container;
+    let editor;
+
+    const createEditor = (markdown = 'Text', options = {}) => {
+        editor = createTestEditor(options);
+        editor.setMarkdown(markdown);
+        focusBlock(0);
+        return editor;
+    };
+
+    beforeEach(() => {
+        container = setUpEditorDom();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        tearDownEditorDom();
+    });
+
+    const blocks = () => Array.from(editor.contentArea.querySelectorAll('.bke-block'));
+
+    const focusBlock = (index) => {
+        const block = blocks()[index];
+        editor.setCurrentBlock(block);
+        editor.placeCursorAtEnd(editor.findEditableElementInBlock(block));
+    };
+
+    const button = (name) => container.querySelector('.bke-toolbar-' + name);
+
+    describe('built-in commands', () => {
+        test('setBlockType converts the current block and isActive() reports its type', () => {
+            createEditor();
+
+            expect(editor.commands.execute('setBlockType', { type: 'h2' })).toBe(true);
+
+            expect(editor.getMarkdown()).toBe('## Text');
+            expect(editor.commands.isActive('setBlockType', { type: 'h2' })).toBe(true);
+            expect(editor.commands.isActive('setBlockType', { type: 'h3' })).toBe(false);
+
+            editor.commands.execute('setBlockType', { type: 'h2' });
+            expect(editor.getMarkdown()).toBe('Text');
+            expect(blocks()).toHaveLength(1);
+        });
+
+        test('toggleMark cannot be executed in a code block', () => {
+            createEditor('```\ncode\n```');
+
+            expect(editor.commands.canExecute('toggleMark', { mark: 'bold' })).toBe(false);
+            expect(editor.commands.execute('toggleMark', { mark: 'bold' })).toBe(false);
+            expect(editor.commands.canExecute('toggleMark', { mark: 'blink' })).toBe(false);
+        });
+
+        test('insertImage with a src replaces an empty paragraph and returns the block id', () => {
+            createEditor('');
+
+            const id = editor.commands.execute('insertImage', { src: 'cat.png', alt: 'Cat' });
+
+            expect(typeof id).toBe('string');
+            expect(blocks()).toHaveLength(1);
+            expect(editor.currentBlock.getAttribute('data-block-id')).toBe(id);
+            expect(editor.getMarkdown()).toBe('![Cat](cat.png)');
+        });
+
+        test('insertTable builds a table of the given size after the current block', () => {
+            createEditor();
+
+            editor.commands.execute('insertTable', { rows: 2, cols: 3 });
+
+            expect(blocks()).toHaveLength(2);
+            expect(blocks()[1].getAttribute('data-block-type')).toBe('table');
+            expect(blocks()[1].querySelectorAll('tbody tr')).toHaveLength(2);
+            expect(blocks()[1].querySelectorAll('thead th')).toHaveLength(3);
+        });
+
+        test('undo can only be executed when there is history', () => {
+            createEditor();
+            while (editor.canUndo()) {
+                editor.undo();
+            }
+            expect(editor.commands.canExecute('undo')).toBe(false);
+
+            editor.setMarkdown('Text');
+            focusBlock(0);
+            editor.commands.execute('setBlockType', { type: 'ul' });
+            expect(editor.commands.canExecute('undo')).toBe(true);
+
+            editor.commands.execute('undo');
+            expect(editor.getMarkdown()).toBe('Text');
+            expect(editor.commands.canExecute('redo')).toBe(true);
+        });
+
+        test('a read-only editor cannot change blocks', () => {
+            createEditor('Text', { readonly: true });
+
+            expect(editor.commands.canExecute('setBlockType', { type: 'h1' })).toBe(false);
+            expect(editor.commands.canExecute('insertTable')).toBe(false);
+        });
+    });
+
+    describe('registry', () => {
+        test('an unknown command returns false', () => {
+            createEditor();
+
+            expect(editor.commands.has('missing')).toBe(false);
+            expect(editor.commands.execute('missing')).toBe(false);
+            expect(editor.commands.canExecute('missing')).toBe(false);
+        });
+
+        test('register() adds a command and unregister() removes it', () => {
+            createEditor();
+            const execute = jest.fn(() => 'done');
+
+            expect(editor.commands.register('stamp', { execute, canExecute: () => true })).toBe(true);
+            expect(editor.commands.list()).toContain('stamp');
+            expect(editor.commands.execute('stamp', { text: 'x' })).toBe('done');
+            expect(execute).toHaveBeenCalledWith(editor, { text: 'x' });
+
+            expect(editor.commands.unregister('stamp')).toBe(true);
+            expect(editor.commands.has('stamp')).toBe(false);
+            expect(editor.commands.register('broken', {})).toBe(false);
+        });
+
+        test('a registered command replaces a built-in one with the same name', () => {
+            createEditor();
+            const execute = jest.fn();
+            editor.commands.register('undo', execute);
+
+            expect(editor.commands.execute('undo')).toBe(true);
+            expect(execute).toHaveBeenCalled();
+        });
+
+        test('plugin commands run with their args', () => {
+            const run = jest.fn(() => 42);
+            createEditor('Text', { plugins: [{ name: 'stamp', commands: { stamp: run } }] });
+
+            expect(editor.commands.list()).toContain('stamp');
+            expect(editor.commands.execute('stamp', { text: 'x' })).toBe(42);
+            expect(run).toHaveBeenCalledWith(editor, { text: 'x' });
+        });
+
+        test('the current block class can disable commands', () => {
+            jest.spyOn(CodeBlock, 'getDisabledCommands').mockReturnValue(['insertTable']);
+            createEditor('```\ncode\n```');
+
+            expect(editor.commands.canExecute('insertTable')).toBe(false);
+            expect(editor.commands.execute('insertTable')).toBe(false);
+            expect(CommandManager.COMMANDS.insertTable).toBeDefined();
+        });
+    });
+
+    describe('toolbar', () => {
+        test('buttons carry their command and a click runs it', () => {
+            createEditor();
+
+            expect(button('header2').getAttribute('data-command')).toBe('setBlockType');
+            expect(JSON.parse(button('header2').getAttribute('data-command-args'))).toEqual({ type: 'h2' });
+
+            button('header2').click();
+
+            expect(editor.getMarkdown()).toBe('## Text');
+        });
+
+        test('a button config runs a registered command with its args', () => {
+            const execute = jest.fn();
+            createEditor('Text', {
+                toolbar: { config: [{ group: [{ class: 'bke-toolbar-stamp', title: 'stamp', command: 'stamp', args: { text: 'x' } }] }] }
+            });
+            editor.commands.register('stamp', execute);
+
+            button('stamp').click();
+
+            expect(execute).toHaveBeenCalledWith(editor, { text: 'x' });
+        });
+
+        test('buttons of commands that cannot be executed are disabled', () => {
+            createEditor('```\ncode\n```');
+
+            editor.updateToolbarButtonStates();
+
+            expect(button('bold').disabled).toBe(true);
+            expect(button('link').disabled).toBe(true);
+            expect(button('header1').disabled).toBe(false);
+            expect(button('redo').disabled).toBe(true);
+        });
+
+        test('getDisabledButtons() of a block is still honoured', () => {
+            jest.spyOn(ParagraphBlock, 'getDisabledButtons').mockReturnValue(['bke-toolbar-table']);
+            createEditor();
+
+            editor.updateToolbarButtonStates();
+
+            expect(button('table').disabled).toBe(true);
+            expect(button('bold').disabled).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for custom block types registered with BlockFactory.register()
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {BaseBlock} from '../src/blocks/BaseBlock.js';
+import {BlockFactory} from '../src/blocks/BlockFactory.js';
+import {Parser} from '../src/Parser.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+/**
+ * "!! text" in markdown, <div class="note"> in HTML
+ */
+class NoteBlock extends BaseBlock
+{
+    constructor(content = '', html = '', nested = false) {
+        super('note', content, html, nested);
+    }
+
+    static getMarkdownTriggers() {
+        return ['!! '];
+    }
+
+    static canParseHtml(htmlString) {
+        return /^<div class="note">/i.test(htmlString);
+    }
+
+    static parseFromHtml(htmlString) {
+        const text = htmlString.replace(/<[^>]+>/g, '').trim();
+        return new NoteBlock(text, text);
+    }
+
+    applyTransformation(targetElement) {
+        targetElement.setAttribute('data-block-type', 'note');
+    }
+
+    toMarkdown() {
+        this.syncFromElement();
+        return '!! ' + this._content;
+    }
+
+    toHtml() {
+        this.syncFromElement();
+        return `<div class="note">${this._content}</div>`;
+    }
+}
+
+describe('Custom block registration', () => {
+    let editor;
+
+    beforeEach(() => {
+        setUpEditorDom();
+
+        BlockFactory.register('note', NoteBlock);
+
+        editor = createTestEditor();
+    });
+
+    afterEach(() => {
+        BlockFactory.unregister('note');
+
+        tearDownEditorDom();
+    });
+
+    const noteElement = () => editor.contentArea.querySelector('[data-block-type="note"]');
+
+    test('parser detects registered block types', () => {
+        const blocks = Parser.parseHtml('<div class="note">Remember</div><p>Text</p>');
+
+        expect(blocks[0]).toBeInstanceOf(NoteBlock);
+        expect(blocks[0].content).toBe('Remember');
+        expect(blocks[1].type).toBe('paragraph');
+    });
+
+    test('markdown and HTML serialization delegate to the block', () => {
+        editor.setHtml('<div class="note">Remember</div>');
+
+        expect(noteElement()).not.toBeNull();
+        expect(editor.getMarkdown()).toBe('!! Remember');
+        expect(editor.getHtml()).toBe('<div class="note">Remember</div>');
+    });
+
+    test('the markdown trigger converts a paragraph', () => {
+        const block = editor.contentArea.querySelector('.bke-block');
+        block.textContent = '!! Remember';
+
+        expect(editor._blockConverter.checkAndConvert(block)).toBe(true);
+        expect(block.getAttribute('data-block-type')).toBe('note');
+        expect(block.textContent).toBe('Remember');
+    });
+
+    test('registered blocks round-trip through JSON', () => {
+        editor.setHtml('<div class="note">Remember</div>');
+        const json = editor.getJSON();
+
+        expect(json.blocks[0].type).toBe('note');
+        editor.setJSON(json);
+        expect(noteElement().textContent).toBe('Remember');
+    });
+});
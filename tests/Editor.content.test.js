@@ -0,0 +1,184 @@
+/**
+ * Tests for the Editor content API: setMarkdown, setHtml, getBlocks, clear, blur
+ */
+
+import {Editor} from '../src/Editor.js';
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {EVENTS} from '../src/utils/eventEmitter.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Editor content API', () => {
+    let editor;
+
+    beforeEach(() => {
+        setUpEditorDom();
+
+        editor = createTestEditor({ text: '# Initial\n\nFirst paragraph' });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        tearDownEditorDom();
+    });
+
+    describe('getBlocks', () => {
+        test('returns typed block instances in document order', () => {
+            const blocks = editor.getBlocks();
+            expect(blocks).toHaveLength(2);
+            expect(blocks[0].type).toBe('h1');
+            expect(blocks[1].type).toBe('paragraph');
+        });
+
+        test('returned blocks are linked to their DOM elements', () => {
+            const elements = editor.contentArea.querySelectorAll('.bke-block');
+            const blocks = editor.getBlocks();
+            expect(blocks[0].element).toBe(elements[0]);
+            expect(editor.getBlockForElement(elements[1])).toBe(blocks[1]);
+        });
+
+        test('links blocks that were inserted without a block instance', () => {
+            const element = document.createElement('div');
+            element.className = 'bke-block';
+            element.setAttribute('data-block-type', 'paragraph');
+            element.textContent = 'Pasted';
+            editor.contentArea.appendChild(element);
+
+            const blocks = editor.getBlocks();
+            expect(blocks).toHaveLength(3);
+            expect(blocks[2].element).toBe(element);
+            expect(blocks[2].content).toBe('Pasted');
+        });
+    });
+
+    describe('setMarkdown', () => {
+        test('replaces existing content with parsed blocks', () => {
+            editor.setMarkdown('## Title\n\n- one\n- two');
+
+            const elements = editor.contentArea.querySelectorAll('.bke-block');
+            expect(elements).toHaveLength(2);
+            expect(elements[0].getAttribute('data-block-type')).toBe('h2');
+            expect(elements[1].getAttribute('data-block-type')).toBe('ul');
+            expect(editor.contentArea.textContent).not.toContain('Initial');
+        });
+
+        test('rebuilds the block map and assigns block ids', () => {
+            editor.setMarkdown('Alpha\n\nBeta');
+
+            const blocks = editor.getBlocks();
+            expect(blocks).toHaveLength(2);
+            blocks.forEach(block => {
+                expect(block.element.getAttribute('data-block-id')).toMatch(/^block-/);
+            });
+            expect(blocks[0].element.getAttribute('data-block-id'))
+                .not.toBe(blocks[1].element.getAttribute('data-block-id'));
+        });
+
+        test('activates the first block', () => {
+            editor.setMarkdown('Alpha\n\nBeta');
+            const first = editor.contentArea.querySelector('.bke-block');
+            expect(editor.currentBlock).toBe(first);
+            expect(first.classList.contains('bke-block--active')).toBe(true);
+        });
+
+        test('markdown round-trips through getMarkdown', () => {
+            editor.setMarkdown('# Heading\n\nSome text');
+            const markdown = editor.getMarkdown();
+            expect(markdown).toContain('# Heading');
+            expect(markdown).toContain('Some text');
+        });
+
+        test('empty markdown leaves a single empty paragraph', () => {
+            editor.setMarkdown('');
+            const elements = editor.contentArea.querySelectorAll('.bke-block');
+            expect(elements).toHaveLength(1);
+            expect(elements[0].getAttribute('data-block-type')).toBe('paragraph');
+        });
+
+        test('emits BLOCK_DESTROYED for replaced blocks that carry an id', () => {
+            editor.setMarkdown('Alpha\n\nBeta');
+            const listener = jest.fn();
+            editor.eventEmitter.subscribe(EVENTS.BLOCK_DESTROYED, listener);
+
+            editor.setMarkdown('Gamma');
+            expect(listener).toHaveBeenCalledTimes(2);
+        });
+
+        test('emits a single consolidated content.changed event', () => {
+            jest.useFakeTimers();
+            const updated = jest.fn();
+            const changed = jest.fn();
+            editor.eventEmitter.subscribe(EVENTS.EDITOR_UPDATED, updated);
+            editor.eventEmitter.subscribe(EVENTS.CONTENT_CHANGED, changed);
+
+            editor.setMarkdown('# One\n\nTwo\n\nThree');
+            jest.advanceTimersByTime(1000);
+
+            expect(updated).toHaveBeenCalledTimes(1);
+            expect(changed).toHaveBeenCalledTimes(1);
+            expect(changed.mock.calls[0][0].data.markdown).toContain('One');
+        });
+
+        test('leaves the transaction state idle afterwards', () => {
+            editor.setMarkdown('Alpha');
+            expect(editor._stateMachine.inTransaction).toBe(false);
+            expect(editor.eventEmitter.isSuppressed).toBe(false);
+        });
+    });
+
+    describe('setHtml', () => {
+        test('replaces existing content with parsed HTML blocks', () => {
+            editor.setHtml('<h3>Section</h3><blockquote>Quoted</blockquote><p>Body</p>');
+
+            const types = editor.getBlocks().map(block => block.type);
+            expect(types).toEqual(['h3', 'quote', 'paragraph']);
+            expect(editor.contentArea.textContent).toContain('Section');
+            expect(editor.contentArea.textContent).not.toContain('Initial');
+        });
+
+        test('empty HTML leaves a single empty paragraph', () => {
+            editor.setHtml('');
+            expect(editor.getBlocks()).toHaveLength(1);
+        });
+    });
+
+    describe('clear', () => {
+        test('removes all content and leaves one empty paragraph', () => {
+            editor.clear();
+
+            const elements = editor.contentArea.querySelectorAll('.bke-block');
+            expect(elements).toHaveLength(1);
+            expect(elements[0].getAttribute('data-block-type')).toBe('paragraph');
+            expect(elements[0].textContent.trim()).toBe('');
+            expect(editor.currentBlock).toBe(elements[0]);
+        });
+
+        test('keeps the toolbar in place', () => {
+            editor.clear();
+            expect(editor.instance.querySelector('.bke-toolbar')).toBeTruthy();
+        });
+    });
+
+    describe('blur', () => {
+        test('removes focus from an element inside the editor', () => {
+            const block = editor.contentArea.querySelector('.bke-block');
+            block.setAttribute('tabindex', '0');
+            block.focus();
+            expect(document.activeElement).toBe(block);
+
+            editor.blur();
+            expect(document.activeElement).not.toBe(block);
+        });
+
+        test('does not touch focus held outside the editor', () => {
+            const input = document.createElement('input');
+            document.body.appendChild(input);
+            input.focus();
+
+            editor.blur();
+            expect(document.activeElement).toBe(input);
+            input.remove();
+        });
+    });
+});
@@ -188,7 +188,7 @@ describe('Editor Instance Methods', () => {
             
             new Editor({ id: 'test-editor-3' });
 
-            expect(Parser.parse).toHaveBeenCalledWith(initialContent);
+            expect(Parser.parse).toHaveBeenCalledWith(initialContent, []);
         });
 
         it('should create default block when content is empty', () => {
@@ -0,0 +1,272 @@
+/**
+ * Tests for the undo/redo history manager and its Editor integration
+ */
+
+import {Editor} from '../src/Editor.js';
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {HistoryManager} from '../src/HistoryManager.js';
+import {EVENTS} from '../src/utils/eventEmitter.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('HistoryManager', () => {
+    let container;
+    let editor;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+
+        container = setUpEditorDom();
+
+        editor = createTestEditor({ text: 'First paragraph' });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        tearDownEditorDom();
+    });
+
+    /**
+     * Simulate typing: change the text of a block and let the debounced update run.
+     */
+    const type = (blockElement, text, elapsed = 100) => {
+        const target = blockElement.querySelector('p') || blockElement;
+        target.textContent = text;
+        editor.update();
+        jest.advanceTimersByTime(elapsed);
+    };
+
+    const firstBlock = () => editor.contentArea.querySelector('.bke-block');
+
+    test('editor exposes a history manager', () => {
+        expect(editor.history).toBeInstanceOf(HistoryManager);
+        expect(editor.canUndo()).toBe(false);
+        expect(editor.canRedo()).toBe(false);
+    });
+
+    test('undo and redo setMarkdown', () => {
+        editor.setMarkdown('# Replaced');
+        expect(editor.canUndo()).toBe(true);
+
+        expect(editor.undo()).toBe(true);
+        expect(editor.contentArea.textContent).toContain('First paragraph');
+        expect(editor.canRedo()).toBe(true);
+
+        expect(editor.redo()).toBe(true);
+        expect(editor.getMarkdown()).toContain('# Replaced');
+        expect(editor.canRedo()).toBe(false);
+    });
+
+    test('undo restores block ids', () => {
+        const id = firstBlock().getAttribute('data-block-id');
+        editor.setMarkdown('Other');
+        editor.undo();
+        expect(firstBlock().getAttribute('data-block-id')).toBe(id);
+    });
+
+    test('undo with nothing to undo returns false', () => {
+        expect(editor.undo()).toBe(false);
+        expect(editor.redo()).toBe(false);
+    });
+
+    test('consecutive typing in one block is a single step', () => {
+        type(firstBlock(), 'First paragraph a');
+        type(firstBlock(), 'First paragraph ab');
+        type(firstBlock(), 'First paragraph abc');
+        jest.advanceTimersByTime(300);
+
+        expect(editor.history._undoStack).toHaveLength(2);
+
+        editor.undo();
+        expect(editor.contentArea.textContent).toContain('First paragraph');
+        expect(editor.contentArea.textContent).not.toContain('abc');
+        expect(editor.canUndo()).toBe(false);
+    });
+
+    test('typing is serialized once per pause, not per keystroke', () => {
+        const getJSON = jest.spyOn(editor, 'getJSON');
+
+        type(firstBlock(), 'First paragraph a');
+        type(firstBlock(), 'First paragraph ab');
+        type(firstBlock(), 'First paragraph abc');
+        expect(getJSON).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(300);
+        expect(getJSON).toHaveBeenCalledTimes(1);
+    });
+
+    test('undo right after typing includes the unrecorded typing', () => {
+        type(firstBlock(), 'First paragraph abc');
+
+        editor.undo();
+        expect(firstBlock().textContent).toBe('First paragraph');
+        expect(editor.canRedo()).toBe(true);
+    });
+
+    test('typing after a pause starts a new step', () => {
+        type(firstBlock(), 'First paragraph a', 2000);
+        type(firstBlock(), 'First paragraph ab', 2000);
+
+        expect(editor.history._undoStack).toHaveLength(3);
+
+        editor.undo();
+        expect(firstBlock().textContent).toBe('First paragraph a');
+    });
+
+    test('a block conversion is its own undo step', () => {
+        type(firstBlock(), '## Title');
+        editor.convertBlockType(firstBlock(), 'h2', '## Title');
+        jest.advanceTimersByTime(100);
+
+        expect(firstBlock().getAttribute('data-block-type')).toBe('h2');
+
+        editor.undo();
+        expect(firstBlock().getAttribute('data-block-type')).toBe('paragraph');
+        expect(firstBlock().textContent).toBe('## Title');
+    });
+
+    test('undo and redo keep the inline formatting of headings and quotes', () => {
+        const markdown = '# Title **bold** and [a link](https://example.com)\n\n> Quote with *italic* and `code`';
+        editor.setMarkdown(markdown);
+        editor.insertBlock({ type: 'paragraph', data: { text: 'Added' } });
+
+        expect(editor.undo()).toBe(true);
+        expect(editor.getMarkdown()).toBe(markdown);
+        expect(firstBlock().querySelector('h1 strong')).not.toBeNull();
+
+        expect(editor.redo()).toBe(true);
+        expect(editor.getMarkdown()).toBe(markdown + '\n\nAdded');
+    });
+
+    test('undo keeps literal markdown characters in text', () => {
+        editor.setMarkdown('# Title');
+        firstBlock().querySelector('h1').textContent = '2*3*4 <u>a</u> snake __x__';
+        editor.insertBlock({ type: 'paragraph', data: { text: 'Added' } });
+
+        expect(editor.undo()).toBe(true);
+        expect(firstBlock().textContent).toBe('2*3*4 <u>a</u> snake __x__');
+        expect(firstBlock().querySelector('em, strong, u')).toBeNull();
+    });
+
+    test('a transaction is recorded as a single step', () => {
+        editor.transaction(() => {
+            editor.setMarkdown('One');
+            editor.setMarkdown('Two');
+        });
+
+        expect(editor.history._undoStack).toHaveLength(2);
+        editor.undo();
+        expect(editor.contentArea.textContent).toContain('First paragraph');
+    });
+
+    test('a new change clears the redo stack', () => {
+        editor.setMarkdown('Second');
+        editor.undo();
+        expect(editor.canRedo()).toBe(true);
+
+        editor.setMarkdown('Third');
+        expect(editor.canRedo()).toBe(false);
+    });
+
+    test('undo after undo does not record the restored state as a change', () => {
+        editor.setMarkdown('Second');
+        editor.undo();
+        jest.advanceTimersByTime(1000);
+
+        expect(editor.canRedo()).toBe(true);
+        expect(editor.canUndo()).toBe(false);
+    });
+
+    test('respects the history limit', () => {
+        editor.history.limit = 3;
+        ['A', 'B', 'C', 'D', 'E'].forEach(text => editor.setMarkdown(text));
+
+        let steps = 0;
+        while (editor.undo()) {
+            steps++;
+        }
+
+        expect(steps).toBe(3);
+        expect(editor.getMarkdown()).toContain('B');
+    });
+
+    test('historyLimit option configures the limit', () => {
+        Editor._instances.clear();
+        container.innerHTML = '';
+        const limited = createTestEditor({ historyLimit: 5 });
+        expect(limited.history.limit).toBe(5);
+    });
+
+    test('emits history.changed with the stack state', () => {
+        const listener = jest.fn();
+        editor.on(EVENTS.HISTORY_CHANGED, listener);
+
+        editor.setMarkdown('Changed');
+        expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({
+            data: { canUndo: true, canRedo: false, undoDepth: 1, redoDepth: 0 }
+        }));
+
+        editor.undo();
+        expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({
+            data: { canUndo: false, canRedo: true, undoDepth: 0, redoDepth: 1 }
+        }));
+    });
+
+    test('restores the caret into the changed block', () => {
+        // Use the real JSDOM selection instead of the global mock
+        const savedGetSelection = window.getSelection;
+        window.getSelection = () => document.getSelection();
+
+        try {
+            editor.setMarkdown('Alpha\n\nBeta');
+            const second = editor.contentArea.querySelectorAll('.bke-block')[1];
+            const paragraph = second.querySelector('p');
+            paragraph.textContent = 'Beta!';
+
+            const range = document.createRange();
+            range.setStart(paragraph.firstChild, 5);
+            range.collapse(true);
+            window.getSelection().removeAllRanges();
+            window.getSelection().addRange(range);
+
+            editor.update();
+            jest.advanceTimersByTime(100);
+            editor.undo();
+
+            const restored = editor.contentArea.querySelectorAll('.bke-block')[1];
+            expect(restored.textContent).toBe('Beta');
+            expect(editor.currentBlock).toBe(restored);
+            expect(restored.contains(window.getSelection().anchorNode)).toBe(true);
+            expect(window.getSelection().anchorOffset).toBe(4);
+        } finally {
+            window.getSelection = savedGetSelection;
+        }
+    });
+
+    test('toolbar undo/redo buttons follow the history state', () => {
+        const undoButton = editor.toolbar.container.querySelector('.bke-toolbar-undo');
+        const redoButton = editor.toolbar.container.querySelector('.bke-toolbar-redo');
+        expect(undoButton.disabled).toBe(true);
+        expect(redoButton.disabled).toBe(true);
+
+        editor.setMarkdown('Changed');
+        expect(undoButton.disabled).toBe(false);
+
+        editor.undo();
+        expect(undoButton.disabled).toBe(true);
+        expect(redoButton.disabled).toBe(false);
+    });
+
+    test('Ctrl+Z and Ctrl+Shift+Z are routed to the history', () => {
+        editor.setMarkdown('Changed');
+
+        const undoEvent = new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, cancelable: true });
+        editor.keyHandler.handleSpecialKeys(undoEvent);
+        expect(undoEvent.defaultPrevented).toBe(true);
+        expect(editor.contentArea.textContent).toContain('First paragraph');
+
+        editor.keyHandler.handleSpecialKeys(new KeyboardEvent('keydown', { key: 'Z', ctrlKey: true, shiftKey: true }));
+        expect(editor.contentArea.textContent).toContain('Changed');
+    });
+});
@@ -241,6 +241,49 @@ describe('ImageBlock', () => {
     });
   });
 
+  describe('Captions, alignment and size', () => {
+    test('toMarkdown keeps the caption in the title and the size and alignment in attributes', () => {
+      const block = ImageBlock.fromJSON({ src: 'cat.png', alt: 'A cat', width: 320, height: 200, caption: 'Say "hi"', align: 'center' });
+
+      expect(block.toMarkdown()).toBe('![A cat](cat.png "Say \\"hi\\""){width=320 height=200 align=center}');
+    });
+
+    test('parseFromMarkdown restores caption, size and alignment', () => {
+      const block = ImageBlock.parseFromMarkdown('![A cat](cat.png "Say \\"hi\\" (again)"){width=320 height=200 align=right}');
+
+      expect(block.src).toBe('cat.png');
+      expect(block.alt).toBe('A cat');
+      expect(block.caption).toBe('Say "hi" (again)');
+      expect(block.align).toBe('right');
+      expect(block.getDimensions()).toEqual({ width: 320, height: 200 });
+    });
+
+    test('plain images keep the plain markdown and JSON', () => {
+      const block = ImageBlock.parseFromMarkdown('![A cat](cat.png)');
+
+      expect(block.toMarkdown()).toBe('![A cat](cat.png)');
+      expect(block.toHtml()).toBe('<img src="cat.png" alt="A cat">');
+      expect(block.toJSON()).toEqual({ src: 'cat.png', alt: 'A cat', width: null, height: null });
+    });
+
+    test('toHtml wraps captioned or aligned images in a figure that parseFromHtml reads back', () => {
+      const block = ImageBlock.fromJSON({ src: 'cat.png', alt: '', width: 320, caption: 'A <cat>', align: 'left' });
+      const html = block.toHtml();
+
+      expect(html).toBe('<figure class="bke-image bke-image--left" data-align="left"><img src="cat.png" alt="" width="320"><figcaption>A &lt;cat&gt;</figcaption></figure>');
+      expect(ImageBlock.parseFromHtml(html).toJSON()).toEqual({ src: 'cat.png', alt: '', width: 320, height: null, caption: 'A <cat>', align: 'left' });
+    });
+
+    test('unknown alignments are ignored and full width drops the size', () => {
+      const block = ImageBlock.fromJSON({ src: 'cat.png', width: 320, height: 200, align: 'middle' });
+      expect(block.align).toBe('');
+
+      block.setAlign('full');
+      expect(block.getDimensions()).toEqual({ width: null, height: null });
+      expect(block.toMarkdown()).toBe('![](cat.png){align=full}');
+    });
+  });
+
   describe('Inheritance and Type', () => {
     test('inherits from BaseBlock', () => {
       expect(imageBlock).toBeInstanceOf(BaseBlock);
@@ -0,0 +1,138 @@
+/**
+ * Tests for image captions, alignment, alt text and sizes kept in markdown
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Image captions and alignment', () => {
+    let editor;
+
+    const createEditor = async (markdown, options = {}) => {
+        editor = createTestEditor(options);
+        editor.setMarkdown(markdown);
+
+        // The image toolbar is set up once the block is rendered
+        await flush();
+        return editor;
+    };
+
+    beforeEach(() => {
+        setUpEditorDom();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const blocks = () => Array.from(editor.contentArea.querySelectorAll('.bke-block'));
+    const image = () => editor.contentArea.querySelector('.bke-block[data-block-type="image"]');
+
+    const keydown = (target, key) => {
+        const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+        target.dispatchEvent(event);
+        return event;
+    };
+
+    test('caption, size and alignment survive a markdown round trip', async () => {
+        const markdown = 'Text\n\n![A cat](cat.png "The \\"best\\" cat"){width=320 height=200 align=center}\n\nMore';
+        await createEditor(markdown);
+
+        expect(image().querySelector('.bke-image-caption').textContent).toBe('The "best" cat');
+        expect(image().getAttribute('data-align')).toBe('center');
+        expect(image().classList.contains('bke-image--center')).toBe(true);
+        expect(image().querySelector('img').style.width).toBe('320px');
+        expect(editor.getMarkdown()).toBe(markdown);
+        expect(editor.getJSON().blocks[1].data).toEqual({ src: 'cat.png', alt: 'A cat', width: 320, height: 200, caption: 'The "best" cat', align: 'center' });
+    });
+
+    test('images in code blocks are left alone', async () => {
+        await createEditor('```\n![A cat](cat.png "Caption")\n```');
+
+        expect(blocks().map(block => block.getAttribute('data-block-type'))).toEqual(['code']);
+        expect(editor.getMarkdown()).toBe('```\n![A cat](cat.png "Caption")\n```');
+    });
+
+    test('typing a caption updates the markdown and the HTML output', async () => {
+        await createEditor('![A cat](cat.png)');
+        const caption = image().querySelector('.bke-image-caption');
+
+        expect(caption.getAttribute('contenteditable')).toBe('true');
+        caption.textContent = 'Sleeping';
+        caption.dispatchEvent(new Event('input', { bubbles: true }));
+
+        expect(editor.getMarkdown()).toBe('![A cat](cat.png "Sleeping")');
+        expect(editor.getHtml()).toBe('<figure class="bke-image"><img src="cat.png" alt="A cat"><figcaption>Sleeping</figcaption></figure>');
+    });
+
+    test('Backspace in an empty caption does not remove the image', async () => {
+        await createEditor('Text\n\n![A cat](cat.png)');
+        editor.setCurrentBlock(image());
+
+        keydown(image().querySelector('.bke-image-caption'), 'Backspace');
+
+        expect(blocks()).toHaveLength(2);
+        expect(editor.getMarkdown()).toBe('Text\n\n![A cat](cat.png)');
+    });
+
+    test('Enter in the caption adds a paragraph after the image', async () => {
+        await createEditor('![A cat](cat.png)\n\nText');
+        editor.setCurrentBlock(image());
+
+        const event = keydown(image().querySelector('.bke-image-caption'), 'Enter');
+
+        expect(event.defaultPrevented).toBe(true);
+        expect(blocks().map(block => block.getAttribute('data-block-type'))).toEqual(['image', 'paragraph', 'paragraph']);
+    });
+
+    test('the align buttons align the image as one undo step', async () => {
+        await createEditor('![A cat](cat.png){width=320}');
+        const button = (align) => image().querySelector(`.bke-image-align[data-align="${align}"]`);
+
+        button('right').click();
+
+        expect(image().getAttribute('data-align')).toBe('right');
+        expect(button('right').getAttribute('aria-pressed')).toBe('true');
+        expect(editor.getMarkdown()).toBe('![A cat](cat.png){width=320 align=right}');
+
+        // Full width drops the size; the active button resets the alignment
+        button('full').click();
+        expect(editor.getMarkdown()).toBe('![A cat](cat.png){align=full}');
+        button('full').click();
+        expect(image().hasAttribute('data-align')).toBe(false);
+        expect(editor.getMarkdown()).toBe('![A cat](cat.png)');
+
+        editor.undo();
+        expect(editor.getMarkdown()).toBe('![A cat](cat.png){align=full}');
+    });
+
+    test('the alt text field edits the alt text and warns while it is empty', async () => {
+        await createEditor('![](cat.png)');
+        const input = image().querySelector('.bke-image-alt-input');
+        const warning = image().querySelector('.bke-image-alt-warning');
+
+        expect(image().classList.contains('bke-image--no-alt')).toBe(true);
+        expect(warning.hidden).toBe(false);
+
+        input.value = 'A cat';
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+
+        expect(image().querySelector('img').getAttribute('alt')).toBe('A cat');
+        expect(image().classList.contains('bke-image--no-alt')).toBe(false);
+        expect(warning.hidden).toBe(true);
+        expect(editor.getMarkdown()).toBe('![A cat](cat.png)');
+
+        // Keys typed in the field are not editor shortcuts
+        keydown(input, 'Backspace');
+        expect(blocks()).toHaveLength(1);
+    });
+
+    test('the caption of a read-only editor cannot be edited', async () => {
+        await createEditor('![A cat](cat.png "Caption")', { readonly: true });
+
+        expect(image().querySelector('.bke-image-caption').getAttribute('contenteditable')).toBe('false');
+    });
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for pasting and dropping image files anywhere in the editor
+ */
+
+import {Editor} from '../src/Editor.js';
+import {setUpEditorDom, tearDownEditorDom} from './editorTestUtils.js';
+import {EVENTS} from '../src/utils/eventEmitter.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Image files', () => {
+    let editor;
+
+    const png = (name, size = 3) => new File(['x'.repeat(size)], name, { type: 'image/png' });
+
+    const createEditor = (markdown = 'One\n\nTwo', options = {}) => {
+        editor = new Editor({
+            id: 'test-editor',
+            debug: false,
+            uploadAdapter: (file) => Promise.resolve({ url: '/assets/' + file.name }),
+            ...options
+        });
+        editor.setMarkdown(markdown);
+        return editor;
+    };
+
+    beforeEach(() => {
+        setUpEditorDom();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const blocks = () => Array.from(editor.contentArea.querySelectorAll('.bke-block'));
+    const types = () => blocks().map(block => block.getAttribute('data-block-type'));
+
+    /**
+     * Dispatch a drop of files on an element
+     */
+    const drop = (target, files, clientY = 0) => {
+        const dataTransfer = { files, items: [], types: files.length > 0 ? ['Files'] : ['text/plain'], dropEffect: 'none' };
+        const over = new Event('dragover', { bubbles: true, cancelable: true });
+        Object.defineProperty(over, 'dataTransfer', { value: dataTransfer });
+        target.dispatchEvent(over);
+
+        const event = new Event('drop', { bubbles: true, cancelable: true });
+        Object.defineProperty(event, 'dataTransfer', { value: dataTransfer });
+        Object.defineProperty(event, 'clientY', { value: clientY });
+        target.dispatchEvent(event);
+        return { over, event };
+    };
+
+    /**
+     * Dispatch a paste of clipboard file items
+     */
+    const paste = (files, text = '', html = '') => {
+        const event = new Event('paste', { bubbles: true, cancelable: true });
+        Object.defineProperty(event, 'clipboardData', {
+            value: {
+                items: files.map(file => ({ kind: 'file', type: file.type, getAsFile: () => file })),
+                files: [],
+                getData: (format) => 'text/html' === format ? html : ('text/plain' === format || 'text' === format ? text : '')
+            }
+        });
+        editor.contentArea.dispatchEvent(event);
+        return event;
+    };
+
+    test('dropping files on a paragraph inserts one image block per file after it', async () => {
+        createEditor();
+
+        const { over, event } = drop(blocks()[0].querySelector('p'), [png('a.png'), png('b.png')]);
+        await flush();
+
+        expect(over.defaultPrevented).toBe(true);
+        expect(event.defaultPrevented).toBe(true);
+        expect(types()).toEqual(['paragraph', 'image', 'image', 'paragraph']);
+        expect(editor.getMarkdown()).toBe('One\n\n![a.png](/assets/a.png)\n\n![b.png](/assets/b.png)\n\nTwo');
+    });
+
+    test('dropping on the upper half of a block inserts before it', async () => {
+        createEditor();
+        blocks()[1].getBoundingClientRect = () => ({ top: 100, height: 40, bottom: 140 });
+
+        drop(blocks()[1].querySelector('p'), [png('a.png')], 105);
+        await flush();
+
+        expect(editor.getMarkdown()).toBe('One\n\n![a.png](/assets/a.png)\n\nTwo');
+    });
+
+    test('inserting the dropped files is one undo step', () => {
+        createEditor('One\n\nTwo', { uploadAdapter: () => new Promise(() => {}) });
+
+        drop(blocks()[0].querySelector('p'), [png('a.png'), png('b.png')]);
+        expect(types()).toEqual(['paragraph', 'image', 'image', 'paragraph']);
+
+        editor.undo();
+        expect(types()).toEqual(['paragraph', 'paragraph']);
+    });
+
+    test('pasting a screenshot replaces the empty current paragraph', async () => {
+        createEditor('One\n\n');
+        editor.setCurrentBlock(blocks()[1]);
+        const pasted = [];
+        editor.on(EVENTS.USER_PASTE, (event) => pasted.push(event.data));
+
+        const event = paste([png('screenshot.png')]);
+        await flush();
+
+        expect(event.defaultPrevented).toBe(true);
+        expect(types()).toEqual(['paragraph', 'image']);
+        expect(editor.currentBlock).toBe(blocks()[1]);
+        expect(editor.getMarkdown()).toBe('One\n\n![screenshot.png](/assets/screenshot.png)');
+        expect(pasted[0].files).toEqual(['screenshot.png']);
+    });
+
+    test('pasted cells or rich text with an image of them are pasted as text', async () => {
+        createEditor('One');
+        editor.setCurrentBlock(blocks()[0]);
+        const handlePaste = jest.spyOn(editor.tableSelection, 'handlePaste');
+
+        paste([png('cells.png')], 'a\tb', '<table><tr><td>a</td><td>b</td></tr></table>');
+        await flush();
+
+        expect(types()).not.toContain('image');
+        expect(handlePaste).toHaveBeenCalled();
+    });
+
+    test('a paste of rejected files only is left to the text handling', () => {
+        createEditor('One', { imageUpload: { accept: ['image/png'] } });
+        const rejected = [];
+        editor.on(EVENTS.IMAGE_UPLOAD_REJECTED, (event) => rejected.push(event.data));
+        const preventDefault = jest.fn();
+        const clipboardData = { items: [], files: [new File(['gif'], 'anim.gif', { type: 'image/gif' })], getData: () => '' };
+
+        expect(editor.imageFiles.handlePaste({ clipboardData, preventDefault })).toBe(false);
+        expect(preventDefault).not.toHaveBeenCalled();
+        expect(rejected.map(({ fileName }) => fileName)).toEqual(['anim.gif']);
+        expect(types()).toEqual(['paragraph']);
+    });
+
+    test('files outside the imageUpload limits are rejected', async () => {
+        createEditor('One', { imageUpload: { accept: ['image/png'], maxSize: 5 } });
+        editor.setCurrentBlock(blocks()[0]);
+        const rejected = [];
+        editor.on(EVENTS.IMAGE_UPLOAD_REJECTED, (event) => rejected.push(event.data));
+
+        const ids = editor.insertImageFiles([
+            png('ok.png'),
+            png('large.png', 10),
+            new File(['gif'], 'anim.gif', { type: 'image/gif' }),
+            new File(['text'], 'notes.txt', { type: 'text/plain' })
+        ]);
+        await flush();
+
+        expect(ids).toHaveLength(1);
+        expect(editor.getMarkdown()).toBe('One\n\n![ok.png](/assets/ok.png)');
+        expect(rejected.map(({ fileName, reason }) => [fileName, reason])).toEqual([
+            ['large.png', 'size'],
+            ['anim.gif', 'type'],
+            ['notes.txt', 'type']
+        ]);
+    });
+
+    test('drags and pastes without files are left to the text handling', () => {
+        createEditor();
+
+        const { over, event } = drop(blocks()[0].querySelector('p'), []);
+
+        expect(over.defaultPrevented).toBe(false);
+        expect(event.defaultPrevented).toBe(false);
+        expect(editor.imageFiles.handlePaste({ clipboardData: { items: [], files: [] } })).toBe(false);
+        expect(types()).toEqual(['paragraph', 'paragraph']);
+    });
+
+    test('a read-only editor does not accept image files', () => {
+        createEditor('One', { readonly: true });
+
+        expect(editor.imageFiles).toBeNull();
+        expect(editor.insertImageFiles([png('a.png')])).toEqual([]);
+    });
+});
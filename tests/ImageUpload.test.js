@@ -0,0 +1,166 @@
+/**
+ * Tests for image uploads through the uploadAdapter option
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {EVENTS} from '../src/utils/eventEmitter.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+/**
+ * An upload adapter whose result is settled by the test
+ */
+const createAdapter = () => {
+    const calls = [];
+    const adapter = jest.fn((file, options) => new Promise((resolve, reject) => {
+        calls.push({ file, options, resolve, reject });
+    }));
+    adapter.calls = calls;
+    adapter.last = () => calls[calls.length - 1];
+    return adapter;
+};
+
+describe('Image upload', () => {
+    let editor;
+
+    const file = new File(['png'], 'cat.png', { type: 'image/png' });
+
+    beforeEach(() => {
+        setUpEditorDom();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    /**
+     * Create an editor with one image block and collect the upload events
+     */
+    const createEditor = async (options = {}) => {
+        editor = createTestEditor(options);
+        editor.setMarkdown('Text');
+        const id = editor.insertBlock({ type: 'image', data: {} });
+        const element = editor.contentArea.querySelector(`[data-block-id="${id}"]`);
+        const events = [];
+        ['STARTED', 'PROGRESS', 'COMPLETED', 'FAILED', 'CANCELLED'].forEach(name => {
+            editor.on(EVENTS['IMAGE_UPLOAD_' + name], (event) => events.push({ type: event.type, ...event.data }));
+        });
+
+        // Drag and drop is set up once the block is rendered
+        await flush();
+
+        return { id, element, block: editor.getBlockForElement(element), events };
+    };
+
+    test('the file is uploaded with progress and the image shows the returned URL', async () => {
+        const uploadAdapter = createAdapter();
+        const { id, element, events } = await createEditor({ uploadAdapter });
+
+        element.dispatchEvent(new CustomEvent('imageSelected', { detail: file }));
+
+        expect(uploadAdapter).toHaveBeenCalledWith(file, { onProgress: expect.any(Function), signal: expect.any(AbortSignal) });
+        expect(element.classList.contains('bke-block--uploading')).toBe(true);
+        expect(element.querySelector('.bke-image-upload-name').textContent).toBe('cat.png');
+
+        uploadAdapter.last().options.onProgress(0.5);
+        expect(element.querySelector('.bke-image-upload-progress').getAttribute('aria-valuenow')).toBe('50');
+
+        uploadAdapter.last().resolve({ url: 'https://cdn.example.com/cat.png', width: 320, height: 200 });
+        await flush();
+
+        expect(element.classList.contains('bke-block--uploading')).toBe(false);
+        expect(element.querySelector('img').getAttribute('src')).toBe('https://cdn.example.com/cat.png');
+        expect(editor.getMarkdown()).toBe('Text\n\n![cat.png](https://cdn.example.com/cat.png){width=320 height=200}');
+        expect(editor.getJSON().blocks[1].data).toMatchObject({ src: 'https://cdn.example.com/cat.png', width: 320, height: 200 });
+        expect(events.map(event => event.type)).toEqual(['image.upload.started', 'image.upload.progress', 'image.upload.completed']);
+        expect(events[1]).toMatchObject({ blockId: id, fileName: 'cat.png', progress: 0.5 });
+        expect(events[2]).toMatchObject({ blockId: id, url: 'https://cdn.example.com/cat.png' });
+    });
+
+    test('a selected file outside the imageUpload limits is rejected', async () => {
+        const uploadAdapter = createAdapter();
+        const { element, events } = await createEditor({ uploadAdapter, imageUpload: { accept: ['image/png'], maxSize: 2 } });
+        const rejected = [];
+        editor.on(EVENTS.IMAGE_UPLOAD_REJECTED, (event) => rejected.push(event.data));
+
+        element.dispatchEvent(new CustomEvent('imageSelected', { detail: new File(['gif'], 'anim.gif', { type: 'image/gif' }) }));
+        element.dispatchEvent(new CustomEvent('imageSelected', { detail: file }));
+
+        expect(uploadAdapter).not.toHaveBeenCalled();
+        expect(events).toEqual([]);
+        expect(rejected.map(({ fileName, reason }) => [fileName, reason])).toEqual([['anim.gif', 'type'], ['cat.png', 'size']]);
+    });
+
+    test('a failed upload offers Retry', async () => {
+        const uploadAdapter = createAdapter();
+        const { element, block, events } = await createEditor({ uploadAdapter });
+
+        block.handleImageFile(file, element);
+        uploadAdapter.last().reject(new Error('Network error'));
+        await flush();
+
+        expect(element.querySelector('.bke-image-upload-message').textContent).toBe('Upload failed: Network error');
+        expect(events.map(event => event.type)).toEqual(['image.upload.started', 'image.upload.failed']);
+        expect(events[1].error.message).toBe('Network error');
+
+        element.querySelector('.bke-image-upload-retry').click();
+        expect(uploadAdapter).toHaveBeenCalledTimes(2);
+        expect(element.querySelector('.bke-image-upload-progress')).not.toBeNull();
+
+        uploadAdapter.last().resolve({ url: '/assets/cat.png' });
+        await flush();
+
+        expect(element.querySelector('img').getAttribute('src')).toBe('/assets/cat.png');
+    });
+
+    test('Remove deletes the block of a failed upload', async () => {
+        const uploadAdapter = jest.fn(() => Promise.reject(new Error('Too large')));
+        const { id, element, block } = await createEditor({ uploadAdapter });
+
+        await block.handleImageFile(file, element);
+        element.querySelector('.bke-image-upload-remove').click();
+
+        expect(editor.getBlockById(id)).toBeNull();
+        expect(editor.getMarkdown()).toBe('Text');
+    });
+
+    test('an unsafe or missing URL fails the upload', async () => {
+        const uploadAdapter = jest.fn(() => Promise.resolve({ url: 'javascript:alert(1)' }));
+        const { element, block, events } = await createEditor({ uploadAdapter });
+
+        expect(await block.handleImageFile(file, element)).toBe(false);
+
+        expect(element.querySelector('img')).toBeNull();
+        expect(events.map(event => event.type)).toEqual(['image.upload.started', 'image.upload.failed']);
+    });
+
+    test('cancelUpload() aborts the request and ignores its result', async () => {
+        const uploadAdapter = createAdapter();
+        const { element, block, events } = await createEditor({ uploadAdapter });
+
+        const upload = block.handleImageFile(file, element);
+        expect(block.isUploading()).toBe(true);
+
+        expect(block.cancelUpload()).toBe(true);
+        expect(uploadAdapter.last().options.signal.aborted).toBe(true);
+
+        uploadAdapter.last().resolve({ url: 'https://cdn.example.com/cat.png' });
+        expect(await upload).toBe(false);
+        expect(element.querySelector('img')).toBeNull();
+        expect(events.map(event => event.type)).toEqual(['image.upload.started', 'image.upload.cancelled']);
+        expect(block.cancelUpload()).toBe(false);
+    });
+
+    test('without an adapter the image is inlined as a data URL', async () => {
+        const { element, block } = await createEditor();
+        expect(editor.uploadAdapter).toBeNull();
+
+        block.handleImageFile(file, element);
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(element.querySelector('img').getAttribute('src')).toMatch(/^data:image\/png;base64,/);
+    });
+});
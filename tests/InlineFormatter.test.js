@@ -0,0 +1,308 @@
+/**
+ * Tests for the Range-based inline formatter (bold, italic, underline, strikethrough, inline code)
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {Keymap} from '../src/Keymap.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('InlineFormatter', () => {
+    let container;
+    let editor;
+    let savedExecCommand;
+
+    beforeEach(() => {
+        container = setUpEditorDom();
+        savedExecCommand = document.execCommand;
+        document.execCommand = jest.fn();
+
+        editor = createTestEditor();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+        document.execCommand = savedExecCommand;
+    });
+
+    const blocks = () => editor.contentArea.querySelectorAll('.bke-block');
+
+    /**
+     * Find the text node containing a substring and its offset
+     */
+    const findText = (text) => {
+        const walker = document.createTreeWalker(editor.contentArea, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const index = walker.currentNode.nodeValue.indexOf(text);
+            if (index !== -1) {
+                return [walker.currentNode, index];
+            }
+        }
+        throw new Error('Text not found: ' + text);
+    };
+
+    /**
+     * Select from the start of one substring to the end of another
+     */
+    const select = (from, to = from) => {
+        const [startNode, startOffset] = findText(from);
+        const [endNode, endOffset] = findText(to);
+        const range = document.createRange();
+        range.setStart(startNode, startOffset);
+        range.setEnd(endNode, endOffset + to.length);
+        window.getSelection().removeAllRanges();
+        window.getSelection().addRange(range);
+        editor.setCurrentBlock(startNode.parentElement.closest('.bke-block'));
+        return range;
+    };
+
+    /**
+     * Place a collapsed caret after a substring
+     */
+    const caretAfter = (text) => {
+        const [node, offset] = findText(text);
+        const range = document.createRange();
+        range.setStart(node, offset + text.length);
+        range.collapse(true);
+        window.getSelection().removeAllRanges();
+        window.getSelection().addRange(range);
+        editor.setCurrentBlock(node.parentElement.closest('.bke-block'));
+    };
+
+    const press = (key, options = {}) => {
+        const event = new KeyboardEvent('keydown', { key, ctrlKey: true, cancelable: true, bubbles: true, ...options });
+        editor.contentArea.dispatchEvent(event);
+        return event;
+    };
+
+    describe('toggle()', () => {
+        test('wraps the selection without execCommand', () => {
+            editor.setMarkdown('Hello brave world');
+            select('brave');
+            document.execCommand.mockClear();
+
+            expect(editor.formatter.toggle('bold')).toBe(true);
+
+            expect(blocks()[0].querySelector('strong').textContent).toBe('brave');
+            expect(document.execCommand).not.toHaveBeenCalled();
+            expect(editor.getMarkdown()).toBe('Hello **brave** world');
+        });
+
+        test.each([
+            ['italic', 'em'],
+            ['underline', 'u'],
+            ['strikethrough', 'del'],
+            ['code', 'code']
+        ])('%s uses <%s>', (mark, tag) => {
+            editor.setMarkdown('Hello brave world');
+            select('brave');
+
+            editor.formatter.toggle(mark);
+
+            expect(blocks()[0].querySelector(tag).textContent).toBe('brave');
+        });
+
+        test('toggles the mark off when the whole selection has it', () => {
+            editor.setMarkdown('Hello **brave** world');
+            select('brave');
+
+            editor.formatter.toggle('bold');
+
+            expect(blocks()[0].querySelector('strong')).toBeNull();
+            expect(editor.getMarkdown()).toBe('Hello brave world');
+        });
+
+        test('removing the mark from part of it splits the mark', () => {
+            editor.setMarkdown('**one two three**');
+            select('two');
+
+            editor.formatter.toggle('bold');
+
+            const marks = Array.from(blocks()[0].querySelectorAll('strong')).map(el => el.textContent);
+            expect(marks).toEqual(['one ', ' three']);
+        });
+
+        test('a partially formatted selection gets the mark everywhere and marks are merged', () => {
+            editor.setMarkdown('one **two** three');
+            select('one', 'three');
+
+            editor.formatter.toggle('bold');
+
+            const marks = blocks()[0].querySelectorAll('strong');
+            expect(marks).toHaveLength(1);
+            expect(marks[0].textContent).toBe('one two three');
+        });
+
+        test('formats across blocks', () => {
+            editor.setMarkdown('First paragraph\n\nSecond paragraph');
+            select('paragraph', 'Second');
+
+            editor.formatter.toggle('italic');
+
+            expect(blocks()[0].querySelector('em').textContent).toBe('paragraph');
+            expect(blocks()[1].querySelector('em').textContent).toBe('Second');
+        });
+
+        test('keeps the selection on the formatted text', () => {
+            editor.setMarkdown('Hello brave world');
+            select('brave');
+
+            editor.formatter.toggle('bold');
+
+            expect(window.getSelection().toString()).toBe('brave');
+        });
+
+        test('does not format code blocks', () => {
+            editor.setMarkdown('```\nconst a = 1;\n```');
+            select('const');
+
+            expect(editor.formatter.toggle('bold')).toBe(false);
+            expect(blocks()[0].querySelector('strong')).toBeNull();
+        });
+
+        test('rejects unknown marks', () => {
+            editor.setMarkdown('Hello');
+            select('Hello');
+            expect(editor.formatter.toggle('blink')).toBe(false);
+        });
+
+        test('a collapsed caret opens an empty mark for the next typed text', () => {
+            editor.setMarkdown('Hello');
+            caretAfter('Hello');
+
+            editor.formatter.toggle('bold');
+
+            const range = window.getSelection().getRangeAt(0);
+            expect(range.startContainer.parentElement.tagName).toBe('STRONG');
+            expect(editor.formatter.isActive('bold')).toBe(true);
+        });
+
+        test('a collapsed caret inside a mark continues outside of it', () => {
+            editor.setMarkdown('**Hello** world');
+            caretAfter('Hello');
+
+            editor.formatter.toggle('bold');
+
+            const range = window.getSelection().getRangeAt(0);
+            expect(range.startContainer.parentElement.closest('strong')).toBeNull();
+            expect(editor.getMarkdown()).toBe('**Hello** world');
+        });
+
+        test('an unused empty mark is not exported and is removed when the caret leaves it', () => {
+            editor.setMarkdown('Hello\n\n# Title\n\nWorld');
+            caretAfter('Hello');
+
+            editor.formatter.toggle('bold');
+
+            expect(editor.getHtml()).not.toMatch(/\u200B|<strong>/);
+            expect(editor.getMarkdown()).toBe('Hello\n\n# Title\n\nWorld');
+            expect(editor.getJSON().blocks[0].data.text).toBe('Hello');
+            expect(blocks()[0].querySelector('strong')).not.toBeNull();
+
+            caretAfter('World');
+            document.dispatchEvent(new Event('selectionchange'));
+
+            expect(blocks()[0].querySelector('strong')).toBeNull();
+            expect(blocks()[0].textContent).toBe('Hello');
+        });
+
+        test('typed text stays formatted when the placeholder is removed on blur', () => {
+            editor.setMarkdown('Hello');
+            caretAfter('Hello');
+
+            editor.formatter.toggle('bold');
+            const placeholder = window.getSelection().getRangeAt(0).startContainer;
+            placeholder.appendData('!');
+            editor.contentArea.dispatchEvent(new FocusEvent('focusout'));
+
+            expect(blocks()[0].querySelector('strong').textContent).toBe('!');
+            expect(blocks()[0].textContent).not.toContain('\u200B');
+            expect(editor.getMarkdown()).toBe('Hello**!**');
+        });
+
+        test('is a single undo step from the toolbar', () => {
+            editor.setMarkdown('Hello brave world');
+            select('brave');
+
+            editor.toolbar.bold();
+            editor.undo();
+
+            expect(editor.getMarkdown()).toBe('Hello brave world');
+        });
+    });
+
+    describe('normalize()', () => {
+        test('renames legacy tags and removes redundant nesting', () => {
+            const element = document.createElement('div');
+            element.innerHTML = '<b>a<strong>b</strong></b><i>c</i><strike>d</strike><em></em>';
+
+            editor.formatter.normalize(element);
+
+            expect(element.innerHTML).toBe('<strong>ab</strong><em>c</em><del>d</del>');
+        });
+
+        test('merges adjacent marks of the same kind', () => {
+            const element = document.createElement('div');
+            element.innerHTML = '<strong>a</strong><strong>b</strong> <strong>c</strong>';
+
+            editor.formatter.normalize(element);
+
+            expect(element.innerHTML).toBe('<strong>ab</strong> <strong>c</strong>');
+        });
+    });
+
+    describe('active marks', () => {
+        test('getActiveMarks() reports the marks around the caret', () => {
+            editor.setMarkdown('***both*** plain');
+
+            caretAfter('bo');
+            expect(editor.formatter.getActiveMarks().sort()).toEqual(['bold', 'italic']);
+
+            caretAfter('pla');
+            expect(editor.formatter.getActiveMarks()).toEqual([]);
+        });
+
+        test('the toolbar buttons reflect the marks as aria-pressed', () => {
+            editor.setMarkdown('Hello brave world');
+            select('brave');
+
+            editor.formatter.toggle('bold');
+
+            const bold = editor.toolbar.container.querySelector('.bke-toolbar-bold');
+            const italic = editor.toolbar.container.querySelector('.bke-toolbar-italic');
+            expect(bold.getAttribute('aria-pressed')).toBe('true');
+            expect(italic.getAttribute('aria-pressed')).toBe('false');
+        });
+    });
+
+    describe('keyboard shortcuts', () => {
+        test.each([
+            { shortcut: 'Ctrl+B', key: 'b', options: {}, tag: 'strong' },
+            { shortcut: 'Ctrl+I', key: 'i', options: {}, tag: 'em' },
+            { shortcut: 'Ctrl+U', key: 'u', options: {}, tag: 'u' },
+            { shortcut: 'Ctrl+Shift+X', key: 'X', options: { shiftKey: true }, tag: 'del' }
+        ])('$shortcut toggles <$tag>', ({ key, options, tag }) => {
+            editor.setMarkdown('Hello brave world');
+            select('brave');
+
+            const event = press(key, options);
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(blocks()[0].querySelector(tag).textContent).toBe('brave');
+        });
+
+        test('Cmd+B works on macOS, where Ctrl+B does not format', () => {
+            const isMac = jest.spyOn(Keymap, 'isMac').mockReturnValue(true);
+            editor.setMarkdown('Hello brave world');
+            select('brave');
+
+            press('b');
+            expect(editor.getMarkdown()).toBe('Hello brave world');
+
+            press('b', { ctrlKey: false, metaKey: true });
+            expect(editor.getMarkdown()).toBe('Hello **brave** world');
+            isMac.mockRestore();
+        });
+    });
+});
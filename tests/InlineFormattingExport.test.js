@@ -0,0 +1,142 @@
+/**
+ * Tests for inline formatting (bold, italic, strikethrough, code, underline) in every
+ * text-bearing block: export with getMarkdown(), the blocks' own toMarkdown() and
+ * the round-trip through Parser.parse
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {Parser} from '../src/Parser.js';
+import {InlineSerializer} from '../src/InlineSerializer.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+const SAMPLES = [
+    ['paragraph', 'Text **bold** *italic* ~~gone~~ `code` <u>under</u>'],
+    ['heading', '## Title **bold** *italic* ~~gone~~ `code`'],
+    ['quote', '> Quote **bold** *italic* ~~gone~~ `code`'],
+    ['bullet list', '- One **bold** *italic*\n- Two ~~gone~~ `code`'],
+    ['ordered list', '1. One **bold**\n2. Two *italic* `code`'],
+    ['nested list', '- Parent **bold**\n  - Child *italic*'],
+    ['task list', '- [x] Done **bold** `code`\n- [ ] Open *italic*'],
+    ['table', '| Name **bold** | Value |\n| --- | --- |\n| *italic* | `code` |']
+];
+
+describe('Inline formatting export', () => {
+    let editor;
+
+    beforeEach(() => {
+        setUpEditorDom();
+
+        editor = createTestEditor();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const firstBlock = () => editor.contentArea.querySelector('.bke-block');
+
+    describe('getMarkdown()', () => {
+        test.each(SAMPLES)('%s keeps its marks', (name, markdown) => {
+            editor.setMarkdown(markdown);
+
+            expect(firstBlock().querySelector('strong, em, code')).not.toBeNull();
+            expect(editor.getMarkdown()).toBe(markdown);
+        });
+
+        test('marks added in the editor are exported from a list item', () => {
+            editor.setMarkdown('- Buy milk\n- Call home');
+            const text = firstBlock().querySelector('li').firstChild;
+            const range = document.createRange();
+            range.setStart(text, 4);
+            range.setEnd(text, 8);
+
+            editor.formatter.toggle('bold', range);
+
+            expect(editor.getMarkdown()).toBe('- Buy **milk**\n- Call home');
+        });
+
+        test('marks added in the editor are exported from a heading', () => {
+            editor.setMarkdown('# Release notes');
+            const text = firstBlock().querySelector('h1').firstChild;
+            const range = document.createRange();
+            range.setStart(text, 0);
+            range.setEnd(text, 7);
+
+            editor.formatter.toggle('italic', range);
+
+            expect(editor.getMarkdown()).toBe('# *Release* notes');
+        });
+    });
+
+    describe('Parser.parse round-trip', () => {
+        test.each(SAMPLES)('%s', (name, markdown) => {
+            editor.setMarkdown(markdown);
+            const exported = editor.getMarkdown();
+
+            const blocks = Parser.parse(exported);
+
+            expect(blocks).toHaveLength(1);
+            expect(blocks[0].toMarkdown().trim()).toBe(markdown);
+        });
+    });
+
+    describe('block toMarkdown()', () => {
+        test.each(SAMPLES.filter(([name]) => name !== 'paragraph'))('%s', (name, markdown) => {
+            editor.setMarkdown(markdown);
+
+            expect(editor.getBlocks()[0].toMarkdown().trim()).toBe(markdown);
+        });
+    });
+
+    test('getHtml() of a table keeps the marks', () => {
+        editor.setMarkdown('| A **b** |\n| --- |\n| `c` |');
+        expect(editor.getHtml()).toContain('<strong>b</strong>');
+        expect(editor.getHtml()).toContain('<code>c</code>');
+    });
+
+    describe('InlineSerializer', () => {
+        const toMarkdown = (html) => InlineSerializer.htmlToMarkdown(html);
+
+        test('moves whitespace outside of the delimiters', () => {
+            expect(toMarkdown('a<strong> bold </strong>b')).toBe('a **bold** b');
+        });
+
+        test('nests marks', () => {
+            expect(toMarkdown('<strong>a <em>b</em></strong>')).toBe('**a *b***');
+            expect(toMarkdown('<b>x</b> <i>y</i> <s>z</s>')).toBe('**x** *y* ~~z~~');
+        });
+
+        test('uses a longer fence for code containing backticks', () => {
+            expect(toMarkdown('<code>a`b</code>')).toBe('``a`b``');
+            expect(toMarkdown('<code>`</code>')).toBe('`` ` ``');
+        });
+
+        test('drops empty marks', () => {
+            expect(toMarkdown('a<strong></strong>b<em>\u200B</em>')).toBe('ab');
+        });
+
+        test('returns text without markup as is', () => {
+            expect(toMarkdown('1 < 2 & 3')).toBe('1 < 2 & 3');
+            expect(toMarkdown('plain')).toBe('plain');
+        });
+
+        test.each([
+            ['**a** and *b*', '<strong>a</strong> and <em>b</em>'],
+            ['***both***', '<strong><em>both</em></strong>'],
+            ['~~old~~ __new__', '<del>old</del> <strong>new</strong>'],
+            ['`**not bold**`', '<code>**not bold**</code>'],
+            ['``a`b``', '<code>a`b</code>'],
+            ['<u>under</u> <b>x</b>', '<u>under</u> &lt;b&gt;x&lt;/b&gt;'],
+            ['snake_case_name', 'snake_case_name']
+        ])('toHtml(%p)', (markdown, html) => {
+            expect(InlineSerializer.toHtml(markdown)).toBe(html);
+        });
+
+        test('toHtml() and toMarkdown() round-trip', () => {
+            const markdown = 'a **b *c*** ~~d~~ `e` [f](https://example.com) <u>g</u>';
+            expect(toMarkdown(InlineSerializer.toHtml(markdown))).toBe(markdown);
+        });
+    });
+});
@@ -216,6 +216,37 @@ describe('InlineMarkdownHandler', () => {
         });
     });
 
+    // ── Links [text](url) ──────────────────────────────────────────
+
+    describe('links ([text](url))', () => {
+        test('converts [text](url) to <a href="url">text</a>', () => {
+            const block = createBlock('see [the docs](https://example.com/docs) here');
+            const result = handler.checkAndApply(block);
+
+            expect(result).toBe(true);
+            const link = block.querySelector('a');
+            expect(link).not.toBeNull();
+            expect(link.getAttribute('href')).toBe('https://example.com/docs');
+            expect(link.textContent).toBe('the docs');
+            expect(block.textContent).toBe('see the docs here');
+        });
+
+        test('does not convert links with a javascript: URL', () => {
+            const block = createBlock('[click](javascript:alert(1))');
+            handler.checkAndApply(block);
+
+            expect(block.querySelector('a')).toBeNull();
+        });
+
+        test('does not convert image syntax', () => {
+            const block = createBlock('![alt](https://example.com/a.png)');
+            const result = handler.checkAndApply(block);
+
+            expect(result).toBe(false);
+            expect(block.querySelector('a')).toBeNull();
+        });
+    });
+
     // ── Code blocks are excluded ───────────────────────────────────
 
     describe('code block exclusion', () => {
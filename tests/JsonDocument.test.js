@@ -0,0 +1,273 @@
+/**
+ * Tests for the structured JSON document model:
+ * block-level toJSON/fromJSON and Editor getJSON/setJSON round-trip.
+ */
+
+import {Editor} from '../src/Editor.js';
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {ContentSerializer} from '../src/ContentSerializer.js';
+import {ParagraphBlock} from '../src/blocks/ParagraphBlock.js';
+import {HeadingBlock} from '../src/blocks/HeadingBlock.js';
+import {H3Block} from '../src/blocks/H3Block.js';
+import {QuoteBlock} from '../src/blocks/QuoteBlock.js';
+import {UnorderedListBlock} from '../src/blocks/UnorderedListBlock.js';
+import {OrderedListBlock} from '../src/blocks/OrderedListBlock.js';
+import {TaskListBlock} from '../src/blocks/TaskListBlock.js';
+import {CodeBlock} from '../src/blocks/CodeBlock.js';
+import {TableBlock} from '../src/blocks/TableBlock.js';
+import {ImageBlock} from '../src/blocks/ImageBlock.js';
+import {DelimiterBlock} from '../src/blocks/DelimiterBlock.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Block toJSON / fromJSON', () => {
+    test('ParagraphBlock text is inline markdown', () => {
+        const block = ParagraphBlock.fromJSON({ text: 'Some **bold** text\nand a *second* line' });
+        expect(block).toBeInstanceOf(ParagraphBlock);
+        expect(block.html).toBe('Some <strong>bold</strong> text<br>and a <em>second</em> line');
+    });
+
+    test('HeadingBlock stores text and level', () => {
+        const block = new HeadingBlock(2, 'Title', '<h2>Title</h2>');
+        expect(block.toJSON()).toEqual({ text: 'Title', level: 2 });
+    });
+
+    test('HeadingBlock.fromJSON uses data.level', () => {
+        const block = HeadingBlock.fromJSON({ text: 'Title', level: 4 });
+        expect(block.type).toBe('h4');
+        expect(block.html).toBe('<h4>Title</h4>');
+    });
+
+    test('concrete heading class keeps its own level', () => {
+        const block = H3Block.fromJSON({ text: 'A & B' });
+        expect(block).toBeInstanceOf(H3Block);
+        expect(block.level).toBe(3);
+        expect(block.html).toBe('<h3>A &amp; B</h3>');
+    });
+
+    test('heading and quote text is inline markdown', () => {
+        const heading = H3Block.fromJSON({ text: 'Title **bold** [link](https://example.com)' });
+        expect(heading.html).toBe('<h3>Title <strong>bold</strong> <a href="https://example.com">link</a></h3>');
+        expect(QuoteBlock.fromJSON({ text: 'Use `code`' }).html).toBe('<blockquote>Use <code>code</code></blockquote>');
+    });
+
+    test('QuoteBlock round-trips text', () => {
+        const block = QuoteBlock.fromJSON({ text: 'Quoted' });
+        expect(block.toJSON()).toEqual({ text: 'Quoted' });
+    });
+
+    test('list blocks use an items array', () => {
+        const ul = UnorderedListBlock.fromJSON({ items: ['one', 'two'] });
+        expect(ul).toBeInstanceOf(UnorderedListBlock);
+        expect(ul.toJSON()).toEqual({ items: ['one', 'two'] });
+
+        const ol = OrderedListBlock.fromJSON({ items: ['first'] });
+        expect(ol).toBeInstanceOf(OrderedListBlock);
+        expect(ol.toJSON()).toEqual({ items: ['first'] });
+    });
+
+    test('TaskListBlock keeps checked state per item', () => {
+        const items = [
+            { text: 'done', checked: true },
+            { text: 'todo', checked: false },
+            { text: 'also done', checked: true }
+        ];
+        const block = TaskListBlock.fromJSON({ items });
+        expect(block.isChecked()).toBe(true);
+        expect(block.isItemChecked(2)).toBe(true);
+        expect(block.toJSON()).toEqual({ items });
+        expect(block.toMarkdown()).toBe('- [x] done\n- [ ] todo\n- [x] also done');
+    });
+
+    test('CodeBlock keeps code and language', () => {
+        const block = CodeBlock.fromJSON({ code: 'let a = 1;\nlet b = 2;', language: 'javascript' });
+        expect(block.language).toBe('javascript');
+        expect(block.toJSON()).toEqual({ code: 'let a = 1;\nlet b = 2;', language: 'javascript' });
+    });
+
+    test('TableBlock keeps headers and rows', () => {
+        const data = { headers: ['Name', 'Age'], rows: [['Ann', '30'], ['Bob', '25']] };
+        const block = TableBlock.fromJSON(data);
+        expect(block.getHeaders()).toEqual(['Name', 'Age']);
+        expect(block.toJSON()).toEqual(data);
+    });
+
+    test('TableBlock.toJSON returns copies of its data', () => {
+        const block = TableBlock.fromJSON({ headers: ['A'], rows: [['1']] });
+        const json = block.toJSON();
+        json.rows[0][0] = 'changed';
+        expect(block.getRows()[0][0]).toBe('1');
+    });
+
+    test('ImageBlock keeps src, alt and dimensions', () => {
+        const data = { src: 'https://example.com/a.png', alt: 'A', width: 320, height: 200 };
+        const block = ImageBlock.fromJSON(data);
+        expect(block.getDimensions()).toEqual({ width: 320, height: 200 });
+        expect(block.toJSON()).toEqual(data);
+    });
+
+    test('DelimiterBlock has no data', () => {
+        expect(new DelimiterBlock().toJSON()).toEqual({});
+        expect(DelimiterBlock.fromJSON({})).toBeInstanceOf(DelimiterBlock);
+    });
+});
+
+describe('ContentSerializer.parseJSON', () => {
+    let serializer;
+
+    beforeEach(() => {
+        serializer = new ContentSerializer();
+    });
+
+    test('accepts a JSON string', () => {
+        const parsed = serializer.parseJSON('{"version":1,"blocks":[{"id":"b1","type":"quote","data":{"text":"Q"}}]}');
+        expect(parsed.blocks).toHaveLength(1);
+        expect(parsed.blocks[0]).toBeInstanceOf(QuoteBlock);
+        expect(parsed.ids).toEqual(['b1']);
+    });
+
+    test('returns null for malformed input', () => {
+        expect(serializer.parseJSON('not json')).toBeNull();
+        expect(serializer.parseJSON({ version: 1 })).toBeNull();
+    });
+
+    test('returns null for a newer document version', () => {
+        expect(serializer.parseJSON({ version: ContentSerializer.JSON_VERSION + 1, blocks: [] })).toBeNull();
+    });
+
+    test('skips entries without a type', () => {
+        const parsed = serializer.parseJSON({ version: 1, blocks: [{ data: {} }, { type: 'delimiter' }] });
+        expect(parsed.blocks).toHaveLength(1);
+        expect(parsed.ids).toEqual([null]);
+    });
+});
+
+describe('Editor getJSON / setJSON', () => {
+    let editor;
+
+    beforeEach(() => {
+        setUpEditorDom();
+
+        editor = createTestEditor();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const doc = {
+        version: 1,
+        blocks: [
+            { id: 'block-h', type: 'h2', data: { text: 'Report', level: 2 } },
+            { id: 'block-p', type: 'paragraph', data: { text: 'Intro with *emphasis* and [a link](https://example.com)' } },
+            { id: 'block-t', type: 'sq', data: { items: [{ text: 'a', checked: false }, { text: 'b', checked: true }] } },
+            { id: 'block-c', type: 'code', data: { code: 'print(1)', language: 'python' } },
+            { id: 'block-tb', type: 'table', data: { headers: ['K', 'V'], rows: [['x', '1']] } },
+            { id: 'block-i', type: 'image', data: { src: 'https://example.com/i.png', alt: 'Pic', width: 100, height: 50 } },
+            { id: 'block-d', type: 'delimiter', data: {} }
+        ]
+    };
+
+    test('getJSON returns version and blocks with id, type and data', () => {
+        editor.setMarkdown('# Title\n\nText');
+        const json = editor.getJSON();
+
+        expect(json.version).toBe(ContentSerializer.JSON_VERSION);
+        expect(json.blocks).toHaveLength(2);
+        expect(json.blocks[0]).toEqual({
+            id: expect.stringMatching(/^block-/),
+            type: 'h1',
+            data: { text: 'Title', level: 1 }
+        });
+        expect(json.blocks[1].type).toBe('paragraph');
+        expect(json.blocks[1].data.text).toBe('Text');
+    });
+
+    test('setJSON rebuilds the document losslessly', () => {
+        expect(editor.setJSON(doc)).toBe(true);
+        expect(editor.getJSON()).toEqual(doc);
+    });
+
+    test('formatted headings and quotes survive a round trip', () => {
+        const markdown = '# Title **bold** and *italic*\n\n> Quote with `code` and [a link](https://example.com)';
+        editor.setMarkdown(markdown);
+        const json = editor.getJSON();
+
+        expect(json.blocks[0].data).toEqual({ text: 'Title **bold** and *italic*', level: 1 });
+        expect(json.blocks[1].data).toEqual({ text: 'Quote with `code` and [a link](https://example.com)' });
+
+        editor.setJSON(json);
+        expect(editor.getJSON()).toEqual(json);
+        expect(editor.getMarkdown()).toBe(markdown);
+    });
+
+    test('literal markdown characters in text survive a round trip', () => {
+        editor.setMarkdown('## Heading\n\n> Quote');
+        const heading = editor.contentArea.querySelector('h2');
+        const quote = editor.contentArea.querySelector('blockquote');
+        heading.textContent = '2*3*4 and snake __x__';
+        quote.textContent = 'typed <u>a</u> [b] \\ ~~c~~ `d`';
+
+        const json = editor.getJSON();
+        expect(json.blocks[0].data.text).toBe('2\\*3\\*4 and snake \\_\\_x\\_\\_');
+
+        editor.setJSON(json);
+        expect(editor.contentArea.querySelector('h2').textContent).toBe('2*3*4 and snake __x__');
+        expect(editor.contentArea.querySelector('blockquote').textContent).toBe('typed <u>a</u> [b] \\ ~~c~~ `d`');
+        expect(editor.contentArea.querySelector('em, strong, u, del, code, a')).toBeNull();
+        expect(editor.getJSON()).toEqual(json);
+    });
+
+    test('setJSON drops unsafe links and keeps HTML in paragraph text as text', () => {
+        const text = '[Click](javascript:alert) <img src="x" onerror="alert(1)">**bold** [safe](https://example.com)<script>alert(1)</script>';
+        editor.setJSON({ version: 1, blocks: [
+            { id: 'block-p', type: 'paragraph', data: { text } }
+        ] });
+
+        const paragraph = editor.contentArea.querySelector('[data-block-id="block-p"]');
+        expect(paragraph.querySelector('img, script, [onerror]')).toBeNull();
+        expect(paragraph.querySelector('a[href^="javascript"]')).toBeNull();
+        expect(paragraph.querySelector('strong').textContent).toBe('bold');
+        expect(paragraph.textContent).toBe('Click <img src="x" onerror="alert(1)">bold safe<script>alert(1)</script>');
+        expect(editor.getJSON().blocks[0].data.text).toBe('Click <img src="x" onerror="alert(1)">**bold** [safe](https://example.com)<script>alert(1)</script>');
+    });
+
+    test('paragraph line breaks and formatting survive a round trip', () => {
+        editor.setHtml('<p>First <strong>bold</strong><br>second <a href="https://example.com">line</a></p>');
+        const json = editor.getJSON();
+
+        expect(json.blocks[0].data).toEqual({ text: 'First **bold**\nsecond [line](https://example.com)' });
+
+        editor.setJSON(json);
+        expect(editor.contentArea.querySelector('br')).not.toBeNull();
+        expect(editor.getJSON()).toEqual(json);
+    });
+
+    test('setJSON keeps block ids on the DOM elements', () => {
+        editor.setJSON(doc);
+        const ids = Array.from(editor.contentArea.querySelectorAll('.bke-block'))
+            .map(element => element.getAttribute('data-block-id'));
+        expect(ids).toEqual(doc.blocks.map(block => block.id));
+    });
+
+    test('setJSON accepts a JSON string', () => {
+        editor.setJSON(JSON.stringify(doc));
+        expect(editor.getBlocks()).toHaveLength(doc.blocks.length);
+    });
+
+    test('setJSON leaves content untouched for an invalid document', () => {
+        editor.setMarkdown('Keep me');
+        expect(editor.setJSON('{broken')).toBe(false);
+        expect(editor.contentArea.textContent).toContain('Keep me');
+    });
+
+    test('getJSON reflects edits made in the DOM', () => {
+        editor.setJSON(doc);
+        const checkbox = editor.contentArea.querySelector('[data-block-id="block-t"] input[type="checkbox"]');
+        checkbox.checked = true;
+
+        const task = editor.getJSON().blocks.find(block => block.id === 'block-t');
+        expect(task.data.items).toEqual([{ text: 'a', checked: true }, { text: 'b', checked: true }]);
+    });
+});
@@ -0,0 +1,283 @@
+/**
+ * Tests for the keymap: default shortcuts, the keymap option, block bindings and getKeymap()
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {Keymap} from '../src/Keymap.js';
+import {BaseBlock} from '../src/blocks/BaseBlock.js';
+import {BlockFactory} from '../src/blocks/BlockFactory.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+/**
+ * Minimal custom block contributing a global binding
+ */
+const createBlockClass = (type, keymap) => class extends BaseBlock
+{
+    constructor(content = '', html = '', nested = false) {
+        super(type, content, html, nested);
+    }
+
+    static getKeymap() {
+        return keymap;
+    }
+
+    applyTransformation(targetElement) {
+        targetElement.setAttribute('data-block-type', type);
+    }
+};
+
+describe('Keymap', () => {
+    let editor;
+
+    const createEditor = (options = {}) => {
+        editor = createTestEditor(options);
+        editor.setMarkdown('Text');
+        focusBlock(0);
+        return editor;
+    };
+
+    beforeEach(() => {
+        setUpEditorDom();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const blocks = () => Array.from(editor.contentArea.querySelectorAll('.bke-block'));
+
+    const focusBlock = (index) => {
+        const block = blocks()[index];
+        editor.setCurrentBlock(block);
+        editor.placeCursorAtEnd(editor.findEditableElementInBlock(block));
+    };
+
+    const press = (key, options = {}) => {
+        const event = new KeyboardEvent('keydown', { key, cancelable: true, bubbles: true, ...options });
+        editor.contentArea.dispatchEvent(event);
+        return event;
+    };
+
+    describe('defaults', () => {
+        test('Ctrl+Alt+1..6 turn the block into a heading, also where Alt+digit types another character', () => {
+            createEditor();
+
+            const event = press('¡', { code: 'Digit1', ctrlKey: true, altKey: true });
+            expect(event.defaultPrevented).toBe(true);
+            expect(editor.getMarkdown()).toBe('# Text');
+
+            focusBlock(0);
+            press('3', { code: 'Digit3', ctrlKey: true, altKey: true });
+            expect(editor.getMarkdown()).toBe('### Text');
+
+            focusBlock(0);
+            press('0', { code: 'Digit0', ctrlKey: true, altKey: true });
+            expect(editor.getMarkdown()).toBe('Text');
+        });
+
+        test('the shortcut of the current block type turns it back into a paragraph', () => {
+            createEditor();
+
+            press('2', { code: 'Digit2', ctrlKey: true, altKey: true });
+            expect(editor.getMarkdown()).toBe('## Text');
+
+            press('2', { code: 'Digit2', ctrlKey: true, altKey: true });
+            expect(editor.getMarkdown()).toBe('Text');
+            expect(blocks()).toHaveLength(1);
+        });
+
+        test('Ctrl+Shift+7, 8 and 9 turn the block into a list', () => {
+            createEditor();
+
+            press('*', { code: 'Digit8', ctrlKey: true, shiftKey: true });
+            expect(editor.getMarkdown()).toBe('- Text');
+
+            focusBlock(0);
+            press('&', { code: 'Digit7', ctrlKey: true, shiftKey: true });
+            expect(editor.getMarkdown()).toBe('1. Text');
+        });
+
+        test('Ctrl+B toggles bold on the selection', () => {
+            createEditor();
+            const text = blocks()[0].querySelector('p').firstChild;
+            const range = document.createRange();
+            range.setStart(text, 0);
+            range.setEnd(text, 4);
+            window.getSelection().removeAllRanges();
+            window.getSelection().addRange(range);
+
+            const event = press('b', { ctrlKey: true });
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(editor.getMarkdown()).toBe('**Text**');
+        });
+
+        test('Ctrl+Z and Ctrl+Shift+Z undo and redo', () => {
+            createEditor();
+            press('8', { code: 'Digit8', ctrlKey: true, shiftKey: true });
+            expect(editor.getMarkdown()).toBe('- Text');
+
+            press('z', { ctrlKey: true });
+            expect(editor.getMarkdown()).toBe('Text');
+
+            press('Z', { ctrlKey: true, shiftKey: true });
+            expect(editor.getMarkdown()).toBe('- Text');
+        });
+
+        test('other combinations are left to the browser', () => {
+            createEditor();
+
+            expect(press('b', { ctrlKey: true, altKey: true }).defaultPrevented).toBe(false);
+            expect(press('1', { code: 'Digit1', ctrlKey: true }).defaultPrevented).toBe(false);
+            expect(editor.getMarkdown()).toBe('Text');
+        });
+    });
+
+    describe('keymap option', () => {
+        test('rebinds a combination to another action', () => {
+            createEditor({ keymap: { 'Mod+Alt+1': 'heading2' } });
+
+            press('1', { code: 'Digit1', ctrlKey: true, altKey: true });
+
+            expect(editor.getMarkdown()).toBe('## Text');
+        });
+
+        test('null unbinds a default', () => {
+            createEditor({ keymap: { 'mod+b': null } });
+
+            expect(press('b', { ctrlKey: true }).defaultPrevented).toBe(false);
+            expect(editor.getKeymap().some(binding => 'Mod+B' === binding.keys)).toBe(false);
+        });
+
+        test('a function binding gets the editor, the event and the current block', () => {
+            const run = jest.fn(() => true);
+            createEditor({ keymap: { 'Mod+Shift+L': run } });
+
+            const event = press('L', { ctrlKey: true, shiftKey: true });
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(run).toHaveBeenCalledWith(editor, event, blocks()[0]);
+        });
+
+        test('a function returning false lets the key through', () => {
+            createEditor({ keymap: { 'Mod+B': () => false } });
+
+            expect(press('b', { ctrlKey: true }).defaultPrevented).toBe(false);
+        });
+
+        test('bind() and unbind() change the bindings at runtime', () => {
+            createEditor();
+
+            expect(editor.keymap.bind('Mod+Alt+1', 'heading4')).toBe(true);
+            press('1', { code: 'Digit1', ctrlKey: true, altKey: true });
+            expect(editor.getMarkdown()).toBe('#### Text');
+
+            expect(editor.keymap.unbind('Mod+Alt+1')).toBe(true);
+            focusBlock(0);
+            press('1', { code: 'Digit1', ctrlKey: true, altKey: true });
+            expect(editor.getMarkdown()).toBe('# Text');
+
+            expect(editor.keymap.bind('Mod+Hyper+1', 'heading1')).toBe(false);
+        });
+
+        test('plugin commands can be bound by name', () => {
+            const run = jest.fn();
+            createEditor({
+                plugins: [{ name: 'stamp', commands: { stamp: run } }],
+                keymap: { 'Mod+Shift+S': 'stamp' }
+            });
+
+            press('S', { ctrlKey: true, shiftKey: true });
+
+            expect(run).toHaveBeenCalled();
+        });
+    });
+
+    describe('block bindings', () => {
+        afterEach(() => {
+            BlockFactory.unregister('low');
+            BlockFactory.unregister('high');
+        });
+
+        test('Ctrl+Enter leaves a code block but is not bound elsewhere', () => {
+            createEditor();
+            editor.setMarkdown('```\ncode\n```');
+            focusBlock(0);
+
+            const event = press('Enter', { ctrlKey: true });
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(blocks()).toHaveLength(2);
+            expect(editor.keymap.resolve({ key: 'Enter', ctrlKey: true })).toBeNull();
+        });
+
+        test('global block bindings are resolved by block-type priority', () => {
+            BlockFactory.register('low', createBlockClass('low', { 'Mod+Shift+L': { action: 'heading1', global: true } }), { priority: -1 });
+            BlockFactory.register('high', createBlockClass('high', { 'Mod+Shift+L': { action: 'heading2', global: true } }), { priority: 10 });
+            createEditor();
+
+            press('L', { ctrlKey: true, shiftKey: true });
+
+            expect(editor.getMarkdown()).toBe('## Text');
+        });
+
+        test('the keymap option wins over block bindings', () => {
+            BlockFactory.register('high', createBlockClass('high', { 'Mod+Shift+L': { action: 'heading2', global: true } }));
+            createEditor({ keymap: { 'Mod+Shift+L': 'heading3' } });
+
+            press('L', { ctrlKey: true, shiftKey: true });
+
+            expect(editor.getMarkdown()).toBe('### Text');
+        });
+    });
+
+    describe('getKeymap()', () => {
+        test('lists the bindings with their source and description', () => {
+            createEditor({
+                plugins: [{ name: 'stamp', keymap: { 'Mod+Shift+S': () => true } }],
+                keymap: { 'Mod+Alt+1': 'heading2' }
+            });
+
+            const bindings = editor.getKeymap();
+            const find = (keys, blockType = null) => bindings.find(binding => binding.keys === keys && binding.blockType === blockType);
+
+            expect(find('Mod+B')).toEqual({ keys: 'Mod+B', action: 'bold', description: 'Bold', source: 'default', blockType: null });
+            expect(find('Mod+Alt+1')).toEqual({ keys: 'Mod+Alt+1', action: 'heading2', description: 'Heading 2', source: 'options', blockType: null });
+            expect(find('Mod+Enter', 'code')).toMatchObject({ action: null, description: 'Exit the code block', source: 'block' });
+            expect(find('Mod+Shift+S')).toMatchObject({ source: 'plugin' });
+            expect(bindings.filter(binding => 'Mod+Alt+1' === binding.keys)).toHaveLength(1);
+        });
+    });
+
+    describe('key combinations', () => {
+        test('normalize() orders the modifiers and capitalizes the key', () => {
+            expect(Keymap.normalize('shift+mod+b')).toBe('Mod+Shift+B');
+            expect(Keymap.normalize('Alt+Cmd+arrowUp')).toBe('Meta+Alt+ArrowUp');
+            expect(Keymap.normalize('Hyper+B')).toBe('');
+            expect(Keymap.normalize('')).toBe('');
+        });
+
+        test('format() displays a combination for the platform', () => {
+            expect(Keymap.format('Mod+Shift+7', false)).toBe('Ctrl+Shift+7');
+            expect(Keymap.format('Mod+Shift+7', true)).toBe('⌘⇧7');
+            expect(Keymap.format('Alt+Shift+ArrowUp', true)).toBe('⌥⇧↑');
+        });
+
+        test('matches() compares the key or the physical key and exact modifiers', () => {
+            expect(Keymap.matches('Mod+Shift+7', { key: '&', code: 'Digit7', ctrlKey: true, shiftKey: true })).toBe(true);
+            expect(Keymap.matches('Mod+Shift+7', { key: '7', code: 'Digit7', metaKey: true, shiftKey: true }, true)).toBe(true);
+            expect(Keymap.matches('Mod+Shift+7', { key: '7', code: 'Digit7', ctrlKey: true })).toBe(false);
+            expect(Keymap.matches('Mod+B', { key: 'и', code: 'KeyB', ctrlKey: true })).toBe(true);
+        });
+
+        test('Mod is Cmd on macOS and Ctrl elsewhere', () => {
+            expect(Keymap.matches('Mod+B', { key: 'b', metaKey: true }, true)).toBe(true);
+            expect(Keymap.matches('Mod+B', { key: 'b', ctrlKey: true }, true)).toBe(false);
+            expect(Keymap.matches('Ctrl+B', { key: 'b', ctrlKey: true }, true)).toBe(true);
+            expect(Keymap.matches('Mod+B', { key: 'b', ctrlKey: true }, false)).toBe(true);
+            expect(Keymap.matches('Mod+B', { key: 'b', metaKey: true }, false)).toBe(false);
+        });
+    });
+});
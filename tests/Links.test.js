@@ -0,0 +1,236 @@
+/**
+ * Tests for inline links: markdown / HTML round-trip, the protocol allowlist and the link popover
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {LinkPopover} from '../src/LinkPopover.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Links', () => {
+    let container;
+    let editor;
+
+    beforeEach(() => {
+        container = setUpEditorDom();
+
+        editor = createTestEditor();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const firstBlock = () => editor.contentArea.querySelector('.bke-block');
+
+    /**
+     * Select a substring of the first text node containing it
+     */
+    const selectText = (text) => {
+        const walker = document.createTreeWalker(editor.contentArea, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const index = node.nodeValue.indexOf(text);
+            if (index !== -1) {
+                const range = document.createRange();
+                range.setStart(node, index);
+                range.setEnd(node, index + text.length);
+                window.getSelection().removeAllRanges();
+                window.getSelection().addRange(range);
+                editor.setCurrentBlock(node.parentElement.closest('.bke-block'));
+                return node;
+            }
+        }
+        throw new Error('Text not found: ' + text);
+    };
+
+    const pressCtrlK = () => {
+        const event = new KeyboardEvent('keydown', { key: 'k', ctrlKey: true, cancelable: true, bubbles: true });
+        editor.contentArea.dispatchEvent(event);
+        return event;
+    };
+
+    const submitUrl = (url) => {
+        const input = editor.linkPopover.input;
+        input.value = url;
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', cancelable: true, bubbles: true }));
+    };
+
+    describe('markdown round-trip', () => {
+        test.each([
+            ['paragraph', 'See [the docs](https://example.com/docs) for more'],
+            ['heading', '## Read [the guide](https://example.com/guide)'],
+            ['quote', '> Quoted [source](https://example.com/source)'],
+            ['bullet list', '- Item [one](https://example.com/1)\n- Two'],
+            ['ordered list', '1. First [link](https://example.com/1)\n2. Second'],
+            ['task list', '- [x] Done [ticket](https://example.com/t/1)\n- [ ] Open'],
+            ['nested list item', '- Parent\n  - Child [link](https://example.com/c)'],
+            ['table', '| Name | Link |\n| --- | --- |\n| Docs | [docs](https://example.com/docs) |'],
+            ['mailto link', 'Write to [us](mailto:team@example.com)']
+        ])('%s', (name, markdown) => {
+            editor.setMarkdown(markdown);
+
+            expect(firstBlock().querySelector('a')).not.toBeNull();
+            expect(editor.getMarkdown()).toBe(markdown);
+        });
+
+        test('getHtml() keeps links in list items', () => {
+            editor.setMarkdown('- Item [one](https://example.com/1)');
+            expect(editor.getHtml()).toContain('<a href="https://example.com/1">one</a>');
+        });
+
+        test('setHtml() keeps links in list items', () => {
+            editor.setHtml('<ul><li>Item <a href="https://example.com/1">one</a></li></ul>');
+            expect(editor.getMarkdown()).toBe('- Item [one](https://example.com/1)');
+        });
+    });
+
+    describe('protocol allowlist', () => {
+        test('javascript: links are dropped when parsing markdown', () => {
+            editor.setMarkdown('Click [here](javascript:alert(1)) now');
+
+            expect(editor.contentArea.querySelector('a')).toBeNull();
+            expect(editor.getMarkdown()).not.toContain('javascript:');
+        });
+
+        test('javascript: links are dropped when parsing HTML', () => {
+            editor.setHtml('<p>Click <a href="javascript:alert(1)">here</a></p><ul><li><a href=" JAVASCRIPT:alert(1)">x</a></li></ul>');
+
+            expect(editor.contentArea.querySelector('a')).toBeNull();
+            expect(editor.getHtml()).not.toMatch(/javascript:/i);
+        });
+
+        test('javascript: links in list markdown are rendered as text', () => {
+            editor.setMarkdown('- Item [x](javascript:alert(1))\n  - Nested');
+
+            expect(editor.contentArea.querySelector('a')).toBeNull();
+        });
+    });
+
+    describe('popover', () => {
+        test('Ctrl+K wraps the selection in a link', () => {
+            editor.setMarkdown('Read the docs today');
+            selectText('the docs');
+
+            const event = pressCtrlK();
+            expect(event.defaultPrevented).toBe(true);
+            expect(editor.linkPopover.isOpen()).toBe(true);
+
+            submitUrl('example.com/docs');
+
+            expect(editor.linkPopover.isOpen()).toBe(false);
+            expect(editor.getMarkdown()).toBe('Read [the docs](https://example.com/docs) today');
+        });
+
+        test('a disallowed URL is rejected and the popover stays open', () => {
+            editor.setMarkdown('Read the docs');
+            selectText('docs');
+            pressCtrlK();
+
+            submitUrl('javascript:alert(1)');
+
+            expect(editor.linkPopover.isOpen()).toBe(true);
+            expect(editor.linkPopover.input.classList.contains('bke-link-popover-input--invalid')).toBe(true);
+            expect(editor.contentArea.querySelector('a')).toBeNull();
+        });
+
+        test('Ctrl+K inside a link edits its URL', () => {
+            editor.setMarkdown('Read [the docs](https://example.com/old)');
+            selectText('docs');
+            pressCtrlK();
+
+            expect(editor.linkPopover.input.value).toBe('https://example.com/old');
+            submitUrl('https://example.com/new');
+
+            expect(editor.getMarkdown()).toBe('Read [the docs](https://example.com/new)');
+        });
+
+        test('unlink keeps the link text', () => {
+            editor.setMarkdown('Read [the docs](https://example.com) now');
+            selectText('docs');
+            pressCtrlK();
+
+            editor.linkPopover.element.querySelector('.bke-link-popover-unlink').click();
+
+            expect(editor.contentArea.querySelector('a')).toBeNull();
+            expect(editor.getMarkdown()).toBe('Read the docs now');
+        });
+
+        test('open uses a new tab without opener access', () => {
+            const open = jest.spyOn(window, 'open').mockImplementation(() => null);
+            editor.setMarkdown('[docs](https://example.com)');
+            selectText('docs');
+            pressCtrlK();
+
+            editor.linkPopover.element.querySelector('.bke-link-popover-open').click();
+
+            expect(open).toHaveBeenCalledWith('https://example.com', '_blank', 'noopener,noreferrer');
+            open.mockRestore();
+        });
+
+        test('hovering a link shows the popover', () => {
+            editor.setMarkdown('Read [the docs](https://example.com)');
+            const link = editor.contentArea.querySelector('a');
+
+            link.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+
+            expect(editor.linkPopover.isOpen()).toBe(true);
+            expect(editor.linkPopover.link).toBe(link);
+        });
+
+        test('creating a link is a single undo step', () => {
+            editor.setMarkdown('Read the docs');
+            selectText('docs');
+            pressCtrlK();
+            submitUrl('https://example.com');
+
+            editor.undo();
+            expect(editor.getMarkdown()).toBe('Read the docs');
+        });
+
+        test('linking and unlinking right after typing are their own undo steps', () => {
+            jest.useFakeTimers();
+            editor.setMarkdown('Read the docs');
+            selectText('docs').nodeValue = 'Read the docs now';
+            editor.update();
+            jest.advanceTimersByTime(100);
+
+            selectText('docs');
+            pressCtrlK();
+            submitUrl('https://example.com');
+            jest.advanceTimersByTime(100);
+
+            editor.undo();
+            expect(editor.getMarkdown()).toBe('Read the docs now');
+
+            editor.redo();
+            selectText('docs');
+            pressCtrlK();
+            editor.linkPopover.element.querySelector('.bke-link-popover-unlink').click();
+            jest.advanceTimersByTime(100);
+            expect(editor.getMarkdown()).toBe('Read the docs now');
+
+            editor.undo();
+            expect(editor.getMarkdown()).toBe('Read the [docs](https://example.com) now');
+            jest.useRealTimers();
+        });
+
+        test('the toolbar has a link button', () => {
+            expect(editor.toolbar.container.querySelector('.bke-toolbar-link')).not.toBeNull();
+        });
+    });
+
+    describe('normalizeUrl()', () => {
+        test.each([
+            ['example.com', 'https://example.com'],
+            ['someone@example.com', 'mailto:someone@example.com'],
+            ['https://example.com', 'https://example.com'],
+            ['/docs', '/docs'],
+            ['#top', '#top'],
+            ['  ', '']
+        ])('%p becomes %p', (value, expected) => {
+            expect(LinkPopover.normalizeUrl(value)).toBe(expected);
+        });
+    });
+});
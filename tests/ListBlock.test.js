@@ -119,4 +119,69 @@ describe('ListBlock', () => {
             expect(mockAddDefaultBlock).toHaveBeenCalled();
         });
     });
+
+    describe('nested items', () => {
+        const content = 'Fruit\n  - Apple\n    1. Red\n  - [x] Pear\nVeg';
+
+        it('parses indented lines with their own marker', () => {
+            expect(ListBlock.parseItems(content, BlockType.UL)).toEqual([
+                { text: 'Fruit', depth: 0, type: 'ul', checked: false },
+                { text: 'Apple', depth: 1, type: 'ul', checked: false },
+                { text: 'Red', depth: 2, type: 'ol', checked: false },
+                { text: 'Pear', depth: 1, type: 'sq', checked: true },
+                { text: 'Veg', depth: 0, type: 'ul', checked: false }
+            ]);
+        });
+
+        it('formats items back to the same content', () => {
+            expect(ListBlock.formatItems(ListBlock.parseItems(content, BlockType.UL))).toBe(content);
+        });
+
+        it('never nests deeper than one level below the previous item', () => {
+            const items = ListBlock.parseItems('One\n      - Deep', BlockType.UL);
+            expect(items[1].depth).toBe(1);
+        });
+
+        it('keeps top-level text that looks like a marker', () => {
+            expect(ListBlock.parseItems('- not nested', BlockType.UL)[0]).toEqual(
+                { text: '- not nested', depth: 0, type: 'ul', checked: false });
+        });
+
+        it('serializes markdown indented to the parent text and numbers each list', () => {
+            const items = [
+                { text: 'One', depth: 0, type: 'ol', checked: false },
+                { text: 'Bullet', depth: 1, type: 'ul', checked: false },
+                { text: 'Task', depth: 2, type: 'sq', checked: true },
+                { text: 'Two', depth: 0, type: 'ol', checked: false },
+                { text: 'Sub', depth: 1, type: 'ol', checked: false }
+            ];
+            expect(ListBlock.itemsToMarkdown(items)).toBe(
+                '1. One\n   - Bullet\n     - [x] Task\n2. Two\n   1. Sub');
+        });
+
+        it('parses markdown indentation of any width', () => {
+            const items = ListBlock.parseMarkdownItems('- a\n    - b\n        - c\n  - d\n- e');
+            expect(items.map(item => item.depth)).toEqual([0, 1, 2, 1, 0]);
+        });
+
+        it('returns null for markdown that is not a list', () => {
+            expect(ListBlock.parseMarkdownItems('- a\nparagraph')).toBeNull();
+        });
+
+        it('serializes nested HTML', () => {
+            const items = ListBlock.parseItems('A\n  - [ ] B\nC', BlockType.UL);
+            expect(ListBlock.itemsToHtml(items)).toBe(
+                '<ul>\n<li>A\n<ul class="bke-task-list">\n<li class="bke-task-list-item"><input type="checkbox"> B</li>\n</ul>\n</li>\n<li>C</li>\n</ul>');
+        });
+
+        it('reads items from nested list elements', () => {
+            const doc = new DOMParser().parseFromString(
+                '<ol><li>One<ul><li>A</li></ul></li><li>Two</li></ol>', 'text/html');
+            expect(ListBlock.readItems(doc.querySelector('ol'))).toEqual([
+                { text: 'One', depth: 0, type: 'ol', checked: false },
+                { text: 'A', depth: 1, type: 'ul', checked: false },
+                { text: 'Two', depth: 0, type: 'ol', checked: false }
+            ]);
+        });
+    });
 });
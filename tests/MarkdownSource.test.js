@@ -0,0 +1,227 @@
+/**
+ * Tests for the editable markdown source view and its synchronization with the blocks
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Markdown source view', () => {
+    let container;
+    let editor;
+
+    const createEditor = (options = {}) => {
+        editor = createTestEditor(options);
+        return editor;
+    };
+
+    beforeEach(() => {
+        container = setUpEditorDom();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const blocks = () => Array.from(editor.contentArea.querySelectorAll('.bke-block'));
+    const ids = () => blocks().map(block => block.getAttribute('data-block-id'));
+    const textarea = () => editor.markdownSource.textarea;
+
+    /**
+     * Replace the source text and place the caret after the given substring
+     */
+    const editSource = (markdown, caretAfter = null) => {
+        textarea().value = markdown;
+        textarea().dispatchEvent(new Event('input'));
+        const caret = caretAfter === null ? 0 : markdown.indexOf(caretAfter) + caretAfter.length;
+        textarea().setSelectionRange(caret, caret);
+    };
+
+    describe('opening', () => {
+        test('the markdown view is an editable textarea', () => {
+            createEditor();
+            const view = container.querySelector('.bke-editor-markdown');
+
+            expect(view.querySelector('textarea.bke-markdown-source-input')).not.toBeNull();
+            expect(textarea().readOnly).toBe(false);
+        });
+
+        test('markdown() loads the document with syntax highlighting', () => {
+            createEditor();
+            editor.setMarkdown('# Title\n\nSome **bold** text');
+
+            editor.toolbar.markdown();
+
+            expect(editor.markdownSource.isOpen()).toBe(true);
+            expect(textarea().value).toBe('# Title\n\nSome **bold** text');
+            expect(editor.markdownSource.code.querySelector('.token')).not.toBeNull();
+            expect(editor.markdownSource.code.textContent).toBe(textarea().value);
+        });
+
+        test('the caret starts at the current block', () => {
+            createEditor();
+            editor.setMarkdown('# Title\n\nFirst\n\nSecond');
+            editor.setCurrentBlock(blocks()[2]);
+
+            editor.toolbar.markdown();
+
+            expect(textarea().selectionStart).toBe('# Title\n\nFirst\n\n'.length);
+        });
+
+        test('typing re-highlights the source', () => {
+            createEditor();
+            editor.toolbar.markdown();
+
+            editSource('## New heading');
+
+            expect(editor.markdownSource.code.textContent).toBe('## New heading');
+            expect(editor.markdownSource.code.querySelector('.token')).not.toBeNull();
+        });
+    });
+
+    describe('switching back', () => {
+        test('re-parses the edited markdown into blocks', () => {
+            createEditor();
+            editor.setMarkdown('First paragraph');
+            editor.toolbar.markdown();
+
+            editSource('# Heading\n\n- One\n- Two');
+            editor.toolbar.text();
+
+            expect(blocks().map(block => block.getAttribute('data-block-type'))).toEqual(['h1', 'ul']);
+            expect(editor.getMarkdown()).toBe('# Heading\n\n- One\n- Two');
+            expect(editor.markdownSource.isOpen()).toBe(false);
+        });
+
+        test('blocks with unchanged markdown keep their ids', () => {
+            createEditor();
+            editor.setMarkdown('# Title\n\nFirst\n\nSecond\n\nThird');
+            const [title, first, , third] = ids();
+
+            editor.toolbar.markdown();
+            editSource('# Title\n\nFirst\n\nSecond, edited\n\nThird');
+            editor.toolbar.text();
+
+            const after = ids();
+            expect(after[0]).toBe(title);
+            expect(after[1]).toBe(first);
+            expect(after[3]).toBe(third);
+            expect(new Set(after).size).toBe(4);
+        });
+
+        test('identical blocks keep their own ids and moved blocks keep theirs', () => {
+            createEditor();
+            editor.setMarkdown('Same\n\nSame\n\nMoved');
+            const [same1, same2, moved] = ids();
+
+            editor.toolbar.markdown();
+            editSource('Moved\n\nSame\n\nSame');
+            editor.toolbar.text();
+
+            expect(ids()).toEqual([moved, same1, same2]);
+        });
+
+        test('restores the caret to the block under the source caret', () => {
+            createEditor();
+            editor.setMarkdown('# Title\n\nFirst\n\n- One\n- Two\n\nLast');
+
+            editor.toolbar.markdown();
+            editSource('# Title\n\nFirst\n\n- One\n- Two, edited\n\nLast', 'Two');
+            editor.toolbar.text();
+
+            const list = blocks()[2];
+            expect(editor.currentBlock).toBe(list);
+            expect(list.contains(window.getSelection().anchorNode)).toBe(true);
+        });
+
+        test('restores the caret without edits', () => {
+            createEditor();
+            editor.setMarkdown('One\n\nTwo\n\nThree');
+            const before = blocks();
+
+            editor.toolbar.markdown();
+            textarea().setSelectionRange(textarea().value.indexOf('Three'), textarea().value.indexOf('Three'));
+            editor.toolbar.text();
+
+            expect(blocks()).toEqual(before);
+            expect(editor.currentBlock).toBe(before[2]);
+        });
+
+        test('an unchanged source does not touch the blocks or the history', () => {
+            createEditor();
+            editor.setMarkdown('One\n\nTwo');
+            const before = blocks();
+            const canUndo = editor.canUndo();
+
+            editor.toolbar.markdown();
+            expect(editor.markdownSource.close()).toBe(false);
+
+            expect(blocks()).toEqual(before);
+            expect(editor.canUndo()).toBe(canUndo);
+        });
+
+        test('applying the source is a single undo step', () => {
+            createEditor();
+            editor.setMarkdown('One\n\nTwo');
+            editor.toolbar.markdown();
+
+            editSource('One\n\nTwo\n\nThree');
+            editor.toolbar.text();
+            editor.undo();
+
+            expect(editor.getMarkdown()).toBe('One\n\nTwo');
+        });
+
+        test('the HTML view shows the edited source', () => {
+            createEditor();
+            editor.setMarkdown('Old');
+            editor.toolbar.markdown();
+
+            editSource('**New**');
+            editor.toolbar.html();
+
+            const html = container.querySelector('.bke-editor-html code').textContent;
+            expect(html).toContain('<strong>New</strong>');
+        });
+    });
+
+    describe('editing', () => {
+        test('Tab indents and Shift+Tab outdents the selected lines', () => {
+            createEditor();
+            editor.toolbar.markdown();
+            editSource('- One\n- Two\n- Three');
+            textarea().setSelectionRange(8, 16);
+
+            textarea().dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', cancelable: true }));
+            expect(textarea().value).toBe('- One\n  - Two\n  - Three');
+
+            textarea().dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', shiftKey: true, cancelable: true }));
+            expect(textarea().value).toBe('- One\n- Two\n- Three');
+        });
+
+        test('a read-only editor shows a read-only source', () => {
+            createEditor({ readonly: true });
+            editor.setMarkdown('Text');
+            editor.toolbar?.markdown();
+            editor.markdownSource.open();
+
+            expect(textarea().readOnly).toBe(true);
+            editSource('Changed');
+            expect(editor.markdownSource.close()).toBe(false);
+            expect(editor.getMarkdown()).toBe('Text');
+        });
+    });
+
+    test('setMarkdown() with keepIds keeps the ids of unchanged blocks', () => {
+        createEditor();
+        editor.setMarkdown('One\n\nTwo');
+        const [one] = ids();
+
+        editor.setMarkdown('One\n\nThree', { keepIds: true });
+        expect(ids()[0]).toBe(one);
+
+        editor.setMarkdown('One\n\nThree');
+        expect(ids()[0]).not.toBe(one);
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * Tests for nested lists: Tab / Shift+Tab indentation and markdown / HTML round-trip
+ */
+
+import {Editor} from '../src/Editor.js';
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Nested lists', () => {
+    let container;
+    let editor;
+
+    beforeEach(() => {
+        container = setUpEditorDom();
+
+        editor = createTestEditor();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const firstBlock = () => editor.contentArea.querySelector('.bke-block');
+
+    /**
+     * Place the caret in the text of a list item and press a key on it.
+     */
+    const pressKey = (listItem, key, options = {}) => {
+        const editable = listItem.querySelector(':scope > span') || listItem;
+        const range = document.createRange();
+        range.setStart(editable.firstChild || editable, 0);
+        range.collapse(true);
+        window.getSelection().removeAllRanges();
+        window.getSelection().addRange(range);
+
+        editor.setCurrentBlock(listItem.closest('.bke-block'));
+        const event = new KeyboardEvent('keydown', { key, cancelable: true, bubbles: true, ...options });
+        editable.dispatchEvent(event);
+        return event;
+    };
+
+    describe('markdown round-trip', () => {
+        test.each([
+            ['bullets', '- One\n  - Two\n    - Three\n- Four'],
+            ['bullets in an ordered list', '1. One\n   - A\n   - B\n2. Two'],
+            ['tasks in a bullet list', '- Groceries\n  - [x] Milk\n  - [ ] Bread\n- Errands'],
+            ['a task list with nested items', '- [ ] Release\n  - Changelog\n    1. Draft\n    2. Review\n- [x] Tests']
+        ])('%s', (name, markdown) => {
+            editor.setMarkdown(markdown);
+
+            expect(editor.contentArea.querySelectorAll('.bke-block')).toHaveLength(1);
+            expect(editor.getMarkdown()).toBe(markdown);
+        });
+
+        test('accepts four-space indentation and normalizes it', () => {
+            editor.setMarkdown('- One\n    - Two');
+            expect(editor.getMarkdown()).toBe('- One\n  - Two');
+        });
+
+        test('keeps the checkbox state of nested tasks', () => {
+            editor.setMarkdown('- Groceries\n  - [x] Milk');
+            const checkbox = firstBlock().querySelector('li li input[type="checkbox"]');
+            expect(checkbox.checked).toBe(true);
+        });
+    });
+
+    describe('HTML', () => {
+        test('getHtml() keeps the nested structure', () => {
+            editor.setMarkdown('1. One\n   - A\n2. Two');
+
+            const doc = new DOMParser().parseFromString(editor.getHtml(), 'text/html');
+            const ol = doc.querySelector('ol');
+            expect(ol.children).toHaveLength(2);
+            expect(ol.querySelector(':scope > li > ul > li').textContent).toBe('A');
+        });
+
+        test('setHtml() parses nested lists', () => {
+            editor.setHtml('<ul><li>One<ol><li>A</li><li>B</li></ol></li><li>Two</li></ul>');
+            expect(editor.getMarkdown()).toBe('- One\n  1. A\n  2. B\n- Two');
+        });
+
+        test('nested task lists do not turn the outer list into a task list', () => {
+            editor.setHtml('<ul><li>One<ul class="bke-task-list"><li><input type="checkbox" checked> Done</li></ul></li></ul>');
+            expect(firstBlock().getAttribute('data-block-type')).toBe('ul');
+            expect(editor.getMarkdown()).toBe('- One\n  - [x] Done');
+        });
+    });
+
+    describe('Tab / Shift+Tab', () => {
+        test('Tab nests an item under its previous sibling', () => {
+            editor.setMarkdown('- One\n- Two\n- Three');
+            const items = firstBlock().querySelectorAll('li');
+
+            const event = pressKey(items[1], 'Tab');
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(items[1].parentElement.parentElement).toBe(items[0]);
+            expect(editor.getMarkdown()).toBe('- One\n  - Two\n- Three');
+        });
+
+        test('Tab on the first item does nothing', () => {
+            editor.setMarkdown('- One\n- Two');
+            pressKey(firstBlock().querySelector('li'), 'Tab');
+            expect(editor.getMarkdown()).toBe('- One\n- Two');
+        });
+
+        test('Tab appends to an existing nested list', () => {
+            editor.setMarkdown('- One\n  - A\n- Two');
+            pressKey(firstBlock().querySelectorAll(':scope > ul > li')[1], 'Tab');
+            expect(editor.getMarkdown()).toBe('- One\n  - A\n  - Two');
+        });
+
+        test('Shift+Tab moves an item up one level and keeps following items below it', () => {
+            editor.setMarkdown('- One\n  - A\n  - B\n  - C\n- Two');
+            const b = Array.from(firstBlock().querySelectorAll('li')).find(li => li.firstChild.textContent === 'B');
+
+            const event = pressKey(b, 'Tab', { shiftKey: true });
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(editor.getMarkdown()).toBe('- One\n  - A\n- B\n  - C\n- Two');
+        });
+
+        test('Shift+Tab on a top-level item does nothing', () => {
+            editor.setMarkdown('- One\n- Two');
+            pressKey(firstBlock().querySelectorAll('li')[1], 'Tab', { shiftKey: true });
+            expect(editor.getMarkdown()).toBe('- One\n- Two');
+        });
+
+        test('outdenting a bullet into a task list makes it a task', () => {
+            editor.setMarkdown('- [ ] Task\n  - Note');
+            const note = firstBlock().querySelector('li li');
+
+            pressKey(note, 'Tab', { shiftKey: true });
+
+            expect(firstBlock().querySelectorAll(':scope > ul > li.bke-task-list-item')).toHaveLength(2);
+            expect(editor.getMarkdown()).toBe('- [ ] Task\n- [ ] Note');
+        });
+
+        test('task items indent within a task list', () => {
+            editor.setMarkdown('- [x] One\n- [ ] Two');
+            pressKey(firstBlock().querySelectorAll('li')[1], 'Tab');
+            expect(editor.getMarkdown()).toBe('- [x] One\n  - [ ] Two');
+        });
+
+        test('indenting is a single undo step', () => {
+            editor.setMarkdown('- One\n- Two');
+            pressKey(firstBlock().querySelectorAll('li')[1], 'Tab');
+
+            editor.undo();
+            expect(editor.getMarkdown()).toBe('- One\n- Two');
+        });
+    });
+
+    describe('Enter', () => {
+        test('Enter in an empty last nested item moves it up one level', () => {
+            editor.setMarkdown('- One\n  - A\n  - B');
+            const b = firstBlock().querySelectorAll('li li')[1];
+            b.textContent = '';
+
+            pressKey(b, 'Enter');
+
+            expect(editor.contentArea.querySelectorAll('.bke-block')).toHaveLength(1);
+            expect(firstBlock().querySelectorAll(':scope > ul > li')).toHaveLength(2);
+            expect(firstBlock().querySelectorAll('li li')).toHaveLength(1);
+        });
+    });
+
+    test('JSON round-trip keeps nested items', () => {
+        editor.setMarkdown('- One\n  1. A\n  2. B\n- Two');
+        const json = editor.getJSON();
+
+        Editor._instances.clear();
+        container.innerHTML = '';
+        const restored = createTestEditor();
+        restored.setJSON(json);
+
+        expect(restored.getMarkdown()).toBe('- One\n  1. A\n  2. B\n- Two');
+    });
+});
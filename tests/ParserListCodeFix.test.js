@@ -29,7 +29,7 @@ describe('Parser - List and Code Block Separation Fix', () => {
       // First block should be an UnorderedListBlock
       expect(blocks[0]).toBeInstanceOf(UnorderedListBlock);
       expect(blocks[0].content).toContain('First item');
-      expect(blocks[0].content).toContain('Second item with inline code');
+      expect(blocks[0].content).toContain('Second item with `inline code`');
       expect(blocks[0].content).toContain('Third item');
       
       // Second block should be a CodeBlock
@@ -58,7 +58,7 @@ describe('Parser - List and Code Block Separation Fix', () => {
       
       // First block should be an OrderedListBlock
       expect(blocks[0]).toBeInstanceOf(OrderedListBlock);
-      expect(blocks[0].content).toContain('Install npm');
+      expect(blocks[0].content).toContain('Install `npm`');
       expect(blocks[0].content).toContain('npm install');
       expect(blocks[0].content).toContain('npm start');
       
@@ -123,7 +123,7 @@ describe('Parser - List and Code Block Separation Fix', () => {
       expect(blocks[4]).toBeInstanceOf(OrderedListBlock);
       
       // Verify content integrity
-      expect(blocks[1].content).toContain('List item with code');
+      expect(blocks[1].content).toContain('List item with `code`');
       expect(blocks[3].language).toBe('python');
       expect(blocks[3].content).toContain('def hello');
     });
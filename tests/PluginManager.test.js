@@ -0,0 +1,355 @@
+/**
+ * Tests for the plugin system: Editor.use(), per-instance contributions and install/uninstall hooks
+ */
+
+import {Editor} from '../src/Editor.js';
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {PluginManager} from '../src/PluginManager.js';
+import {BaseBlock} from '../src/blocks/BaseBlock.js';
+import {BlockType} from '../src/BlockType.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+/**
+ * Example plugin block: "!!! text" in markdown, <div class="callout"> in HTML
+ */
+class CalloutBlock extends BaseBlock
+{
+    constructor(content = '', html = '', nested = false) {
+        super('callout', content, html, nested);
+    }
+
+    static getMarkdownTriggers() {
+        return ['!!! '];
+    }
+
+    static canParseHtml(htmlString) {
+        return /^<div class="callout">/i.test(htmlString);
+    }
+
+    static parseFromHtml(htmlString) {
+        const text = htmlString.replace(/<[^>]+>/g, '').trim();
+        return new CalloutBlock(text, text);
+    }
+
+    applyTransformation(targetElement) {
+        targetElement.setAttribute('data-block-type', 'callout');
+        targetElement.className = 'bke-block bke-block--callout';
+    }
+
+    toMarkdown() {
+        this.syncFromElement();
+        return '!!! ' + this._content;
+    }
+
+    toHtml() {
+        this.syncFromElement();
+        return `<div class="callout">${this._content}</div>`;
+    }
+}
+
+const createCalloutPlugin = (overrides = {}) => ({
+    name: 'callout',
+    blocks: { callout: CalloutBlock },
+    toolbar: [{ group: [{ class: 'bke-toolbar-callout', title: 'callout', command: 'insertCallout' }] }],
+    commands: {
+        insertCallout: jest.fn((editor) => editor.createNewBlock('callout'))
+    },
+    keymap: {
+        'Mod+Shift+K': 'insertCallout'
+    },
+    markdown: {
+        preprocess: (markdown) => markdown.replace(/^!!! (.*)$/gm, '<div class="callout">$1</div>')
+    },
+    install: jest.fn(),
+    uninstall: jest.fn(),
+    ...overrides
+});
+
+describe('PluginManager', () => {
+    beforeEach(() => {
+        setUpEditorDom();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+        Editor._plugins = [];
+    });
+
+    describe('installation', () => {
+        test('editor exposes a plugin manager', () => {
+            const editor = createTestEditor();
+            expect(editor.plugins).toBeInstanceOf(PluginManager);
+            expect(editor.plugins.list()).toEqual([]);
+        });
+
+        test('plugins option installs plugins and runs install() after the toolbar exists', () => {
+            const plugin = createCalloutPlugin({
+                install: jest.fn((editor) => {
+                    expect(editor.toolbar).toBeTruthy();
+                })
+            });
+            const editor = createTestEditor({ plugins: [[plugin, { color: 'blue' }]] });
+
+            expect(editor.plugins.has('callout')).toBe(true);
+            expect(plugin.install).toHaveBeenCalledWith(editor, { color: 'blue' });
+        });
+
+        test('static Editor.use() applies to editors created afterwards', () => {
+            const plugin = createCalloutPlugin();
+            expect(Editor.use(plugin)).toBe(Editor);
+
+            const editor = createTestEditor();
+            expect(editor.plugins.has('callout')).toBe(true);
+        });
+
+        test('instance use() installs into that editor only', () => {
+            const editor = createTestEditor();
+            const plugin = createCalloutPlugin();
+
+            expect(editor.use(plugin)).toBe(editor);
+            expect(plugin.install).toHaveBeenCalledWith(editor, {});
+            expect(editor.plugins.has('callout')).toBe(true);
+            expect(Editor._plugins).toHaveLength(0);
+        });
+
+        test('rejects plugins without a name and duplicates', () => {
+            const editor = createTestEditor();
+            expect(editor.plugins.use({})).toBe(false);
+            expect(editor.plugins.use(createCalloutPlugin())).toBe(true);
+            expect(editor.plugins.use(createCalloutPlugin())).toBe(false);
+        });
+
+        test('uninstall() runs the hook and drops contributions', () => {
+            const plugin = createCalloutPlugin();
+            const editor = createTestEditor({ plugins: [plugin] });
+
+            expect(editor.plugins.uninstall('callout')).toBe(true);
+            expect(plugin.uninstall).toHaveBeenCalledWith(editor);
+            expect(editor.plugins.getBlockClass('callout')).toBeNull();
+            expect(editor.instance.querySelector('.bke-toolbar-callout')).toBeNull();
+            expect(editor.plugins.uninstall('callout')).toBe(false);
+        });
+
+        test('destroy() uninstalls all plugins', () => {
+            const plugin = createCalloutPlugin();
+            const editor = createTestEditor({ plugins: [plugin] });
+            editor.destroy();
+            expect(plugin.uninstall).toHaveBeenCalled();
+        });
+
+        test('errors thrown by hooks do not break the editor', () => {
+            const plugin = createCalloutPlugin({ install: () => { throw new Error('boom'); } });
+            expect(() => createTestEditor({ plugins: [plugin] })).not.toThrow();
+        });
+    });
+
+    describe('blocks', () => {
+        test('registers the block type', () => {
+            createTestEditor({ plugins: [createCalloutPlugin()] });
+            expect(BlockType.isValid('callout')).toBe(true);
+            expect(new CalloutBlock().type).toBe('callout');
+        });
+
+        test('markdown pre-processor and block class parse the initial content', () => {
+            const editor = new Editor({
+                id: 'test-editor',
+                text: '# Title\n\n!!! Watch out',
+                plugins: [createCalloutPlugin()],
+                debug: false
+            });
+
+            const types = editor.getBlocks().map(block => block.type);
+            expect(types).toEqual(['h1', 'callout']);
+            expect(editor.getBlocks()[1]).toBeInstanceOf(CalloutBlock);
+        });
+
+        test('plugin blocks are serialized with their own toMarkdown/toHtml', () => {
+            const editor = createTestEditor({ plugins: [createCalloutPlugin()] });
+            editor.setMarkdown('!!! Note');
+
+            expect(editor.getMarkdown()).toBe('!!! Note');
+            expect(editor.getHtml()).toBe('<div class="callout">Note</div>');
+        });
+
+        test('plugin blocks round-trip through JSON', () => {
+            const editor = createTestEditor({ plugins: [createCalloutPlugin()] });
+            editor.setMarkdown('!!! Note');
+
+            const json = editor.getJSON();
+            expect(json.blocks[0].type).toBe('callout');
+
+            editor.clear();
+            editor.setJSON(json);
+            expect(editor.getBlocks()[0]).toBeInstanceOf(CalloutBlock);
+        });
+
+        test('markdown trigger converts a paragraph into the plugin block', () => {
+            const editor = createTestEditor({ plugins: [createCalloutPlugin()] });
+            const block = editor.contentArea.querySelector('.bke-block');
+            block.innerHTML = '!!! Heads up';
+
+            expect(editor.checkAndConvertBlock(block)).toBe(true);
+            expect(block.getAttribute('data-block-type')).toBe('callout');
+        });
+
+        test('editors without the plugin do not know the block class', () => {
+            const editor = createTestEditor();
+            editor.setMarkdown('!!! Note');
+            expect(editor.getBlocks()[0].type).toBe('paragraph');
+        });
+
+        test('uninstalling unregisters the block type once no editor uses it', () => {
+            const editor = createTestEditor();
+            const plugin = () => createCalloutPlugin({ name: 'aside', blocks: { aside: CalloutBlock } });
+            const first = new PluginManager({ editor: {} });
+            const second = new PluginManager({ editor: {} });
+            first.use(plugin());
+            second.use(plugin());
+
+            first.uninstall('aside');
+            expect(BlockType.isValid('aside')).toBe(true);
+
+            second.destroy();
+            expect(BlockType.isValid('aside')).toBe(false);
+            expect(BlockType.getAll()).not.toContain('aside');
+
+            // Another editor on the page no longer knows the type
+            editor.setJSON({ version: 1, blocks: [{ id: 'block-a', type: 'aside', data: { text: 'Note' } }] });
+            expect(editor.getBlocks()[0].type).not.toBe('aside');
+        });
+
+        test('uninstalling keeps built-in block types', () => {
+            const editor = createTestEditor({ plugins: [createCalloutPlugin({ name: 'quotes', blocks: { quote: CalloutBlock } })] });
+            expect(BlockType.getAll().filter(type => 'quote' === type)).toHaveLength(1);
+            expect(BlockType._customTypes.has('quote')).toBe(false);
+
+            editor.plugins.uninstall('quotes');
+            expect(BlockType.isValid('quote')).toBe(true);
+        });
+
+        test('createBlockInstance() falls back to built-in blocks', () => {
+            const editor = createTestEditor({ plugins: [createCalloutPlugin()] });
+            expect(editor.createBlockInstance('callout')).toBeInstanceOf(CalloutBlock);
+            expect(editor.createBlockInstance('quote').type).toBe('quote');
+        });
+    });
+
+    describe('toolbar and commands', () => {
+        test('toolbar buttons are added and run their command', () => {
+            const plugin = createCalloutPlugin();
+            const editor = createTestEditor({ plugins: [plugin] });
+
+            const button = editor.instance.querySelector('.bke-toolbar-callout');
+            expect(button).toBeTruthy();
+            expect(button.getAttribute('data-command')).toBe('insertCallout');
+
+            button.click();
+            expect(plugin.commands.insertCallout).toHaveBeenCalledWith(editor);
+        });
+
+        test('installing a plugin later rebuilds the toolbar once', () => {
+            const editor = createTestEditor();
+            editor.use(createCalloutPlugin());
+
+            expect(editor.instance.querySelectorAll('.bke-toolbar')).toHaveLength(1);
+            expect(editor.instance.querySelector('.bke-toolbar-callout')).toBeTruthy();
+        });
+
+        test('execute() passes arguments and reports unknown commands', () => {
+            const command = jest.fn().mockReturnValue('done');
+            const editor = new Editor({
+                id: 'test-editor',
+                plugins: [{ name: 'cmd', commands: { greet: command } }],
+                debug: false
+            });
+
+            expect(editor.plugins.execute('greet', 'a', 1)).toBe('done');
+            expect(command).toHaveBeenCalledWith(editor, 'a', 1);
+            expect(editor.plugins.hasCommand('missing')).toBe(false);
+            expect(editor.plugins.execute('missing')).toBe(false);
+        });
+    });
+
+    test('getBlockTypes(), getCommandNames() and getKeymaps() list the contributions', () => {
+        const manager = new PluginManager({ editor: {} });
+        manager.use(createCalloutPlugin());
+        manager.use({ name: 'more', commands: { greet: jest.fn(), insertCallout: jest.fn() }, keymap: { 'Alt+G': 'greet' } });
+
+        expect(manager.getBlockTypes()).toEqual([['callout', CalloutBlock]]);
+        expect(manager.getCommandNames()).toEqual(['insertCallout', 'greet']);
+        expect(manager.getKeymaps()).toEqual([['Mod+Shift+K', 'insertCallout'], ['Alt+G', 'greet']]);
+    });
+
+    describe('keymap', () => {
+        test('matchesKey() understands Mod and exact modifiers', () => {
+            expect(PluginManager.matchesKey('Mod+Shift+K', { key: 'K', ctrlKey: true, shiftKey: true })).toBe(true);
+            expect(PluginManager.matchesKey('Mod+Shift+K', { key: 'k', metaKey: true, shiftKey: true })).toBe(false);
+            expect(PluginManager.matchesKey('Mod+Shift+K', { key: 'k', ctrlKey: true })).toBe(false);
+            expect(PluginManager.matchesKey('Alt+X', { key: 'x', altKey: true, ctrlKey: true })).toBe(false);
+        });
+
+        test('key bindings run commands and prevent the default action', () => {
+            const plugin = createCalloutPlugin();
+            const editor = createTestEditor({ plugins: [plugin] });
+
+            const event = new KeyboardEvent('keydown', { key: 'K', ctrlKey: true, shiftKey: true, cancelable: true });
+            editor.keyHandler.handleSpecialKeys(event);
+
+            expect(plugin.commands.insertCallout).toHaveBeenCalled();
+            expect(event.defaultPrevented).toBe(true);
+        });
+
+        test('a binding function returning false lets the key through', () => {
+            const binding = jest.fn().mockReturnValue(false);
+            const editor = new Editor({
+                id: 'test-editor',
+                plugins: [{ name: 'keys', keymap: { 'Mod+Z': binding } }],
+                debug: false
+            });
+            editor.setMarkdown('Changed');
+
+            editor.keyHandler.handleSpecialKeys(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, cancelable: true }));
+
+            expect(binding).toHaveBeenCalled();
+            expect(editor.contentArea.textContent).not.toContain('Changed');
+        });
+    });
+
+    describe('markdown and serializer rules', () => {
+        test('post-processors transform getMarkdown() output', () => {
+            const editor = new Editor({
+                id: 'test-editor',
+                plugins: [{ name: 'footer', markdown: { postprocess: (md) => md + '\n\n<!-- end -->' } }],
+                debug: false
+            });
+            editor.setMarkdown('Text');
+            expect(editor.getMarkdown()).toBe('Text\n\n<!-- end -->');
+        });
+
+        test('serializer rules override built-in block output', () => {
+            const editor = new Editor({
+                id: 'test-editor',
+                plugins: [{
+                    name: 'hr',
+                    serializer: {
+                        delimiter: { toMarkdown: () => '***', toHtml: () => '<hr class="fancy">' }
+                    }
+                }],
+                debug: false
+            });
+            editor.setJSON({
+                version: 1,
+                blocks: [
+                    { type: 'paragraph', data: { text: 'A' } },
+                    { type: 'delimiter', data: {} },
+                    { type: 'paragraph', data: { text: 'B' } }
+                ]
+            });
+
+            expect(editor.getMarkdown()).toBe('A\n\n***\n\nB');
+            expect(editor.getHtml()).toContain('<hr class="fancy">');
+        });
+    });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests for the "/" command menu
+ */
+
+import {Editor} from '../src/Editor.js';
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {SlashMenu} from '../src/SlashMenu.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('SlashMenu', () => {
+    let container;
+    let editor;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+
+        container = setUpEditorDom();
+
+        editor = createTestEditor();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        tearDownEditorDom();
+    });
+
+    const firstBlock = () => editor.contentArea.querySelector('.bke-block');
+
+    /**
+     * Simulate typing: set the block text and fire the input event the browser would
+     */
+    const type = (text) => {
+        const block = firstBlock();
+        editor.setCurrentBlock(block);
+        (editor.findEditableElementInBlock(block) || block).textContent = text;
+        editor.contentArea.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    const keydown = (key) => {
+        const event = new KeyboardEvent('keydown', { key, cancelable: true, bubbles: true });
+        editor.contentArea.dispatchEvent(event);
+        return event;
+    };
+
+    const labels = () => Array.from(container.querySelectorAll('.bke-slash-menu-label')).map(el => el.textContent);
+
+    test('typing "/" in an empty paragraph opens the menu', () => {
+        expect(editor.slashMenu).toBeInstanceOf(SlashMenu);
+        type('/');
+
+        expect(editor.slashMenu.isOpen()).toBe(true);
+        expect(container.querySelector('.bke-slash-menu')).not.toBeNull();
+        expect(labels()).toEqual(expect.arrayContaining(['Heading 1', 'Bullet List', 'Table', 'Code Block']));
+    });
+
+    test('lists every block type with toolbar labels', () => {
+        const ids = editor.slashMenu.getItems().map(item => item.id);
+        expect(ids).toEqual(expect.arrayContaining(['h1', 'h6', 'ul', 'ol', 'sq', 'code', 'quote', 'delimiter', 'table', 'image', 'paragraph']));
+    });
+
+    test('does not open inside a word', () => {
+        type('and/');
+        expect(editor.slashMenu.isOpen()).toBe(false);
+
+        type('https://');
+        expect(editor.slashMenu.isOpen()).toBe(false);
+    });
+
+    test('opens at the start of a word and converts the block with its text', () => {
+        type('Some text /');
+        expect(editor.slashMenu.isOpen()).toBe(true);
+
+        type('Some text /quo');
+        expect(labels()).toEqual(['Quote']);
+        keydown('Enter');
+
+        expect(firstBlock().getAttribute('data-block-type')).toBe('quote');
+        expect(firstBlock().textContent.trim()).toBe('Some text');
+    });
+
+    test('a block type without text is inserted after a block with text', () => {
+        type('Intro /');
+        type('Intro /delim');
+        keydown('Enter');
+
+        const blocks = Array.from(editor.contentArea.querySelectorAll('.bke-block'));
+        expect(blocks.map(block => block.getAttribute('data-block-type'))).toEqual(['paragraph', 'delimiter']);
+        expect(blocks[0].textContent.trim()).toBe('Intro');
+
+        editor.undo();
+        expect(editor.contentArea.querySelectorAll('.bke-block')).toHaveLength(1);
+    });
+
+    test('the query is read up to the caret and removed on insert', () => {
+        const savedGetSelection = window.getSelection;
+        window.getSelection = () => document.getSelection();
+        const block = firstBlock();
+        editor.setCurrentBlock(block);
+        const editable = editor.findEditableElementInBlock(block) || block;
+        const typeAt = (text, offset) => {
+            editable.textContent = text;
+            editor.placeCursorAtOffset(editable, offset);
+            editor.contentArea.dispatchEvent(new Event('input', { bubbles: true }));
+        };
+
+        typeAt('Before / after', 8);
+        expect(editor.slashMenu.isOpen()).toBe(true);
+        typeAt('Before /h1 after', 10);
+        expect(editor.slashMenu.query).toBe('h1');
+        keydown('Enter');
+
+        expect(firstBlock().getAttribute('data-block-type')).toBe('h1');
+        expect(firstBlock().textContent).toBe('Before  after');
+        window.getSelection = savedGetSelection;
+    });
+
+    test('filters entries by the text after the slash', () => {
+        type('/');
+        type('/head');
+        expect(labels()).toEqual(['Heading 1', 'Heading 2', 'Heading 3', 'Heading 4', 'Heading 5', 'Heading 6']);
+
+        type('/xyz');
+        expect(labels()).toEqual([]);
+        expect(container.querySelector('.bke-slash-menu-empty')).not.toBeNull();
+    });
+
+    test('arrow keys move the active entry', () => {
+        type('/');
+        type('/head');
+
+        keydown('ArrowDown');
+        let active = container.querySelector('.bke-slash-menu-item--active');
+        expect(active.textContent).toBe('Heading 2');
+
+        keydown('ArrowUp');
+        keydown('ArrowUp');
+        active = container.querySelector('.bke-slash-menu-item--active');
+        expect(active.textContent).toBe('Heading 6');
+    });
+
+    test('Enter converts the block and removes the typed text', () => {
+        type('/');
+        type('/heading 2');
+
+        const event = keydown('Enter');
+
+        expect(event.defaultPrevented).toBe(true);
+        expect(editor.slashMenu.isOpen()).toBe(false);
+        expect(firstBlock().getAttribute('data-block-type')).toBe('h2');
+        expect(firstBlock().textContent).toBe('');
+    });
+
+    test('Escape closes the menu and keeps the typed text', () => {
+        type('/');
+        type('/hea');
+
+        keydown('Escape');
+
+        expect(editor.slashMenu.isOpen()).toBe(false);
+        expect(firstBlock().getAttribute('data-block-type')).toBe('paragraph');
+        expect(firstBlock().textContent).toBe('/hea');
+    });
+
+    test('deleting the slash closes the menu', () => {
+        type('/');
+        type('');
+        expect(editor.slashMenu.isOpen()).toBe(false);
+    });
+
+    test('custom entries run their action', () => {
+        const action = jest.fn();
+        editor.slashMenu.addItem({ id: 'template', label: 'Insert template', keywords: ['snippet'], action });
+
+        type('/');
+        type('/snip');
+        expect(labels()).toEqual(['Insert template']);
+
+        container.querySelector('.bke-slash-menu-item').click();
+
+        expect(action).toHaveBeenCalledWith(editor, firstBlock());
+        expect(firstBlock().textContent).toBe('');
+    });
+
+    test('custom entries can be passed as an option and removed', () => {
+        Editor._instances.clear();
+        container.innerHTML = '';
+        editor = new Editor({
+            id: 'test-editor',
+            debug: false,
+            slashMenu: { items: [{ id: 'template', label: 'Insert template', action: jest.fn() }] }
+        });
+
+        expect(editor.slashMenu.getItems().map(item => item.id)).toContain('template');
+        expect(editor.slashMenu.removeItem('template')).toBe(true);
+        expect(editor.slashMenu.addItem({ id: 'broken' })).toBe(false);
+    });
+
+    test('can be disabled', () => {
+        Editor._instances.clear();
+        container.innerHTML = '';
+        editor = createTestEditor({ slashMenu: false });
+
+        expect(editor.slashMenu).toBeNull();
+    });
+});
@@ -0,0 +1,274 @@
+/**
+ * Tests for the split view: the block editor with a live markdown or HTML preview
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Split view', () => {
+    let container;
+    let editor;
+
+    const createEditor = (options = {}) => {
+        editor = createTestEditor(options);
+        return editor;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+
+        container = setUpEditorDom();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+
+        jest.useRealTimers();
+    });
+
+    const blocks = () => Array.from(editor.contentArea.querySelectorAll('.bke-block'));
+    const segments = () => Array.from(editor.splitView.code.querySelectorAll('.bke-split-segment'));
+    const isHidden = (element) => element.classList.contains('bke-hidden');
+
+    /**
+     * Run the debounced editor update, which emits editor.updated
+     */
+    const flushUpdate = () => jest.advanceTimersByTime(100);
+
+    describe('setViewMode()', () => {
+        test('split shows the blocks and the preview side by side', () => {
+            createEditor();
+            editor.setMarkdown('# Title\n\nText');
+
+            expect(editor.setViewMode('split')).toBe(true);
+
+            expect(editor.getViewMode()).toBe('split');
+            expect(container.classList.contains('bke-editor--split')).toBe(true);
+            expect(isHidden(editor.contentArea)).toBe(false);
+            expect(isHidden(editor.splitView.element)).toBe(false);
+            expect(editor.splitView.getValue()).toBe('# Title\n\nText');
+            expect(editor.splitView.code.querySelector('.token')).not.toBeNull();
+        });
+
+        test('the preview can be HTML', () => {
+            createEditor();
+            editor.setMarkdown('**Bold**');
+
+            editor.setViewMode('split', { preview: 'html' });
+
+            expect(editor.splitView.code.textContent).toContain('<strong>Bold</strong>');
+            expect(editor.splitView.tabs.html.getAttribute('aria-pressed')).toBe('true');
+        });
+
+        test('the preview tabs switch the format', () => {
+            createEditor();
+            editor.setMarkdown('**Bold**');
+            editor.setViewMode('split');
+
+            editor.splitView.tabs.html.click();
+            expect(editor.splitView.code.textContent).toContain('<strong>');
+
+            editor.splitView.tabs.markdown.click();
+            expect(editor.splitView.code.textContent).toBe('**Bold**');
+        });
+
+        test('switching to another view closes the preview', () => {
+            createEditor();
+            editor.setViewMode('split');
+
+            editor.setViewMode('markdown');
+
+            expect(editor.getViewMode()).toBe('markdown');
+            expect(container.classList.contains('bke-editor--split')).toBe(false);
+            expect(isHidden(editor.splitView.element)).toBe(true);
+            expect(isHidden(editor.contentArea)).toBe(true);
+
+            editor.setViewMode('text');
+            expect(editor.getViewMode()).toBe('text');
+        });
+
+        test('edits in the markdown source are applied before the split view opens', () => {
+            createEditor();
+            editor.setViewMode('markdown');
+            editor.markdownSource.textarea.value = '## From source';
+
+            editor.setViewMode('split');
+
+            expect(blocks()[0].getAttribute('data-block-type')).toBe('h2');
+            expect(isHidden(container.querySelector('.bke-editor-markdown'))).toBe(true);
+            expect(editor.splitView.getValue()).toBe('## From source');
+        });
+
+        test('the toolbar button of the current view is disabled', () => {
+            createEditor();
+            const button = (view) => container.querySelector('.bke-toolbar-' + view);
+
+            button('split').click();
+            expect(editor.getViewMode()).toBe('split');
+            expect(button('split').disabled).toBe(true);
+            expect(button('text').disabled).toBe(false);
+
+            button('text').click();
+            expect(editor.getViewMode()).toBe('text');
+            expect(button('split').disabled).toBe(false);
+            expect(button('text').disabled).toBe(true);
+        });
+
+        test('rejects unknown views', () => {
+            createEditor();
+            expect(editor.setViewMode('preview')).toBe(false);
+            expect(editor.getViewMode()).toBe('text');
+        });
+
+        test('a read-only editor without a toolbar can still split', () => {
+            createEditor({ readonly: true });
+            editor.setMarkdown('Text');
+
+            expect(editor.setViewMode('split')).toBe(true);
+            expect(editor.splitView.getValue()).toBe('Text');
+            expect(editor.setViewMode('text')).toBe(true);
+            expect(editor.getViewMode()).toBe('text');
+        });
+    });
+
+    describe('live preview', () => {
+        test('re-renders on editor.updated', () => {
+            createEditor();
+            editor.setMarkdown('First');
+            editor.setViewMode('split');
+
+            blocks()[0].querySelector('p').textContent = 'Changed';
+            editor.update();
+            expect(editor.splitView.getValue()).toBe('Changed');
+            expect(editor.splitView.code.textContent).toBe('First');
+
+            flushUpdate();
+            expect(editor.splitView.code.textContent).toBe('Changed');
+        });
+
+        test('every block has a segment keyed on its id', () => {
+            createEditor();
+            editor.setMarkdown('# Title\n\n- One\n- Two\n\nText');
+            editor.setViewMode('split');
+
+            const ids = blocks().map(block => block.getAttribute('data-block-id'));
+            expect(segments().map(segment => segment.getAttribute('data-block-id'))).toEqual(ids);
+            expect(segments()[1].textContent).toBe('- One\n- Two');
+        });
+
+        test('highlights the source of the active block', () => {
+            createEditor();
+            editor.setMarkdown('One\n\nTwo\n\nThree');
+            editor.setViewMode('split');
+
+            editor.setCurrentBlock(blocks()[1]);
+
+            const active = segments().filter(segment => segment.classList.contains('bke-split-segment--active'));
+            expect(active).toHaveLength(1);
+            expect(active[0].textContent).toBe('Two');
+        });
+
+        test('the highlight survives a re-render', () => {
+            createEditor();
+            editor.setMarkdown('One\n\nTwo');
+            editor.setViewMode('split');
+            editor.setCurrentBlock(blocks()[1]);
+
+            editor.update();
+            flushUpdate();
+
+            expect(segments()[1].classList.contains('bke-split-segment--active')).toBe(true);
+        });
+
+        test('stops rendering when closed', () => {
+            createEditor();
+            editor.setMarkdown('First');
+            editor.setViewMode('split');
+            editor.setViewMode('text');
+
+            editor.setMarkdown('Second');
+            flushUpdate();
+
+            expect(editor.splitView.code.textContent).toBe('First');
+        });
+    });
+
+    describe('synchronized scrolling', () => {
+        /**
+         * Give an element a fixed box and a writable scroll position
+         */
+        const layout = (element, top, height, scrollHeight = height) => {
+            element.getBoundingClientRect = () => ({ top, bottom: top + height, height });
+            Object.defineProperty(element, 'clientHeight', { value: height, configurable: true });
+            Object.defineProperty(element, 'scrollHeight', { value: scrollHeight, configurable: true });
+            Object.defineProperty(element, 'scrollTop', { value: 0, writable: true, configurable: true });
+        };
+
+        /**
+         * Lay out items one under the other, offset by the pane's scroll position
+         */
+        const stack = (pane, items, heights) => {
+            items.forEach((item, index) => {
+                const top = heights.slice(0, index).reduce((sum, height) => sum + height, 0);
+                item.getBoundingClientRect = () => ({
+                    top: top - pane.scrollTop,
+                    bottom: top + heights[index] - pane.scrollTop,
+                    height: heights[index]
+                });
+            });
+        };
+
+        const setUp = () => {
+            createEditor();
+            editor.setMarkdown('One\n\nTwo\n\nThree\n\nFour');
+            editor.setViewMode('split');
+
+            layout(editor.contentArea, 0, 100, 400);
+            layout(editor.splitView.scroller, 0, 100, 800);
+            stack(editor.contentArea, blocks(), [100, 100, 100, 100]);
+            stack(editor.splitView.scroller, segments(), [200, 200, 200, 200]);
+        };
+
+        test('scrolling the blocks scrolls the preview to the same block', () => {
+            setUp();
+
+            editor.contentArea.scrollTop = 150;
+            editor.contentArea.dispatchEvent(new Event('scroll'));
+
+            // Halfway through the second block
+            expect(editor.splitView.scroller.scrollTop).toBe(300);
+        });
+
+        test('scrolling the preview scrolls the blocks', () => {
+            setUp();
+
+            editor.splitView.scroller.scrollTop = 500;
+            editor.splitView.scroller.dispatchEvent(new Event('scroll'));
+
+            expect(editor.contentArea.scrollTop).toBe(250);
+        });
+
+        test('the scroll caused by the other pane is not synced back', () => {
+            setUp();
+
+            editor.contentArea.scrollTop = 150;
+            editor.contentArea.dispatchEvent(new Event('scroll'));
+            editor.splitView.scroller.scrollTop = 310;
+            editor.splitView.scroller.dispatchEvent(new Event('scroll'));
+
+            expect(editor.contentArea.scrollTop).toBe(150);
+        });
+
+        test('scrolling to the top syncs to the top', () => {
+            setUp();
+            editor.splitView.scroller.scrollTop = 500;
+
+            editor.contentArea.scrollTop = 0;
+            editor.contentArea.dispatchEvent(new Event('scroll'));
+
+            expect(editor.splitView.scroller.scrollTop).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for table column alignment, the header row toggle and escaped pipes in markdown
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Table alignment and header row', () => {
+    let editor;
+
+    const createEditor = async (markdown, options = {}) => {
+        editor = createTestEditor(options);
+        editor.setMarkdown(markdown);
+
+        // Cell editing is set up once the block is rendered
+        await flush();
+        return editor;
+    };
+
+    beforeEach(() => {
+        setUpEditorDom();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const tableElement = () => editor.contentArea.querySelector('.bke-block[data-block-type="table"]');
+    const table = () => tableElement().querySelector('table');
+    const tableBlock = () => editor.getBlockForElement(tableElement());
+
+    test('alignment markers round-trip and align the cells', async () => {
+        const markdown = '| Name | Qty | Note |\n| :--- | ---: | :---: |\n| Apple | 3 | Red |';
+        await createEditor(markdown);
+
+        expect(table().rows[0].cells[1].style.textAlign).toBe('right');
+        expect(table().rows[1].cells[1].style.textAlign).toBe('right');
+        expect(table().rows[1].cells[2].style.textAlign).toBe('center');
+        expect(editor.getMarkdown()).toBe(markdown);
+        expect(editor.getJSON().blocks[0].data.align).toEqual(['left', 'right', 'center']);
+    });
+
+    test('escaped pipes stay in their cell', async () => {
+        const markdown = '| Operator | Meaning |\n| --- | --- |\n| a \\| b | or |';
+        await createEditor(markdown);
+
+        expect(table().rows[1].cells[0].textContent).toBe('a | b');
+        expect(table().rows[1].cells).toHaveLength(2);
+        expect(editor.getMarkdown()).toBe(markdown);
+    });
+
+    test('setColumnAlign() aligns the column of the cell and resets the same alignment', async () => {
+        await createEditor('| A | B |\n| --- | --- |\n| 1 | 2 |');
+        const cell = table().rows[1].cells[1];
+
+        expect(tableBlock().setColumnAlign('center', cell)).toBe(true);
+        expect(table().rows[0].cells[1].style.textAlign).toBe('center');
+        expect(editor.getMarkdown()).toBe('| A | B |\n| --- | :---: |\n| 1 | 2 |');
+
+        tableBlock().setColumnAlign('center', cell);
+        expect(editor.getMarkdown()).toBe('| A | B |\n| --- | --- |\n| 1 | 2 |');
+        expect(tableBlock().setColumnAlign('justify', cell)).toBe(false);
+    });
+
+    test('the table menu aligns the focused column', async () => {
+        await createEditor('| A | B |\n| --- | --- |\n| 1 | 2 |');
+        table().rows[1].cells[0].dispatchEvent(new FocusEvent('focus'));
+
+        tableBlock().showTableMenu(tableElement().querySelector('.bke-table-control-topleft'));
+        const item = Array.from(tableElement().querySelectorAll('.bke-table-menu-item')).find(el => el.textContent === 'Align Column Right');
+        item.click();
+
+        expect(editor.getMarkdown()).toBe('| A | B |\n| ---: | --- |\n| 1 | 2 |');
+    });
+
+    test('a table without a header row is written as an HTML table and read back', async () => {
+        await createEditor('| A | B |\n| --- | ---: |\n| 1 | 2 |');
+
+        expect(tableBlock().toggleHeaderRow(table().rows[0].cells[0])).toBe(true);
+        expect(table().querySelector('thead')).toBeNull();
+        expect(table().querySelectorAll('tbody tr')).toHaveLength(2);
+
+        const markdown = editor.getMarkdown();
+        expect(markdown).toBe('<table>\n<tbody>\n' +
+            '<tr><td>A</td><td style="text-align: right;">B</td></tr>\n' +
+            '<tr><td>1</td><td style="text-align: right;">2</td></tr>\n' +
+            '</tbody>\n</table>');
+        expect(editor.getJSON().blocks[0].data).toEqual({ headers: [], rows: [['A', 'B'], ['1', '2']], align: ['', 'right'], hasHeader: false });
+
+        editor.setMarkdown(markdown);
+        await flush();
+        expect(table().querySelector('th')).toBeNull();
+        expect(editor.getMarkdown()).toBe(markdown);
+
+        // Turning the header row back on restores the GFM table
+        tableBlock().setHeaderRow(true, table().rows[0].cells[0]);
+        expect(table().querySelectorAll('thead th')).toHaveLength(2);
+        expect(editor.getMarkdown()).toBe('| A | B |\n| --- | ---: |\n| 1 | 2 |');
+    });
+
+    test('JSON without a header row renders without thead', async () => {
+        editor = createTestEditor();
+        editor.setJSON({ blocks: [{ type: 'table', data: { headers: ['A', 'B'], rows: [['1', '2']], hasHeader: false } }] });
+        await flush();
+
+        expect(table().querySelector('thead')).toBeNull();
+        expect(table().querySelectorAll('tbody tr')).toHaveLength(2);
+    });
+});
@@ -267,4 +267,69 @@ describe('TableBlock', () => {
       expect(tableBlock.nested).toBe(true);
     });
   });
+
+  describe('Alignment and escaped pipes', () => {
+    test('splitRow splits on unescaped pipes and keeps empty cells', () => {
+      expect(TableBlock.splitRow('| a \\| b | | c |')).toEqual(['a | b', '', 'c']);
+      expect(TableBlock.splitRow('a | b')).toEqual(['a', 'b']);
+    });
+
+    test('escapeCell escapes pipes', () => {
+      expect(TableBlock.escapeCell('a | b')).toBe('a \\| b');
+    });
+
+    test('parseFromMarkdown reads the alignment markers', () => {
+      const block = TableBlock.parseFromMarkdown('| A | B | C | D |\n| :--- | :---: | ---: | --- |\n| 1 | 2 | 3 | 4 |');
+      expect(block.toJSON()).toEqual({
+        headers: ['A', 'B', 'C', 'D'],
+        rows: [['1', '2', '3', '4']],
+        align: ['left', 'center', 'right', '']
+      });
+    });
+
+    test('fromJSON without a header row keeps the headers as the first row', () => {
+      const block = TableBlock.fromJSON({ headers: ['A'], rows: [['1']], hasHeader: false });
+      expect(block.toJSON()).toEqual({ headers: [], rows: [['A'], ['1']], hasHeader: false });
+    });
+  });
+
+  describe('Sorting and widths', () => {
+    test('compareValues compares numbers, dates and text with numbers by value', () => {
+      expect(TableBlock.compareValues('9', '10')).toBeLessThan(0);
+      expect(TableBlock.compareValues('1,200', '$300')).toBeGreaterThan(0);
+      expect(TableBlock.compareValues('Jan 5, 2024', '2023-12-31')).toBeGreaterThan(0);
+      expect(TableBlock.compareValues('Item 2', 'item 10')).toBeLessThan(0);
+    });
+
+    test('fromJSON reads the column widths and generateTableHTML writes them as a colgroup', () => {
+      const block = TableBlock.fromJSON({ headers: ['A', 'B'], rows: [['1', '2']], widths: [120, 'x'] });
+      expect(block.toJSON().widths).toEqual([120, null]);
+      expect(block.generateTableHTML()).toContain('<colgroup><col style="width: 120px;"><col></colgroup>');
+    });
+  });
+
+  describe('CSV', () => {
+    test('fromCSV reads quoted fields and pads short rows', () => {
+      const block = TableBlock.fromCSV('Name,Note\r\n"Smith, J","Say ""hi"""\r\nFig\r\n');
+      expect(block.getHeaders()).toEqual(['Name', 'Note']);
+      expect(block.getRows()).toEqual([['Smith, J', 'Say "hi"'], ['Fig', '']]);
+      expect(block.toCSV()).toBe('Name,Note\r\n"Smith, J","Say ""hi"""\r\nFig,');
+    });
+
+    test('fromCSV without a header row and with tabs', () => {
+      const block = TableBlock.fromCSV('a\tb\nc\td', { delimiter: '\t', header: false });
+      expect(block.toJSON()).toEqual({ headers: [], rows: [['a', 'b'], ['c', 'd']], hasHeader: false });
+      expect(block.toCSV({ delimiter: '\t' })).toBe('a\tb\r\nc\td');
+    });
+
+    test('CSV fields are plain text', () => {
+      const block = TableBlock.fromCSV('Formula,Tag\n2*3*4,<u>a</u> __init__');
+      expect(block.getRows()).toEqual([['2\\*3\\*4', '\\<u>a\\</u> \\_\\_init\\_\\_']]);
+      expect(block.generateTableHTML()).not.toMatch(/<(em|strong|u)>/);
+      expect(block.toCSV()).toBe('Formula,Tag\r\n2*3*4,<u>a</u> __init__');
+
+      const formatted = TableBlock.fromJSON({ headers: ['Name'], rows: [['**Pear** [site](https://example.com)']] });
+      expect(formatted.toCSV()).toBe('Name\r\nPear site');
+    });
+  });
 });
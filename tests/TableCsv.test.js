@@ -0,0 +1,201 @@
+/**
+ * Tests for importing CSV and TSV files as tables and exporting tables as CSV
+ */
+
+import {Editor} from '../src/Editor.js';
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {TableFileHandler} from '../src/TableFileHandler.js';
+import {EVENTS} from '../src/utils/eventEmitter.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Table CSV import and export', () => {
+    let container;
+    let editor;
+
+    const csv = (name, text, type = 'text/csv') => new File([text], name, { type });
+
+    const createEditor = async (markdown = 'One\n\nTwo', options = {}) => {
+        editor = createTestEditor(options);
+        editor.setMarkdown(markdown);
+
+        // Cell editing is set up once the block is rendered
+        await flush();
+        return editor;
+    };
+
+    beforeEach(() => {
+        container = setUpEditorDom();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+        jest.restoreAllMocks();
+    });
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const blocks = () => Array.from(editor.contentArea.querySelectorAll('.bke-block'));
+    const types = () => blocks().map(block => block.getAttribute('data-block-type'));
+    const tableElement = () => editor.contentArea.querySelector('.bke-block[data-block-type="table"]');
+    const table = () => tableElement().querySelector('table');
+    const tableBlock = () => editor.getBlockForElement(tableElement());
+
+    /**
+     * Wait for FileReader and the insertion that follows it
+     */
+    const settle = async () => {
+        for (let i = 0; i < 5; i++) {
+            await flush();
+        }
+    };
+
+    const drop = (target, files, clientY = 0) => {
+        const dataTransfer = { files, items: [], types: ['Files'], dropEffect: 'none' };
+        const event = new Event('drop', { bubbles: true, cancelable: true });
+        Object.defineProperty(event, 'dataTransfer', { value: dataTransfer });
+        Object.defineProperty(event, 'clientY', { value: clientY });
+        target.dispatchEvent(event);
+        return event;
+    };
+
+    /**
+     * Choose a file in the next file picker
+     */
+    const choose = (file) => {
+        jest.spyOn(HTMLInputElement.prototype, 'click').mockImplementation(function () {
+            Object.defineProperty(this, 'files', { value: [file] });
+            this.dispatchEvent(new Event('change'));
+        });
+    };
+
+    const clickMenuItem = (label) => {
+        table().rows[1].cells[0].dispatchEvent(new FocusEvent('focus'));
+        tableBlock().showTableMenu(tableElement().querySelector('.bke-table-control-topleft'));
+        Array.from(tableElement().querySelectorAll('.bke-table-menu-item')).find(el => el.textContent === label).click();
+    };
+
+    describe('insertTableFromCSV', () => {
+        test('text becomes a table that replaces an empty paragraph, as one undo step', async () => {
+            await createEditor('');
+            editor.setCurrentBlock(blocks()[0]);
+
+            const id = editor.commands.execute('insertTableFromCSV', { text: 'Name,Qty\n"Pear, ripe",10' });
+
+            expect(tableElement().getAttribute('data-block-id')).toBe(id);
+            expect(types()).toEqual(['table']);
+            expect(editor.getMarkdown()).toBe('| Name | Qty |\n| --- | --- |\n| Pear, ripe | 10 |');
+
+            editor.undo();
+            expect(types()).toEqual(['paragraph']);
+        });
+
+        test('a file is read with the delimiter of its type', async () => {
+            await createEditor('One');
+            editor.setCurrentBlock(blocks()[0]);
+
+            const id = await editor.commands.execute('insertTableFromCSV', { file: csv('data.tsv', 'A\tB\n1\t2', '') });
+
+            expect(id).toBe(tableElement().getAttribute('data-block-id'));
+            expect(editor.getJSON().blocks[1].data).toEqual({ headers: ['A', 'B'], rows: [['1', '2']] });
+        });
+
+        test('without text or a file the file picker is shown', async () => {
+            await createEditor('One');
+            editor.setCurrentBlock(blocks()[0]);
+            choose(csv('data.csv', 'A,B\n1,2'));
+
+            expect(editor.commands.execute('insertTableFromCSV')).toBe(true);
+            await settle();
+
+            expect(types()).toEqual(['paragraph', 'table']);
+            expect(document.querySelector('input[type="file"]')).toBeNull();
+        });
+
+        test('the toolbar has a button for it and a read-only editor cannot run it', async () => {
+            await createEditor('One');
+            expect(container.querySelector('.bke-toolbar-table-csv')?.getAttribute('data-command')).toBe('insertTableFromCSV');
+            editor.destroy();
+            Editor._instances.clear();
+
+            await createEditor('One', { readonly: true });
+            expect(editor.tableFiles).toBeNull();
+            expect(editor.commands.canExecute('insertTableFromCSV')).toBe(false);
+        });
+    });
+
+    describe('dropping files', () => {
+        test('a CSV file dropped on a block becomes a table after it', async () => {
+            await createEditor();
+
+            const event = drop(blocks()[0].querySelector('p'), [csv('data.csv', 'A,B\n1,2')]);
+            await settle();
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(types()).toEqual(['paragraph', 'table', 'paragraph']);
+            expect(editor.getMarkdown()).toBe('One\n\n| A | B |\n| --- | --- |\n| 1 | 2 |\n\nTwo');
+        });
+
+        test('CSV files are not rejected as images while images are still inserted', async () => {
+            await createEditor('One\n\nTwo', { uploadAdapter: () => new Promise(() => {}) });
+            const rejected = jest.fn();
+            editor.on(EVENTS.IMAGE_UPLOAD_REJECTED, rejected);
+
+            drop(blocks()[1].querySelector('p'), [csv('data.csv', 'A\n1'), new File(['x'], 'a.png', { type: 'image/png' })]);
+            await settle();
+
+            expect(rejected).not.toHaveBeenCalled();
+            expect(types()).toEqual(['paragraph', 'paragraph', 'table', 'image']);
+        });
+    });
+
+    describe('table menu', () => {
+        test('Import CSV replaces the content of the table as one undo step', async () => {
+            const markdown = '| Old | Cols | Here |\n| :---: | --- | --- |\n| 1 | 2 | 3 |';
+            await createEditor(markdown);
+            const id = tableElement().getAttribute('data-block-id');
+            choose(csv('data.csv', 'Name,Qty\nPear,10\nFig,'));
+
+            clickMenuItem('Import CSV');
+            await settle();
+
+            expect(tableElement().getAttribute('data-block-id')).toBe(id);
+            expect(editor.getMarkdown()).toBe('| Name | Qty |\n| --- | --- |\n| Pear | 10 |\n| Fig |  |');
+
+            editor.undo();
+            expect(editor.getMarkdown()).toBe(markdown);
+        });
+
+        test('Export as CSV downloads the table', async () => {
+            await createEditor('| Name | Note |\n| --- | --- |\n| Pear | Sweet, "ripe" |');
+            let blob = null;
+            URL.createObjectURL = jest.fn(value => {
+                blob = value;
+                return 'blob:table';
+            });
+            URL.revokeObjectURL = jest.fn();
+            const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+                expect(this.download).toBe('table.csv');
+                expect(this.href).toBe('blob:table');
+            });
+
+            clickMenuItem('Export as CSV');
+
+            expect(click).toHaveBeenCalledTimes(1);
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:table');
+            expect(blob.type).toBe('text/csv');
+            expect(await TableFileHandler.readFile(blob)).toBe('Name,Note\r\nPear,"Sweet, ""ripe"""');
+            expect(table().rows).toHaveLength(2);
+
+            delete URL.createObjectURL;
+            delete URL.revokeObjectURL;
+        });
+    });
+
+    test('getDelimiter() follows the file extension, then the MIME type', () => {
+        expect(TableFileHandler.getDelimiter(csv('data.CSV', ''))).toBe(',');
+        expect(TableFileHandler.getDelimiter(csv('data.tsv', '', 'text/csv'))).toBe('\t');
+        expect(TableFileHandler.getDelimiter(csv('export', '', 'text/tab-separated-values'))).toBe('\t');
+        expect(TableFileHandler.getDelimiter(csv('notes.txt', '', 'text/plain'))).toBeNull();
+    });
+});
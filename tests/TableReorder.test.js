@@ -0,0 +1,185 @@
+/**
+ * Tests for table column resizing, sorting and row/column reordering
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('Table resizing, sorting and reordering', () => {
+    let editor;
+
+    const TABLE = '| Name | Qty | Date |\n| --- | --- | --- |\n| Pear | 10 | 2024-03-01 |\n| Apple | 9 | 2023-12-24 |\n| Fig |  | 2024-01-15 |';
+
+    const createEditor = async (markdown = TABLE, options = {}) => {
+        editor = createTestEditor(options);
+        editor.setMarkdown(markdown);
+
+        // Cell editing and resizing are set up once the block is rendered
+        await flush();
+        return editor;
+    };
+
+    beforeEach(() => {
+        setUpEditorDom();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const tableElement = () => editor.contentArea.querySelector('.bke-block[data-block-type="table"]');
+    const table = () => tableElement().querySelector('table');
+    const tableBlock = () => editor.getBlockForElement(tableElement());
+    const cell = (row, column) => table().rows[row].cells[column];
+    const column = (index) => Array.from(table().rows).map(row => row.cells[index].textContent);
+
+    /**
+     * Lay the cells out in a grid of 100 x 30 pixel cells
+     */
+    const layout = () => {
+        Array.from(table().rows).forEach((row, i) => {
+            Array.from(row.cells).forEach((element, j) => {
+                element.getBoundingClientRect = () => ({ left: j * 100, right: j * 100 + 100, width: 100, top: i * 30, bottom: i * 30 + 30, height: 30 });
+            });
+        });
+    };
+
+    const mouse = (target, type, clientX, clientY = 0) => {
+        target.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, clientX, clientY }));
+    };
+
+    describe('column widths', () => {
+        test('dragging a column border sets its width as one undo step', async () => {
+            await createEditor();
+            layout();
+
+            mouse(cell(1, 0), 'mousedown', 98);
+            mouse(document, 'mousemove', 148);
+            mouse(document, 'mouseup', 148);
+
+            expect(table().querySelector('colgroup col').style.width).toBe('150px');
+            expect(editor.getJSON().blocks[0].data.widths).toEqual([150, null, null]);
+            expect(editor.getHtml()).toContain('<colgroup><col style="width: 150px;"><col><col></colgroup>');
+
+            editor.undo();
+            expect(editor.getJSON().blocks[0].data.widths).toBeUndefined();
+        });
+
+        test('the HTML export has no editing attributes or classes', async () => {
+            await createEditor();
+            layout();
+
+            mouse(cell(1, 0), 'mousemove', 98);
+            expect(table().classList.contains('bke-table--resize-hover')).toBe(true);
+
+            const html = editor.getHtml();
+            expect(html).toContain('<table>');
+            expect(html).not.toMatch(/bke-|contenteditable|style="border/);
+        });
+
+        test('a click inside a cell does not resize', async () => {
+            await createEditor();
+            layout();
+
+            mouse(cell(1, 0), 'mousedown', 50);
+            mouse(document, 'mouseup', 80);
+
+            expect(table().querySelector('colgroup')).toBeNull();
+        });
+
+        test('widths survive a JSON round trip and stay with their column when it moves', async () => {
+            editor = createTestEditor();
+            editor.setJSON({ blocks: [{ type: 'table', data: { headers: ['A', 'B'], rows: [['1', '2']], widths: [null, 200] } }] });
+            await flush();
+
+            expect(table().style.tableLayout).toBe('fixed');
+            expect(tableBlock().moveColumn(table(), 1, 0)).toBe(true);
+            expect(editor.getJSON().blocks[0].data).toEqual({ headers: ['B', 'A'], rows: [['2', '1']], widths: [200, null] });
+        });
+    });
+
+    describe('sorting', () => {
+        test('numbers sort by value with empty cells last, as one undo step', async () => {
+            await createEditor();
+
+            expect(tableBlock().sortByColumn('asc', cell(0, 1))).toBe(true);
+            expect(column(1)).toEqual(['Qty', '9', '10', '']);
+
+            tableBlock().sortByColumn('desc', cell(0, 1));
+            expect(column(1)).toEqual(['Qty', '10', '9', '']);
+
+            editor.undo();
+            expect(column(1)).toEqual(['Qty', '9', '10', '']);
+        });
+
+        test('dates and text sort by value', async () => {
+            await createEditor();
+
+            tableBlock().sortByColumn('asc', cell(1, 2));
+            expect(column(0)).toEqual(['Name', 'Apple', 'Fig', 'Pear']);
+
+            tableBlock().sortByColumn('desc', cell(1, 0));
+            expect(column(0)).toEqual(['Name', 'Pear', 'Fig', 'Apple']);
+            expect(editor.getMarkdown()).toBe('| Name | Qty | Date |\n| --- | --- | --- |\n| Pear | 10 | 2024-03-01 |\n| Fig |  | 2024-01-15 |\n| Apple | 9 | 2023-12-24 |');
+        });
+
+        test('the table menu sorts by the focused column', async () => {
+            await createEditor();
+            cell(1, 1).dispatchEvent(new FocusEvent('focus'));
+
+            tableBlock().showTableMenu(tableElement().querySelector('.bke-table-control-topleft'));
+            Array.from(tableElement().querySelectorAll('.bke-table-menu-item')).find(el => el.textContent === 'Sort Ascending').click();
+
+            expect(column(1)).toEqual(['Qty', '9', '10', '']);
+        });
+    });
+
+    describe('reordering', () => {
+        test('moveRow() and moveColumn() move data rows and whole columns', async () => {
+            await createEditor();
+
+            expect(tableBlock().moveRow(table(), 3, 1)).toBe(true);
+            expect(column(0)).toEqual(['Name', 'Fig', 'Pear', 'Apple']);
+
+            // The header row stays in place
+            expect(tableBlock().moveRow(table(), 0, 2)).toBe(false);
+
+            expect(tableBlock().moveColumn(table(), 0, 2)).toBe(true);
+            expect(Array.from(table().rows[0].cells).map(th => th.textContent)).toEqual(['Qty', 'Date', 'Name']);
+
+            editor.undo();
+            expect(Array.from(table().rows[0].cells).map(th => th.textContent)).toEqual(['Name', 'Qty', 'Date']);
+        });
+
+        test('dragging the row handle moves the focused row', async () => {
+            await createEditor();
+            cell(1, 0).dispatchEvent(new FocusEvent('focus'));
+            layout();
+
+            const handle = tableElement().querySelector('.bke-table-row-handle');
+            mouse(handle, 'mousedown', 0, 45);
+            mouse(document, 'mousemove', 0, 110);
+            expect(cell(3, 0).classList.contains('bke-table-drop-target')).toBe(true);
+            mouse(document, 'mouseup', 0, 110);
+
+            expect(column(0)).toEqual(['Name', 'Apple', 'Fig', 'Pear']);
+            expect(tableElement().querySelector('.bke-table-drop-target')).toBeNull();
+        });
+
+        test('dragging the column handle moves the focused column', async () => {
+            await createEditor();
+            cell(1, 2).dispatchEvent(new FocusEvent('focus'));
+            layout();
+
+            const handle = tableElement().querySelector('.bke-table-column-handle');
+            mouse(handle, 'mousedown', 250);
+            mouse(document, 'mousemove', 20);
+            mouse(document, 'mouseup', 20);
+
+            expect(Array.from(table().rows[0].cells).map(th => th.textContent)).toEqual(['Date', 'Name', 'Qty']);
+        });
+    });
+});
@@ -0,0 +1,238 @@
+/**
+ * Tests for spreadsheet-style table editing: arrow keys between cells, cell selection and pasting delimited text
+ */
+
+import {setUpEditorDom, tearDownEditorDom, createTestEditor} from './editorTestUtils.js';
+import {TableSelection} from '../src/TableSelection.js';
+import {TableBlock} from '../src/blocks/TableBlock.js';
+
+// Un-mock BlockFactory so real block types are available
+jest.unmock('../src/blocks/BlockFactory');
+
+describe('TableSelection', () => {
+    let editor;
+
+    const TABLE = '| A | B |\n| --- | --- |\n| 1 | 2 |\n| 3 | 4 |';
+
+    const createEditor = async (markdown = 'Before\n\n' + TABLE + '\n\nAfter', options = {}) => {
+        editor = createTestEditor(options);
+        editor.setMarkdown(markdown);
+
+        // Cell editing is set up once the block is rendered
+        await flush();
+        return editor;
+    };
+
+    beforeEach(() => {
+        setUpEditorDom();
+    });
+
+    afterEach(() => {
+        tearDownEditorDom();
+    });
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const tableElement = () => editor.contentArea.querySelector('.bke-block[data-block-type="table"]');
+    const cell = (row, column) => tableElement().querySelector('table').rows[row].cells[column];
+    const caretCell = () => {
+        const node = window.getSelection().anchorNode;
+        return (node?.nodeType === Node.TEXT_NODE ? node.parentElement : node)?.closest('th, td') || null;
+    };
+
+    /**
+     * Put the caret in a cell, at the start or the end of its text
+     */
+    const placeCaret = (target, atEnd = true) => {
+        editor.setCurrentBlock(target.closest('.bke-block'));
+        if (atEnd) {
+            editor.placeCursorAtEnd(target);
+        } else {
+            editor.placeCursorAtStart(target);
+        }
+    };
+
+    const keydown = (key, options = {}) => {
+        const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+        (caretCell() || editor.contentArea).dispatchEvent(event);
+        return event;
+    };
+
+    const paste = (text) => {
+        const event = new Event('paste', { bubbles: true, cancelable: true });
+        Object.defineProperty(event, 'clipboardData', {
+            value: { items: [], files: [], getData: (format) => 'text/plain' === format || 'text' === format ? text : '' }
+        });
+        editor.contentArea.dispatchEvent(event);
+        return event;
+    };
+
+    const clipboardEvent = (type) => {
+        const data = {};
+        const event = new Event(type, { bubbles: true, cancelable: true });
+        Object.defineProperty(event, 'clipboardData', { value: { setData: (format, value) => { data[format] = value; } } });
+        document.dispatchEvent(event);
+        return data;
+    };
+
+    describe('arrow keys', () => {
+        test('move between cells at the edge of the cell text', async () => {
+            await createEditor();
+            placeCaret(cell(1, 0));
+
+            const right = keydown('ArrowRight');
+            expect(right.defaultPrevented).toBe(true);
+            expect(caretCell()).toBe(cell(1, 1));
+
+            keydown('ArrowDown');
+            expect(caretCell()).toBe(cell(2, 1));
+
+            keydown('ArrowUp');
+            keydown('ArrowUp');
+            expect(caretCell()).toBe(cell(0, 1));
+
+            // ArrowLeft at the start of the cell goes to the end of the previous one
+            placeCaret(cell(1, 0), false);
+            keydown('ArrowLeft');
+            expect(caretCell()).toBe(cell(0, 1));
+        });
+
+        test('are left to the browser inside the cell text', async () => {
+            await createEditor();
+            placeCaret(cell(1, 0), false);
+
+            const event = keydown('ArrowRight');
+
+            expect(event.defaultPrevented).toBe(false);
+            expect(caretCell()).toBe(cell(1, 0));
+        });
+
+        test('leave the table from its first and last row', async () => {
+            await createEditor();
+            placeCaret(cell(2, 1));
+
+            keydown('ArrowDown');
+
+            expect(editor.currentBlock.textContent).toBe('After');
+            expect(caretCell()).toBeNull();
+        });
+    });
+
+    describe('cell selection', () => {
+        test('Shift+Arrow selects a rectangle of cells and Delete empties them as one undo step', async () => {
+            await createEditor(TABLE);
+            placeCaret(cell(1, 0));
+
+            keydown('ArrowRight', { shiftKey: true });
+            keydown('ArrowDown', { shiftKey: true });
+
+            expect(editor.tableSelection.getCells()).toEqual([cell(1, 0), cell(1, 1), cell(2, 0), cell(2, 1)]);
+            expect(cell(2, 1).classList.contains('bke-table-cell--selected')).toBe(true);
+            expect(editor.tableSelection.getValues()).toEqual([['1', '2'], ['3', '4']]);
+
+            keydown('Delete');
+            expect(editor.getMarkdown()).toBe('| A | B |\n| --- | --- |\n|  |  |\n|  |  |');
+
+            editor.undo();
+            expect(editor.getMarkdown()).toBe(TABLE);
+        });
+
+        test('selected cells are not marked in the HTML export', async () => {
+            await createEditor(TABLE);
+            placeCaret(cell(1, 0));
+            keydown('ArrowDown', { shiftKey: true });
+
+            expect(editor.tableSelection.isActive()).toBe(true);
+            expect(editor.getHtml()).not.toContain('bke-');
+        });
+
+        test('Shift+click selects from the caret cell and a plain click ends the selection', async () => {
+            await createEditor(TABLE);
+            placeCaret(cell(0, 0));
+
+            cell(2, 1).dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true, shiftKey: true }));
+            expect(editor.tableSelection.getCells()).toHaveLength(6);
+
+            cell(1, 0).dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true }));
+            expect(editor.tableSelection.isActive()).toBe(false);
+            expect(tableElement().querySelector('.bke-table-cell--selected')).toBeNull();
+        });
+
+        test('copy and cut put the cells on the clipboard as tab-separated text', async () => {
+            await createEditor(TABLE);
+            editor.tableSelection.select(cell(1, 0), cell(2, 1));
+
+            const copied = clipboardEvent('copy');
+            expect(copied['text/plain']).toBe('1\t2\n3\t4');
+            expect(copied['text/html']).toBe('<table><tr><td>1</td><td>2</td></tr><tr><td>3</td><td>4</td></tr></table>');
+
+            clipboardEvent('cut');
+            expect(cell(1, 0).textContent).toBe('');
+            expect(cell(0, 0).textContent).toBe('A');
+        });
+
+        test('Escape ends the selection with the caret in the focused cell', async () => {
+            await createEditor(TABLE);
+            editor.tableSelection.select(cell(1, 0), cell(1, 1));
+
+            keydown('Escape');
+
+            expect(editor.tableSelection.isActive()).toBe(false);
+            expect(caretCell()).toBe(cell(1, 1));
+            expect(editor.blockSelection.isActive()).toBe(false);
+        });
+    });
+
+    describe('paste', () => {
+        test('tab-separated text fills the cells and expands the table as one undo step', async () => {
+            await createEditor(TABLE);
+            placeCaret(cell(2, 1));
+
+            const event = paste('x\ty\tz\nu\tv\tw\n');
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(editor.contentArea.querySelectorAll('.bke-block')).toHaveLength(1);
+            expect(editor.getMarkdown()).toBe('| A | B |  |  |\n| --- | --- | --- | --- |\n| 1 | 2 |  |  |\n| 3 | x | y | z |\n|  | u | v | w |');
+            expect(editor.tableSelection.getCells()).toHaveLength(6);
+
+            editor.undo();
+            expect(editor.getMarkdown()).toBe(TABLE);
+        });
+
+        test('comma-separated lines with quoted fields fill the cells', async () => {
+            await createEditor(TABLE);
+            placeCaret(cell(1, 0));
+
+            paste('"Smith, J",5\n"Say ""hi""",6');
+
+            expect(editor.getMarkdown()).toBe('| A | B |\n| --- | --- |\n| Smith, J | 5 |\n| Say "hi" | 6 |');
+        });
+
+        test('text for one cell is pasted as usual', async () => {
+            await createEditor(TABLE);
+            placeCaret(cell(1, 0));
+
+            expect(editor.tableSelection.handlePaste({ clipboardData: { getData: () => 'one, two' }, preventDefault: jest.fn() })).toBe(false);
+        });
+    });
+
+    test('getDelimiter() tells tab- and comma-separated text from text for one cell', () => {
+        expect(TableSelection.getDelimiter('a\tb')).toBe('\t');
+        expect(TableSelection.getDelimiter('a,b\nc,d\n')).toBe(',');
+        expect(TableSelection.getDelimiter('one\ntwo, three')).toBe('\t');
+        expect(TableSelection.getDelimiter('one, two\n')).toBeNull();
+    });
+
+    test('parseDelimited() and toDelimited() handle quoted fields', () => {
+        const rows = [['a', 'b, c'], ['say "hi"', 'two\nlines']];
+        const csv = TableBlock.toDelimited(rows, ',');
+
+        expect(csv).toBe('a,"b, c"\n"say ""hi""","two\nlines"');
+        expect(TableBlock.parseDelimited(csv, ',')).toEqual(rows);
+    });
+
+    test('a read-only editor has no table selection', async () => {
+        await createEditor(TABLE, { readonly: true });
+
+        expect(editor.tableSelection).toBeNull();
+    });
+});
@@ -100,18 +100,36 @@ describe('Toolbar', () => {
     });
 
     describe('undo / redo', () => {
-        it('should execute undo and call after', () => {
-            const { toolbar, mockEditorInstance } = makeToolbar();
+        it('should delegate undo to the editor history and call after', () => {
+            const { toolbar, mockEditorInstance } = makeToolbar({ undo: jest.fn() });
             toolbar.undo();
-            expect(document.execCommand).toHaveBeenCalledWith('undo');
+            expect(mockEditorInstance.undo).toHaveBeenCalled();
+            expect(document.execCommand).not.toHaveBeenCalledWith('undo');
             expect(mockEditorInstance.update).toHaveBeenCalled();
         });
-        it('should execute redo and call after', () => {
-            const { toolbar, mockEditorInstance } = makeToolbar();
+        it('should delegate redo to the editor history and call after', () => {
+            const { toolbar, mockEditorInstance } = makeToolbar({ redo: jest.fn() });
             toolbar.redo();
-            expect(document.execCommand).toHaveBeenCalledWith('redo');
+            expect(mockEditorInstance.redo).toHaveBeenCalled();
+            expect(document.execCommand).not.toHaveBeenCalledWith('redo');
             expect(mockEditorInstance.update).toHaveBeenCalled();
         });
+        it('should disable undo/redo buttons according to the history state', () => {
+            const { toolbar, mockContainer, mockEditorInstance } = makeToolbar();
+            mockEditorInstance.canUndo = jest.fn().mockReturnValue(true);
+            mockEditorInstance.canRedo = jest.fn().mockReturnValue(false);
+            const undoBtn = { disabled: true, classList: { toggle: jest.fn() } };
+            const redoBtn = { disabled: false, classList: { toggle: jest.fn() } };
+            mockContainer.querySelector.mockImplementation((selector) =>
+                selector === '.bke-toolbar-undo' ? undoBtn : redoBtn);
+
+            toolbar.updateHistoryButtonStates();
+
+            expect(undoBtn.disabled).toBe(false);
+            expect(undoBtn.classList.toggle).toHaveBeenCalledWith('disabled', false);
+            expect(redoBtn.disabled).toBe(true);
+            expect(redoBtn.classList.toggle).toHaveBeenCalledWith('disabled', true);
+        });
     });
 
     describe('heading / paragraph methods', () => {
@@ -127,21 +145,50 @@ describe('Toolbar', () => {
             toolbar.h1();
             expect(document.execCommand).toHaveBeenCalledWith('formatBlock', false, '<h1>');
         });
-        it('paragraph() calls execCommand with formatBlock p', () => {
+        it('paragraph() calls convertCurrentBlockOrCreate', () => {
             const { toolbar, mockEditorInstance } = makeToolbar();
             toolbar.paragraph();
-            expect(document.execCommand).toHaveBeenCalledWith('formatBlock', false, '<p>');
+            expect(mockEditorInstance.convertCurrentBlockOrCreate).toHaveBeenCalledWith('p');
+            expect(document.execCommand).not.toHaveBeenCalled();
             expect(mockEditorInstance.update).toHaveBeenCalled();
         });
     });
 
     describe('text formatting', () => {
-        it.each([['bold','bold'],['italic','italic'],['underline','underline'],['strikethrough','strikeThrough']])('%s() calls execCommand', (method, command) => {
-            const { toolbar, mockEditorInstance } = makeToolbar();
+        it.each(['bold', 'italic', 'underline', 'strikethrough'])('%s() toggles the mark with the formatter', (method) => {
+            const { toolbar, mockEditorInstance } = makeToolbar({ formatter: { toggle: jest.fn().mockReturnValue(true) } });
             toolbar[method]();
-            expect(document.execCommand).toHaveBeenCalledWith(command);
+            expect(mockEditorInstance.formatter.toggle).toHaveBeenCalledWith(method);
+            expect(document.execCommand).not.toHaveBeenCalled();
             expect(mockEditorInstance.update).toHaveBeenCalled();
         });
+        it('inline() toggles the code mark', () => {
+            const { toolbar, mockEditorInstance } = makeToolbar({ formatter: { toggle: jest.fn().mockReturnValue(true) } });
+            toolbar.inline();
+            expect(mockEditorInstance.formatter.toggle).toHaveBeenCalledWith('code');
+        });
+        it('does nothing without a formatter (read-only editor)', () => {
+            const { toolbar } = makeToolbar({ formatter: null });
+            expect(() => toolbar.bold()).not.toThrow();
+            expect(document.execCommand).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('updateMarkStates', () => {
+        it('sets aria-pressed on the mark buttons', () => {
+            const { toolbar, mockContainer } = makeToolbar();
+            const buttons = {};
+            mockContainer.querySelector.mockImplementation((selector) => {
+                buttons[selector] = buttons[selector] || { setAttribute: jest.fn() };
+                return buttons[selector];
+            });
+
+            toolbar.updateMarkStates(['bold', 'code']);
+
+            expect(buttons['.bke-toolbar-bold'].setAttribute).toHaveBeenCalledWith('aria-pressed', 'true');
+            expect(buttons['.bke-toolbar-inline'].setAttribute).toHaveBeenCalledWith('aria-pressed', 'true');
+            expect(buttons['.bke-toolbar-italic'].setAttribute).toHaveBeenCalledWith('aria-pressed', 'false');
+        });
     });
 
     describe('list methods', () => {
@@ -107,4 +107,47 @@ describe('Utils', () => {
       expect(result).toBe(expected);
     });
   });
+
+  describe('isSafeUrl method', () => {
+    test.each([
+      'https://example.com',
+      'http://example.com/a?b=c#d',
+      'mailto:someone@example.com',
+      'tel:+123456',
+      '/relative/path',
+      '#anchor',
+      'page.html'
+    ])('allows %s', (url) => {
+      expect(Utils.isSafeUrl(url)).toBe(true);
+    });
+
+    test.each([
+      'javascript:alert(1)',
+      'JavaScript:alert(1)',
+      ' javascript:alert(1)',
+      'java\tscript:alert(1)',
+      'javascript&#58;alert(1)',
+      'javascript&#x3A;alert(1)',
+      'data:text/html;base64,PHNjcmlwdD4=',
+      'vbscript:msgbox',
+      '',
+      null
+    ])('rejects %p', (url) => {
+      expect(Utils.isSafeUrl(url)).toBe(false);
+    });
+  });
+
+  describe('sanitizeHtml method', () => {
+    test('keeps marks and safe links', () => {
+      const html = 'A <strong>b</strong> <em>c</em><br><a href="https://example.com" title="T">d</a> &amp; e';
+      expect(Utils.sanitizeHtml(html)).toBe(html);
+      expect(Utils.sanitizeHtml('plain & text')).toBe('plain & text');
+    });
+
+    test('unwraps unsafe links and other elements and drops attributes and scripts', () => {
+      expect(Utils.sanitizeHtml('<a href="javascript:alert(1)">x</a>')).toBe('x');
+      expect(Utils.sanitizeHtml('<div class="c"><em onmouseover="alert(1)">y</em></div>')).toBe('<em>y</em>');
+      expect(Utils.sanitizeHtml('z<img src="x" onerror="alert(1)"><script>alert(1)</script>')).toBe('z');
+    });
+  });
 });
@@ -0,0 +1,67 @@
+/**
+ * Helpers for integration-level tests that run a real Editor in JSDOM
+ */
+
+import {Editor} from '../src/Editor.js';
+
+let saved = null;
+
+/**
+ * Restore the real JSDOM functions mocked by setup.js and add the
+ * #test-editor container. Call from beforeEach.
+ *
+ * @returns {HTMLElement} The editor container
+ */
+export function setUpEditorDom() {
+    saved = {
+        createElement: document.createElement,
+        getElementById: document.getElementById,
+        querySelector: document.querySelector,
+        querySelectorAll: document.querySelectorAll,
+        createTextNode: document.createTextNode,
+        body: document.body,
+        getSelection: window.getSelection
+    };
+    document.createElement = global._originalCreateElement;
+    document.getElementById = global._originalGetElementById;
+    document.querySelector = global._originalQuerySelector;
+    document.querySelectorAll = global._originalQuerySelectorAll;
+    document.createTextNode = global._originalCreateTextNode;
+    window.getSelection = () => document.getSelection();
+    // Delete the own data property to restore jsdom's prototype accessor
+    delete document.body;
+
+    const container = document.createElement('div');
+    container.id = 'test-editor';
+    document.body.appendChild(container);
+    return container;
+}
+
+/**
+ * Destroy the editors, remove the container and put the setup.js mocks back.
+ * Call from afterEach.
+ */
+export function tearDownEditorDom() {
+    Editor._instances.forEach(editor => editor.destroy());
+    Editor._instances.clear();
+    document.getElementById('test-editor')?.remove();
+
+    document.createElement = saved.createElement;
+    document.getElementById = saved.getElementById;
+    document.querySelector = saved.querySelector;
+    document.querySelectorAll = saved.querySelectorAll;
+    document.createTextNode = saved.createTextNode;
+    window.getSelection = saved.getSelection;
+    Object.defineProperty(document, 'body', { value: saved.body, writable: true, configurable: true });
+    saved = null;
+}
+
+/**
+ * Create an editor in the #test-editor container
+ *
+ * @param {Object} [options] - Editor options
+ * @returns {Editor}
+ */
+export function createTestEditor(options = {}) {
+    return new Editor({ id: 'test-editor', debug: false, ...options });
+}